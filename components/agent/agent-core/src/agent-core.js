@@ -4,9 +4,15 @@
  * The AgentCore class implements the main AI coding assistant functionality,
  * running in a Web Worker and coordinating with various components to provide
  * intelligent coding assistance with tool execution capabilities.
+ *
+ * Requests go through an APIClient built from the config's provider, model and
+ * baseUrl, in its normalized shape: tools as { name, description, parameters },
+ * tool calls as { id, name, arguments } and results as `tool` messages. With
+ * `config.streaming` on, requests are streamed and text chunks are sent to the
+ * main thread as `chat_progress` notifications.
  */
 
-import { LLMClient } from './llm-client.js';
+import { APIClient } from '../../../core/api-client/src/index.js';
 import { ToolDispatcher } from './tool-dispatcher.js';
 import { MessageHandler } from './message-handler.js';
 import { AgentConfig } from './config.js';
@@ -14,7 +20,7 @@ import { AgentConfig } from './config.js';
 export class AgentCore {
   constructor() {
     this.config = null;
-    this.llmClient = null;
+    this.apiClient = null;
     this.toolDispatcher = null;
     this.messageHandler = null;
     this.isInitialized = false;
@@ -36,7 +42,8 @@ export class AgentCore {
     this.config = AgentConfig.validate(config);
 
     // Initialize components
-    this.llmClient = new LLMClient(this.config);
+    this.apiClient = new APIClient({ modelRegistry: this.config.modelRegistry || undefined });
+    this.apiClient.initialize(this.config.toProviderConfig());
     this.toolDispatcher = new ToolDispatcher();
     this.messageHandler = new MessageHandler(this);
 
@@ -60,6 +67,9 @@ export class AgentCore {
     if (!this.isInitialized) {
       throw new Error('AgentCore must be initialized before chatting');
     }
+    if (!message || message.length === 0) {
+      throw new Error('chat needs a message');
+    }
 
     this.currentSession = sessionId;
     this.executionContext.sessionId = sessionId;
@@ -72,8 +82,9 @@ export class AgentCore {
       const tools = await this._getAvailableTools();
 
       // Send to LLM
-      const response = await this.llmClient.chat({
+      const response = await this._sendRequest({
         messages: context.messages,
+        systemInstruction: context.systemInstruction,
         tools: tools,
         temperature: this.config.temperature,
         maxTokens: this.config.maxTokens
@@ -85,7 +96,7 @@ export class AgentCore {
 
         // Continue conversation with tool results
         const followUpResponse = await this._continueWithToolResults(
-          context.messages,
+          context,
           response,
           toolResults
         );
@@ -100,7 +111,7 @@ export class AgentCore {
       return {
         content: `I encountered an error: ${error.message}. Please try again.`,
         error: true,
-        usage: { promptTokens: 0, completionTokens: 0, totalTokens: 0 }
+        usage: { prompt: 0, completion: 0, total: 0 }
       };
     }
   }
@@ -140,9 +151,10 @@ export class AgentCore {
     return {
       initialized: this.isInitialized,
       sessionId: this.currentSession,
-      repository: this.executionContext?.repo,
+      repository: this.executionContext?.repo ?? null,
       config: {
-        model: this.config?.model,
+        provider: this.apiClient?.getProvider(),
+        model: this.apiClient?.getModel() || this.config?.model,
         temperature: this.config?.temperature,
         maxTokens: this.config?.maxTokens
       }
@@ -169,17 +181,13 @@ export class AgentCore {
   async _buildContext(message, sessionId) {
     // This will be enhanced when we integrate with SessionManager and ContextBuilder
     const messages = [
-      {
-        role: 'system',
-        content: this._getSystemPrompt()
-      },
       {
         role: 'user',
         content: message
       }
     ];
 
-    return { messages };
+    return { messages, systemInstruction: this._getSystemPrompt() };
   }
 
   /**
@@ -191,58 +199,49 @@ export class AgentCore {
     // This will be enhanced when we integrate with ToolRegistry
     return [
       {
-        type: 'function',
-        function: {
-          name: 'execute_javascript',
-          description: 'Execute JavaScript code in a sandboxed environment',
-          parameters: {
-            type: 'object',
-            properties: {
-              code: {
-                type: 'string',
-                description: 'JavaScript code to execute'
-              }
-            },
-            required: ['code']
-          }
+        name: 'execute_javascript',
+        description: 'Execute JavaScript code in a sandboxed environment',
+        parameters: {
+          type: 'object',
+          properties: {
+            code: {
+              type: 'string',
+              description: 'JavaScript code to execute'
+            }
+          },
+          required: ['code']
         }
       },
       {
-        type: 'function',
-        function: {
-          name: 'read_file',
-          description: 'Read the contents of a file',
-          parameters: {
-            type: 'object',
-            properties: {
-              path: {
-                type: 'string',
-                description: 'Path to the file to read'
-              }
-            },
-            required: ['path']
-          }
+        name: 'read_file',
+        description: 'Read the contents of a file',
+        parameters: {
+          type: 'object',
+          properties: {
+            path: {
+              type: 'string',
+              description: 'Path to the file to read'
+            }
+          },
+          required: ['path']
         }
       },
       {
-        type: 'function',
-        function: {
-          name: 'write_file',
-          description: 'Write content to a file',
-          parameters: {
-            type: 'object',
-            properties: {
-              path: {
-                type: 'string',
-                description: 'Path to the file to write'
-              },
-              content: {
-                type: 'string',
-                description: 'Content to write to the file'
-              }
+        name: 'write_file',
+        description: 'Write content to a file',
+        parameters: {
+          type: 'object',
+          properties: {
+            path: {
+              type: 'string',
+              description: 'Path to the file to write'
             },
-            required: ['path', 'content']
-          }
+            content: {
+              type: 'string',
+              description: 'Content to write to the file'
+            }
+          },
+          required: ['path', 'content']
         }
       }
     ];
@@ -251,7 +250,7 @@ export class AgentCore {
   /**
    * Execute tool calls from LLM response
    * @private
-   * @param {ToolCall[]} toolCalls - Tool calls to execute
+   * @param {ToolCall[]} toolCalls - Tool calls to execute ({ id, name, arguments })
    * @returns {Promise<ToolResult[]>} Tool execution results
    */
   async _executeToolCalls(toolCalls) {
@@ -259,10 +258,9 @@ export class AgentCore {
 
     for (const toolCall of toolCalls) {
       try {
-        const args = JSON.parse(toolCall.function.arguments);
         const result = await this.toolDispatcher.execute(
-          toolCall.function.name,
-          args,
+          toolCall.name,
+          toolCall.arguments || {},
           this.executionContext
         );
 
@@ -272,7 +270,7 @@ export class AgentCore {
         });
 
       } catch (error) {
-        console.error(`Tool execution error for ${toolCall.function.name}:`, error);
+        console.error(`Tool execution error for ${toolCall.name}:`, error);
         results.push({
           toolCallId: toolCall.id,
           result: {
@@ -289,17 +287,18 @@ export class AgentCore {
   /**
    * Continue conversation with tool results
    * @private
-   * @param {Message[]} messages - Previous messages
+   * @param {Context} context - Messages and system instruction of the first request
    * @param {ChatResponse} originalResponse - Original LLM response
    * @param {ToolResult[]} toolResults - Tool execution results
    * @returns {Promise<ChatResponse>} Follow-up response
    */
-  async _continueWithToolResults(messages, originalResponse, toolResults) {
-    // Add assistant message with tool calls
-    const updatedMessages = [...messages, {
+  async _continueWithToolResults(context, originalResponse, toolResults) {
+    // Add assistant message with tool calls; Gemini needs its thought signature back
+    const updatedMessages = [...context.messages, {
       role: 'assistant',
       content: originalResponse.content,
-      toolCalls: originalResponse.toolCalls
+      toolCalls: originalResponse.toolCalls,
+      ...(originalResponse.thoughtSignature && { thoughtSignature: originalResponse.thoughtSignature })
     }];
 
     // Add tool results
@@ -307,13 +306,15 @@ export class AgentCore {
       updatedMessages.push({
         role: 'tool',
         toolCallId: toolResult.toolCallId,
-        content: JSON.stringify(toolResult.result)
+        content: JSON.stringify(toolResult.result),
+        isError: toolResult.result?.success === false
       });
     }
 
     // Get follow-up response
-    const followUpResponse = await this.llmClient.chat({
+    const followUpResponse = await this._sendRequest({
       messages: updatedMessages,
+      systemInstruction: context.systemInstruction,
       tools: await this._getAvailableTools(),
       temperature: this.config.temperature,
       maxTokens: this.config.maxTokens
@@ -322,6 +323,23 @@ export class AgentCore {
     return followUpResponse;
   }
 
+  /**
+   * Send a request to the LLM, streamed when `config.streaming` is on
+   * @private
+   * @param {object} request - APIClient request
+   * @returns {Promise<ChatResponse>} The complete response
+   */
+  async _sendRequest(request) {
+    if (!this.config.streaming) {
+      return this.apiClient.sendRequest(request);
+    }
+
+    const sessionId = this.currentSession;
+    return this.apiClient.streamRequest(request, (chunk) => {
+      this.messageHandler.sendChatProgress(sessionId, chunk);
+    });
+  }
+
   /**
    * Get the system prompt for the agent
    * @private
@@ -4,11 +4,19 @@
  * Handles agent configuration validation, defaults, and environment setup.
  */
 
+import { getModelInfo, MODEL_CATALOG } from '../../../core/api-client/src/index.js';
+
+const PROVIDERS = ['gemini', 'openai', 'anthropic'];
+
 export class AgentConfig {
   constructor(options = {}) {
     this.apiKey = options.apiKey;
-    this.apiBaseUrl = options.apiBaseUrl || 'https://generativelanguage.googleapis.com/v1beta';
-    this.model = options.model || 'gemini-2.5-flash';
+    // APIClient provider name, or a provider instance to send through (e.g. a ReplayProvider)
+    this.provider = options.provider || 'gemini';
+    // Custom API endpoint, e.g. a local OpenAI-compatible server; each provider has its own default
+    this.baseUrl = options.baseUrl || options.apiBaseUrl || null;
+    // Other providers fall back to their own default model
+    this.model = options.model || (this.provider === 'gemini' ? 'gemini-2.5-flash' : null);
     this.maxTokens = options.maxTokens || 4096;
     this.temperature = options.temperature || 0.7;
     this.systemInstruction = options.systemInstruction || "You are a helpful AI assistant. Answer questions directly and factually.";
@@ -16,6 +24,7 @@ export class AgentConfig {
     this.timeout = options.timeout || 30000;
     this.streaming = options.streaming !== false; // Default to true
     this.debug = options.debug || false;
+    this.modelRegistry = options.modelRegistry || null; // Shared ModelRegistry, optional
   }
 
   /**
@@ -32,20 +41,30 @@ export class AgentConfig {
       throw new Error('Configuration must be an object');
     }
 
-    // Required fields
-    if (!config.apiKey) {
+    // A provider name must be one APIClient knows; an instance is used as it is
+    const named = !config.provider || typeof config.provider === 'string';
+    if (named && config.provider && !PROVIDERS.includes(config.provider)) {
+      throw new Error(`Unknown provider '${config.provider}'. Valid: ${PROVIDERS.join(', ')}`);
+    }
+
+    // Required fields; a provider instance brings its own credentials, and a
+    // local server at a custom base URL may not need any
+    const customServer = Boolean(config.baseUrl || config.apiBaseUrl);
+    if (!config.apiKey && named && !customServer) {
       throw new Error('API key is required');
     }
 
-    // Validate API key format (basic check)
-    if (typeof config.apiKey !== 'string' || config.apiKey.length < 20) {
+    // Validate API key format (basic check); local servers accept any key
+    if (config.apiKey && (typeof config.apiKey !== 'string' || (config.apiKey.length < 20 && !customServer))) {
       throw new Error('API key appears to be invalid');
     }
 
-    // Validate model
-    const validModels = ['gemini-3-flash-preview', 'gemini-1.5-pro', 'gemini-1.0-pro'];
-    if (config.model && !validModels.includes(config.model)) {
-      console.warn(`Unknown model '${config.model}'. Valid models: ${validModels.join(', ')}`);
+    // Validate model against the model registry (discovered models count as known)
+    const modelInfo = config.model
+      ? (config.modelRegistry ? config.modelRegistry.getModel(config.model) : getModelInfo(config.model))
+      : null;
+    if (config.model && !modelInfo) {
+      console.warn(`Unknown model '${config.model}'. Known models: ${Object.keys(MODEL_CATALOG).join(', ')}`);
     }
 
     // Validate numeric fields
@@ -53,6 +72,10 @@ export class AgentConfig {
       throw new Error('maxTokens must be a positive number');
     }
 
+    if (config.maxTokens && modelInfo?.maxOutputTokens && config.maxTokens > modelInfo.maxOutputTokens) {
+      console.warn(`maxTokens ${config.maxTokens} exceeds the ${modelInfo.maxOutputTokens} output tokens of '${config.model}'`);
+    }
+
     if (config.temperature !== undefined) {
       if (typeof config.temperature !== 'number' || config.temperature < 0 || config.temperature > 2) {
         throw new Error('temperature must be a number between 0 and 2');
@@ -81,8 +104,9 @@ export class AgentConfig {
    */
   static fromEnvironment() {
     return new AgentConfig({
+      provider: 'openai',
       apiKey: process.env.OPENAI_API_KEY || process.env.VITE_OPENAI_API_KEY,
-      apiBaseUrl: process.env.OPENAI_API_BASE_URL,
+      baseUrl: process.env.OPENAI_API_BASE_URL,
       model: process.env.OPENAI_MODEL,
       maxTokens: process.env.OPENAI_MAX_TOKENS ? parseInt(process.env.OPENAI_MAX_TOKENS) : undefined,
       temperature: process.env.OPENAI_TEMPERATURE ? parseFloat(process.env.OPENAI_TEMPERATURE) : undefined,
@@ -97,7 +121,7 @@ export class AgentConfig {
   static getDefault() {
     return new AgentConfig({
       apiKey: 'sk-test-key-for-development',
-      apiBaseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+      provider: 'gemini',
       model: 'gemini-2.5-flash',
       maxTokens: 2048,
       temperature: 0.7,
@@ -116,7 +140,8 @@ export class AgentConfig {
   toObject() {
     return {
       apiKey: this.apiKey ? '***' + this.apiKey.slice(-4) : null, // Mask API key
-      apiBaseUrl: this.apiBaseUrl,
+      provider: typeof this.provider === 'string' ? this.provider : 'custom',
+      baseUrl: this.baseUrl,
       model: this.model,
       maxTokens: this.maxTokens,
       temperature: this.temperature,
@@ -148,11 +173,25 @@ export class AgentConfig {
     }
   }
 
+  /**
+   * Provider config for APIClient.initialize
+   * @returns {object} Provider config
+   */
+  toProviderConfig() {
+    return {
+      provider: this.provider,
+      apiKey: this.apiKey,
+      model: this.model || undefined,
+      baseUrl: this.baseUrl || undefined,
+      timeout: this.timeout
+    };
+  }
+
   /**
    * Get configuration summary (safe for logging)
    * @returns {string} Configuration summary
    */
   getSummary() {
-    return `Model: ${this.model}, Max Tokens: ${this.maxTokens}, Temp: ${this.temperature}, Permissions: ${this.defaultPermissions.join(', ')}`;
+    return `Provider: ${this.toObject().provider}, Model: ${this.model}, Max Tokens: ${this.maxTokens}, Temp: ${this.temperature}, Permissions: ${this.defaultPermissions.join(', ')}`;
   }
 }
@@ -1,14 +1,20 @@
 /**
- * LLM Client - Gemini API Integration
+ * LLM Client - Chat completions in the OpenAI message format
  *
- * Handles communication with LLM APIs, including chat completion,
- * tool calling, and streaming support.
+ * Sends chat and streaming requests through an APIClient (Gemini unless
+ * `config.provider` is given) and converts between the OpenAI-style messages,
+ * tool definitions and ChatResponses its callers use and the APIClient's
+ * normalized shapes. AgentCore uses the APIClient directly; this is for
+ * callers that still expect `{ type: 'function', function: { name, arguments } }`
+ * tool calls and `promptTokens`/`completionTokens`/`totalTokens` usage.
  */
 
+import { APIClient, ModelRegistry } from '../../../core/api-client/src/index.js';
+
 export class LLMClient {
   constructor(config = {}) {
     this.config = config;
-    
+
     // Fallback logic for environment variables in both Node and Browser
     const getEnv = (key, defaultValue) => {
       if (typeof process !== 'undefined' && process.env && process.env[key]) {
@@ -27,6 +33,14 @@ export class LLMClient {
     this.apiKey = config.apiKey !== undefined ? config.apiKey : getEnv('GEMINI_API_KEY');
     this.defaultMaxTokens = config.maxTokens || 4096;
     this.defaultTemperature = config.temperature || 0.7;
+    this.modelRegistry = config.modelRegistry || new ModelRegistry();
+    // An api-client provider (e.g. a ReplayProvider) that answers instead of the Gemini API
+    this.provider = config.provider || null;
+
+    this.apiClient = new APIClient({ modelRegistry: this.modelRegistry });
+    this.apiClient.initialize(this.provider
+      ? { provider: this.provider }
+      : { provider: 'gemini', apiKey: this.apiKey, model: this.model, baseUrl: this.apiBaseUrl });
   }
 
   /**
@@ -36,56 +50,12 @@ export class LLMClient {
    * @param {ToolDefinition[]} options.tools - Available tools
    * @param {number} options.temperature - Temperature setting
    * @param {number} options.maxTokens - Maximum tokens
+   * @param {AbortSignal} [options.signal] - Cancels the request
    * @returns {Promise<ChatResponse>}
    */
   async chat(options) {
-    const {
-      messages,
-      tools = [],
-      temperature = this.defaultTemperature,
-      maxTokens = this.defaultMaxTokens,
-      systemInstruction
-    } = options;
-
-  const url = `${this.apiBaseUrl}/models/${this.model}:generateContent?key=${this.apiKey}`;
-
-    const requestBody = {
-      contents: this._formatMessagesForGemini(messages),
-      systemInstruction: {
-        parts: [{ text: systemInstruction || "You are a helpful assistant. Answer questions directly and factually." }]
-      },
-      generationConfig: {
-        temperature,
-        maxOutputTokens: maxTokens
-      }
-    };
-
-    // Add tools if provided
-    if (tools.length > 0) {
-      requestBody.tools = this._formatToolsForGemini(tools);
-    }
-
-    try {
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(requestBody)
-      });
-
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(`API request failed: ${error.error?.message || response.statusText}`);
-      }
-
-      const data = await response.json();
-      return this._parseGeminiResponse(data);
-
-    } catch (error) {
-      console.error('LLM API error:', error);
-      throw new Error(`Failed to communicate with LLM API: ${error.message}`);
-    }
+    const response = await this.apiClient.sendRequest(this._toProviderRequest(options));
+    return this._fromProviderResponse(response);
   }
 
   /**
@@ -95,280 +65,125 @@ export class LLMClient {
    * @returns {Promise<ChatResponse>}
    */
   async chatStream(options, onChunk) {
+    const response = await this.apiClient.streamRequest(
+      this._toProviderRequest(options),
+      (text) => onChunk?.({ type: 'content', content: text })
+    );
+    return this._fromProviderResponse(response);
+  }
+
+  /**
+   * Convert a chat request to the api-client request format: flat tool
+   * definitions and tool calls with parsed arguments. Thought signatures stay
+   * on the calls they came with.
+   * @private
+   * @param {object} options - Chat options
+   * @returns {object} Provider request
+   */
+  _toProviderRequest(options) {
     const {
       messages,
       tools = [],
       temperature = this.defaultTemperature,
       maxTokens = this.defaultMaxTokens,
-      systemInstruction
+      systemInstruction,
+      signal
     } = options;
 
-    const requestBody = {
-      contents: this._formatMessagesForGemini(messages),
-      systemInstruction: {
-        parts: [{ text: systemInstruction || "You are a helpful assistant. Answer questions directly and factually." }]
-      },
-      generationConfig: {
-        temperature,
-        maxOutputTokens: maxTokens
-      }
+    return {
+      messages: messages.map(message => message.toolCalls ? {
+        ...message,
+        toolCalls: message.toolCalls.map(call => call.function ? {
+          id: call.id,
+          name: call.function.name,
+          arguments: typeof call.function.arguments === 'string'
+            ? JSON.parse(call.function.arguments || '{}')
+            : call.function.arguments,
+          ...(call.thoughtSignature && { thoughtSignature: call.thoughtSignature })
+        } : call)
+      } : message),
+      tools: tools.map(tool => tool.function || tool),
+      temperature,
+      maxTokens,
+      systemInstruction,
+      signal
     };
-
-    if (tools.length > 0) {
-      requestBody.tools = this._formatToolsForGemini(tools);
-    }
-
-    // Gemini streaming endpoint is not used here, but if needed, update to use env URL
-    try {
-      const response = await fetch(`${this.apiBaseUrl}/models/${this.model}:streamGenerateContent?key=${this.apiKey}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(requestBody)
-      });
-
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(`API request failed: ${error.error?.message || response.statusText}`);
-      }
-
-      return await this._handleStream(response, onChunk);
-
-    } catch (error) {
-      console.error('LLM streaming error:', error);
-      throw new Error(`Failed to stream from LLM API: ${error.message}`);
-    }
   }
 
   /**
-   * Format messages for Gemini API
+   * Convert a normalized api-client response to a ChatResponse
    * @private
-   * @param {Message[]} messages - Raw messages
-   * @returns {object[]} Formatted contents
+   * @param {object} response - Provider response
+   * @returns {ChatResponse}
    */
-  _formatMessagesForGemini(messages) {
-    // Gemini expects a single content with conversation history in parts
-    const parts = [];
-
-    for (const message of messages) {
-      let text = '';
-
-      // Handle system messages by including them in the conversation
-      if (message.role === 'system') {
-        text = `System: ${message.content}`;
-      } else if (message.role === 'user') {
-        text = message.content;
-      } else if (message.role === 'assistant') {
-        text = message.content;
-      } else if (message.role === 'tool') {
-        text = `Tool result: ${message.content}`;
-      }
-
-      if (text) {
-        parts.push({ text });
-      }
-    }
-
-    return [{
-      parts: parts
-    }];
-  }
-
-  /**
-   * Format tools for Gemini API
-   * @private
-   * @param {ToolDefinition[]} tools - Raw tools
-   * @returns {object[]} Formatted tools
-   */
-  _formatToolsForGemini(tools) {
-    return [{
-      functionDeclarations: tools.map(tool => ({
-        name: tool.function.name,
-        description: tool.function.description,
-        parameters: tool.function.parameters
-      }))
-    }];
-  }
-
-  /**
-   * Parse Gemini API response into our format
-   * @private
-   * @param {object} data - Raw Gemini response
-   * @returns {ChatResponse} Parsed response
-   */
-  _parseGeminiResponse(data) {
-
-    console.log('[LLMClient] Raw Gemini API response:', JSON.stringify(data));
-    const candidate = data && data.candidates && data.candidates[0];
-    if (!candidate) {
-      console.error('[LLMClient] No response candidates received from Gemini API:', JSON.stringify(data));
-      return {
-        content: '',
-        usage: { promptTokens: 0, completionTokens: 0, totalTokens: 0 },
-        error: 'No response candidates received from Gemini API'
-      };
-    }
-
-    // Defensive: usageMetadata may be missing
-    const usageMeta = data && data.usageMetadata ? data.usageMetadata : {};
-    const response = {
-      content: '',
+  _fromProviderResponse(response) {
+    const usage = response.usage || {};
+    const result = {
+      content: response.content || '',
       usage: {
-        promptTokens: usageMeta.promptTokenCount || 0,
-        completionTokens: usageMeta.candidatesTokenCount || 0,
-        totalTokens: usageMeta.totalTokenCount || 0
+        promptTokens: usage.prompt || 0,
+        completionTokens: usage.completion || 0,
+        totalTokens: usage.total || 0
       }
     };
-
-    // Extract content
-    if (candidate.content && candidate.content.parts) {
-      response.content = candidate.content.parts
-        .filter(part => part.text)
-        .map(part => {
-          // Remove thoughtSignature if present
-          const text = part.text;
-          if (text.includes('thoughtSignature')) {
-            return text.split('thoughtSignature')[0].trim();
-          }
-          return text;
-        })
-        .join('');
+    if (response.thoughtSignature) {
+      result.thoughtSignature = response.thoughtSignature;
     }
-
-    // Handle function calls
-    if (candidate.content && candidate.content.parts) {
-      const functionCalls = candidate.content.parts
-        .filter(part => part.functionCall)
-        .map(part => part.functionCall);
-
-      if (functionCalls.length > 0) {
-        response.toolCalls = functionCalls.map((call, index) => ({
-          id: `call-${Date.now()}-${index}`,
-          type: 'function',
-          function: {
-            name: call.name,
-            arguments: JSON.stringify(call.args || {})
-          }
-        }));
-      }
+    if (response.toolCalls?.length > 0) {
+      result.toolCalls = response.toolCalls.map((call, index) => ({
+        id: call.id || `call-${Date.now()}-${index}`,
+        type: 'function',
+        function: {
+          name: call.name,
+          arguments: typeof call.arguments === 'string' ? call.arguments : JSON.stringify(call.arguments || {})
+        },
+        ...(call.thoughtSignature && { thoughtSignature: call.thoughtSignature })
+      }));
     }
-
-    return response;
+    if (response.error) {
+      result.error = response.error;
+    }
+    return result;
   }
 
   /**
-   * Handle streaming response
-   * @private
-   * @param {Response} response - Fetch response
-   * @param {function} onChunk - Chunk callback
-   * @returns {Promise<ChatResponse>}
+   * Check if the API key, or a provider instance, is configured
+   * @returns {boolean} True if an API key or provider is set
    */
-  async _handleStream(response, onChunk) {
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder();
-    let buffer = '';
-    let finalResponse = {
-      content: '',
-      toolCalls: [],
-      usage: { promptTokens: 0, completionTokens: 0, totalTokens: 0 }
-    };
-
-    try {
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
-
-        buffer += decoder.decode(value, { stream: true });
-        const lines = buffer.split('\n');
-        buffer = lines.pop(); // Keep incomplete line in buffer
-
-        for (const line of lines) {
-          if (line.startsWith('data: ')) {
-            const data = line.slice(6);
-
-            if (data === '[DONE]') {
-              continue;
-            }
-
-            try {
-              const chunk = JSON.parse(data);
-              const delta = chunk.choices[0]?.delta;
-
-              if (delta) {
-                // Handle content
-                if (delta.content) {
-                  finalResponse.content += delta.content;
-                  if (onChunk) {
-                    onChunk({ type: 'content', content: delta.content });
-                  }
-                }
-
-                // Handle tool calls
-                if (delta.tool_calls) {
-                  for (const toolCall of delta.tool_calls) {
-                    if (!finalResponse.toolCalls[toolCall.index]) {
-                      finalResponse.toolCalls[toolCall.index] = {
-                        id: toolCall.id,
-                        type: toolCall.type,
-                        function: { name: '', arguments: '' }
-                      };
-                    }
-
-                    const call = finalResponse.toolCalls[toolCall.index];
-                    if (toolCall.function?.name) {
-                      call.function.name += toolCall.function.name;
-                    }
-                    if (toolCall.function?.arguments) {
-                      call.function.arguments += toolCall.function.arguments;
-                    }
-                  }
-
-                  if (onChunk) {
-                    onChunk({ type: 'tool_calls', toolCalls: finalResponse.toolCalls });
-                  }
-                }
-              }
-
-              // Handle usage information
-              if (chunk.usage) {
-                finalResponse.usage = {
-                  promptTokens: chunk.usage.prompt_tokens,
-                  completionTokens: chunk.usage.completion_tokens,
-                  totalTokens: chunk.usage.total_tokens
-                };
-              }
-
-            } catch (parseError) {
-              // Skip malformed chunks
-              console.warn('Failed to parse streaming chunk:', parseError);
-            }
-          }
-        }
-      }
-
-      return finalResponse;
+  isConfigured() {
+    return Boolean(this.apiKey || this.provider);
+  }
 
-    } finally {
-      reader.releaseLock();
+  /**
+   * Get available models (Gemini models) without fetching: the last
+   * discovered list if any, else the registry's catalog
+   * @returns {string[]} Available model names
+   */
+  getAvailableModels() {
+    const models = this.modelRegistry.getModels('gemini').map(model => model.id);
+    if (this.model && !models.includes(this.model)) {
+      models.unshift(this.model);
     }
+    return models;
   }
 
   /**
-   * Check if the API key is configured
-   * @returns {boolean} True if API key is set
+   * Discover Gemini models with their metadata via the model registry
+   * @param {object} [options]
+   * @param {boolean} [options.refresh=false] - Ignore the cached list
+   * @returns {Promise<ModelInfo[]>}
    */
-  isConfigured() {
-  return Boolean(this.apiKey);
+  async listModels(options = {}) {
+    return this.apiKey && !this.provider
+      ? this.apiClient.listModels(options)
+      : this.modelRegistry.listModels('gemini', null, options);
   }
 
   /**
-   * Get available models (Gemini models)
-   * @returns {string[]} Available model names
+   * Get metadata for the configured model
+   * @returns {ModelInfo|null}
    */
-  getAvailableModels() {
-    return [
-      this.model
-    ];
+  getModelInfo() {
+    return this.modelRegistry.getModel(this.model);
   }
 }
@@ -9,17 +9,30 @@ import { ToolAnalyzer } from './tool-analyzer.js';
 import { ConversationOptimizer } from './conversation-optimizer.js';
 import { PromptBuilder } from './prompt-builder.js';
 import { ContextManager } from './context-manager.js';
+import { getModelInfo } from '../../../core/api-client/src/index.js';
+import { getTokenizer } from '../../../core/tokenizer/src/index.js';
+
+const DEFAULT_TOKEN_LIMIT = 8000;
 
 export class ContextBuilder {
   /**
    * Create a new ContextBuilder
    * @param {ToolRegistry} toolRegistry - Tool registry instance
    * @param {SessionManager} sessionManager - Session manager instance
+   * @param {Object} [options]
+   * @param {string} [options.model] - Model whose context window sets the default token limit
+   * @param {number} [options.maxOutputTokens] - Tokens reserved for the response (default: the model's max output)
+   * @param {ModelRegistry} [options.modelRegistry] - Registry with discovered models; the static catalog otherwise
+   * @param {Tokenizer} [options.tokenizer] - Token counter (default: the shared tokenizer for the model's family)
    */
-  constructor(toolRegistry, sessionManager) {
+  constructor(toolRegistry, sessionManager, options = {}) {
+    this.model = options.model || null;
+    this.maxOutputTokens = options.maxOutputTokens;
+    this.modelRegistry = options.modelRegistry || null;
+    this.tokenizer = options.tokenizer || getTokenizer(this.model);
     this.toolAnalyzer = new ToolAnalyzer(toolRegistry);
-    this.conversationOptimizer = new ConversationOptimizer(sessionManager);
-    this.promptBuilder = new PromptBuilder(this.toolAnalyzer, this.conversationOptimizer);
+    this.conversationOptimizer = new ConversationOptimizer(sessionManager, this.tokenizer);
+    this.promptBuilder = new PromptBuilder(this.toolAnalyzer, this.conversationOptimizer, this.tokenizer);
     this.contextManager = new ContextManager(this.promptBuilder, this.conversationOptimizer);
   }
 
@@ -27,10 +40,10 @@ export class ContextBuilder {
    * Build complete context for a user query
    * @param {string} sessionId - Session identifier
    * @param {string} userQuery - User query
-   * @param {number} maxTokens - Maximum token limit (default: 8000)
+   * @param {number} maxTokens - Maximum token limit (default: getTokenLimit())
    * @returns {Object} Complete context object
    */
-  async buildContext(sessionId, userQuery, maxTokens = 8000) {
+  async buildContext(sessionId, userQuery, maxTokens = this.getTokenLimit()) {
     // Get session tree
     const sessionTree = await this.getSessionTree(sessionId);
     if (!sessionTree) {
@@ -62,6 +75,20 @@ export class ContextBuilder {
     };
   }
 
+  /**
+   * Token limit for prompts: the model's context window minus the tokens
+   * reserved for the response, or 8000 when the model is unknown
+   * @returns {number} Token limit
+   */
+  getTokenLimit() {
+    if (!this.model) return DEFAULT_TOKEN_LIMIT;
+
+    const info = this.modelRegistry ? this.modelRegistry.getModel(this.model) : getModelInfo(this.model);
+    if (!info?.contextWindow) return DEFAULT_TOKEN_LIMIT;
+
+    return info.contextWindow - (this.maxOutputTokens ?? info.maxOutputTokens ?? 0);
+  }
+
   /**
    * Get tool capabilities for analysis
    * @returns {Array<Object>} Tool capabilities
@@ -125,7 +152,7 @@ export class ContextBuilder {
    * @param {number} maxTokens - Maximum token limit
    * @returns {boolean} Whether optimization is needed
    */
-  needsOptimization(sessionId, maxTokens = 8000) {
+  needsOptimization(sessionId, maxTokens = this.getTokenLimit()) {
     return this.contextManager.needsOptimization(sessionId, maxTokens);
   }
 
@@ -5,13 +5,17 @@
  * LLM context windows while preserving important information.
  */
 
+import { getTokenizer } from '../../../core/tokenizer/src/index.js';
+
 export class ConversationOptimizer {
   /**
    * Create a new ConversationOptimizer
    * @param {SessionManager} sessionManager - Session manager instance
+   * @param {Tokenizer} [tokenizer] - Token counter (default: the shared default-family tokenizer)
    */
-  constructor(sessionManager) {
+  constructor(sessionManager, tokenizer = getTokenizer()) {
     this.sessionManager = sessionManager;
+    this.tokenizer = tokenizer;
   }
 
   /**
@@ -136,10 +140,7 @@ export class ConversationOptimizer {
    */
   estimateTokens(message) {
     if (!message) return 0;
-    const content = message.content || '';
-
-    // Rough estimation: ~4 characters per token
-    const contentTokens = Math.ceil(content.length / 4);
+    const contentTokens = this.tokenizer.count(message.content || '');
 
     // Add overhead for role and metadata
     return contentTokens + 10;
@@ -5,15 +5,19 @@
  * include relevant conversation context within token limits.
  */
 
+import { getTokenizer } from '../../../core/tokenizer/src/index.js';
+
 export class PromptBuilder {
   /**
    * Create a new PromptBuilder
    * @param {ToolAnalyzer} toolAnalyzer - Tool analyzer instance
    * @param {ConversationOptimizer} conversationOptimizer - Conversation optimizer instance
+   * @param {Tokenizer} [tokenizer] - Token counter (default: the shared default-family tokenizer)
    */
-  constructor(toolAnalyzer, conversationOptimizer) {
+  constructor(toolAnalyzer, conversationOptimizer, tokenizer = getTokenizer()) {
     this.toolAnalyzer = toolAnalyzer;
     this.conversationOptimizer = conversationOptimizer;
+    this.tokenizer = tokenizer;
   }
 
   /**
@@ -38,7 +42,7 @@ export class PromptBuilder {
     ];
 
     // Calculate token usage
-    const tokenUsage = this.calculateTokenUsage(messages);
+    const tokenUsage = this.calculateTokenUsage(messages, maxTokens);
 
     return {
       messages,
@@ -89,9 +93,10 @@ export class PromptBuilder {
   /**
    * Calculate token usage for messages
    * @param {Array<Object>} messages - Messages to analyze
+   * @param {number} [limit=8000] - Token limit, usually from the model's context window
    * @returns {Object} Token usage statistics
    */
-  calculateTokenUsage(messages) {
+  calculateTokenUsage(messages, limit = 8000) {
     let totalTokens = 0;
 
     for (const message of messages) {
@@ -100,9 +105,9 @@ export class PromptBuilder {
 
     return {
       current: totalTokens,
-      limit: 8000, // Default GPT-4 limit
-      remaining: Math.max(0, 8000 - totalTokens),
-      utilization: (totalTokens / 8000) * 100
+      limit,
+      remaining: Math.max(0, limit - totalTokens),
+      utilization: (totalTokens / limit) * 100
     };
   }
 
@@ -114,9 +119,8 @@ export class PromptBuilder {
   estimateTokens(message) {
     if (!message || !message.content) return 0;
 
-    // Rough estimation: ~4 characters per token for English text
     // Add overhead for message structure and special tokens
-    const contentTokens = Math.ceil(message.content.length / 4);
+    const contentTokens = this.tokenizer.count(message.content);
     const overhead = message.role === 'system' ? 20 : 10;
 
     return contentTokens + overhead;
@@ -155,7 +159,7 @@ export class PromptBuilder {
     return {
       ...prompt,
       messages,
-      tokenUsage: this.calculateTokenUsage(messages),
+      tokenUsage: this.calculateTokenUsage(messages, prompt.tokenUsage.limit),
       optimizedHistory
     };
   }
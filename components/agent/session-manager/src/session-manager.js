@@ -16,16 +16,19 @@ export class SessionManager {
    * @param {Object} options
    * @param {SessionStore} [options.sessionStore] - Session store instance
    * @param {MessageBridgeMain} [options.messageBridge] - Message bridge for Web Worker comms
+   * @param {EventBus} [options.eventBus] - Event bus to expose the session API on via request/handle
    */
   constructor(options = {}) {
     this.sessionStore = options.sessionStore || new SessionStore();
     this.messageBridge = options.messageBridge || null; // MessageBridgeMain instance (optional)
+    this.eventBus = options.eventBus || null;
 
     /** @type {Map<string, SessionTree>} */
     this.activeTrees = new Map();
 
     // Set up message handlers
     this.setupMessageHandlers();
+    this.setupRequestHandlers();
   }
 
   /**
@@ -41,6 +44,32 @@ export class SessionManager {
     }
   }
 
+  /**
+   * Expose the session API as EventBus request handlers.
+   * Callers use `eventBus.request('session:create', { cwd })` and receive the
+   * method's return value; failures reject the request.
+   */
+  setupRequestHandlers() {
+    if (!this.eventBus) return;
+
+    this.eventBus.handle('session:create', (data = {}) => this.createSession(data.cwd));
+    this.eventBus.handle('session:append', (data) => this.appendMessage(data.sessionId, data.role, data.content));
+    this.eventBus.handle('session:branch', (data) => this.branch(data.sessionId, data.entryId));
+    this.eventBus.handle('session:getHistory', (data) => this.getHistory(data.sessionId));
+    this.eventBus.handle('session:getTree', async (data) => Array.from((await this.getTree(data.sessionId)).entries()));
+  }
+
+  /**
+   * Remove request handlers registered on the event bus
+   */
+  dispose() {
+    if (!this.eventBus) return;
+
+    for (const event of ['session:create', 'session:append', 'session:branch', 'session:getHistory', 'session:getTree']) {
+      this.eventBus.unhandle(event);
+    }
+  }
+
   /**
    * Create a new session
    * @param {string} cwd - Current working directory
@@ -1,91 +1,362 @@
 /**
  * APIClient - LLM API communication with multiple provider support
- * Provides a unified interface for Gemini, OpenAI, and other providers
+ * Provides a unified interface for Gemini, OpenAI, Anthropic, and other providers.
+ * An ordered list of provider configs forms a fallback chain: retryable
+ * failures move the request to the next provider whose circuit is closed.
  */
 
 import { GeminiProvider } from './providers/gemini.js';
 import { OpenAIProvider } from './providers/openai.js';
+import { AnthropicProvider } from './providers/anthropic.js';
+import { ReplayProvider } from './providers/replay.js';
+import { ModelRegistry } from './model-registry.js';
+import { CircuitBreaker } from './circuit-breaker.js';
+import { parseStructuredOutput, repairMessages, schemaMismatchError } from './structured-output.js';
+import { getTokenizer } from '../../tokenizer/src/index.js';
+import { EventBus } from '../../event-bus/src/index.js';
+
+// Settings fallback providers take from the primary config unless they set their own
+const SHARED_SETTINGS = ['timeout', 'retries', 'retryDelay', 'contentLimits', 'opfs'];
+
+function createProvider(config) {
+  // A provider built by the caller, e.g. a ReplayProvider over a scripted target
+  if (typeof config.provider?.sendRequest === 'function') {
+    return config.provider;
+  }
+  switch (config.provider) {
+    case 'gemini':
+      return new GeminiProvider(config);
+    case 'openai':
+      return new OpenAIProvider(config);
+    case 'anthropic':
+      return new AnthropicProvider(config);
+    case 'replay':
+      // The target answers what the cassette doesn't, and is recorded
+      return new ReplayProvider({
+        ...config,
+        target: config.target && (typeof config.target.sendRequest === 'function' ? config.target : createProvider(config.target))
+      });
+    default:
+      throw new Error(`Unknown provider: ${config.provider}`);
+  }
+}
+
+/**
+ * Whether the next provider should get the request. Errors without a
+ * `retryable` flag (e.g. network failures) are classified like _retryWithBackoff does.
+ */
+function canFailOver(error) {
+  if (error.name === 'AbortError') return false;
+  return error.retryable ?? !(error.status >= 400 && error.status < 500);
+}
 
 export class APIClient {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {ModelRegistry} [options.modelRegistry] - Shared registry; one is created if omitted
+   * @param {SettingsStore} [options.settingsStore] - Cache for discovered models when creating the registry
+   * @param {EventBus} [options.eventBus] - Receives `api:fallback` when a request moves to another provider
+   *   and `api:queue` when a provider's request queue changes
+   * @param {UsageStore} [options.usageStore] - Ledger that records the usage of every request and
+   *   refuses requests once a budget is spent (see components/storage/usage-store)
+   */
+  constructor(options = {}) {
     this.provider = null;
     this.config = null;
+    this.chain = [];
+    this.unsubscribeQueues = null;
+    this.modelRegistry = options.modelRegistry || new ModelRegistry({ settingsStore: options.settingsStore });
+    this.eventBus = options.eventBus || new EventBus();
+    this.usageStore = options.usageStore || null;
   }
 
   /**
    * Initialize the API client with configuration
-   * @param {Object} config - Configuration object
-   * @param {string} config.provider - Provider name ('gemini', 'openai')
+   * @param {Object|Array<Object>} config - Configuration object, or an ordered list of them
+   *   (the first is the primary, the rest are fallbacks)
+   * @param {string|BaseProvider} config.provider - Provider name ('gemini', 'openai', 'anthropic', or 'replay'
+   *   with `cassette`, `mode`, `match` and a `target` provider config; see ReplayProvider), or a
+   *   provider instance to send through as it is
+   * @param {string} [config.name] - Name reported for a provider instance (default 'custom')
    * @param {string} config.apiKey - API key for the provider
    * @param {string} config.model - Model name
    * @param {string} [config.baseUrl] - Custom base URL (optional)
-   * @param {number} [config.timeout=30000] - Request timeout in ms
+   * @param {number} [config.timeout=30000] - Timeout of each attempt in ms; for streams, between chunks
    * @param {number} [config.retries=3] - Number of retries
    * @param {number} [config.retryDelay=1000] - Delay between retries in ms
+   * @param {Object} [config.contentLimits] - Overrides for DEFAULT_CONTENT_LIMITS (attachment sizes)
+   * @param {OPFSProvider} [config.opfs] - Where attachment paths are read (default: the shared instance)
+   * @param {Array<Object>} [config.fallbacks] - Provider configs to try in order when this one
+   *   fails with a retryable error; timeout, retries, retryDelay, contentLimits and opfs default to this config's
+   * @param {Object} [config.circuitBreaker] - Options for each provider's CircuitBreaker
+   *   ({ failureThreshold, cooldown }); only used with fallbacks
+   * @param {Object} [config.rateLimits] - Quotas for the provider's scheduler
+   *   ({ requestsPerMinute, tokensPerMinute }); servers' rate-limit headers are used otherwise
+   * @param {number} [config.maxRetryAfter=60000] - Longest Retry-After hint waited out before failing
    */
   initialize(config) {
-    this.config = config;
-    
-    switch (config.provider) {
-      case 'gemini':
-        this.provider = new GeminiProvider(config);
-        break;
-      case 'openai':
-        this.provider = new OpenAIProvider(config);
-        break;
-      default:
-        throw new Error(`Unknown provider: ${config.provider}`);
-    }
+    const [primary, ...rest] = Array.isArray(config) ? config : [config];
+    const configs = [primary, ...rest, ...(primary.fallbacks || [])];
+    const shared = Object.fromEntries(SHARED_SETTINGS.filter(key => key in primary).map(key => [key, primary[key]]));
+
+    const chain = configs.map((providerConfig, index) => {
+      const resolved = index === 0 ? providerConfig : { ...shared, ...providerConfig };
+      const provider = createProvider(resolved);
+      return {
+        name: typeof resolved.provider === 'string' ? resolved.provider : resolved.name || 'custom',
+        model: resolved.model || provider.model,
+        provider,
+        breaker: new CircuitBreaker(primary.circuitBreaker)
+      };
+    });
+
+    this.config = primary;
+    this.chain = chain;
+    this.provider = chain[0].provider;
+
+    this.unsubscribeQueues?.();
+    const unsubscribers = chain.map(entry => entry.provider.getRateLimiter().onChange(() => {
+      this.eventBus.publish('api:queue', this.getQueueStatus());
+    }));
+    this.unsubscribeQueues = () => unsubscribers.forEach(unsubscribe => unsubscribe());
   }
 
   /**
    * Send a non-streaming request
    * @param {Object} request - Request parameters
-   * @param {Array} request.messages - Array of message objects {role, content}
+   * @param {Array} request.messages - Array of message objects {role, content}; content is
+   *   a string or an array of text, image and file parts (see content-parts.js)
    * @param {Array} [request.tools] - Array of tool definitions
    * @param {string} [request.systemInstruction] - System instruction for the model
    * @param {number} [request.temperature] - Temperature (0-1)
    * @param {number} [request.maxTokens] - Maximum tokens to generate
-   * @returns {Promise<Object>} - Response object
+   * @param {string} [request.priority='interactive'] - Queue priority when rate limited:
+   *   'interactive', 'normal' or 'background'
+   * @param {AbortSignal} [request.signal] - Cancels this request, including its retries and fallbacks
+   * @param {Object} [request.responseSchema] - JSON schema the reply must match. The parsed
+   *   reply is returned as `data`; a reply that doesn't match is re-asked once with the errors,
+   *   then a `schema_mismatch` error is thrown.
+   * @param {string} [request.sessionId] - Session the usage is recorded against
+   * @param {string} [request.nodeId] - Session tree node the usage is recorded against
+   * @returns {Promise<Object>} - Response object; with a usage store, also the request's `cost` in USD
    */
   async sendRequest(request) {
     if (!this.provider) {
       throw new Error('APIClient not initialized. Call initialize() first.');
     }
-    return this.provider.sendRequest(request);
+    const { sessionId, nodeId, ...providerRequest } = request;
+    return this._metered({ sessionId, nodeId }, () => providerRequest.responseSchema
+      ? this._sendStructured(providerRequest)
+      : this._withFallback(provider => provider.sendRequest(providerRequest)));
   }
 
   /**
    * Send a streaming request
    * @param {Object} request - Request parameters
    * @param {Function} onChunk - Callback function for each chunk
-   * @returns {Promise<void>}
+   * @returns {Promise<Object>} - The complete response, as from sendRequest. A stream
+   *   only fails over before its first chunk, so output is never mixed across providers.
+   *   Aborted after its first chunk, it resolves with the text so far and finishReason 'aborted'.
    */
   async streamRequest(request, onChunk) {
     if (!this.provider) {
       throw new Error('APIClient not initialized. Call initialize() first.');
     }
-    return this.provider.streamRequest(request, onChunk);
+    if (request.responseSchema) {
+      throw new Error('responseSchema is only supported by sendRequest');
+    }
+    const { sessionId, nodeId, ...providerRequest } = request;
+    let streamed = false;
+    return this._metered({ sessionId, nodeId }, () => this._withFallback(
+      provider => provider.streamRequest(providerRequest, (...args) => {
+        streamed = true;
+        return onChunk(...args);
+      }),
+      () => streamed
+    ));
   }
 
   /**
-   * Abort the current request
+   * Abort every request in flight. Pass `request.signal` to cancel a single request.
    */
   abort() {
-    if (this.provider) {
-      this.provider.abort();
+    for (const entry of this.chain) {
+      entry.provider.abort();
     }
   }
 
   /**
-   * Count tokens in text (approximate)
+   * Circuit state of each provider in the chain
+   * @returns {Array<{provider: string, model: string, state: string, failures: number, retryAfter: number}>}
+   */
+  getProviderStatus() {
+    return this.chain.map(({ name, model, breaker }) => ({
+      provider: name,
+      model,
+      state: breaker.getState(),
+      failures: breaker.failures,
+      retryAfter: breaker.getRetryAfter()
+    }));
+  }
+
+  /**
+   * Request queue of each provider in the chain, e.g. to show waiting requests
+   * @returns {{queued: number, providers: Array<Object>}} Total queued requests, and each
+   *   provider's scheduler status (queued, byPriority, pausedFor, requestsAvailable, tokensAvailable)
+   */
+  getQueueStatus() {
+    const providers = this.chain.map(({ name, model, provider }) => ({
+      provider: name,
+      model,
+      ...provider.getRateLimiter().getStatus()
+    }));
+    return {
+      queued: providers.reduce((total, status) => total + status.queued, 0),
+      providers
+    };
+  }
+
+  /**
+   * Send a request for structured output and validate the reply. One repair
+   * turn is allowed; the returned usage covers both attempts.
+   * @param {Object} request - Request parameters with `responseSchema`
+   * @returns {Promise<Object>} - The response, with the parsed reply as `data`
+   * @private
+   */
+  async _sendStructured(request) {
+    const response = await this._withFallback(provider => provider.sendRequest(request));
+    const result = parseStructuredOutput(response.content, request.responseSchema);
+    if (result.errors.length === 0) {
+      return { ...response, data: result.data };
+    }
+
+    const repairRequest = { ...request, messages: repairMessages(request.messages, response.content, result.errors) };
+    const repaired = await this._withFallback(provider => provider.sendRequest(repairRequest));
+    const repairedResult = parseStructuredOutput(repaired.content, request.responseSchema);
+    const usage = Object.fromEntries(['prompt', 'completion', 'total']
+      .map(key => [key, (response.usage?.[key] || 0) + (repaired.usage?.[key] || 0)]));
+    if (repairedResult.errors.length > 0) {
+      throw schemaMismatchError(repaired.content, repairedResult.errors, { usage, provider: repaired.provider, model: repaired.model });
+    }
+
+    return { ...repaired, usage, data: repairedResult.data, repaired: true };
+  }
+
+  /**
+   * Check the budgets before sending and record the usage after
+   * @param {{sessionId?: string, nodeId?: string}} attribution
+   * @param {Function} send - Sends the request
+   * @returns {Promise<Object>} - The response, with its `cost` when there is a usage store
+   * @private
+   */
+  async _metered(attribution, send) {
+    if (!this.usageStore) {
+      return send();
+    }
+
+    await this.usageStore.checkBudget(attribution.sessionId);
+    let response;
+    try {
+      response = await send();
+    } catch (error) {
+      // Requests that completed before the failure (e.g. a schema_mismatch) were still billed
+      if (error.usage) {
+        await this._recordUsage(attribution, error);
+      }
+      throw error;
+    }
+    const entry = await this._recordUsage(attribution, response);
+    return entry ? { ...response, cost: entry.cost } : response;
+  }
+
+  /**
+   * Record usage in the ledger
+   * @param {Object} attribution - { sessionId, nodeId }
+   * @param {Object} source - Response or error with `provider`, `model` and `usage`
+   * @returns {Promise<Object|null>} - The entry, or null when the ledger can't be written
+   * @private
+   */
+  async _recordUsage(attribution, source) {
+    try {
+      return await this.usageStore.record({
+        ...attribution,
+        provider: source.provider,
+        model: source.model,
+        usage: source.usage
+      });
+    } catch (error) {
+      // The answer is still good when the ledger can't be written
+      console.warn('[APIClient] Failed to record usage:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Send through the chain. Providers whose circuit is open are skipped;
+   * retryable failures open the circuit and move on to the next provider.
+   * @param {Function} send - Sends the request with a provider
+   * @param {Function} [hasOutput] - Whether the caller has already seen output,
+   *   in which case the request can no longer move
+   * @returns {Promise<Object>} - The response, with the `provider` and `model` that answered
+   * @private
+   */
+  async _withFallback(send, hasOutput = () => false) {
+    if (this.chain.length === 1) {
+      const [entry] = this.chain;
+      return { ...await send(entry.provider), provider: entry.name, model: entry.model };
+    }
+
+    let failed = null;
+    let lastError = null;
+    for (const entry of this.chain) {
+      if (!entry.breaker.allowRequest()) {
+        continue;
+      }
+      if (failed) {
+        this.eventBus.publish('api:fallback', {
+          from: { provider: failed.name, model: failed.model },
+          to: { provider: entry.name, model: entry.model },
+          error: lastError.message,
+          status: lastError.status
+        });
+      }
+
+      try {
+        const response = await send(entry.provider);
+        entry.breaker.recordSuccess();
+        return { ...response, provider: entry.name, model: entry.model };
+      } catch (error) {
+        if (!canFailOver(error) || hasOutput()) {
+          entry.breaker.release();
+          throw error;
+        }
+        entry.breaker.recordFailure();
+        error.provider = entry.name;
+        error.model = entry.model;
+        failed = entry;
+        lastError = error;
+      }
+    }
+
+    if (lastError) {
+      throw lastError;
+    }
+    const error = new Error('All providers are unavailable; their circuits are open');
+    error.code = 'circuit_open';
+    error.retryable = true;
+    error.retryAfter = Math.min(...this.chain.map(entry => entry.breaker.getRetryAfter()));
+    throw error;
+  }
+
+  /**
+   * Count tokens in text with the offline tokenizer for the current model
    * @param {string} text - Text to count
    * @returns {number} - Token count
    */
   getTokenCount(text) {
     if (!this.provider) {
-      // Default approximation if not initialized
-      return Math.ceil(text.length / 4);
+      // Not initialized: the default family's tokenizer
+      return getTokenizer(this.config?.model).count(text);
     }
     return this.provider.getTokenCount(text);
   }
@@ -95,7 +366,7 @@ export class APIClient {
    * @returns {string|null}
    */
   getProvider() {
-    return this.config?.provider || null;
+    return this.chain[0]?.name || null;
   }
 
   /**
@@ -103,13 +374,43 @@ export class APIClient {
    * @returns {string|null}
    */
   getModel() {
-    return this.config?.model || null;
+    return this.chain[0]?.model || null;
+  }
+
+  /**
+   * List the current provider's models with metadata
+   * @param {Object} [options]
+   * @param {boolean} [options.refresh=false] - Ignore the cached list
+   * @returns {Promise<ModelInfo[]>}
+   */
+  async listModels(options = {}) {
+    if (!this.provider) {
+      throw new Error('APIClient not initialized. Call initialize() first.');
+    }
+    return this.modelRegistry.listModels(this.chain[0].name, this.provider, options);
+  }
+
+  /**
+   * Get metadata for a model (context window, max output, tool and vision support, pricing)
+   * @param {string} [modelId] - Defaults to the current model
+   * @returns {ModelInfo|null}
+   */
+  getModelInfo(modelId = this.getModel()) {
+    return this.modelRegistry.getModel(modelId);
   }
 }
 
 // Re-export providers for direct use
 export { GeminiProvider } from './providers/gemini.js';
 export { OpenAIProvider } from './providers/openai.js';
+export { AnthropicProvider } from './providers/anthropic.js';
 export { BaseProvider } from './providers/base.js';
+export { ReplayProvider, loadCassette, normalizeRequest, requestKey } from './providers/replay.js';
+export { ModelRegistry, MODEL_CATALOG, getModelInfo } from './model-registry.js';
+export { CircuitBreaker, CIRCUIT_STATES } from './circuit-breaker.js';
+export { RateLimiter, PRIORITIES, getRateLimiter } from './rate-limiter.js';
+export { parseStructuredOutput, STRUCTURED_OUTPUT_TOOL } from './structured-output.js';
+export { normalizeUsage, calculateCost } from './usage.js';
+export { prepareContent, prepareMessages, contentToText, hasAttachments, DEFAULT_CONTENT_LIMITS } from './content-parts.js';
 
 export default APIClient;
@@ -0,0 +1,95 @@
+/**
+ * CircuitBreaker - Stops sending requests to a failing provider for a while
+ *
+ * Closed: requests pass and retryable failures are counted.
+ * Open: after `failureThreshold` consecutive failures, requests are refused
+ * until `cooldown` ms have passed.
+ * Half-open: after the cooldown one trial request passes; success closes the
+ * circuit, failure opens it for another cooldown.
+ */
+
+export const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+export class CircuitBreaker {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.failureThreshold=1] - Consecutive failures that open the circuit.
+   *   A failure is counted once the provider's own retries are exhausted.
+   * @param {number} [options.cooldown=60000] - Time in ms before a trial request
+   */
+  constructor(options = {}) {
+    this.failureThreshold = options.failureThreshold || 1;
+    this.cooldown = options.cooldown ?? 60000;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialPending = false;
+  }
+
+  /**
+   * Current state; an open circuit turns half-open once the cooldown has passed
+   * @returns {string} One of CIRCUIT_STATES
+   */
+  getState() {
+    if (this.openedAt === null) {
+      return CIRCUIT_STATES.CLOSED;
+    }
+    return Date.now() - this.openedAt >= this.cooldown ? CIRCUIT_STATES.HALF_OPEN : CIRCUIT_STATES.OPEN;
+  }
+
+  /**
+   * Whether a request may be sent now. In the half-open state only one
+   * trial request is let through until it reports success or failure.
+   * @returns {boolean}
+   */
+  allowRequest() {
+    const state = this.getState();
+    if (state === CIRCUIT_STATES.CLOSED) {
+      return true;
+    }
+    if (state === CIRCUIT_STATES.HALF_OPEN && !this.trialPending) {
+      this.trialPending = true;
+      return true;
+    }
+    return false;
+  }
+
+  recordSuccess() {
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialPending = false;
+  }
+
+  recordFailure() {
+    this.failures++;
+    if (this.trialPending || this.failures >= this.failureThreshold) {
+      this.openedAt = Date.now();
+    }
+    this.trialPending = false;
+  }
+
+  /**
+   * Release a trial request that ended without a verdict (e.g. aborted or a client error)
+   */
+  release() {
+    this.trialPending = false;
+  }
+
+  /**
+   * Time in ms until an open circuit lets a trial request through
+   * @returns {number}
+   */
+  getRetryAfter() {
+    if (this.openedAt === null) return 0;
+    return Math.max(0, this.openedAt + this.cooldown - Date.now());
+  }
+
+  reset() {
+    this.recordSuccess();
+  }
+}
+
+export default CircuitBreaker;
@@ -0,0 +1,275 @@
+/**
+ * Content parts - Provider-neutral multimodal message content
+ *
+ * A message's `content` is either a string or an array of parts:
+ * - `{ type: 'text', text }`
+ * - `{ type: 'image', source }` - source is a Blob, a data URL or an OPFS path
+ * - `{ type: 'file', source, name? }` - PDFs are sent as documents, text files inline as text
+ *
+ * `prepareContent()` resolves sources into base64 `{ mimeType, data }` parts,
+ * enforcing size limits and downscaling large images, so the providers only
+ * translate prepared parts into `inlineData`, `image_url` or image blocks.
+ */
+
+import { opfs } from '../../opfs-provider/src/index.js';
+
+/**
+ * Defaults sit below the strictest provider: Anthropic's 5 MB per base64
+ * image and ~1568px long edge, and Gemini's 20 MB inline request
+ */
+export const DEFAULT_CONTENT_LIMITS = {
+  maxImageBytes: 3750000,
+  maxImageDimension: 1568,
+  maxFileBytes: 15000000
+};
+
+export const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+export const DOCUMENT_TYPES = ['application/pdf'];
+
+const TEXT_TYPES = /^text\/|^application\/(json|xml|javascript)$/;
+
+const EXTENSION_TYPES = {
+  png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif', webp: 'image/webp',
+  pdf: 'application/pdf', txt: 'text/plain', md: 'text/markdown', csv: 'text/csv',
+  json: 'application/json', js: 'text/javascript', html: 'text/html', css: 'text/css'
+};
+
+// Re-encoding attempts before an image is rejected as too large
+const DOWNSCALE_ATTEMPTS = 5;
+
+/**
+ * Error for content that can't be sent; never retried
+ * @param {string} message
+ * @param {string} code - 'content_too_large' or 'unsupported_content'
+ * @returns {Error}
+ */
+function contentError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  error.retryable = false;
+  return error;
+}
+
+/**
+ * Content as an array of parts
+ * @param {string|Array<Object>} content
+ * @returns {Array<Object>}
+ */
+export function toContentParts(content) {
+  if (Array.isArray(content)) return content;
+  return content ? [{ type: 'text', text: String(content) }] : [];
+}
+
+/**
+ * Whether content has parts other than text
+ * @param {string|Array<Object>} content
+ * @returns {boolean}
+ */
+export function hasAttachments(content) {
+  return Array.isArray(content) && content.some(part => part.type === 'image' || part.type === 'file');
+}
+
+/**
+ * Text of content, with attachments left out
+ * @param {string|Array<Object>} content
+ * @returns {string}
+ */
+export function contentToText(content) {
+  if (!Array.isArray(content)) return content || '';
+  return content.filter(part => part.type === 'text').map(part => part.text).join('\n');
+}
+
+/**
+ * Prepared part as a data URL
+ * @param {{mimeType: string, data: string}} part
+ * @returns {string}
+ */
+export function toDataUrl(part) {
+  return `data:${part.mimeType};base64,${part.data}`;
+}
+
+/**
+ * Resolve attachment sources of every message into base64 parts.
+ * Messages with string content are returned as they are.
+ * @param {Array<Object>} messages
+ * @param {Object} [options] - See prepareContent
+ * @returns {Promise<Array<Object>>}
+ */
+export async function prepareMessages(messages, options = {}) {
+  if (!messages?.some(msg => Array.isArray(msg.content))) {
+    return messages;
+  }
+  return Promise.all(messages.map(async msg => Array.isArray(msg.content)
+    ? { ...msg, content: await prepareContent(msg.content, options) }
+    : msg));
+}
+
+/**
+ * Resolve attachment sources into base64 parts
+ * @param {string|Array<Object>} content
+ * @param {Object} [options]
+ * @param {Object} [options.limits] - Overrides for DEFAULT_CONTENT_LIMITS
+ * @param {OPFSProvider} [options.opfs] - Where OPFS paths are read (default: the shared instance)
+ * @returns {Promise<Array<Object>>} Text parts, `{ type: 'image', mimeType, data }`
+ *   and `{ type: 'file', mimeType, data, name }`
+ */
+export async function prepareContent(content, options = {}) {
+  const limits = { ...DEFAULT_CONTENT_LIMITS, ...options.limits };
+  const prepared = [];
+
+  for (const part of toContentParts(content)) {
+    if (part.type !== 'image' && part.type !== 'file') {
+      prepared.push(part);
+      continue;
+    }
+    if (part.data && part.mimeType) {
+      prepared.push(checkPrepared(part, limits));
+      continue;
+    }
+
+    const blob = await readSource(part.source, options.opfs || opfs);
+    const name = part.name || (typeof part.source === 'string' && !part.source.startsWith('data:')
+      ? part.source.split('/').pop()
+      : blob.name);
+    const mimeType = blob.type || guessType(name);
+
+    if (part.type === 'image' || mimeType.startsWith('image/')) {
+      prepared.push(await prepareImage(blob, mimeType, limits));
+    } else {
+      prepared.push(await prepareFile(blob, mimeType, name, limits));
+    }
+  }
+  return prepared;
+}
+
+/**
+ * @private
+ */
+async function readSource(source, fileSource) {
+  if (typeof Blob !== 'undefined' && source instanceof Blob) {
+    return source;
+  }
+  if (typeof source === 'string' && source.startsWith('data:')) {
+    const response = await fetch(source);
+    return response.blob();
+  }
+  if (typeof source === 'string') {
+    if (!fileSource.root) {
+      await fileSource.initialize();
+    }
+    return fileSource.readBlob(source).catch(error => {
+      throw contentError(`Cannot read ${source}: ${error.message}`, 'unsupported_content');
+    });
+  }
+  throw contentError('Attachment source must be a Blob, a data URL or an OPFS path', 'unsupported_content');
+}
+
+/**
+ * @private
+ */
+function guessType(name) {
+  const extension = (name || '').split('.').pop().toLowerCase();
+  return EXTENSION_TYPES[extension] || 'application/octet-stream';
+}
+
+/**
+ * @private
+ */
+function checkPrepared(part, limits) {
+  const bytes = Math.floor(part.data.length * 3 / 4);
+  const limit = part.type === 'image' ? limits.maxImageBytes : limits.maxFileBytes;
+  if (bytes > limit) {
+    throw contentError(`${part.type === 'image' ? 'Image' : 'File'} is ${bytes} bytes; the limit is ${limit}`, 'content_too_large');
+  }
+  return part;
+}
+
+/**
+ * Downscale images over the limits; GIFs are passed through to keep animation
+ * @private
+ */
+async function prepareImage(blob, mimeType, limits) {
+  const canResize = typeof createImageBitmap === 'function' && typeof OffscreenCanvas !== 'undefined';
+
+  if (canResize && mimeType !== 'image/gif') {
+    const bitmap = await createImageBitmap(blob).catch(() => null);
+    if (!bitmap) {
+      throw contentError(`Cannot decode image (${mimeType})`, 'unsupported_content');
+    }
+    try {
+      const tooLarge = Math.max(bitmap.width, bitmap.height) > limits.maxImageDimension || blob.size > limits.maxImageBytes;
+      if (tooLarge || !IMAGE_TYPES.includes(mimeType)) {
+        blob = await downscale(bitmap, mimeType, limits);
+        mimeType = blob.type;
+      }
+    } finally {
+      bitmap.close();
+    }
+  }
+
+  if (!IMAGE_TYPES.includes(mimeType)) {
+    throw contentError(`Unsupported image type: ${mimeType}`, 'unsupported_content');
+  }
+  if (blob.size > limits.maxImageBytes) {
+    throw contentError(`Image is ${blob.size} bytes; the limit is ${limits.maxImageBytes}`, 'content_too_large');
+  }
+  return { type: 'image', mimeType, data: await toBase64(blob) };
+}
+
+/**
+ * Re-encode an image to fit the limits: first scale to the maximum dimension,
+ * then switch to JPEG, then shrink further
+ * @private
+ */
+async function downscale(bitmap, mimeType, limits) {
+  let scale = Math.min(1, limits.maxImageDimension / Math.max(bitmap.width, bitmap.height));
+  let type = mimeType === 'image/jpeg' || mimeType === 'image/webp' ? mimeType : 'image/png';
+
+  for (let attempt = 0; attempt < DOWNSCALE_ATTEMPTS; attempt++) {
+    const width = Math.max(1, Math.round(bitmap.width * scale));
+    const height = Math.max(1, Math.round(bitmap.height * scale));
+    const canvas = new OffscreenCanvas(width, height);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, width, height);
+
+    const resized = await canvas.convertToBlob({ type, quality: 0.85 });
+    if (resized.size <= limits.maxImageBytes) {
+      return resized;
+    }
+    if (type !== 'image/jpeg') {
+      type = 'image/jpeg';
+    } else {
+      scale *= 0.75;
+    }
+  }
+  throw contentError(`Image could not be reduced below ${limits.maxImageBytes} bytes`, 'content_too_large');
+}
+
+/**
+ * PDFs become document parts, text files become text parts
+ * @private
+ */
+async function prepareFile(blob, mimeType, name, limits) {
+  if (blob.size > limits.maxFileBytes) {
+    throw contentError(`File is ${blob.size} bytes; the limit is ${limits.maxFileBytes}`, 'content_too_large');
+  }
+  if (TEXT_TYPES.test(mimeType)) {
+    const text = await blob.text();
+    return { type: 'text', text: name ? `File: ${name}\n\n${text}` : text };
+  }
+  if (!DOCUMENT_TYPES.includes(mimeType)) {
+    throw contentError(`Unsupported file type: ${mimeType}`, 'unsupported_content');
+  }
+  return { type: 'file', mimeType, data: await toBase64(blob), name: name || 'document.pdf' };
+}
+
+/**
+ * @private
+ */
+async function toBase64(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
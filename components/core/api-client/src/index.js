@@ -4,12 +4,20 @@
  * Provides unified interface for multiple LLM providers:
  * - Google Gemini
  * - OpenAI (and compatible APIs)
+ * - Anthropic (Messages API)
  * 
  * Features:
  * - Streaming responses
  * - Retry logic with exponential backoff
  * - Error classification
+ * - Provider fallback chains with circuit breakers
+ * - Rate limiting with priority queues and Retry-After support
  * - Token counting
+ * - Multimodal content (images, PDFs, text files)
+ * - Model discovery and metadata
+ * - Structured output validated against a JSON schema
+ * - Usage normalization and cost per model
+ * - Record/replay cassettes for offline tests
  * - Request abortion
  * 
  * @module api-client
@@ -18,7 +26,15 @@
 export { APIClient } from './api-client.js';
 export { GeminiProvider } from './providers/gemini.js';
 export { OpenAIProvider } from './providers/openai.js';
+export { AnthropicProvider } from './providers/anthropic.js';
 export { BaseProvider } from './providers/base.js';
+export { ReplayProvider, loadCassette, normalizeRequest, requestKey } from './providers/replay.js';
+export { ModelRegistry, MODEL_CATALOG, getModelInfo } from './model-registry.js';
+export { CircuitBreaker, CIRCUIT_STATES } from './circuit-breaker.js';
+export { RateLimiter, PRIORITIES, getRateLimiter } from './rate-limiter.js';
+export { parseStructuredOutput, STRUCTURED_OUTPUT_TOOL } from './structured-output.js';
+export { normalizeUsage, calculateCost } from './usage.js';
+export { prepareContent, prepareMessages, contentToText, hasAttachments, DEFAULT_CONTENT_LIMITS } from './content-parts.js';
 
 // Default export
 export { APIClient as default } from './api-client.js';
@@ -0,0 +1,227 @@
+/**
+ * ModelRegistry - Model discovery and metadata across providers
+ *
+ * Combines each provider's model-list endpoint (`provider.listModels()`) with
+ * static metadata the endpoints don't report: context window, max output,
+ * tool and vision support, and pricing. Discovered lists are cached in a
+ * SettingsStore under `models.<provider>`, so the dropdowns and validation
+ * don't hit the network on every page load.
+ */
+
+const DEFAULT_CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours
+
+/**
+ * @typedef {Object} ModelInfo
+ * @property {string} id - Model id as sent to the API
+ * @property {string} provider - 'gemini', 'openai' or 'anthropic'
+ * @property {string} displayName
+ * @property {number} [contextWindow] - Input + output tokens the model accepts
+ * @property {number} [maxOutputTokens]
+ * @property {boolean} [supportsTools]
+ * @property {boolean} [supportsVision]
+ * @property {{input: number, output: number}} [pricing] - USD per million tokens
+ */
+
+/**
+ * Static metadata, keyed by model id. Dated or suffixed ids
+ * (`claude-sonnet-4-5-20250929`, `gpt-4o-2024-08-06`) resolve to
+ * the longest matching entry.
+ */
+export const MODEL_CATALOG = {
+  // Google Gemini
+  'gemini-3-pro-preview': { provider: 'gemini', displayName: 'Gemini 3 Pro Preview', contextWindow: 1048576, maxOutputTokens: 65536, supportsTools: true, supportsVision: true, pricing: { input: 2, output: 12 } },
+  'gemini-3-flash-preview': { provider: 'gemini', displayName: 'Gemini 3 Flash Preview', contextWindow: 1048576, maxOutputTokens: 65536, supportsTools: true, supportsVision: true, pricing: { input: 0.5, output: 3 } },
+  'gemini-2.5-pro': { provider: 'gemini', displayName: 'Gemini 2.5 Pro', contextWindow: 1048576, maxOutputTokens: 65536, supportsTools: true, supportsVision: true, pricing: { input: 1.25, output: 10 } },
+  'gemini-2.5-flash': { provider: 'gemini', displayName: 'Gemini 2.5 Flash', contextWindow: 1048576, maxOutputTokens: 65536, supportsTools: true, supportsVision: true, pricing: { input: 0.3, output: 2.5 } },
+  'gemini-2.5-flash-lite': { provider: 'gemini', displayName: 'Gemini 2.5 Flash-Lite', contextWindow: 1048576, maxOutputTokens: 65536, supportsTools: true, supportsVision: true, pricing: { input: 0.1, output: 0.4 } },
+  'gemini-2.0-flash': { provider: 'gemini', displayName: 'Gemini 2.0 Flash', contextWindow: 1048576, maxOutputTokens: 8192, supportsTools: true, supportsVision: true, pricing: { input: 0.1, output: 0.4 } },
+  'gemini-1.5-pro': { provider: 'gemini', displayName: 'Gemini 1.5 Pro', contextWindow: 2097152, maxOutputTokens: 8192, supportsTools: true, supportsVision: true, pricing: { input: 1.25, output: 5 } },
+  'gemini-1.5-flash': { provider: 'gemini', displayName: 'Gemini 1.5 Flash', contextWindow: 1048576, maxOutputTokens: 8192, supportsTools: true, supportsVision: true, pricing: { input: 0.075, output: 0.3 } },
+
+  // OpenAI
+  'gpt-4.1': { provider: 'openai', displayName: 'GPT-4.1', contextWindow: 1047576, maxOutputTokens: 32768, supportsTools: true, supportsVision: true, pricing: { input: 2, output: 8 } },
+  'gpt-4.1-mini': { provider: 'openai', displayName: 'GPT-4.1 mini', contextWindow: 1047576, maxOutputTokens: 32768, supportsTools: true, supportsVision: true, pricing: { input: 0.4, output: 1.6 } },
+  'gpt-4o': { provider: 'openai', displayName: 'GPT-4o', contextWindow: 128000, maxOutputTokens: 16384, supportsTools: true, supportsVision: true, pricing: { input: 2.5, output: 10 } },
+  'gpt-4o-mini': { provider: 'openai', displayName: 'GPT-4o mini', contextWindow: 128000, maxOutputTokens: 16384, supportsTools: true, supportsVision: true, pricing: { input: 0.15, output: 0.6 } },
+  'gpt-4-turbo': { provider: 'openai', displayName: 'GPT-4 Turbo', contextWindow: 128000, maxOutputTokens: 4096, supportsTools: true, supportsVision: true, pricing: { input: 10, output: 30 } },
+  'gpt-4': { provider: 'openai', displayName: 'GPT-4', contextWindow: 8192, maxOutputTokens: 8192, supportsTools: true, supportsVision: false, pricing: { input: 30, output: 60 } },
+  'gpt-3.5-turbo': { provider: 'openai', displayName: 'GPT-3.5 Turbo', contextWindow: 16385, maxOutputTokens: 4096, supportsTools: true, supportsVision: false, pricing: { input: 0.5, output: 1.5 } },
+
+  // Anthropic
+  'claude-opus-4-1': { provider: 'anthropic', displayName: 'Claude Opus 4.1', contextWindow: 200000, maxOutputTokens: 32000, supportsTools: true, supportsVision: true, pricing: { input: 15, output: 75 } },
+  'claude-opus-4': { provider: 'anthropic', displayName: 'Claude Opus 4', contextWindow: 200000, maxOutputTokens: 32000, supportsTools: true, supportsVision: true, pricing: { input: 15, output: 75 } },
+  'claude-sonnet-4-5': { provider: 'anthropic', displayName: 'Claude Sonnet 4.5', contextWindow: 200000, maxOutputTokens: 64000, supportsTools: true, supportsVision: true, pricing: { input: 3, output: 15 } },
+  'claude-sonnet-4': { provider: 'anthropic', displayName: 'Claude Sonnet 4', contextWindow: 200000, maxOutputTokens: 64000, supportsTools: true, supportsVision: true, pricing: { input: 3, output: 15 } },
+  'claude-haiku-4-5': { provider: 'anthropic', displayName: 'Claude Haiku 4.5', contextWindow: 200000, maxOutputTokens: 64000, supportsTools: true, supportsVision: true, pricing: { input: 1, output: 5 } },
+  'claude-3-5-haiku': { provider: 'anthropic', displayName: 'Claude Haiku 3.5', contextWindow: 200000, maxOutputTokens: 8192, supportsTools: true, supportsVision: true, pricing: { input: 0.8, output: 4 } }
+};
+
+/**
+ * Look up static metadata for a model id
+ * @param {string} modelId
+ * @returns {ModelInfo|null}
+ */
+export function getModelInfo(modelId) {
+  if (!modelId) return null;
+  const id = modelId.replace(/^models\//, '');
+
+  // Longest catalog key that is the id itself or a prefix followed by '-'
+  let match = null;
+  for (const key of Object.keys(MODEL_CATALOG)) {
+    if ((id === key || id.startsWith(key + '-')) && (!match || key.length > match.length)) {
+      match = key;
+    }
+  }
+  return match ? { id, ...MODEL_CATALOG[match] } : null;
+}
+
+export class ModelRegistry {
+  /**
+   * @param {Object} [options]
+   * @param {SettingsStore} [options.settingsStore] - Where discovered lists are cached; memory only if omitted
+   * @param {number} [options.cacheTtl=86400000] - How long a discovered list stays fresh (ms)
+   */
+  constructor(options = {}) {
+    this.settingsStore = options.settingsStore || null;
+    this.cacheTtl = options.cacheTtl ?? DEFAULT_CACHE_TTL;
+    this.discovered = new Map(); // provider name -> { fetchedAt, models }
+  }
+
+  /**
+   * List a provider's models with metadata.
+   * Uses the cached list while it is fresh, otherwise asks the provider's
+   * model-list endpoint. If that fails, falls back to a stale cache, then to
+   * the static catalog.
+   * @param {string} providerName - 'gemini', 'openai' or 'anthropic'
+   * @param {BaseProvider} [provider] - Provider instance to query; catalog only if omitted
+   * @param {Object} [options]
+   * @param {boolean} [options.refresh=false] - Ignore the cache
+   * @returns {Promise<ModelInfo[]>}
+   */
+  async listModels(providerName, provider, options = {}) {
+    const cached = await this._readCache(providerName);
+    if (cached && !options.refresh && Date.now() - cached.fetchedAt < this.cacheTtl) {
+      return cached.models.map(model => this._merge(providerName, model));
+    }
+
+    if (provider) {
+      try {
+        const models = await provider.listModels();
+        await this._writeCache(providerName, { fetchedAt: Date.now(), models });
+        return models.map(model => this._merge(providerName, model));
+      } catch (error) {
+        console.warn(`[ModelRegistry] Could not list ${providerName} models:`, error.message);
+      }
+    }
+
+    if (cached) {
+      return cached.models.map(model => this._merge(providerName, model));
+    }
+    return this.getCatalog(providerName);
+  }
+
+  /**
+   * Models of a provider from the static catalog
+   * @param {string} providerName
+   * @returns {ModelInfo[]}
+   */
+  getCatalog(providerName) {
+    return Object.entries(MODEL_CATALOG)
+      .filter(([, info]) => info.provider === providerName)
+      .map(([id, info]) => ({ id, ...info }));
+  }
+
+  /**
+   * Models of a provider without fetching: the last discovered list if any, else the catalog
+   * @param {string} providerName
+   * @returns {ModelInfo[]}
+   */
+  getModels(providerName) {
+    const discovered = this.discovered.get(providerName);
+    return discovered
+      ? discovered.models.map(model => this._merge(providerName, model))
+      : this.getCatalog(providerName);
+  }
+
+  /**
+   * Metadata for a model, from the last discovered lists and the catalog
+   * @param {string} modelId
+   * @returns {ModelInfo|null}
+   */
+  getModel(modelId) {
+    for (const [providerName, { models }] of this.discovered) {
+      const model = models.find(m => m.id === modelId);
+      if (model) return this._merge(providerName, model);
+    }
+    return getModelInfo(modelId);
+  }
+
+  /**
+   * Whether a model is in the catalog or was discovered
+   * @param {string} modelId
+   * @returns {boolean}
+   */
+  isKnown(modelId) {
+    return this.getModel(modelId) !== null;
+  }
+
+  /**
+   * Context window of a model
+   * @param {string} modelId
+   * @param {number} [fallback=8000] - Used for unknown models
+   * @returns {number}
+   */
+  getContextWindow(modelId, fallback = 8000) {
+    return this.getModel(modelId)?.contextWindow || fallback;
+  }
+
+  /**
+   * Forget cached lists
+   * @param {string} [providerName] - Only this provider
+   */
+  async clearCache(providerName) {
+    const names = providerName ? [providerName] : [...this.discovered.keys()];
+    for (const name of names) {
+      this.discovered.delete(name);
+      await this.settingsStore?.delete(`models.${name}`);
+    }
+  }
+
+  /**
+   * Discovered fields win over the catalog, except where the endpoint reports nothing
+   * @private
+   */
+  _merge(providerName, model) {
+    const info = { ...getModelInfo(model.id), id: model.id, provider: providerName };
+    for (const [key, value] of Object.entries(model)) {
+      if (value !== undefined && value !== null) info[key] = value;
+    }
+    info.displayName = info.displayName || model.id;
+    return info;
+  }
+
+  /**
+   * @private
+   */
+  async _readCache(providerName) {
+    if (!this.discovered.has(providerName) && this.settingsStore) {
+      const stored = await this.settingsStore.get(`models.${providerName}`).catch(() => undefined);
+      if (stored?.models) {
+        this.discovered.set(providerName, stored);
+      }
+    }
+    return this.discovered.get(providerName) || null;
+  }
+
+  /**
+   * @private
+   */
+  async _writeCache(providerName, entry) {
+    this.discovered.set(providerName, entry);
+    await this.settingsStore?.set(`models.${providerName}`, entry).catch(error => {
+      console.warn('[ModelRegistry] Could not cache models:', error.message);
+    });
+  }
+}
+
+export default ModelRegistry;
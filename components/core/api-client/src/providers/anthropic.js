@@ -0,0 +1,429 @@
+/**
+ * AnthropicProvider - Anthropic Messages API implementation
+ * Supports system prompts, tool use with tool_result round-trips and SSE streaming
+ *
+ * Conversation messages use the APIClient shape:
+ * - `{ role: 'system', content }` is merged into the top-level `system` prompt
+ * - `{ role: 'assistant', content, toolCalls: [{ id, name, arguments }] }` becomes text and tool_use blocks
+ * - `{ role: 'tool', toolCallId, content, isError? }` becomes a tool_result block in a user turn
+ * Consecutive messages with the same role are merged, as the API requires alternating turns.
+ */
+
+import { BaseProvider } from './base.js';
+import { contentToText } from '../content-parts.js';
+import { STRUCTURED_OUTPUT_TOOL } from '../structured-output.js';
+
+const DEFAULT_MAX_TOKENS = 4096;
+
+// Status codes for errors reported inside an SSE stream
+const STREAM_ERROR_STATUS = {
+  invalid_request_error: 400,
+  authentication_error: 401,
+  permission_error: 403,
+  not_found_error: 404,
+  request_too_large: 413,
+  rate_limit_error: 429,
+  api_error: 500,
+  overloaded_error: 529
+};
+
+export class AnthropicProvider extends BaseProvider {
+  constructor(config) {
+    super(config);
+    this.tokenizerFamily = 'anthropic';
+    this.baseUrl = config.baseUrl || 'https://api.anthropic.com/v1';
+    this.model = config.model || 'claude-sonnet-4-5';
+    this.apiVersion = config.apiVersion || '2023-06-01';
+  }
+
+  /**
+   * Send a non-streaming request to the Messages API
+   */
+  async sendRequest(request) {
+    request = await this._prepareRequest(request);
+
+    return this._retryWithBackoff(async (attempt) => {
+      const response = await this._fetch(`${this.baseUrl}/messages`, {
+        method: 'POST',
+        headers: this._getHeaders(),
+        body: JSON.stringify(this._formatRequest(request)),
+        signal: attempt.signal
+      });
+
+      if (!response.ok) {
+        throw await this._responseError(response);
+      }
+
+      const data = await response.json();
+      return this._calibrateTokenizer(request, this._formatResponse(data));
+    }, request);
+  }
+
+  /**
+   * Send a streaming request to the Messages API.
+   * Text deltas are passed to `onChunk` as they arrive; tool inputs are
+   * assembled from their JSON deltas. Once output has started, failures are
+   * not retried, so chunks are never delivered twice. The timeout applies
+   * between chunks.
+   * @returns {Promise<Object>} - The complete response in the same shape as sendRequest
+   */
+  async streamRequest(request, onChunk) {
+    request = await this._prepareRequest(request);
+
+    return this._retryWithBackoff(async (attempt) => {
+      const state = { blocks: [], usage: {}, stopReason: null, started: false };
+
+      try {
+        const formattedRequest = this._formatRequest(request);
+        formattedRequest.stream = true;
+
+        const response = await this._fetch(`${this.baseUrl}/messages`, {
+          method: 'POST',
+          headers: this._getHeaders(),
+          body: JSON.stringify(formattedRequest),
+          signal: attempt.signal
+        });
+
+        if (!response.ok) {
+          throw await this._responseError(response);
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        while (true) {
+          const { done, value } = await reader.read();
+          if (done) break;
+          attempt.progress();
+
+          buffer += decoder.decode(value, { stream: true });
+          const lines = buffer.split('\n');
+          buffer = lines.pop(); // Keep incomplete line in buffer
+
+          for (const line of lines) {
+            // Every data payload carries its event type, so `event:` lines are not needed
+            if (!line.startsWith('data:')) continue;
+
+            let event;
+            try {
+              event = JSON.parse(line.slice(5).trim());
+            } catch (e) {
+              continue; // Ignore malformed JSON lines
+            }
+            this._handleStreamEvent(event, state, onChunk);
+          }
+        }
+
+        // Tool inputs are parsed once the stop reason is known: max_tokens can cut them off
+        for (const block of state.blocks) {
+          if (block?.type === 'tool_use') {
+            block.input = block.partialJson
+              ? this._parseToolArguments(block.name, block.partialJson, state.stopReason)
+              : (block.input || {});
+            delete block.partialJson;
+          }
+        }
+
+        return this._calibrateTokenizer(request, this._formatResponse({
+          content: state.blocks.filter(Boolean),
+          usage: state.usage,
+          stop_reason: state.stopReason
+        }));
+      } catch (caught) {
+        // Stopped by the caller after output started: keep the text that arrived
+        if (state.started && attempt.cancelled) {
+          return this._formatResponse({
+            content: state.blocks.filter(block => block?.type === 'text'),
+            usage: state.usage,
+            stop_reason: 'aborted'
+          });
+        }
+        const error = attempt.signal.aborted ? attempt.signal.reason : caught;
+        if (state.started) {
+          error.retryable = false;
+        }
+        throw error;
+      }
+    }, request);
+  }
+
+  /**
+   * List models, following pagination
+   */
+  async listModels() {
+    const models = [];
+    let afterId;
+
+    do {
+      const query = new URLSearchParams({ limit: 1000 });
+      if (afterId) query.set('after_id', afterId);
+
+      const response = await fetch(`${this.baseUrl}/models?${query}`, { headers: this._getHeaders() });
+      if (!response.ok) {
+        throw await this._responseError(response);
+      }
+
+      const data = await response.json();
+      for (const model of data.data || []) {
+        models.push({ id: model.id, displayName: model.display_name });
+      }
+      afterId = data.has_more ? data.last_id : null;
+    } while (afterId);
+
+    return models;
+  }
+
+  /**
+   * Apply one SSE event to the stream state
+   * @private
+   */
+  _handleStreamEvent(event, state, onChunk) {
+    switch (event.type) {
+      case 'message_start':
+        Object.assign(state.usage, event.message?.usage);
+        break;
+
+      case 'content_block_start': {
+        const block = { ...event.content_block };
+        if (block.type === 'text') block.text = block.text || '';
+        if (block.type === 'tool_use') block.partialJson = '';
+        state.blocks[event.index] = block;
+        break;
+      }
+
+      case 'content_block_delta': {
+        const block = state.blocks[event.index];
+        if (!block) break;
+        if (event.delta.type === 'text_delta') {
+          block.text += event.delta.text;
+          if (event.delta.text) {
+            state.started = true;
+            onChunk(event.delta.text);
+          }
+        } else if (event.delta.type === 'input_json_delta') {
+          block.partialJson += event.delta.partial_json;
+        }
+        break;
+      }
+
+      case 'message_delta':
+        // output_tokens in message_delta is cumulative
+        Object.assign(state.usage, event.usage);
+        state.stopReason = event.delta?.stop_reason ?? state.stopReason;
+        break;
+
+      case 'error': {
+        const error = this._formatError(new Error(event.error?.message || 'Stream error'), {
+          status: STREAM_ERROR_STATUS[event.error?.type] || 500,
+          statusText: event.error?.type
+        });
+        error.type = event.error?.type;
+        throw error;
+      }
+
+      // content_block_stop, message_stop and ping carry nothing to keep
+    }
+  }
+
+  /**
+   * Format request for the Messages API
+   * @private
+   */
+  _formatRequest(request) {
+    const system = [
+      request.systemInstruction,
+      ...request.messages.filter(msg => msg.role === 'system').map(msg => contentToText(msg.content))
+    ].filter(Boolean).join('\n\n');
+
+    const formatted = {
+      model: this.model,
+      max_tokens: request.maxTokens ?? DEFAULT_MAX_TOKENS,
+      messages: this._formatMessages(request.messages)
+    };
+
+    if (system) {
+      formatted.system = system;
+    }
+
+    if (request.tools) {
+      formatted.tools = this._formatTools(request.tools);
+    }
+
+    // No JSON mode: the model is made to call a tool that takes the response as its input
+    if (request.responseSchema) {
+      formatted.tools = [...(formatted.tools || []), {
+        name: STRUCTURED_OUTPUT_TOOL,
+        description: 'Respond with the result as this tool\'s input',
+        input_schema: request.responseSchema
+      }];
+      formatted.tool_choice = { type: 'tool', name: STRUCTURED_OUTPUT_TOOL };
+    }
+
+    if (request.temperature !== undefined) {
+      formatted.temperature = request.temperature;
+    }
+
+    return formatted;
+  }
+
+  /**
+   * Format messages as alternating user/assistant turns
+   * @private
+   */
+  _formatMessages(messages) {
+    const formatted = [];
+
+    for (const msg of messages) {
+      if (msg.role === 'system') continue;
+
+      const role = msg.role === 'assistant' || msg.role === 'model' ? 'assistant' : 'user';
+      const blocks = this._formatContent(msg);
+      if (blocks.length === 0) continue;
+
+      const previous = formatted[formatted.length - 1];
+      if (previous?.role === role) {
+        previous.content.push(...blocks);
+      } else {
+        formatted.push({ role, content: blocks });
+      }
+    }
+
+    // Single text blocks are sent as plain strings
+    for (const msg of formatted) {
+      if (msg.content.length === 1 && msg.content[0].type === 'text') {
+        msg.content = msg.content[0].text;
+      }
+    }
+
+    return formatted;
+  }
+
+  /**
+   * Convert one message to content blocks
+   * @private
+   */
+  _formatContent(msg) {
+    if (msg.role === 'tool') {
+      const block = {
+        type: 'tool_result',
+        tool_use_id: msg.toolCallId,
+        content: typeof msg.content === 'string' ? msg.content : JSON.stringify(msg.content)
+      };
+      if (msg.isError) {
+        block.is_error = true;
+      }
+      return [block];
+    }
+
+    const blocks = [];
+    if (Array.isArray(msg.content)) {
+      // Images and documents are only accepted in user turns
+      const parts = msg.role === 'user' ? msg.content : msg.content.filter(part => part.type === 'text');
+      blocks.push(...parts.map(part => this._formatPart(part)));
+    } else if (msg.content) {
+      blocks.push({ type: 'text', text: msg.content });
+    }
+    for (const call of msg.toolCalls || []) {
+      blocks.push({ type: 'tool_use', id: call.id, name: call.name, input: call.arguments || {} });
+    }
+    return blocks;
+  }
+
+  /**
+   * Convert a prepared content part to an image, document or text block
+   * @private
+   */
+  _formatPart(part) {
+    if (part.type === 'image' || part.type === 'file') {
+      return {
+        type: part.type === 'image' ? 'image' : 'document',
+        source: { type: 'base64', media_type: part.mimeType, data: part.data }
+      };
+    }
+    return { type: 'text', text: part.text };
+  }
+
+  /**
+   * Format tools for the Messages API
+   * @private
+   */
+  _formatTools(tools) {
+    return tools.map(tool => ({
+      name: tool.name,
+      description: tool.description,
+      input_schema: tool.parameters || { type: 'object', properties: {} }
+    }));
+  }
+
+  /**
+   * Format response from the Messages API. The input of a forced
+   * structured-output tool call becomes the content, as JSON.
+   * @private
+   */
+  _formatResponse(data) {
+    const blocks = data.content || [];
+    const structured = blocks.find(block => block.type === 'tool_use' && block.name === STRUCTURED_OUTPUT_TOOL);
+    const text = structured
+      ? JSON.stringify(structured.input ?? {})
+      : blocks.filter(block => block.type === 'text').map(block => block.text).join('');
+    const toolCalls = this._extractToolCalls(blocks.filter(block => block !== structured));
+
+    const prompt = (data.usage?.input_tokens || 0)
+      + (data.usage?.cache_creation_input_tokens || 0)
+      + (data.usage?.cache_read_input_tokens || 0);
+    const completion = data.usage?.output_tokens || 0;
+
+    return {
+      content: text,
+      toolCalls: toolCalls.length > 0 ? toolCalls : undefined,
+      usage: {
+        prompt,
+        completion,
+        total: prompt + completion
+      },
+      finishReason: data.stop_reason
+    };
+  }
+
+  /**
+   * Extract tool calls from content blocks
+   * @private
+   */
+  _extractToolCalls(blocks) {
+    return blocks
+      .filter(block => block.type === 'tool_use')
+      .map(block => ({
+        id: block.id,
+        name: block.name,
+        arguments: block.input || {}
+      }));
+  }
+
+  /**
+   * Build an error from a failed HTTP response
+   * @private
+   */
+  async _responseError(response) {
+    const body = await response.json().catch(() => ({ error: { message: 'Unknown error' } }));
+    const error = this._formatError(new Error(body.error?.message || `HTTP ${response.status}`), response);
+    error.type = body.error?.type;
+    return error;
+  }
+
+  /**
+   * Anthropic authenticates with x-api-key instead of a bearer token
+   * @protected
+   */
+  _getHeaders() {
+    return {
+      'Content-Type': 'application/json',
+      'x-api-key': this.apiKey,
+      'anthropic-version': this.apiVersion,
+      // Required for requests made from a browser or worker
+      'anthropic-dangerous-direct-browser-access': 'true'
+    };
+  }
+}
+
+export default AnthropicProvider;
@@ -3,6 +3,10 @@
  * Defines the interface that all providers must implement
  */
 
+import { getTokenizer } from '../../../tokenizer/src/index.js';
+import { prepareMessages, hasAttachments } from '../content-parts.js';
+import { getRateLimiter, parseRetryAfter } from '../rate-limiter.js';
+
 export class BaseProvider {
   constructor(config) {
     this.apiKey = config.apiKey;
@@ -11,11 +15,20 @@ export class BaseProvider {
     this.timeout = config.timeout || 30000;
     this.retries = config.retries || 3;
     this.retryDelay = config.retryDelay || 1000;
+    this.contentLimits = config.contentLimits;
+    this.opfs = config.opfs;
+    this.rateLimits = config.rateLimits;
+    this.rateLimiter = config.rateLimiter || null;
+    // Longer Retry-After hints are not waited out; the error goes to the caller (or the next provider)
+    this.maxRetryAfter = config.maxRetryAfter ?? 60000;
+    // Controller of each request in flight, with the cleanup that unlinks its caller's signal
+    this.activeRequests = new Map();
   }
 
   /**
    * Send a non-streaming request to the API
    * @param {Object} request - Request parameters
+   * @param {AbortSignal} [request.signal] - Cancels this request, including its retries
    * @returns {Promise<Object>} - API response
    */
   async sendRequest(request) {
@@ -26,39 +39,207 @@ export class BaseProvider {
    * Send a streaming request to the API
    * @param {Object} request - Request parameters
    * @param {Function} onChunk - Callback for each chunk
-   * @returns {Promise<void>}
+   * @returns {Promise<Object>} - The complete response, as from sendRequest. A stream
+   *   aborted after output started resolves with the partial content and finishReason 'aborted'.
    */
   async streamRequest(request, onChunk) {
     throw new Error('streamRequest must be implemented by subclass');
   }
 
   /**
-   * Abort the current request
+   * List the models available to this API key
+   * @returns {Promise<Array<{id: string, displayName?: string, contextWindow?: number, maxOutputTokens?: number}>>}
+   */
+  async listModels() {
+    throw new Error('listModels must be implemented by subclass');
+  }
+
+  /**
+   * Abort every request in flight, queued or waiting to retry.
+   * Pass `request.signal` to cancel a single request.
    */
   abort() {
-    if (this.abortController) {
-      this.abortController.abort();
-      this.abortController = null;
+    for (const controller of this.activeRequests.keys()) {
+      controller.abort();
+    }
+  }
+
+  /**
+   * Scheduler for this provider's requests. Unless one is given in the config,
+   * it is shared by every provider instance for the same endpoint and model.
+   * @returns {RateLimiter}
+   */
+  getRateLimiter() {
+    if (!this.rateLimiter) {
+      this.rateLimiter = getRateLimiter(`${this.baseUrl}|${this.model}`, this.rateLimits);
     }
+    return this.rateLimiter;
   }
 
   /**
-   * Count tokens in text (approximate)
+   * Count tokens in text with the model family's offline tokenizer
    * @param {string} text - Text to count
    * @returns {number} - Token count
    */
   getTokenCount(text) {
-    // Default implementation: rough approximation (4 chars per token)
-    return Math.ceil(text.length / 4);
+    return this.getTokenizer().count(text);
+  }
+
+  /**
+   * Shared tokenizer for this provider's model.
+   * Subclasses set `tokenizerFamily` for model ids that don't name their family.
+   * @returns {Tokenizer}
+   */
+  getTokenizer() {
+    return getTokenizer(this.model, this.tokenizerFamily);
+  }
+
+  /**
+   * Calibrate the tokenizer with the prompt tokens the provider reported
+   * @param {Object} request - Request parameters as given to sendRequest
+   * @param {Object} response - Normalized response
+   * @returns {Object} - The response, unchanged
+   * @protected
+   */
+  _calibrateTokenizer(request, response) {
+    const messages = request.messages || [];
+    const promptTokens = response.usage?.prompt;
+    // Attachment token costs are provider-specific, so those requests would skew the factor
+    if (promptTokens > 0 && !messages.some(message => hasAttachments(message.content))) {
+      const tokenizer = this.getTokenizer();
+      const text = [
+        request.systemInstruction,
+        ...messages.map(message => typeof message.content === 'string' ? message.content : JSON.stringify(message.content)),
+        request.tools?.length > 0 ? JSON.stringify(request.tools) : ''
+      ].filter(Boolean).join('\n');
+      tokenizer.calibrate(text, promptTokens, tokenizer.messageOverhead * messages.length);
+    }
+    return response;
+  }
+
+  /**
+   * Resolve attachment sources (Blobs, data URLs, OPFS paths) in the messages
+   * into base64 parts the providers can translate
+   * @param {Object} request - Request parameters
+   * @returns {Promise<Object>} - The request, with prepared message content
+   * @protected
+   */
+  async _prepareRequest(request) {
+    const messages = await prepareMessages(request.messages, { limits: this.contentLimits, opfs: this.opfs });
+    return messages === request.messages ? request : { ...request, messages };
+  }
+
+  /**
+   * Estimated tokens a request takes from the tokens-per-minute quota
+   * @param {Object} request - Request parameters
+   * @returns {number}
+   * @protected
+   */
+  _estimateTokens(request) {
+    const tokenizer = this.getTokenizer();
+    return tokenizer.countMessages(request.messages || []) +
+      tokenizer.count(request.systemInstruction || '') +
+      (request.tools?.length > 0 ? tokenizer.count(JSON.stringify(request.tools)) : 0);
+  }
+
+  /**
+   * Parse the JSON arguments of a tool call. Arguments cut off by the token
+   * limit or otherwise malformed fail with a non-retryable error that keeps
+   * the raw string, since asking again is unlikely to produce a different reply.
+   * @param {string} name - Tool name
+   * @param {string} json - Arguments as the API sent them
+   * @param {string} [finishReason] - Why the model stopped, e.g. 'length'
+   * @returns {Object}
+   * @protected
+   */
+  _parseToolArguments(name, json, finishReason) {
+    try {
+      return JSON.parse(json || '{}');
+    } catch (cause) {
+      const error = new Error(`Tool call ${name} has malformed arguments` +
+        (finishReason ? ` (finish reason: ${finishReason})` : ''));
+      error.code = 'malformed_tool_arguments';
+      error.retryable = false;
+      error.cause = cause;
+      error.toolName = name;
+      error.arguments = json;
+      error.finishReason = finishReason;
+      throw error;
+    }
+  }
+
+  /**
+   * fetch() that passes the response's rate-limit headers to the scheduler
+   * @protected
+   */
+  async _fetch(url, init) {
+    const response = await fetch(url, init);
+    this.getRateLimiter().update(response.headers);
+    return response;
+  }
+
+  /**
+   * Create the abort controller of one request. It is aborted by abort() and
+   * by the caller's signal; release it with _releaseAbortController.
+   * @param {AbortSignal} [signal] - The caller's signal
+   * @returns {AbortController}
+   * @protected
+   */
+  _createAbortController(signal) {
+    const controller = new AbortController();
+    let cleanup = null;
+    if (signal?.aborted) {
+      controller.abort(abortError(signal));
+    } else if (signal) {
+      const onAbort = () => controller.abort(abortError(signal));
+      signal.addEventListener('abort', onAbort, { once: true });
+      cleanup = () => signal.removeEventListener('abort', onAbort);
+    }
+    this.activeRequests.set(controller, cleanup);
+    return controller;
   }
 
   /**
-   * Create a new abort controller for requests
+   * Forget a finished request's controller
+   * @param {AbortController} controller
    * @protected
    */
-  _createAbortController() {
-    this.abortController = new AbortController();
-    return this.abortController;
+  _releaseAbortController(controller) {
+    this.activeRequests.get(controller)?.();
+    this.activeRequests.delete(controller);
+  }
+
+  /**
+   * Signal for one attempt of a request: aborted with the request, or with a
+   * `timeout` error once `this.timeout` ms pass without progress. Streams call
+   * `progress()` for each chunk read, so only a stalled stream times out.
+   * @param {AbortSignal} signal - The request's signal
+   * @returns {{signal: AbortSignal, cancelled: boolean, progress: Function, end: Function}}
+   *   `cancelled` is true when the request, not the timeout, aborted the attempt
+   * @protected
+   */
+  _startAttempt(signal) {
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    let timer = null;
+
+    return {
+      signal: controller.signal,
+      get cancelled() {
+        return signal.aborted;
+      },
+      progress: () => {
+        clearTimeout(timer);
+        if (this.timeout > 0 && !controller.signal.aborted) {
+          timer = setTimeout(() => controller.abort(timeoutError(this.timeout)), this.timeout);
+        }
+      },
+      end: () => {
+        clearTimeout(timer);
+        signal.removeEventListener('abort', onAbort);
+      }
+    };
   }
 
   /**
@@ -73,32 +254,85 @@ export class BaseProvider {
   }
 
   /**
-   * Retry a function with exponential backoff
+   * Run a request attempt through the scheduler, retrying with exponential
+   * backoff. A server's Retry-After hint replaces the backoff and pauses the
+   * scheduler, so other queued requests wait too. Each attempt times out on
+   * its own; aborting the request ends the queue wait, the attempt or the
+   * backoff, whichever it is in.
+   * @param {Function} fn - One attempt; gets the attempt (see _startAttempt) and
+   *   resolves with the normalized response
+   * @param {Object} [request] - Request parameters, for its signal, priority and token estimate
    * @protected
    */
-  async _retryWithBackoff(fn) {
+  async _retryWithBackoff(fn, request = {}) {
+    const limiter = this.getRateLimiter();
+    const tokens = this._estimateTokens(request);
+    const controller = this._createAbortController(request.signal);
+    const { signal } = controller;
     let lastError;
-    
-    for (let attempt = 0; attempt < this.retries; attempt++) {
-      try {
-        return await fn();
-      } catch (error) {
-        lastError = error;
-        
-        // Don't retry on client errors (4xx)
-        if (error.status >= 400 && error.status < 500) {
-          throw error;
-        }
-        
-        // Wait before retrying (exponential backoff)
-        if (attempt < this.retries - 1) {
-          const delay = this.retryDelay * Math.pow(2, attempt);
-          await new Promise(resolve => setTimeout(resolve, delay));
+
+    try {
+      for (let attempt = 0; attempt < this.retries; attempt++) {
+        try {
+          signal.throwIfAborted();
+          await limiter.acquire({ priority: request.priority, tokens, signal });
+          const response = await this._attempt(fn, signal);
+          limiter.recordUsage(tokens, response?.usage?.total);
+          return response;
+        } catch (error) {
+          lastError = error;
+
+          // Aborted requests end here, wherever the abort caught them
+          if (signal.aborted) {
+            throw error;
+          }
+
+          if (error.retryAfter > 0) {
+            limiter.pause(error.retryAfter);
+          }
+
+          // Don't retry on client errors (4xx) other than rate limits
+          if (error.status >= 400 && error.status < 500 && error.status !== 429) {
+            throw error;
+          }
+
+          // Don't retry aborted requests or errors marked as final (e.g. a stream that already produced output)
+          if (error.name === 'AbortError' || error.retryable === false) {
+            throw error;
+          }
+
+          if (error.retryAfter > this.maxRetryAfter) {
+            throw error;
+          }
+
+          // Wait before retrying (exponential backoff); with a Retry-After hint the scheduler waits instead
+          if (attempt < this.retries - 1 && !(error.retryAfter > 0)) {
+            await sleep(this.retryDelay * Math.pow(2, attempt), signal);
+          }
         }
       }
+
+      throw lastError;
+    } finally {
+      this._releaseAbortController(controller);
+    }
+  }
+
+  /**
+   * Run one attempt with its own timeout. An attempt that was aborted fails
+   * with the abort's reason, whatever error the fetch or the stream reader gave.
+   * @private
+   */
+  async _attempt(fn, signal) {
+    const attempt = this._startAttempt(signal);
+    attempt.progress();
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      throw attempt.signal.aborted ? attempt.signal.reason : error;
+    } finally {
+      attempt.end();
     }
-    
-    throw lastError;
   }
 
   /**
@@ -113,9 +347,58 @@ export class BaseProvider {
     
     // Classify as retryable
     formatted.retryable = !formatted.status || formatted.status >= 500 || formatted.status === 429;
+
+    // Server hint in ms, honored by _retryWithBackoff and the scheduler
+    const retryAfter = parseRetryAfter(response?.headers);
+    if (retryAfter !== null) {
+      formatted.retryAfter = retryAfter;
+    }
     
     return formatted;
   }
 }
 
+/**
+ * Error for a request its caller aborted
+ * @private
+ */
+function abortError(signal) {
+  const reason = signal.reason;
+  const error = new Error(reason instanceof Error ? reason.message : (reason ? String(reason) : 'Request aborted'));
+  error.name = 'AbortError';
+  error.cause = reason;
+  return error;
+}
+
+/**
+ * Error for an attempt that got no response, or no stream chunk, in time
+ * @private
+ */
+function timeoutError(timeout) {
+  const error = new Error(`Request timed out after ${timeout}ms`);
+  error.name = 'TimeoutError';
+  error.code = 'timeout';
+  error.retryable = true;
+  error.timeout = timeout;
+  return error;
+}
+
+/**
+ * Wait, or reject with the signal's reason once it aborts
+ * @private
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
 export default BaseProvider;
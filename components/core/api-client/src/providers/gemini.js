@@ -1,109 +1,298 @@
 /**
  * GeminiProvider - Google Gemini API implementation
  * Supports both streaming and non-streaming requests
+ *
+ * Streaming uses `streamGenerateContent?alt=sse`: each SSE event is a partial
+ * GenerateContentResponse whose text parts are deltas. Function calls arrive
+ * as whole parts and are collected across events; the last event carries the
+ * finish reason and final usage.
+ *
+ * Conversation messages use the APIClient shape:
+ * - `{ role: 'system', content }` is merged into `systemInstruction`
+ * - `{ role: 'assistant', content, toolCalls: [{ id, name, arguments }] }` becomes a model
+ *   turn with text and functionCall parts
+ * - `{ role: 'tool', toolCallId, content, isError? }` becomes a functionResponse part in a
+ *   user turn, named after the call it answers
+ * Call ids go back only when Gemini supplied them; ids made up for calls without one stay local.
+ * Consecutive messages with the same role are merged, so the results of parallel calls
+ * share one turn. Thought signatures returned with a reply (`thoughtSignature` on the
+ * response and on each tool call) are sent back on the same parts in later turns.
  */
 
 import { BaseProvider } from './base.js';
+import { parseDuration } from '../rate-limiter.js';
+import { contentToText } from '../content-parts.js';
+
+// Prefix of the ids made up for calls Gemini sent without one; they are never sent back
+const LOCAL_CALL_ID_PREFIX = 'local-call-';
+
+const DEFAULT_SYSTEM_INSTRUCTION = 'You are a helpful assistant. Answer questions directly and factually.';
+
+// JSON schema keywords Gemini's OpenAPI-style Schema accepts
+const SCHEMA_KEYWORDS = ['description', 'format', 'nullable', 'enum', 'required', 'minItems', 'maxItems',
+  'minimum', 'maximum', 'minLength', 'maxLength', 'propertyOrdering'];
+
+/**
+ * Convert a JSON schema to Gemini's Schema: upper-case types, `nullable`
+ * instead of a "null" type, `const` as a one-value enum. Keywords Gemini
+ * rejects (additionalProperties, pattern, $schema, ...) are left out; the
+ * APIClient still validates the reply against the full schema.
+ */
+function toGeminiSchema(schema) {
+  const converted = {};
+  for (const keyword of SCHEMA_KEYWORDS) {
+    if (schema[keyword] !== undefined) converted[keyword] = schema[keyword];
+  }
+
+  const types = [].concat(schema.type ?? []);
+  const type = types.find(name => name !== 'null');
+  if (type) converted.type = type.toUpperCase();
+  if (types.includes('null')) converted.nullable = true;
+
+  if (schema.const !== undefined) converted.enum = [schema.const];
+  if (schema.properties) {
+    converted.properties = Object.fromEntries(Object.entries(schema.properties)
+      .map(([name, property]) => [name, toGeminiSchema(property)]));
+  }
+  if (schema.items) converted.items = toGeminiSchema(schema.items);
+  if (schema.anyOf) converted.anyOf = schema.anyOf.map(toGeminiSchema);
+  return converted;
+}
 
 export class GeminiProvider extends BaseProvider {
   constructor(config) {
     super(config);
+    this.tokenizerFamily = 'gemini';
     this.baseUrl = config.baseUrl || 'https://generativelanguage.googleapis.com/v1beta';
     this.model = config.model || 'gemini-2.5-flash';
   }
 
+  /**
+   * Error for an API error body. Rate-limit errors say how long to wait in a
+   * RetryInfo detail rather than a Retry-After header.
+   * @private
+   */
+  _formatApiError(body, response) {
+    const error = this._formatError(new Error(body.error?.message || `HTTP ${response.status}`), response);
+    const retryInfo = body.error?.details?.find(detail => detail['@type']?.endsWith('google.rpc.RetryInfo'));
+    const retryAfter = parseDuration(retryInfo?.retryDelay);
+    if (retryAfter !== null && error.retryAfter === undefined) {
+      error.retryAfter = retryAfter;
+    }
+    return error;
+  }
+
   /**
    * Build the API URL with model and API key
    * @private
    */
-  _buildUrl(endpoint) {
+  _buildUrl(endpoint, params = {}) {
     // URL format: https://generativelanguage.googleapis.com/v1beta/models/{model}:{endpoint}?key={apiKey}
     if (!this.apiKey) {
       throw new Error('API key is required but not provided');
     }
-    return `${this.baseUrl}/models/${this.model}:${endpoint}?key=${this.apiKey}`;
+    const query = new URLSearchParams({ ...params, key: this.apiKey });
+    return `${this.baseUrl}/models/${this.model}:${endpoint}?${query}`;
   }
 
   /**
    * Send a non-streaming request to Gemini API
    */
   async sendRequest(request) {
-    return this._retryWithBackoff(async () => {
-      const controller = this._createAbortController();
-      
-      try {
-        const response = await fetch(
-          this._buildUrl('generateContent'),
-          {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(this._formatRequest(request)),
-            signal: controller.signal
-          }
-        );
+    request = await this._prepareRequest(request);
 
-        if (!response.ok) {
-          const error = await response.json().catch(() => ({ error: { message: 'Unknown error' } }));
-          throw this._formatError(new Error(error.error?.message || `HTTP ${response.status}`), response);
+    return this._retryWithBackoff(async (attempt) => {
+      const response = await this._fetch(
+        this._buildUrl('generateContent'),
+        {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(this._formatRequest(request)),
+          signal: attempt.signal
         }
+      );
 
-        const data = await response.json();
-        return this._formatResponse(data);
-      } finally {
-        this.abortController = null;
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({ error: { message: 'Unknown error' } }));
+        throw this._formatApiError(error, response);
       }
-    });
+
+      const data = await response.json();
+      return this._calibrateTokenizer(request, this._formatResponse(data));
+    }, request);
   }
 
   /**
-   * Send a streaming request to Gemini API
+   * Send a streaming request to Gemini API.
+   * Text deltas are passed to `onChunk` as they arrive. Once output has
+   * started, failures are not retried, so chunks are never delivered twice.
+   * The timeout applies between chunks, so long replies aren't cut off.
+   * @returns {Promise<Object>} - The complete response in the same shape as sendRequest
    */
   async streamRequest(request, onChunk) {
-    return this._retryWithBackoff(async () => {
-      const controller = this._createAbortController();
+    request = await this._prepareRequest(request);
+
+    return this._retryWithBackoff(async (attempt) => {
+      const state = { text: '', toolCalls: [], thoughtSignature: undefined, usageMeta: {}, finishReason: undefined, started: false };
+
       try {
-        const response = await fetch(
-          this._buildUrl('streamGenerateContent'),
+        const response = await this._fetch(
+          this._buildUrl('streamGenerateContent', { alt: 'sse' }),
           {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify(this._formatRequest(request)),
-            signal: controller.signal
+            signal: attempt.signal
           }
         );
 
         if (!response.ok) {
           const error = await response.json().catch(() => ({ error: { message: 'Unknown error' } }));
           console.error('[GeminiProvider] Streaming response error:', error);
-          throw this._formatError(new Error(error.error?.message || `HTTP ${response.status}`), response);
+          throw this._formatApiError(error, response);
         }
 
         const reader = response.body.getReader();
         const decoder = new TextDecoder();
         let buffer = '';
 
-        // Read the entire response into buffer
         while (true) {
           const { done, value } = await reader.read();
           if (done) break;
+          attempt.progress();
+
           buffer += decoder.decode(value, { stream: true });
+          const lines = buffer.split('\n');
+          buffer = lines.pop(); // Keep incomplete line in buffer
+
+          for (const line of lines) {
+            this._handleStreamLine(line, state, onChunk);
+          }
         }
+        // The last event may not end with a newline
+        this._handleStreamLine(buffer + decoder.decode(), state, onChunk);
 
-        // Try to parse the full buffer as JSON
-        try {
-          console.log('[GeminiProvider] Full stream buffer:', buffer);
-          const json = JSON.parse(buffer);
-          // Optionally, emit the text/content as a single chunk
-          const text = this._extractTextFromChunk(json);
-          onChunk(text);
-        } catch (e) {
-          console.error('[GeminiProvider] Malformed full stream buffer:', buffer, e);
-          onChunk('');
+        return this._calibrateTokenizer(request, this._streamResponse(state));
+      } catch (caught) {
+        // Stopped by the caller after output started: keep the text that arrived
+        if (state.started && attempt.cancelled) {
+          return { ...this._streamResponse(state), toolCalls: undefined, finishReason: 'aborted' };
+        }
+        const error = attempt.signal.aborted ? attempt.signal.reason : caught;
+        if (state.started) {
+          error.retryable = false;
         }
-      } finally {
-        this.abortController = null;
+        throw error;
       }
-    });
+    }, request);
+  }
+
+  /**
+   * List models that support generateContent, following pagination
+   */
+  async listModels() {
+    const models = [];
+    let pageToken;
+
+    do {
+      const params = { pageSize: 1000 };
+      if (pageToken) params.pageToken = pageToken;
+      const query = new URLSearchParams({ ...params, key: this.apiKey });
+
+      const response = await fetch(`${this.baseUrl}/models?${query}`);
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({ error: { message: 'Unknown error' } }));
+        throw this._formatApiError(error, response);
+      }
+
+      const data = await response.json();
+      for (const model of data.models || []) {
+        if (!model.supportedGenerationMethods?.includes('generateContent')) continue;
+        models.push({
+          id: model.name.replace(/^models\//, ''),
+          displayName: model.displayName,
+          contextWindow: model.inputTokenLimit,
+          maxOutputTokens: model.outputTokenLimit
+        });
+      }
+      pageToken = data.nextPageToken;
+    } while (pageToken);
+
+    return models;
+  }
+
+  /**
+   * Normalized response from the stream state
+   * @private
+   */
+  _streamResponse(state) {
+    return {
+      content: state.text,
+      toolCalls: state.toolCalls.length > 0 ? state.toolCalls : undefined,
+      ...(state.thoughtSignature && { thoughtSignature: state.thoughtSignature }),
+      usage: {
+        prompt: state.usageMeta.promptTokenCount || 0,
+        completion: state.usageMeta.candidatesTokenCount || 0,
+        total: state.usageMeta.totalTokenCount || 0
+      },
+      finishReason: state.finishReason
+    };
+  }
+
+  /**
+   * Apply one SSE line to the stream state
+   * @private
+   */
+  _handleStreamLine(line, state, onChunk) {
+    line = line.trim();
+    if (!line.startsWith('data:')) return;
+
+    let chunk;
+    try {
+      chunk = JSON.parse(line.slice(5).trim());
+    } catch (e) {
+      return; // Ignore malformed JSON lines
+    }
+
+    // Errors after the response started arrive as an event, not an HTTP status
+    if (chunk.error) {
+      const error = this._formatError(new Error(chunk.error.message || 'Stream error'), {
+        status: chunk.error.code || 500,
+        statusText: chunk.error.status
+      });
+      throw error;
+    }
+
+    if (chunk.promptFeedback?.blockReason) {
+      const error = new Error(`Prompt blocked: ${chunk.promptFeedback.blockReason}`);
+      error.blockReason = chunk.promptFeedback.blockReason;
+      throw error;
+    }
+
+    if (chunk.usageMetadata) {
+      state.usageMeta = chunk.usageMetadata;
+    }
+
+    const candidate = chunk.candidates?.[0];
+    if (!candidate) return;
+    if (candidate.finishReason) {
+      state.finishReason = candidate.finishReason;
+    }
+
+    for (const part of candidate.content?.parts || []) {
+      if (part.functionCall) {
+        state.toolCalls.push(this._toToolCall(part, state.toolCalls.length));
+        continue;
+      }
+      if (part.thoughtSignature) {
+        state.thoughtSignature = part.thoughtSignature;
+      }
+      if (part.text && !part.thought) {
+        state.text += part.text;
+        state.started = true;
+        onChunk(part.text);
+      }
+    }
   }
 
   /**
@@ -111,22 +300,18 @@ export class GeminiProvider extends BaseProvider {
    * @private
    */
   _formatRequest(request) {
+    const system = [
+      request.systemInstruction,
+      ...request.messages.filter(msg => msg.role === 'system').map(msg => contentToText(msg.content))
+    ].filter(Boolean).join('\n\n');
+
     const formatted = {
-      contents: this._formatMessages(request.messages)
+      contents: this._formatMessages(request.messages),
+      systemInstruction: {
+        parts: [{ text: system || DEFAULT_SYSTEM_INSTRUCTION }]
+      }
     };
 
-    // Add system instruction (required for Gemini API)
-    if (request.systemInstruction) {
-      formatted.systemInstruction = {
-        parts: [{ text: request.systemInstruction }]
-      };
-    } else {
-      // Default system instruction if none provided
-      formatted.systemInstruction = {
-        parts: [{ text: "You are a helpful assistant. Answer questions directly and factually." }]
-      };
-    }
-
     if (request.tools) {
       formatted.tools = this._formatTools(request.tools);
     }
@@ -138,18 +323,115 @@ export class GeminiProvider extends BaseProvider {
       };
     }
 
+    if (request.responseSchema) {
+      formatted.generationConfig = {
+        ...formatted.generationConfig,
+        responseMimeType: 'application/json',
+        responseSchema: toGeminiSchema(request.responseSchema)
+      };
+    }
+
     return formatted;
   }
 
   /**
-   * Format messages for Gemini
+   * Format messages as alternating user/model turns
    * @private
    */
   _formatMessages(messages) {
-    return messages.map(msg => ({
-      role: msg.role === 'user' ? 'user' : 'model',
-      parts: [{ text: msg.content }]
-    }));
+    const formatted = [];
+    // Function responses are matched to their call by name
+    const callNames = new Map();
+
+    for (const msg of messages) {
+      if (msg.role === 'system') continue;
+
+      const role = msg.role === 'assistant' || msg.role === 'model' ? 'model' : 'user';
+      let parts;
+      if (msg.role === 'tool') {
+        parts = [this._formatFunctionResponse(msg, callNames.get(msg.toolCallId))];
+      } else {
+        for (const call of msg.toolCalls || []) {
+          callNames.set(call.id, call.name);
+        }
+        parts = this._formatTurnParts(msg, role);
+      }
+      if (parts.length === 0) continue;
+
+      const previous = formatted[formatted.length - 1];
+      if (previous?.role === role) {
+        previous.parts.push(...parts);
+      } else {
+        formatted.push({ role, parts });
+      }
+    }
+
+    return formatted;
+  }
+
+  /**
+   * Text, attachment and functionCall parts of a user or model message
+   * @private
+   */
+  _formatTurnParts(msg, role) {
+    const content = Array.isArray(msg.content) && role === 'model'
+      ? msg.content.filter(part => part.type === 'text')
+      : msg.content;
+    const parts = content ? this._formatParts(content).filter(part => part.inlineData || part.text) : [];
+
+    if (msg.thoughtSignature) {
+      // The signature goes back on the part it came with; a reply that was only
+      // a function call carried it on the call
+      if (parts.length > 0) {
+        parts[parts.length - 1].thoughtSignature = msg.thoughtSignature;
+      } else if (!msg.toolCalls?.length) {
+        parts.push({ text: '', thoughtSignature: msg.thoughtSignature });
+      }
+    }
+
+    for (const call of msg.toolCalls || []) {
+      const part = { functionCall: { name: call.name, args: call.arguments || {} } };
+      if (isGeminiCallId(call.id)) part.functionCall.id = call.id;
+      if (call.thoughtSignature) part.thoughtSignature = call.thoughtSignature;
+      parts.push(part);
+    }
+    return parts;
+  }
+
+  /**
+   * functionResponse part for a tool result. The response must be an object:
+   * JSON objects are sent as they are, anything else under `output`, or
+   * `error` when the tool failed.
+   * @private
+   */
+  _formatFunctionResponse(msg, callName) {
+    const text = typeof msg.content === 'string' ? msg.content : contentToText(msg.content);
+    let response;
+    try {
+      response = JSON.parse(text);
+    } catch (e) {
+      response = null;
+    }
+    if (!response || typeof response !== 'object' || Array.isArray(response) || msg.isError) {
+      response = { [msg.isError ? 'error' : 'output']: response ?? text };
+    }
+
+    const functionResponse = { name: msg.name || callName || 'unknown', response };
+    if (isGeminiCallId(msg.toolCallId)) functionResponse.id = msg.toolCallId;
+    return { functionResponse };
+  }
+
+  /**
+   * Convert prepared content parts; images and PDFs are sent as inlineData
+   * @private
+   */
+  _formatParts(content) {
+    if (!Array.isArray(content)) {
+      return [{ text: content }];
+    }
+    return content.map(part => part.type === 'image' || part.type === 'file'
+      ? { inlineData: { mimeType: part.mimeType, data: part.data } }
+      : { text: part.text });
   }
 
   /**
@@ -185,13 +467,16 @@ export class GeminiProvider extends BaseProvider {
       };
     }
 
-    const text = content.parts?.[0]?.text || '';
+    const textParts = (content.parts || []).filter(part => !part.functionCall && !part.thought);
+    const text = textParts.map(part => part.text || '').join('');
+    const thoughtSignature = textParts.findLast(part => part.thoughtSignature)?.thoughtSignature;
     const toolCalls = this._extractToolCalls(content);
     // Defensive: usageMetadata may be missing
     const usageMeta = data && data.usageMetadata ? data.usageMetadata : {};
     return {
       content: text,
       toolCalls: toolCalls.length > 0 ? toolCalls : undefined,
+      ...(thoughtSignature && { thoughtSignature }),
       usage: {
         prompt: usageMeta.promptTokenCount || 0,
         completion: usageMeta.candidatesTokenCount || 0,
@@ -201,36 +486,43 @@ export class GeminiProvider extends BaseProvider {
     };
   }
 
-  /**
-   * Extract text from streaming chunk
-   * @private
-   */
-  _extractTextFromChunk(chunk) {
-    return chunk.candidates?.[0]?.content?.parts?.[0]?.text || '';
-  }
-
   /**
    * Extract tool calls from content
    * @private
    */
   _extractToolCalls(content) {
     if (!content.parts) return [];
-    
+
     return content.parts
       .filter(part => part.functionCall)
-      .map(part => ({
-        name: part.functionCall.name,
-        arguments: part.functionCall.args
-      }));
+      .map((part, index) => this._toToolCall(part, index));
   }
 
   /**
-   * Get token count for Gemini (approximate)
-   * Gemini uses ~4 characters per token on average
+   * Tool call for a functionCall part. Gemini doesn't always set an id, so
+   * one is made up for the tool result to refer to; it stays local.
+   * @private
    */
-  getTokenCount(text) {
-    return Math.ceil(text.length / 4);
+  _toToolCall(part, index) {
+    const call = {
+      id: part.functionCall.id || `${LOCAL_CALL_ID_PREFIX}${Date.now()}-${index}`,
+      name: part.functionCall.name,
+      arguments: part.functionCall.args || {}
+    };
+    if (part.thoughtSignature) {
+      call.thoughtSignature = part.thoughtSignature;
+    }
+    return call;
   }
 }
 
+/**
+ * Whether a call id came from Gemini, rather than being made up by _toToolCall
+ * @param {string} [id]
+ * @returns {boolean}
+ */
+function isGeminiCallId(id) {
+  return Boolean(id) && !id.startsWith(LOCAL_CALL_ID_PREFIX);
+}
+
 export default GeminiProvider;
@@ -1,61 +1,81 @@
 /**
  * OpenAIProvider - OpenAI API implementation
  * Compatible with OpenAI and OpenAI-compatible APIs (e.g., Groq, Together)
+ *
+ * Conversation messages use the APIClient shape:
+ * - `systemInstruction` becomes a leading `system` message
+ * - `{ role: 'assistant', content, toolCalls: [{ id, name, arguments }] }` becomes an
+ *   assistant message with `tool_calls` whose arguments are JSON strings
+ * - `{ role: 'tool', toolCallId, content }` becomes a `tool` message with `tool_call_id`
  */
 
 import { BaseProvider } from './base.js';
+import { contentToText, toDataUrl } from '../content-parts.js';
+
+// /models also lists embedding, audio, image and moderation models
+const NON_CHAT_MODEL = /embedding|whisper|tts|dall-e|moderation|transcribe|image|audio|realtime|search|^(davinci|babbage)/;
 
 export class OpenAIProvider extends BaseProvider {
   constructor(config) {
     super(config);
+    this.tokenizerFamily = 'openai';
     this.baseUrl = config.baseUrl || 'https://api.openai.com/v1';
     this.model = config.model || 'gpt-3.5-turbo';
+    // Some OpenAI-compatible APIs reject `stream_options`
+    this.streamUsage = config.streamUsage !== false;
   }
 
   /**
    * Send a non-streaming request to OpenAI API
    */
   async sendRequest(request) {
-    return this._retryWithBackoff(async () => {
-      const controller = this._createAbortController();
-      
-      try {
-        const response = await fetch(`${this.baseUrl}/chat/completions`, {
-          method: 'POST',
-          headers: this._getHeaders(),
-          body: JSON.stringify(this._formatRequest(request)),
-          signal: controller.signal
-        });
+    request = await this._prepareRequest(request);
 
-        if (!response.ok) {
-          const error = await response.json().catch(() => ({ error: { message: 'Unknown error' } }));
-          throw this._formatError(new Error(error.error?.message || `HTTP ${response.status}`), response);
-        }
+    return this._retryWithBackoff(async (attempt) => {
+      const response = await this._fetch(`${this.baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers: this._getHeaders(),
+        body: JSON.stringify(this._formatRequest(request)),
+        signal: attempt.signal
+      });
 
-        const data = await response.json();
-        return this._formatResponse(data);
-      } finally {
-        this.abortController = null;
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({ error: { message: 'Unknown error' } }));
+        throw this._formatError(new Error(error.error?.message || `HTTP ${response.status}`), response);
       }
-    });
+
+      const data = await response.json();
+      return this._calibrateTokenizer(request, this._formatResponse(data));
+    }, request);
   }
 
   /**
-   * Send a streaming request to OpenAI API
+   * Send a streaming request to OpenAI API.
+   * Text deltas are passed to `onChunk` as they arrive; tool calls are
+   * assembled from their fragments by index. Usage is requested with
+   * `stream_options.include_usage` and arrives in a final chunk without choices.
+   * Once output has started, failures are not retried. The timeout applies
+   * between chunks.
+   * @returns {Promise<Object>} - The complete response in the same shape as sendRequest
    */
   async streamRequest(request, onChunk) {
-    return this._retryWithBackoff(async () => {
-      const controller = this._createAbortController();
-      
+    request = await this._prepareRequest(request);
+
+    return this._retryWithBackoff(async (attempt) => {
+      const state = { text: '', toolCalls: [], usage: null, finishReason: undefined, started: false };
+
       try {
         const formattedRequest = this._formatRequest(request);
         formattedRequest.stream = true;
+        if (this.streamUsage) {
+          formattedRequest.stream_options = { include_usage: true };
+        }
 
-        const response = await fetch(`${this.baseUrl}/chat/completions`, {
+        const response = await this._fetch(`${this.baseUrl}/chat/completions`, {
           method: 'POST',
           headers: this._getHeaders(),
           body: JSON.stringify(formattedRequest),
-          signal: controller.signal
+          signal: attempt.signal
         });
 
         if (!response.ok) {
@@ -70,32 +90,117 @@ export class OpenAIProvider extends BaseProvider {
         while (true) {
           const { done, value } = await reader.read();
           if (done) break;
+          attempt.progress();
 
           buffer += decoder.decode(value, { stream: true });
           const lines = buffer.split('\n');
           buffer = lines.pop(); // Keep incomplete line in buffer
 
           for (const line of lines) {
-            if (line.startsWith('data: ')) {
-              const data = line.slice(6);
-              if (data === '[DONE]') continue;
-              
-              try {
-                const chunk = JSON.parse(data);
-                const text = this._extractTextFromChunk(chunk);
-                if (text) {
-                  onChunk(text);
-                }
-              } catch (e) {
-                // Ignore malformed JSON lines
-              }
-            }
+            this._handleStreamLine(line, state, onChunk);
           }
         }
-      } finally {
-        this.abortController = null;
+        // The last event may not end with a newline
+        this._handleStreamLine(buffer + decoder.decode(), state, onChunk);
+
+        return this._calibrateTokenizer(request, this._formatResponse({
+          choices: [{
+            message: {
+              content: state.text,
+              tool_calls: state.toolCalls.filter(Boolean)
+            },
+            finish_reason: state.finishReason
+          }],
+          usage: state.usage
+        }));
+      } catch (caught) {
+        // Stopped by the caller after output started: keep the text that arrived
+        if (state.started && attempt.cancelled) {
+          return this._formatResponse({
+            choices: [{ message: { content: state.text }, finish_reason: 'aborted' }],
+            usage: state.usage
+          });
+        }
+        const error = attempt.signal.aborted ? attempt.signal.reason : caught;
+        if (state.started) {
+          error.retryable = false;
+        }
+        throw error;
       }
-    });
+    }, request);
+  }
+
+  /**
+   * List chat models
+   */
+  async listModels() {
+    const response = await fetch(`${this.baseUrl}/models`, { headers: this._getHeaders() });
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({ error: { message: 'Unknown error' } }));
+      throw this._formatError(new Error(error.error?.message || `HTTP ${response.status}`), response);
+    }
+
+    const data = await response.json();
+    return (data.data || [])
+      .filter(model => !NON_CHAT_MODEL.test(model.id))
+      .map(model => ({ id: model.id }));
+  }
+
+  /**
+   * Apply one SSE line to the stream state
+   * @private
+   */
+  _handleStreamLine(line, state, onChunk) {
+    line = line.trim();
+    if (!line.startsWith('data:')) return;
+
+    const data = line.slice(5).trim();
+    if (data === '[DONE]') return;
+
+    let chunk;
+    try {
+      chunk = JSON.parse(data);
+    } catch (e) {
+      return; // Ignore malformed JSON lines
+    }
+
+    // Errors after the response started arrive as an event, not an HTTP status
+    if (chunk.error) {
+      const error = this._formatError(new Error(chunk.error.message || 'Stream error'), {
+        status: Number.isInteger(chunk.error.code) ? chunk.error.code : 500,
+        statusText: chunk.error.type
+      });
+      error.type = chunk.error.type;
+      throw error;
+    }
+
+    if (chunk.usage) {
+      state.usage = chunk.usage;
+    }
+
+    const choice = chunk.choices?.[0];
+    if (!choice) return;
+    if (choice.finish_reason) {
+      state.finishReason = choice.finish_reason;
+    }
+
+    const delta = choice.delta || {};
+    if (delta.content) {
+      state.text += delta.content;
+      state.started = true;
+      onChunk(delta.content);
+    }
+
+    // The first fragment of each call carries its id and name; later ones append to the arguments
+    for (const fragment of delta.tool_calls || []) {
+      if (!state.toolCalls[fragment.index]) {
+        state.toolCalls[fragment.index] = { type: 'function', function: { name: '', arguments: '' } };
+      }
+      const call = state.toolCalls[fragment.index];
+      if (fragment.id) call.id = fragment.id;
+      if (fragment.function?.name) call.function.name += fragment.function.name;
+      if (fragment.function?.arguments) call.function.arguments += fragment.function.arguments;
+    }
   }
 
   /**
@@ -103,12 +208,18 @@ export class OpenAIProvider extends BaseProvider {
    * @private
    */
   _formatRequest(request) {
+    const messages = this._formatMessages(request.messages);
+    if (request.systemInstruction) {
+      messages.unshift({ role: 'system', content: request.systemInstruction });
+    }
+
     const formatted = {
       model: this.model,
-      messages: request.messages
+      messages
     };
 
-    if (request.tools) {
+    // An empty tools array is rejected
+    if (request.tools?.length > 0) {
       formatted.tools = this._formatTools(request.tools);
     }
 
@@ -120,9 +231,65 @@ export class OpenAIProvider extends BaseProvider {
       formatted.max_tokens = request.maxTokens;
     }
 
+    // Not strict: strict mode rejects optional properties; the APIClient validates the reply
+    if (request.responseSchema) {
+      formatted.response_format = {
+        type: 'json_schema',
+        json_schema: { name: 'response', schema: request.responseSchema, strict: false }
+      };
+    }
+
     return formatted;
   }
 
+  /**
+   * Format messages for OpenAI.
+   * String content is sent as it is. User content parts become `text`,
+   * `image_url` and `file` parts; other roles only take text.
+   * @private
+   */
+  _formatMessages(messages) {
+    return messages.map(msg => {
+      if (msg.role === 'tool') {
+        return { role: 'tool', tool_call_id: msg.toolCallId, content: contentToText(msg.content) };
+      }
+      if (msg.role === 'assistant' && msg.toolCalls?.length > 0) {
+        return {
+          role: 'assistant',
+          content: contentToText(msg.content) || null,
+          tool_calls: msg.toolCalls.map(call => ({
+            id: call.id,
+            type: 'function',
+            function: {
+              name: call.name,
+              arguments: typeof call.arguments === 'string' ? call.arguments : JSON.stringify(call.arguments || {})
+            }
+          }))
+        };
+      }
+      // Fields only other providers read
+      const { toolCalls, thoughtSignature, ...plain } = msg;
+      if (!Array.isArray(plain.content)) {
+        return plain;
+      }
+      if (plain.role !== 'user') {
+        return { ...plain, content: contentToText(plain.content) };
+      }
+      return {
+        ...plain,
+        content: plain.content.map(part => {
+          if (part.type === 'image') {
+            return { type: 'image_url', image_url: { url: toDataUrl(part) } };
+          }
+          if (part.type === 'file') {
+            return { type: 'file', file: { filename: part.name, file_data: toDataUrl(part) } };
+          }
+          return { type: 'text', text: part.text };
+        })
+      };
+    });
+  }
+
   /**
    * Format tools for OpenAI
    * @private
@@ -150,7 +317,7 @@ export class OpenAIProvider extends BaseProvider {
 
     const message = choice.message;
     const text = message?.content || '';
-    const toolCalls = this._extractToolCalls(message);
+    const toolCalls = this._extractToolCalls(message, choice.finish_reason);
 
     return {
       content: text,
@@ -165,35 +332,21 @@ export class OpenAIProvider extends BaseProvider {
   }
 
   /**
-   * Extract text from streaming chunk
+   * Extract tool calls from message. Arguments that are not valid JSON, as
+   * when the reply hit max_tokens, reject with a malformed_tool_arguments error.
    * @private
    */
-  _extractTextFromChunk(chunk) {
-    return chunk.choices?.[0]?.delta?.content || '';
-  }
-
-  /**
-   * Extract tool calls from message
-   * @private
-   */
-  _extractToolCalls(message) {
+  _extractToolCalls(message, finishReason) {
     if (!message?.tool_calls) return [];
     
     return message.tool_calls
       .filter(tc => tc.type === 'function')
       .map(tc => ({
+        id: tc.id,
         name: tc.function.name,
-        arguments: JSON.parse(tc.function.arguments || '{}')
+        arguments: this._parseToolArguments(tc.function.name, tc.function.arguments, finishReason)
       }));
   }
-
-  /**
-   * Override getTokenCount for OpenAI (more accurate approximation)
-   * OpenAI uses ~4 characters per token on average
-   */
-  getTokenCount(text) {
-    return Math.ceil(text.length / 4);
-  }
 }
 
 export default OpenAIProvider;
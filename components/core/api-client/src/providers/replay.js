@@ -0,0 +1,455 @@
+/**
+ * ReplayProvider - Records provider traffic to cassettes and replays it offline
+ *
+ * A cassette is plain JSON: a list of interactions, each a normalized request
+ * with the response (or error) it got, and the chunks a streamed request
+ * emitted. Requests are looked up by a hash of their normalized form:
+ * - strict: the whole request must match, including sampling settings and
+ *   tool call ids; each recording is replayed once, in order
+ * - lenient: model, sampling settings and tool call ids are ignored, and the
+ *   last matching recording is replayed again once the others are used up
+ *
+ * Modes:
+ * - `replay`: never touches the network; unmatched requests throw `cassette_miss`
+ * - `record`: sends every request to `target` and records the exchange
+ * - `auto`: replays what matches and records the rest
+ */
+
+import { BaseProvider } from './base.js';
+import { opfs } from '../../../opfs-provider/src/index.js';
+
+export const CASSETTE_VERSION = 1;
+
+// Request settings that only strict matching compares
+const SAMPLING_SETTINGS = ['temperature', 'maxTokens', 'topP', 'topK', 'stopSequences'];
+
+// Request fields that say how to send rather than what to ask
+const TRANSPORT_FIELDS = ['priority', 'signal'];
+
+/**
+ * Stable JSON: object keys sorted, undefined dropped
+ * @private
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => item === undefined ? 'null' : stableStringify(item)).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * 53-bit string hash (cyrb53) as hex
+ * @private
+ */
+function hash(text) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ code, 2654435761);
+    h2 = Math.imul(h2 ^ code, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, '0');
+}
+
+/**
+ * JSON-safe copy of a request value. Blobs become their type and size and
+ * data URLs a hash, so attachments match without storing their bytes.
+ * @private
+ */
+function toPlain(value) {
+  if (typeof Blob !== 'undefined' && value instanceof Blob) {
+    return { blob: value.type, size: value.size };
+  }
+  if (typeof value === 'string' && value.startsWith('data:')) {
+    return `${value.slice(0, value.indexOf(',') + 1)}#${hash(value)}`;
+  }
+  if (Array.isArray(value)) {
+    return value.map(toPlain);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value)
+      .filter(([, item]) => item !== undefined && typeof item !== 'function')
+      .map(([key, item]) => [key, toPlain(item)]));
+  }
+  return value;
+}
+
+/**
+ * The request as stored in a cassette: what was asked of which model,
+ * without transport settings such as the queue priority
+ * @param {Object} request - Request parameters as given to sendRequest
+ * @param {string} [model]
+ * @returns {Object}
+ */
+export function normalizeRequest(request, model) {
+  const plain = toPlain(request);
+  for (const field of TRANSPORT_FIELDS) {
+    delete plain[field];
+  }
+  return { model, ...plain };
+}
+
+/**
+ * Lookup key of a normalized request
+ * @param {Object} normalized - From normalizeRequest
+ * @param {string} [match='strict'] - 'strict' or 'lenient'
+ * @returns {string}
+ */
+export function requestKey(normalized, match = 'strict') {
+  return hash(stableStringify(match === 'lenient' ? loosen(normalized) : normalized));
+}
+
+/**
+ * What lenient matching compares: the conversation and tools, without
+ * ids that are generated per run
+ * @private
+ */
+function loosen(normalized) {
+  const { model, ...rest } = normalized;
+  for (const setting of SAMPLING_SETTINGS) {
+    delete rest[setting];
+  }
+  rest.messages = (rest.messages || []).map(({ toolCallId, toolCalls, ...message }) => ({
+    ...message,
+    toolCalls: toolCalls?.map(({ id, ...call }) => call)
+  }));
+  return rest;
+}
+
+/**
+ * Path of the first difference between two values, e.g. `messages[2].content`
+ * @private
+ */
+function firstDifference(a, b, path = '') {
+  if (stableStringify(a) === stableStringify(b)) return null;
+  if (a && b && typeof a === 'object' && typeof b === 'object' && Array.isArray(a) === Array.isArray(b)) {
+    const keys = Array.isArray(a)
+      ? [...Array(Math.max(a.length, b.length)).keys()]
+      : [...new Set([...Object.keys(a), ...Object.keys(b)])].sort();
+    for (const key of keys) {
+      const childPath = Array.isArray(a) ? `${path}[${key}]` : (path ? `${path}.${key}` : key);
+      const difference = firstDifference(a[key], b[key], childPath);
+      if (difference) return difference;
+    }
+  }
+  return { path: path || '(request)', expected: b, actual: a };
+}
+
+/**
+ * @private
+ */
+function preview(value) {
+  const text = value === undefined ? 'nothing' : JSON.stringify(value);
+  return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+}
+
+/**
+ * Error thrown for a recorded failure
+ * @private
+ */
+function restoreError(recorded) {
+  const error = new Error(recorded.message);
+  Object.assign(error, recorded);
+  return error;
+}
+
+/**
+ * Load a cassette from a URL, or from an OPFS path when an OPFSProvider is given
+ * @param {string|Object} source - URL, OPFS path or an already parsed cassette
+ * @param {OPFSProvider} [fileSource] - Read `source` from OPFS
+ * @returns {Promise<Object>}
+ */
+export async function loadCassette(source, fileSource) {
+  if (source && typeof source === 'object') {
+    return source;
+  }
+  if (fileSource) {
+    if (!fileSource.root) {
+      await fileSource.initialize();
+    }
+    return JSON.parse(await fileSource.readFile(source));
+  }
+  const response = await fetch(source);
+  if (!response.ok) {
+    throw new Error(`Cannot load cassette ${source}: HTTP ${response.status}`);
+  }
+  return response.json();
+}
+
+export class ReplayProvider extends BaseProvider {
+  /**
+   * @param {Object} config
+   * @param {Object} [config.cassette] - Cassette to replay and record into (default: an empty one)
+   * @param {string} [config.mode='replay'] - 'replay', 'record' or 'auto'
+   * @param {string} [config.match='strict'] - 'strict' or 'lenient'
+   * @param {BaseProvider} [config.target] - Provider that answers in record and auto mode
+   * @param {number} [config.chunkDelay=0] - Delay in ms between replayed stream chunks
+   */
+  constructor(config = {}) {
+    super(config);
+    this.mode = config.mode || 'replay';
+    this.match = config.match || 'strict';
+    this.target = config.target || null;
+    this.chunkDelay = config.chunkDelay || 0;
+    this.cassette = config.cassette || { version: CASSETTE_VERSION, interactions: [] };
+    this.model = config.model || this.target?.model || this.cassette.model;
+    this.baseUrl = config.baseUrl || `replay:${this.cassette.name || 'cassette'}`;
+    this.tokenizerFamily = this.target?.tokenizerFamily;
+    this.played = new Map();
+    this.unmatched = [];
+
+    if (this.cassette.version > CASSETTE_VERSION) {
+      throw new Error(`Cassette version ${this.cassette.version} is newer than this ReplayProvider (${CASSETTE_VERSION})`);
+    }
+    if (this.mode !== 'replay' && !this.target) {
+      throw new Error(`ReplayProvider needs a target provider to ${this.mode === 'record' ? 'record' : 'record misses'}`);
+    }
+  }
+
+  /**
+   * Replay or record a non-streaming request
+   */
+  async sendRequest(request) {
+    return this._exchange(request, null);
+  }
+
+  /**
+   * Replay or record a streaming request. Replayed chunks are emitted as they
+   * were recorded; a recording made without streaming is emitted as one chunk.
+   */
+  async streamRequest(request, onChunk) {
+    return this._exchange(request, onChunk);
+  }
+
+  async listModels() {
+    return this.target ? this.target.listModels() : [{ id: this.model }];
+  }
+
+  abort() {
+    super.abort();
+    this.target?.abort();
+  }
+
+  /**
+   * The cassette with everything recorded so far, ready for JSON.stringify
+   * @returns {Object}
+   */
+  getCassette() {
+    const { interactions, ...details } = this.cassette;
+    return {
+      ...details,
+      version: CASSETTE_VERSION,
+      model: details.model || this.model,
+      interactions
+    };
+  }
+
+  /**
+   * Write the cassette to OPFS
+   * @param {string} path
+   * @param {OPFSProvider} [fileSource] - Default: the shared instance
+   * @returns {Promise<void>}
+   */
+  async save(path, fileSource = opfs) {
+    if (!fileSource.root) {
+      await fileSource.initialize();
+    }
+    await fileSource.writeFile(path, JSON.stringify(this.getCassette(), null, 2));
+  }
+
+  /**
+   * Requests that found no recording, with the reason
+   * @returns {Array<{key: string, request: Object, reason: string}>}
+   */
+  getUnmatched() {
+    return [...this.unmatched];
+  }
+
+  /**
+   * Recordings that have not been replayed, e.g. to spot a test that
+   * stopped asking what it used to
+   * @returns {Array<Object>}
+   */
+  getUnused() {
+    return this.cassette.interactions.filter((interaction, index) => !this.played.has(index));
+  }
+
+  /**
+   * @private
+   */
+  async _exchange(request, onChunk) {
+    const normalized = normalizeRequest(request, this.model);
+
+    if (this.mode !== 'record') {
+      const index = this._find(normalized);
+      if (index !== -1) {
+        this.played.set(index, (this.played.get(index) || 0) + 1);
+        return this._replay(this.cassette.interactions[index], onChunk, request.signal);
+      }
+      if (this.mode === 'replay') {
+        throw this._miss(normalized);
+      }
+    }
+    return this._record(request, normalized, onChunk);
+  }
+
+  /**
+   * Index of the recording to replay, or -1
+   * @private
+   */
+  _find(normalized) {
+    const key = requestKey(normalized, this.match);
+    const matches = [];
+    this.cassette.interactions.forEach((interaction, index) => {
+      if (requestKey(interaction.request, this.match) === key) {
+        matches.push(index);
+      }
+    });
+
+    const unplayed = matches.find(index => !this.played.has(index));
+    if (unplayed !== undefined) return unplayed;
+    return this.match === 'lenient' && matches.length > 0 ? matches[matches.length - 1] : -1;
+  }
+
+  /**
+   * Error for a request without a recording, naming the closest recording
+   * and where it differs
+   * @private
+   */
+  _miss(normalized) {
+    const key = requestKey(normalized, this.match);
+    const name = this.cassette.name ? `cassette "${this.cassette.name}"` : 'the cassette';
+    const compared = this.match === 'lenient' ? loosen(normalized) : normalized;
+    const interactions = this.cassette.interactions;
+
+    let reason;
+    const replayed = interactions.filter(interaction => requestKey(interaction.request, this.match) === key);
+    if (replayed.length > 0) {
+      reason = `its ${replayed.length} recording(s) were already replayed`;
+    } else if (interactions.length === 0) {
+      reason = `${name} is empty`;
+    } else {
+      // Closest: the recording sharing the longest prefix of its JSON
+      const text = stableStringify(compared);
+      let closest = null;
+      let best = -1;
+      interactions.forEach((interaction, index) => {
+        const recorded = this.match === 'lenient' ? loosen(interaction.request) : interaction.request;
+        const other = stableStringify(recorded);
+        let common = 0;
+        while (common < text.length && text[common] === other[common]) common++;
+        if (common > best) {
+          best = common;
+          closest = { index, recorded };
+        }
+      });
+      const difference = firstDifference(compared, closest.recorded);
+      reason = `closest is recording #${closest.index}, which differs at ${difference.path}: ` +
+        `expected ${preview(difference.expected)}, got ${preview(difference.actual)}`;
+    }
+
+    const error = new Error(`No recording in ${name} matches request ${key} (${this.match} matching): ${reason}`);
+    error.code = 'cassette_miss';
+    error.retryable = false;
+    error.key = key;
+    error.request = normalized;
+    this.unmatched.push({ key, request: normalized, reason });
+    return error;
+  }
+
+  /**
+   * @private
+   */
+  async _replay(interaction, onChunk, signal) {
+    const controller = this._createAbortController(signal);
+    const chunks = interaction.chunks || (interaction.response?.content ? [interaction.response.content] : []);
+
+    try {
+      controller.signal.throwIfAborted();
+      if (onChunk) {
+        for (const [index, chunk] of chunks.entries()) {
+          await new Promise(resolve => setTimeout(resolve, this.chunkDelay));
+          if (controller.signal.aborted) {
+            if (index === 0) {
+              throw controller.signal.reason;
+            }
+            // Like a live stream stopped after output started
+            return {
+              ...structuredClone(interaction.response),
+              content: chunks.slice(0, index).join(''),
+              toolCalls: undefined,
+              finishReason: 'aborted'
+            };
+          }
+          onChunk(chunk);
+        }
+      }
+    } finally {
+      this._releaseAbortController(controller);
+    }
+
+    if (interaction.error) {
+      throw restoreError(interaction.error);
+    }
+    return structuredClone(interaction.response);
+  }
+
+  /**
+   * Send through the target and append the exchange to the cassette.
+   * Aborted requests are not recorded.
+   * @private
+   */
+  async _record(request, normalized, onChunk) {
+    const interaction = {
+      key: requestKey(normalized),
+      request: normalized,
+      recordedAt: new Date().toISOString()
+    };
+
+    try {
+      if (onChunk) {
+        interaction.chunks = [];
+        interaction.response = await this.target.streamRequest(request, chunk => {
+          interaction.chunks.push(chunk);
+          return onChunk(chunk);
+        });
+      } else {
+        interaction.response = await this.target.sendRequest(request);
+      }
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        const { message, name, status, code, retryable, retryAfter } = error;
+        interaction.error = toPlain({ message, name, status, code, retryable, retryAfter });
+        this._append(interaction);
+      }
+      throw error;
+    }
+
+    // A stream aborted after output started resolves with a truncated reply
+    if (interaction.response?.finishReason !== 'aborted') {
+      this._append(interaction);
+    }
+    return interaction.response;
+  }
+
+  /**
+   * Add a recording; it counts as played, so auto mode doesn't replay it
+   * for the request that made it
+   * @private
+   */
+  _append(interaction) {
+    this.cassette.interactions.push(interaction);
+    this.played.set(this.cassette.interactions.length - 1, 1);
+  }
+}
+
+export default ReplayProvider;
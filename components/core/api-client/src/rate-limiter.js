@@ -0,0 +1,370 @@
+/**
+ * RateLimiter - Token-bucket request scheduling per provider
+ *
+ * Two buckets refill continuously: requests per minute and tokens per minute.
+ * Requests wait in a priority queue until both buckets can cover them, so
+ * parallel sub-requests don't burst past the quota and interactive chat goes
+ * ahead of background work. Server hints tighten the buckets: rate-limit
+ * headers report the real limits and what is left, and `Retry-After`
+ * pauses the whole queue.
+ */
+
+/**
+ * Queue order; lower runs first, equal priorities run in arrival order
+ */
+export const PRIORITIES = {
+  interactive: 0,
+  normal: 1,
+  background: 2
+};
+
+const MINUTE = 60000;
+
+/**
+ * Parse a duration hint into milliseconds: seconds ("20", "1.5"), a Go-style
+ * duration as in OpenAI's reset headers ("6m0s", "120ms") or Gemini's
+ * RetryInfo ("13s"), or an HTTP/ISO date
+ * @param {string|number|null} value
+ * @returns {number|null}
+ */
+export function parseDuration(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const text = String(value).trim();
+
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return Math.round(parseFloat(text) * 1000);
+  }
+
+  const units = { h: 3600000, m: 60000, s: 1000, ms: 1 };
+  const parts = [...text.matchAll(/(\d+(?:\.\d+)?)(ms|h|m|s)/g)];
+  if (parts.length > 0 && parts.map(part => part[0]).join('') === text) {
+    return Math.round(parts.reduce((total, [, amount, unit]) => total + parseFloat(amount) * units[unit], 0));
+  }
+
+  const date = Date.parse(text);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * How long the server asked us to wait, from `retry-after-ms` or `Retry-After`
+ * @param {Headers} [headers]
+ * @returns {number|null} Milliseconds
+ */
+export function parseRetryAfter(headers) {
+  if (!headers?.get) return null;
+  const ms = parseFloat(headers.get('retry-after-ms'));
+  if (ms >= 0) return Math.round(ms);
+  return parseDuration(headers.get('retry-after'));
+}
+
+/**
+ * Rate-limit headers as { limit, remaining, reset } per bucket.
+ * OpenAI sends x-ratelimit-{limit,remaining,reset}-{requests,tokens};
+ * Anthropic sends anthropic-ratelimit-{requests,tokens}-{limit,remaining,reset}.
+ * @private
+ */
+function readLimitHeaders(headers, bucket) {
+  const read = (...names) => {
+    for (const name of names) {
+      const value = headers.get(name);
+      if (value !== null && value !== undefined) return value;
+    }
+    return null;
+  };
+  const limit = parseFloat(read(`x-ratelimit-limit-${bucket}`, `anthropic-ratelimit-${bucket}-limit`));
+  const remaining = parseFloat(read(`x-ratelimit-remaining-${bucket}`, `anthropic-ratelimit-${bucket}-remaining`));
+  const reset = parseDuration(read(`x-ratelimit-reset-${bucket}`, `anthropic-ratelimit-${bucket}-reset`));
+  return {
+    limit: limit > 0 ? limit : null,
+    remaining: remaining >= 0 ? remaining : null,
+    reset
+  };
+}
+
+class TokenBucket {
+  constructor(perMinute) {
+    this.setCapacity(perMinute);
+    this.available = this.capacity;
+    this.updatedAt = Date.now();
+  }
+
+  setCapacity(perMinute) {
+    this.capacity = perMinute > 0 ? perMinute : Infinity;
+    if (this.available > this.capacity) {
+      this.available = this.capacity;
+    }
+  }
+
+  refill() {
+    const now = Date.now();
+    if (this.capacity !== Infinity) {
+      this.available = Math.min(this.capacity, this.available + (now - this.updatedAt) * this.capacity / MINUTE);
+    }
+    this.updatedAt = now;
+  }
+
+  /**
+   * Milliseconds until `amount` is available; amounts above the capacity
+   * wait for a full bucket so they can't block the queue forever
+   */
+  waitFor(amount) {
+    this.refill();
+    const needed = Math.min(amount, this.capacity);
+    if (this.available >= needed) return 0;
+    return Math.ceil((needed - this.available) * MINUTE / this.capacity);
+  }
+
+  take(amount) {
+    this.available -= Math.min(amount, this.capacity);
+  }
+
+  /**
+   * Match the server's count of what is left; only ever lowers the bucket
+   * so local reservations in flight aren't handed out twice
+   */
+  sync(remaining) {
+    this.refill();
+    this.available = Math.min(this.available, remaining);
+  }
+}
+
+export class RateLimiter {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.requestsPerMinute] - Request quota; unlimited until a server reports one
+   * @param {number} [options.tokensPerMinute] - Token quota; unlimited until a server reports one
+   */
+  constructor(options = {}) {
+    this.requests = new TokenBucket(options.requestsPerMinute);
+    this.tokens = new TokenBucket(options.tokensPerMinute);
+    // Configured quotas win over the limits servers report
+    this.configured = {
+      requests: options.requestsPerMinute > 0,
+      tokens: options.tokensPerMinute > 0
+    };
+    this.queue = [];
+    this.pausedUntil = 0;
+    this.timer = null;
+    this.listeners = new Set();
+  }
+
+  /**
+   * Wait for a turn. Resolves once the request and its tokens have been
+   * taken from the buckets.
+   * @param {Object} [options]
+   * @param {string} [options.priority='interactive'] - Key of PRIORITIES
+   * @param {number} [options.tokens=0] - Estimated tokens the request uses
+   * @param {AbortSignal} [options.signal] - Leaves the queue when aborted
+   * @returns {Promise<void>}
+   */
+  acquire(options = {}) {
+    const { priority = 'interactive', tokens = 0, signal } = options;
+
+    if (signal?.aborted) {
+      return Promise.reject(abortError());
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = {
+        rank: PRIORITIES[priority] ?? PRIORITIES.normal,
+        priority: PRIORITIES[priority] === undefined ? 'normal' : priority,
+        tokens,
+        resolve,
+        reject
+      };
+
+      if (signal) {
+        entry.onAbort = () => {
+          this._remove(entry);
+          reject(abortError());
+        };
+        signal.addEventListener('abort', entry.onAbort, { once: true });
+        entry.signal = signal;
+      }
+
+      const index = this.queue.findIndex(queued => queued.rank > entry.rank);
+      this.queue.splice(index === -1 ? this.queue.length : index, 0, entry);
+      this._notify();
+      this._drain();
+    });
+  }
+
+  /**
+   * Run a task once it is its turn
+   * @param {Function} task - Returns a promise
+   * @param {Object} [options] - See acquire
+   * @returns {Promise<*>} The task's result
+   */
+  async schedule(task, options = {}) {
+    await this.acquire(options);
+    return task();
+  }
+
+  /**
+   * Hold every queued request for a while, e.g. for a `Retry-After` hint
+   * @param {number} ms
+   */
+  pause(ms) {
+    if (!(ms > 0)) return;
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+    this._notify();
+    this._drain();
+  }
+
+  /**
+   * Adjust the buckets to the rate-limit headers of a response
+   * @param {Headers} [headers]
+   */
+  update(headers) {
+    if (!headers?.get) return;
+
+    for (const name of ['requests', 'tokens']) {
+      const { limit, remaining, reset } = readLimitHeaders(headers, name);
+      const bucket = this[name];
+      if (limit && !this.configured[name]) {
+        bucket.setCapacity(limit);
+      }
+      if (remaining !== null) {
+        bucket.sync(remaining);
+        // Nothing left: the next request has to wait for the server's reset
+        if (remaining < 1 && reset) {
+          this.pause(reset);
+        }
+      }
+    }
+    this._drain();
+  }
+
+  /**
+   * Correct the token bucket once the real usage is known
+   * @param {number} estimated - Tokens taken when the request was scheduled
+   * @param {number} actual - Tokens the provider reported
+   */
+  recordUsage(estimated, actual) {
+    if (!(actual >= 0) || this.tokens.capacity === Infinity) return;
+    this.tokens.refill();
+    this.tokens.available = Math.min(this.tokens.capacity, this.tokens.available - (actual - estimated));
+  }
+
+  /**
+   * Number of requests waiting
+   * @returns {number}
+   */
+  getQueueDepth() {
+    return this.queue.length;
+  }
+
+  /**
+   * @returns {{queued: number, byPriority: Object<string, number>, pausedFor: number,
+   *   requestsAvailable: number, tokensAvailable: number}}
+   */
+  getStatus() {
+    this.requests.refill();
+    this.tokens.refill();
+    const byPriority = Object.fromEntries(Object.keys(PRIORITIES).map(priority => [priority, 0]));
+    for (const entry of this.queue) {
+      byPriority[entry.priority]++;
+    }
+    return {
+      queued: this.queue.length,
+      byPriority,
+      pausedFor: Math.max(0, this.pausedUntil - Date.now()),
+      requestsAvailable: Math.floor(this.requests.available),
+      tokensAvailable: Math.floor(this.tokens.available)
+    };
+  }
+
+  /**
+   * Be told when the queue or a pause changes
+   * @param {Function} listener - Called with getStatus()
+   * @returns {Function} Unsubscribe
+   */
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Start requests at the head of the queue while the buckets allow,
+   * otherwise wake up when they will
+   * @private
+   */
+  _drain() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    let started = false;
+    while (this.queue.length > 0) {
+      const entry = this.queue[0];
+      const wait = Math.max(
+        this.pausedUntil - Date.now(),
+        this.requests.waitFor(1),
+        this.tokens.waitFor(entry.tokens)
+      );
+      if (wait > 0) {
+        this.timer = setTimeout(() => this._drain(), wait);
+        break;
+      }
+
+      this.queue.shift();
+      this.requests.take(1);
+      this.tokens.take(entry.tokens);
+      entry.signal?.removeEventListener('abort', entry.onAbort);
+      entry.resolve();
+      started = true;
+    }
+
+    if (started) {
+      this._notify();
+    }
+  }
+
+  /**
+   * @private
+   */
+  _remove(entry) {
+    const index = this.queue.indexOf(entry);
+    if (index !== -1) {
+      this.queue.splice(index, 1);
+      this._notify();
+      this._drain();
+    }
+  }
+
+  /**
+   * @private
+   */
+  _notify() {
+    if (this.listeners.size === 0) return;
+    const status = this.getStatus();
+    for (const listener of this.listeners) {
+      listener(status);
+    }
+  }
+}
+
+function abortError() {
+  const error = new Error('Request aborted while queued');
+  error.name = 'AbortError';
+  return error;
+}
+
+const sharedLimiters = new Map();
+
+/**
+ * Limiter shared by every provider instance with the same key, so separate
+ * clients for the same API and model draw from one quota
+ * @param {string} key
+ * @param {Object} [options] - See RateLimiter; only used when the limiter is created
+ * @returns {RateLimiter}
+ */
+export function getRateLimiter(key, options) {
+  if (!sharedLimiters.has(key)) {
+    sharedLimiters.set(key, new RateLimiter(options));
+  }
+  return sharedLimiters.get(key);
+}
+
+export default RateLimiter;
@@ -0,0 +1,92 @@
+/**
+ * Structured output - JSON replies that follow a schema
+ *
+ * Each provider asks for JSON its own way: Gemini with `responseSchema`,
+ * OpenAI with a `json_schema` response format, Anthropic by forcing a call to
+ * a tool whose input schema is the response schema. The reply is parsed and
+ * checked here with the event bus's schema validator. When it doesn't match,
+ * the repair turn tells the model what was wrong.
+ */
+
+import { validateSchema } from '../../event-bus/src/index.js';
+
+// Tool Anthropic is made to call with the structured reply as its input
+export const STRUCTURED_OUTPUT_TOOL = 'structured_output';
+
+/**
+ * Parse a JSON reply and validate it. Code fences and text around the JSON
+ * are tolerated, since not every model honors JSON mode.
+ * @param {string} text - The reply
+ * @param {Object} schema - JSON schema it must match
+ * @returns {{data: *, errors: Array<{field: string, message: string}>}}
+ */
+export function parseStructuredOutput(text, schema) {
+  let data;
+  try {
+    data = JSON.parse(extractJson(text));
+  } catch (error) {
+    return { data: undefined, errors: [{ field: '', message: `Reply is not valid JSON (${error.message})` }] };
+  }
+  return { data, errors: validateSchema(data, schema).errors };
+}
+
+/**
+ * The conversation with the rejected reply and a request to fix it
+ * @param {Array} messages - Messages of the original request
+ * @param {string} reply - The rejected reply
+ * @param {Array<{field: string, message: string}>} errors - What was wrong with it
+ * @returns {Array}
+ */
+export function repairMessages(messages, reply, errors) {
+  const problems = describeErrors(errors).map(line => `- ${line}`).join('\n');
+  return [
+    ...messages,
+    { role: 'assistant', content: reply },
+    {
+      role: 'user',
+      content: `Your reply does not match the required JSON schema:\n${problems}\nReply again with only the corrected JSON.`
+    }
+  ];
+}
+
+/**
+ * Error for a reply that still doesn't match after the repair
+ * @param {string} text - The last reply
+ * @param {Array<{field: string, message: string}>} errors
+ * @param {Object} [details] - What the requests cost, so it can still be recorded
+ * @param {{prompt: number, completion: number, total: number}} [details.usage] - Of both requests
+ * @param {string} [details.provider] - Provider that gave the last reply
+ * @param {string} [details.model] - Model that gave the last reply
+ * @returns {Error}
+ */
+export function schemaMismatchError(text, errors, details = {}) {
+  const error = new Error(`Response does not match the schema: ${describeErrors(errors).join('; ')}`);
+  error.code = 'schema_mismatch';
+  error.retryable = false;
+  error.errors = errors;
+  error.content = text;
+  error.usage = details.usage;
+  error.provider = details.provider;
+  error.model = details.model;
+  return error;
+}
+
+/**
+ * @private
+ */
+function extractJson(text) {
+  const trimmed = (text || '').trim();
+  const fenced = trimmed.match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i);
+  if (fenced) return fenced[1];
+
+  const start = trimmed.search(/[[{]/);
+  const end = Math.max(trimmed.lastIndexOf('}'), trimmed.lastIndexOf(']'));
+  return start >= 0 && end > start ? trimmed.slice(start, end + 1) : trimmed;
+}
+
+/**
+ * @private
+ */
+function describeErrors(errors) {
+  return errors.map(({ field, message }) => field ? `${field}: ${message}` : message);
+}
@@ -0,0 +1,44 @@
+/**
+ * Usage - Token counts in one shape, and what they cost
+ *
+ * Providers report usage as { prompt, completion, total }, LLMClient as
+ * { promptTokens, completionTokens, totalTokens }, and the raw APIs each in
+ * their own fields. Everything that adds usage up goes through normalizeUsage.
+ */
+
+import { getModelInfo } from './model-registry.js';
+
+/**
+ * Token counts as { prompt, completion, total }
+ * @param {Object} [usage] - Usage in any of the shapes above, including Gemini's
+ *   usageMetadata, OpenAI's prompt_tokens and Anthropic's input_tokens
+ * @returns {{prompt: number, completion: number, total: number}}
+ */
+export function normalizeUsage(usage) {
+  const count = (...names) => {
+    for (const name of names) {
+      const value = usage?.[name];
+      if (value >= 0) return value;
+    }
+    return 0;
+  };
+
+  const prompt = count('prompt', 'promptTokens', 'promptTokenCount', 'prompt_tokens', 'input_tokens');
+  const completion = count('completion', 'completionTokens', 'candidatesTokenCount', 'completion_tokens', 'output_tokens');
+  const total = count('total', 'totalTokens', 'totalTokenCount', 'total_tokens') || prompt + completion;
+  return { prompt, completion, total };
+}
+
+/**
+ * Price of a request in USD
+ * @param {Object} usage - Token counts; see normalizeUsage
+ * @param {{input: number, output: number}|string} [pricing] - USD per million tokens,
+ *   or a model id to look up in the catalog
+ * @returns {number} 0 when the price is unknown
+ */
+export function calculateCost(usage, pricing) {
+  const price = typeof pricing === 'string' ? getModelInfo(pricing)?.pricing : pricing;
+  if (!price) return 0;
+  const { prompt, completion } = normalizeUsage(usage);
+  return (prompt * (price.input || 0) + completion * (price.output || 0)) / 1e6;
+}
@@ -0,0 +1,298 @@
+#!/usr/bin/env node
+/**
+ * Mock Anthropic Messages API for AnthropicProvider tests
+ *
+ * Mounted by run-tests.js under /__mock__/anthropic, or run standalone:
+ *   node components/core/api-client/tests/mocks/anthropic-mock-server.js [port]
+ * and point the spec at it with localStorage.ANTHROPIC_MOCK_URL = 'http://localhost:8787/v1'.
+ *
+ * Routes (relative to the mount prefix):
+ * - POST /v1/messages  - Messages API, JSON or SSE (`stream: true`)
+ * - GET  /v1/models    - Model list, paged with `limit` and `after_id`
+ * - GET  /requests     - Requests received so far ({ headers, body })
+ * - POST /reset        - Forget requests and per-model failure counters
+ *
+ * Replies are scripted from the conversation:
+ * - `tool_choice` forces a tool -> a call with input matching its input_schema;
+ *   "break the schema" in the text -> input that doesn't
+ * - Last user turn has tool_result blocks -> text answer built from the tool results
+ * - Tools given and the last text asks about "weather in X (and Y)" -> one tool_use per city
+ * - Otherwise -> "Echo: <last text>", followed by the media types of image and document blocks
+ * Special models: `mock-overloaded-once` fails the first request with 529,
+ * `mock-stream-error` sends an error event in the middle of the stream.
+ * Malformed requests (missing headers or max_tokens, turns not alternating,
+ * tool_result without a matching tool_use) get the API's 4xx errors.
+ */
+
+import http from 'http';
+import { fileURLToPath } from 'url';
+import { readJson, sendJson, allowCors, writeSse, split, weatherCities, describeAttachments, isBase64, structuredReply } from './mock-http.js';
+
+const API_VERSION = '2023-06-01';
+const IMAGE_MEDIA_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+const MODELS = [
+  { id: 'claude-sonnet-4-5-20250929', display_name: 'Claude Sonnet 4.5' },
+  { id: 'claude-haiku-4-5-20251001', display_name: 'Claude Haiku 4.5' },
+  { id: 'claude-opus-4-1-20250805', display_name: 'Claude Opus 4.1' }
+];
+
+/**
+ * Create a request handler for the mock API
+ * @param {Object} [options]
+ * @param {string} [options.prefix=''] - Path prefix the mock is mounted under
+ * @returns {{handle: Function, requests: Array, reset: Function}}
+ *   `handle(req, res)` returns false for paths outside the prefix
+ */
+export function createAnthropicMock(options = {}) {
+  const prefix = options.prefix || '';
+  const requests = [];
+  const failures = new Map(); // model -> failures already sent
+
+  const reset = () => {
+    requests.length = 0;
+    failures.clear();
+  };
+
+  const handle = (req, res) => {
+    const path = req.url.split('?')[0];
+    if (!path.startsWith(prefix + '/')) {
+      return false;
+    }
+    const route = path.slice(prefix.length);
+
+    allowCors(res, ['content-type', 'x-api-key', 'anthropic-version', 'anthropic-dangerous-direct-browser-access']);
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+    } else if (req.method === 'GET' && route === '/requests') {
+      sendJson(res, 200, requests);
+    } else if (req.method === 'POST' && route === '/reset') {
+      reset();
+      sendJson(res, 200, { ok: true });
+    } else if (req.method === 'GET' && route === '/v1/models') {
+      listModels(req, res);
+    } else if (req.method === 'POST' && route === '/v1/messages') {
+      readJson(req)
+        .then(body => handleMessages(req, res, body))
+        .catch(() => sendError(res, 400, 'invalid_request_error', 'Request body is not valid JSON'));
+    } else {
+      sendError(res, 404, 'not_found_error', `Not found: ${route}`);
+    }
+    return true;
+  };
+
+  const handleMessages = (req, res, body) => {
+    requests.push({
+      headers: {
+        'x-api-key': req.headers['x-api-key'],
+        'anthropic-version': req.headers['anthropic-version'],
+        'anthropic-dangerous-direct-browser-access': req.headers['anthropic-dangerous-direct-browser-access']
+      },
+      body
+    });
+
+    if (!req.headers['x-api-key']) {
+      return sendError(res, 401, 'authentication_error', 'x-api-key header is required');
+    }
+    if (req.headers['anthropic-version'] !== API_VERSION) {
+      return sendError(res, 400, 'invalid_request_error', `anthropic-version must be ${API_VERSION}`);
+    }
+    const invalid = validate(body);
+    if (invalid) {
+      return sendError(res, 400, 'invalid_request_error', invalid);
+    }
+
+    if (body.model === 'mock-overloaded-once' && !failures.has(body.model)) {
+      failures.set(body.model, 1);
+      return sendError(res, 529, 'overloaded_error', 'Overloaded');
+    }
+
+    const message = reply(body);
+    if (body.stream) {
+      streamMessage(res, message, { failMidway: body.model === 'mock-stream-error', truncated: body.model === 'mock-truncated-tool' });
+    } else {
+      sendJson(res, 200, message);
+    }
+  };
+
+  return { handle, requests, reset };
+}
+
+function listModels(req, res) {
+  if (!req.headers['x-api-key']) {
+    return sendError(res, 401, 'authentication_error', 'x-api-key header is required');
+  }
+  const query = new URLSearchParams(req.url.split('?')[1] || '');
+  const limit = parseInt(query.get('limit'), 10) || 20;
+  const start = query.has('after_id') ? MODELS.findIndex(model => model.id === query.get('after_id')) + 1 : 0;
+  const data = MODELS.slice(start, start + limit).map(model => ({ type: 'model', created_at: '2025-01-01T00:00:00Z', ...model }));
+  sendJson(res, 200, {
+    data,
+    has_more: start + limit < MODELS.length,
+    first_id: data[0]?.id ?? null,
+    last_id: data[data.length - 1]?.id ?? null
+  });
+}
+
+/**
+ * Check a request the way the API does
+ * @returns {string|null} Error message
+ */
+function validate(body) {
+  if (!body.model) return 'model: Field required';
+  if (!Number.isInteger(body.max_tokens)) return 'max_tokens: Field required';
+  if (!Array.isArray(body.messages) || body.messages.length === 0) return 'messages: at least one message is required';
+  if (body.system !== undefined && typeof body.system !== 'string') return 'system: Input should be a valid string';
+
+  let previousToolUses = [];
+  for (let i = 0; i < body.messages.length; i++) {
+    const msg = body.messages[i];
+    const expected = i % 2 === 0 ? 'user' : 'assistant';
+    if (msg.role !== expected) {
+      return `messages.${i}.role: roles must alternate between "user" and "assistant", starting with "user"`;
+    }
+    const blocks = typeof msg.content === 'string' ? [{ type: 'text', text: msg.content }] : msg.content;
+    for (const block of blocks) {
+      if (block.type === 'tool_result' && !previousToolUses.includes(block.tool_use_id)) {
+        return `messages.${i}: tool_result block(s) provided when previous message does not contain tool_use block(s) with id ${block.tool_use_id}`;
+      }
+      if (block.type === 'tool_use' && msg.role !== 'assistant') {
+        return `messages.${i}: tool_use blocks are only allowed in assistant messages`;
+      }
+      if (block.type === 'image' || block.type === 'document') {
+        const mediaTypes = block.type === 'image' ? IMAGE_MEDIA_TYPES : ['application/pdf'];
+        if (msg.role !== 'user') {
+          return `messages.${i}: ${block.type} blocks are only allowed in user messages`;
+        }
+        if (block.source?.type !== 'base64' || !mediaTypes.includes(block.source.media_type) || !isBase64(block.source.data)) {
+          return `messages.${i}.content.${blocks.indexOf(block)}.${block.type}.source: Input should be base64 data with media_type ${mediaTypes.join(', ')}`;
+        }
+      }
+    }
+    previousToolUses = blocks.filter(block => block.type === 'tool_use').map(block => block.id);
+  }
+  return null;
+}
+
+/**
+ * Build the scripted assistant message for a request
+ */
+function reply(body) {
+  const last = body.messages[body.messages.length - 1];
+  const blocks = typeof last.content === 'string' ? [{ type: 'text', text: last.content }] : last.content;
+  const results = blocks.filter(block => block.type === 'tool_result');
+  const text = blocks.filter(block => block.type === 'text').map(block => block.text).join(' ');
+  const attachments = blocks.filter(block => block.source).map(block => block.source.media_type);
+
+  let content;
+  let stopReason = 'end_turn';
+
+  const forcedTool = body.tool_choice?.type === 'tool' && body.tools?.find(tool => tool.name === body.tool_choice.name);
+
+  if (forcedTool) {
+    content = [{
+      type: 'tool_use',
+      id: 'toolu_mock_forced',
+      name: forcedTool.name,
+      input: JSON.parse(structuredReply(forcedTool.input_schema, text))
+    }];
+    stopReason = 'tool_use';
+  } else if (results.length > 0) {
+    const answers = results.map(block => typeof block.content === 'string'
+      ? block.content
+      : block.content.map(part => part.text).join(''));
+    content = [{ type: 'text', text: `Here is what I found: ${answers.join('; ')}` }];
+  } else if (body.tools?.length > 0 && weatherCities(text)) {
+    content = [
+      { type: 'text', text: 'Let me check.' },
+      ...weatherCities(text).map((city, index) => ({
+        type: 'tool_use',
+        id: `toolu_mock_${index + 1}`,
+        name: body.tools[0].name,
+        input: { location: city }
+      }))
+    ];
+    stopReason = 'tool_use';
+  } else {
+    content = [{ type: 'text', text: `Echo: ${text}${describeAttachments(attachments)}` }];
+  }
+
+  const outputText = content.map(block => block.text || JSON.stringify(block.input)).join('');
+  return {
+    id: `msg_mock_${Date.now()}`,
+    type: 'message',
+    role: 'assistant',
+    model: body.model,
+    content,
+    stop_reason: stopReason,
+    stop_sequence: null,
+    usage: {
+      input_tokens: Math.ceil(JSON.stringify(body.messages).length / 4) + Math.ceil((body.system || '').length / 4),
+      output_tokens: Math.ceil(outputText.length / 4),
+      cache_creation_input_tokens: 0,
+      cache_read_input_tokens: 0
+    }
+  };
+}
+
+/**
+ * Send a message as SSE events, with text and tool input split into small deltas.
+ * `truncated` cuts the tool input short and stops with max_tokens.
+ */
+function streamMessage(res, message, { failMidway, truncated }) {
+  const events = [];
+  const emit = (type, data) => events.push(`event: ${type}\ndata: ${JSON.stringify({ type, ...data })}\n\n`);
+
+  emit('message_start', {
+    message: { ...message, content: [], stop_reason: null, usage: { ...message.usage, output_tokens: 1 } }
+  });
+  emit('ping', {});
+
+  message.content.forEach((block, index) => {
+    if (block.type === 'text') {
+      emit('content_block_start', { index, content_block: { type: 'text', text: '' } });
+      for (const piece of split(block.text, 5)) {
+        emit('content_block_delta', { index, delta: { type: 'text_delta', text: piece } });
+      }
+    } else {
+      emit('content_block_start', { index, content_block: { type: 'tool_use', id: block.id, name: block.name, input: {} } });
+      const input = JSON.stringify(block.input);
+      for (const piece of split(truncated ? input.slice(0, -3) : input, 8)) {
+        emit('content_block_delta', { index, delta: { type: 'input_json_delta', partial_json: piece } });
+      }
+    }
+    emit('content_block_stop', { index });
+  });
+
+  if (failMidway) {
+    events.splice(4, events.length - 4);
+    emit('error', { error: { type: 'overloaded_error', message: 'Overloaded' } });
+  } else {
+    emit('message_delta', {
+      delta: { stop_reason: truncated ? 'max_tokens' : message.stop_reason, stop_sequence: null },
+      usage: { output_tokens: message.usage.output_tokens }
+    });
+    emit('message_stop', {});
+  }
+
+  writeSse(res, events);
+}
+
+function sendError(res, status, type, message) {
+  sendJson(res, status, { type: 'error', error: { type, message } });
+}
+
+// Standalone server
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = parseInt(process.argv[2], 10) || 8787;
+  const mock = createAnthropicMock();
+  http.createServer((req, res) => {
+    if (!mock.handle(req, res)) {
+      sendError(res, 404, 'not_found_error', 'Not found');
+    }
+  }).listen(port, () => {
+    console.log(`Mock Anthropic API at http://localhost:${port}/v1`);
+  });
+}
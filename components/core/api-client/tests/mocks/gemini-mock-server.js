@@ -0,0 +1,288 @@
+#!/usr/bin/env node
+/**
+ * Mock Gemini API for GeminiProvider tests
+ *
+ * Mounted by run-tests.js under /__mock__/gemini, or run standalone:
+ *   node components/core/api-client/tests/mocks/gemini-mock-server.js [port]
+ * and point the spec at it with localStorage.GEMINI_MOCK_URL = 'http://localhost:8788/v1beta'.
+ *
+ * Routes (relative to the mount prefix):
+ * - POST /v1beta/models/{model}:generateContent        - JSON response
+ * - POST /v1beta/models/{model}:streamGenerateContent  - SSE with `alt=sse`, a JSON array otherwise
+ * - GET  /v1beta/models - Model list, paged with `pageSize` and `pageToken`
+ * - GET  /requests - Requests received so far ({ model, method, query, body })
+ * - POST /reset    - Forget requests
+ *
+ * Replies are scripted from the last user turn:
+ * - Tools given and the text asks about "weather in X (and Y)" -> one functionCall per city,
+ *   the first carrying a thoughtSignature
+ * - functionResponse parts -> "Here is what I found: <name>: <response>; ..."
+ * - `responseSchema` given -> JSON matching it; "break the schema" in the text -> JSON that doesn't
+ * - Otherwise -> "Echo: <text>", followed by the mime types of inlineData parts
+ * Special models: `mock-stream-error` sends an error event after two chunks,
+ * `mock-slow` waits 50ms between chunks, `mock-blocked` blocks the prompt,
+ * `mock-rate-limited` answers its first request after a reset with a 429 whose
+ * RetryInfo asks for a 200ms wait.
+ *
+ * Like the real API, each functionCall turn must be answered by a user turn with
+ * one functionResponse per call, and `gemini-3-*` models reject function call
+ * turns whose first call has lost its thoughtSignature.
+ */
+
+import http from 'http';
+import { fileURLToPath } from 'url';
+import { readJson, sendJson, allowCors, writeSse, split, weatherCities, describeAttachments, isBase64, structuredReply } from './mock-http.js';
+
+const MODELS = [
+  { name: 'models/gemini-2.5-flash', displayName: 'Gemini 2.5 Flash', inputTokenLimit: 1048576, outputTokenLimit: 65536, supportedGenerationMethods: ['generateContent', 'countTokens'] },
+  { name: 'models/gemini-2.5-pro', displayName: 'Gemini 2.5 Pro', inputTokenLimit: 1048576, outputTokenLimit: 65536, supportedGenerationMethods: ['generateContent', 'countTokens'] },
+  { name: 'models/gemini-3-pro-preview', displayName: 'Gemini 3 Pro Preview', inputTokenLimit: 1048576, outputTokenLimit: 65536, supportedGenerationMethods: ['generateContent', 'countTokens'] },
+  { name: 'models/text-embedding-004', displayName: 'Text Embedding 004', inputTokenLimit: 2048, outputTokenLimit: 1, supportedGenerationMethods: ['embedContent'] },
+  { name: 'models/gemini-exp-mock', displayName: 'Gemini Experimental (mock)', inputTokenLimit: 32768, outputTokenLimit: 4096, supportedGenerationMethods: ['generateContent'] }
+];
+
+/**
+ * Create a request handler for the mock API
+ * @param {Object} [options]
+ * @param {string} [options.prefix=''] - Path prefix the mock is mounted under
+ * @returns {{handle: Function, requests: Array, reset: Function}}
+ *   `handle(req, res)` returns false for paths outside the prefix
+ */
+export function createGeminiMock(options = {}) {
+  const prefix = options.prefix || '';
+  const requests = [];
+
+  const reset = () => {
+    requests.length = 0;
+  };
+
+  const handle = (req, res) => {
+    const [path, search = ''] = req.url.split('?');
+    if (!path.startsWith(prefix + '/')) {
+      return false;
+    }
+    const route = path.slice(prefix.length);
+    const query = Object.fromEntries(new URLSearchParams(search));
+    const match = route.match(/^\/v1beta\/models\/([^:]+):(generateContent|streamGenerateContent)$/);
+
+    allowCors(res, ['content-type']);
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+    } else if (req.method === 'GET' && route === '/requests') {
+      sendJson(res, 200, requests);
+    } else if (req.method === 'POST' && route === '/reset') {
+      reset();
+      sendJson(res, 200, { ok: true });
+    } else if (req.method === 'GET' && route === '/v1beta/models') {
+      handleListModels(res, query);
+    } else if (req.method === 'POST' && match) {
+      const [, model, method] = match;
+      readJson(req)
+        .then(body => {
+          requests.push({ model, method, query, body });
+          if (model === 'mock-rate-limited' && requests.filter(r => r.model === model).length === 1) {
+            sendJson(res, 429, {
+              error: {
+                code: 429,
+                message: 'Resource has been exhausted (e.g. check quota).',
+                status: 'RESOURCE_EXHAUSTED',
+                details: [{ '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay: '0.2s' }]
+              }
+            });
+            return;
+          }
+          handleGenerate(res, model, method, query, body);
+        })
+        .catch(() => sendError(res, 400, 'INVALID_ARGUMENT', 'Invalid JSON payload received.'));
+    } else {
+      sendError(res, 404, 'NOT_FOUND', `Not found: ${route}`);
+    }
+    return true;
+  };
+
+  return { handle, requests, reset };
+}
+
+function handleGenerate(res, model, method, query, body) {
+  if (!query.key) {
+    return sendError(res, 403, 'PERMISSION_DENIED', 'Method doesn\'t allow unregistered callers. Please use an API key.');
+  }
+  if (!Array.isArray(body.contents) || body.contents.length === 0) {
+    return sendError(res, 400, 'INVALID_ARGUMENT', '* GenerateContentRequest.contents: contents is not specified');
+  }
+  for (const [i, content] of body.contents.entries()) {
+    if (!['user', 'model'].includes(content.role)) {
+      return sendError(res, 400, 'INVALID_ARGUMENT', `Please use a valid role: user, model. (contents[${i}])`);
+    }
+    for (const [j, part] of content.parts.entries()) {
+      if (part.inlineData && (!part.inlineData.mimeType || !isBase64(part.inlineData.data))) {
+        return sendError(res, 400, 'INVALID_ARGUMENT', `Invalid value at 'contents[${i}].parts[${j}].inline_data'`);
+      }
+    }
+  }
+  const invalid = validateFunctionTurns(body.contents, model);
+  if (invalid) {
+    return sendError(res, 400, 'INVALID_ARGUMENT', invalid);
+  }
+
+  const chunks = reply(model, body);
+
+  if (method === 'generateContent') {
+    return sendJson(res, 200, merge(chunks));
+  }
+  if (query.alt !== 'sse') {
+    return sendJson(res, 200, chunks);
+  }
+
+  const events = chunks.map(chunk => `data: ${JSON.stringify(chunk)}\r\n\r\n`);
+  if (model === 'mock-stream-error') {
+    events.splice(2, events.length - 2, `data: ${JSON.stringify({ error: { code: 503, message: 'The model is overloaded. Please try again later.', status: 'UNAVAILABLE' } })}\r\n\r\n`);
+  }
+  writeSse(res, events, { delay: model === 'mock-slow' ? 50 : 1 });
+}
+
+function handleListModels(res, query) {
+  if (!query.key) {
+    return sendError(res, 403, 'PERMISSION_DENIED', 'Method doesn\'t allow unregistered callers. Please use an API key.');
+  }
+  const start = parseInt(query.pageToken, 10) || 0;
+  const end = start + (parseInt(query.pageSize, 10) || 50);
+  const page = { models: MODELS.slice(start, end) };
+  if (end < MODELS.length) page.nextPageToken = String(end);
+  sendJson(res, 200, page);
+}
+
+/**
+ * Check function call turns the way the API does
+ * @returns {string|null} Error message
+ */
+function validateFunctionTurns(contents, model) {
+  for (const [i, content] of contents.entries()) {
+    const calls = content.parts.filter(part => part.functionCall);
+    const responses = content.parts.filter(part => part.functionResponse);
+
+    if (calls.length > 0 && content.role !== 'model') {
+      return `contents[${i}]: functionCall parts are only allowed in model turns`;
+    }
+    if (responses.length > 0 && content.role !== 'user') {
+      return `contents[${i}]: functionResponse parts are only allowed in user turns`;
+    }
+    for (const part of responses) {
+      const response = part.functionResponse.response;
+      if (!part.functionResponse.name || !response || typeof response !== 'object' || Array.isArray(response)) {
+        return `contents[${i}]: functionResponse needs a name and an object response`;
+      }
+    }
+    if (calls.length > 0 && model.startsWith('gemini-3') && !calls[0].thoughtSignature) {
+      return `Function call is missing a thought_signature in functionCall parts. Additional data, function call \`${calls[0].functionCall.name}\`, position ${i}.`;
+    }
+
+    const next = contents[i + 1];
+    if (calls.length > 0 && next) {
+      const answered = next.parts.filter(part => part.functionResponse);
+      if (answered.length !== calls.length) {
+        return 'Please ensure that the number of function response parts is equal to the number of function call parts of the function call turn.';
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Build the scripted response as a list of stream chunks
+ */
+function reply(model, body) {
+  const promptTokenCount = Math.ceil(JSON.stringify(body.contents).length / 4);
+  const modelVersion = model;
+
+  if (model === 'mock-blocked') {
+    return [{ promptFeedback: { blockReason: 'SAFETY' }, usageMetadata: { promptTokenCount, totalTokenCount: promptTokenCount }, modelVersion }];
+  }
+
+  const last = body.contents[body.contents.length - 1];
+  const text = last.parts.filter(part => part.text).map(part => part.text).join(' ');
+  const attachments = last.parts.filter(part => part.inlineData).map(part => part.inlineData.mimeType);
+  const functionName = body.tools?.[0]?.functionDeclarations?.[0]?.name;
+  const cities = functionName ? weatherCities(text) : null;
+
+  const schema = body.generationConfig?.responseMimeType === 'application/json' && body.generationConfig.responseSchema;
+
+  const results = last.parts.filter(part => part.functionResponse).map(part => part.functionResponse);
+
+  let parts;
+  if (results.length > 0) {
+    parts = [{ text: `Here is what I found: ${results.map(result => `${result.name}: ${JSON.stringify(result.response)}`).join('; ')}` }];
+  } else if (cities) {
+    parts = [
+      { text: 'Let me check.' },
+      ...cities.map((city, index) => ({
+        functionCall: { name: functionName, args: { location: city } },
+        // Only the first call of a step is signed
+        ...(index === 0 && { thoughtSignature: Buffer.from(`mock-signature:${city}`).toString('base64') })
+      }))
+    ];
+  } else {
+    parts = [{ text: schema ? structuredReply(schema, text) : `Echo: ${text}${describeAttachments(attachments)}` }];
+  }
+
+  // Text is streamed in small deltas; function calls arrive whole
+  const pieces = parts.flatMap(part => part.text ? split(part.text, 5).map(piece => ({ text: piece })) : [part]);
+  const candidatesTokenCount = Math.ceil(JSON.stringify(parts).length / 4);
+
+  return pieces.map((part, index) => {
+    const isLast = index === pieces.length - 1;
+    const candidate = { content: { role: 'model', parts: [part] }, index: 0 };
+    if (isLast) candidate.finishReason = 'STOP';
+    return {
+      candidates: [candidate],
+      usageMetadata: isLast
+        ? { promptTokenCount, candidatesTokenCount, totalTokenCount: promptTokenCount + candidatesTokenCount }
+        : { promptTokenCount, totalTokenCount: promptTokenCount },
+      modelVersion
+    };
+  });
+}
+
+/**
+ * Merge stream chunks into one generateContent response
+ */
+function merge(chunks) {
+  const last = chunks[chunks.length - 1];
+  if (!last.candidates) return last;
+
+  const parts = [];
+  for (const chunk of chunks) {
+    for (const part of chunk.candidates[0].content.parts) {
+      const previous = parts[parts.length - 1];
+      if (part.text && previous?.text) {
+        previous.text += part.text;
+      } else {
+        parts.push({ ...part });
+      }
+    }
+  }
+  return {
+    candidates: [{ content: { role: 'model', parts }, finishReason: 'STOP', index: 0 }],
+    usageMetadata: last.usageMetadata,
+    modelVersion: last.modelVersion
+  };
+}
+
+function sendError(res, code, status, message) {
+  sendJson(res, code, { error: { code, message, status } });
+}
+
+// Standalone server
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = parseInt(process.argv[2], 10) || 8788;
+  const mock = createGeminiMock();
+  http.createServer((req, res) => {
+    if (!mock.handle(req, res)) {
+      sendError(res, 404, 'NOT_FOUND', 'Not found');
+    }
+  }).listen(port, () => {
+    console.log(`Mock Gemini API at http://localhost:${port}/v1beta`);
+  });
+}
@@ -0,0 +1,159 @@
+/**
+ * Shared helpers for the mock LLM API servers
+ */
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<any>}
+ */
+export function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(data));
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {any} body
+ */
+export function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Allow cross-origin calls, e.g. from specs served by another static server
+ * @param {http.ServerResponse} res
+ * @param {string[]} headers - Request headers the client may send
+ */
+export function allowCors(res, headers) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Headers', headers.join(', '));
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  // Retry-After and rate-limit headers
+  res.setHeader('Access-Control-Expose-Headers', '*');
+}
+
+/**
+ * Write SSE events one per timer tick. Each event is written in two parts,
+ * so clients must buffer lines split across reads.
+ * @param {http.ServerResponse} res
+ * @param {string[]} events - Complete events, each ending with a blank line
+ * @param {Object} [options]
+ * @param {number} [options.delay=1] - Delay between events (ms)
+ */
+export function writeSse(res, events, options = {}) {
+  const delay = options.delay ?? 1;
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache'
+  });
+
+  let i = 0;
+  let timer = null;
+  const writeNext = () => {
+    if (i >= events.length) {
+      res.end();
+      return;
+    }
+    const event = events[i++];
+    const half = Math.floor(event.length / 2);
+    res.write(event.slice(0, half));
+    res.write(event.slice(half));
+    timer = setTimeout(writeNext, delay);
+  };
+
+  // Stop writing when the client aborts
+  res.on('close', () => clearTimeout(timer));
+  writeNext();
+}
+
+/**
+ * Split text into pieces of at most `size` characters
+ * @param {string} text
+ * @param {number} size
+ * @returns {string[]}
+ */
+export function split(text, size) {
+  const pieces = [];
+  for (let i = 0; i < text.length; i += size) {
+    pieces.push(text.slice(i, i + size));
+  }
+  return pieces;
+}
+
+/**
+ * Cities asked about in "weather in X (and Y)", or null
+ * @param {string} text
+ * @returns {string[]|null}
+ */
+export function weatherCities(text) {
+  if (!/weather in /i.test(text)) return null;
+  return text.replace(/^.*weather in /i, '').replace(/[?.!]/g, '').split(/\s+and\s+/).map(city => city.trim());
+}
+
+/**
+ * Attachment summary appended to echo replies, e.g. " [image/png, application/pdf]"
+ * @param {string[]} mimeTypes
+ * @returns {string}
+ */
+export function describeAttachments(mimeTypes) {
+  return mimeTypes.length > 0 ? ` [${mimeTypes.join(', ')}]` : '';
+}
+
+/**
+ * Whether a string looks like base64
+ * @param {string} data
+ * @returns {boolean}
+ */
+export function isBase64(data) {
+  return typeof data === 'string' && data.length > 0 && /^[A-Za-z0-9+/]+={0,2}$/.test(data);
+}
+
+/**
+ * JSON reply for a structured output request: an instance of the schema.
+ * A prompt asking to "break the schema" gets an object missing its required
+ * properties instead, so the repair turn (which doesn't say it) is valid.
+ * @param {Object} schema - JSON schema, or Gemini's Schema with upper-case types
+ * @param {string} text - Last user text
+ * @returns {string}
+ */
+export function structuredReply(schema, text) {
+  return JSON.stringify(/break the schema/i.test(text) ? { unexpected: true } : sampleFromSchema(schema));
+}
+
+function sampleFromSchema(schema = {}) {
+  if (schema.const !== undefined) return schema.const;
+  if (schema.enum) return schema.enum[0];
+  if (schema.anyOf) return sampleFromSchema(schema.anyOf[0]);
+
+  const type = String([].concat(schema.type ?? 'string')[0]).toLowerCase();
+  switch (type) {
+    case 'object':
+      return Object.fromEntries(Object.entries(schema.properties || {})
+        .map(([name, property]) => [name, sampleFromSchema(property)]));
+    case 'array':
+      return [sampleFromSchema(schema.items)];
+    case 'number':
+    case 'integer':
+      return schema.minimum ?? 1;
+    case 'boolean':
+      return true;
+    case 'null':
+      return null;
+    default:
+      return 'mock';
+  }
+}
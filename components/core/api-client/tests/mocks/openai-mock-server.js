@@ -0,0 +1,271 @@
+#!/usr/bin/env node
+/**
+ * Mock OpenAI Chat Completions API for OpenAIProvider tests
+ *
+ * Mounted by run-tests.js under /__mock__/openai, or run standalone:
+ *   node components/core/api-client/tests/mocks/openai-mock-server.js [port]
+ * and point the spec at it with localStorage.OPENAI_MOCK_URL = 'http://localhost:8789/v1'.
+ *
+ * Routes (relative to the mount prefix):
+ * - POST /v1/chat/completions - JSON, or SSE chunks ending with `data: [DONE]` (`stream: true`)
+ * - GET  /v1/models           - Model list, including non-chat models
+ * - GET  /requests            - Requests received so far ({ headers, body })
+ * - POST /reset               - Forget requests
+ *
+ * Replies are scripted from the last message:
+ * - Tools given and the text asks about "weather in X (and Y)" -> one tool call per city
+ * - Tool messages -> "Here is what I found: <content>; ..."
+ * - A `json_schema` response format -> JSON matching it; "break the schema" in the text -> JSON that doesn't
+ * - Otherwise -> "Echo: <text>", followed by the mime types of image_url and file parts
+ * Malformed content parts get a 400, and so do tool calls that aren't answered by a tool
+ * message with their `tool_call_id`, like the real API.
+ * With `stream_options.include_usage` the stream ends with a usage chunk without choices.
+ * Completions carry x-ratelimit-* headers for a 500 RPM / 30000 TPM quota.
+ * Special models: `mock-stream-error` sends an error event in the middle of the stream,
+ * `mock-rate-limited` answers its first request after a reset with a 429 and `retry-after-ms: 200`.
+ */
+
+import http from 'http';
+import { fileURLToPath } from 'url';
+import { readJson, sendJson, allowCors, writeSse, split, weatherCities, describeAttachments, structuredReply } from './mock-http.js';
+
+const MODELS = ['gpt-4o', 'gpt-4o-mini-2024-07-18', 'text-embedding-3-small', 'whisper-1', 'gpt-mock-custom'];
+
+/**
+ * Create a request handler for the mock API
+ * @param {Object} [options]
+ * @param {string} [options.prefix=''] - Path prefix the mock is mounted under
+ * @returns {{handle: Function, requests: Array, reset: Function}}
+ *   `handle(req, res)` returns false for paths outside the prefix
+ */
+export function createOpenAIMock(options = {}) {
+  const prefix = options.prefix || '';
+  const requests = [];
+
+  const reset = () => {
+    requests.length = 0;
+  };
+
+  const handle = (req, res) => {
+    const path = req.url.split('?')[0];
+    if (!path.startsWith(prefix + '/')) {
+      return false;
+    }
+    const route = path.slice(prefix.length);
+
+    allowCors(res, ['content-type', 'authorization']);
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+    } else if (req.method === 'GET' && route === '/requests') {
+      sendJson(res, 200, requests);
+    } else if (req.method === 'POST' && route === '/reset') {
+      reset();
+      sendJson(res, 200, { ok: true });
+    } else if (req.method === 'GET' && route === '/v1/models') {
+      if (!/^Bearer \S+/.test(req.headers.authorization || '')) {
+        sendError(res, 401, 'invalid_request_error', 'You didn\'t provide an API key.');
+      } else {
+        sendJson(res, 200, { object: 'list', data: MODELS.map(id => ({ id, object: 'model', created: 1700000000, owned_by: 'system' })) });
+      }
+    } else if (req.method === 'POST' && route === '/v1/chat/completions') {
+      readJson(req)
+        .then(body => {
+          requests.push({ headers: { authorization: req.headers.authorization }, body });
+          if (body.model === 'mock-rate-limited' && requests.filter(r => r.body.model === body.model).length === 1) {
+            res.setHeader('retry-after-ms', '200');
+            return sendError(res, 429, 'requests', 'Rate limit reached for requests per min (RPM).');
+          }
+          handleCompletion(req, res, body);
+        })
+        .catch(() => sendError(res, 400, 'invalid_request_error', 'We could not parse the JSON body of your request.'));
+    } else {
+      sendError(res, 404, 'invalid_request_error', `Unknown request URL: ${req.method} ${route}`);
+    }
+    return true;
+  };
+
+  return { handle, requests, reset };
+}
+
+function handleCompletion(req, res, body) {
+  if (!/^Bearer \S+/.test(req.headers.authorization || '')) {
+    return sendError(res, 401, 'invalid_request_error', 'You didn\'t provide an API key.');
+  }
+  if (!Array.isArray(body.messages) || body.messages.length === 0) {
+    return sendError(res, 400, 'invalid_request_error', '\'messages\' is a required property');
+  }
+  const invalidPart = body.messages.flatMap(msg => Array.isArray(msg.content) ? msg.content : [])
+    .find(part => part.type === 'image_url' ? !/^(https?:|data:image\/[\w+.-]+;base64,)/.test(part.image_url?.url || '')
+      : part.type === 'file' ? !part.file?.file_data?.startsWith('data:')
+      : part.type !== 'text');
+  if (invalidPart) {
+    return sendError(res, 400, 'invalid_request_error', `Invalid content part: ${JSON.stringify(invalidPart).slice(0, 80)}`);
+  }
+  const invalidTurn = validateToolTurns(body.messages);
+  if (invalidTurn) {
+    return sendError(res, 400, 'invalid_request_error', invalidTurn);
+  }
+  if (body.stream_options && !body.stream) {
+    return sendError(res, 400, 'invalid_request_error', 'The \'stream_options\' parameter is only allowed when \'stream\' is enabled.');
+  }
+
+  const completion = reply(body);
+  res.setHeader('x-ratelimit-limit-requests', '500');
+  res.setHeader('x-ratelimit-remaining-requests', '499');
+  res.setHeader('x-ratelimit-reset-requests', '120ms');
+  res.setHeader('x-ratelimit-limit-tokens', '30000');
+  res.setHeader('x-ratelimit-remaining-tokens', String(30000 - completion.usage.prompt_tokens));
+  res.setHeader('x-ratelimit-reset-tokens', '6m0s');
+  if (body.stream) {
+    streamCompletion(res, completion, body);
+  } else {
+    sendJson(res, 200, completion);
+  }
+}
+
+/**
+ * Check that each assistant message with tool_calls is followed by one tool message per call
+ * @returns {string|null} Error message
+ */
+function validateToolTurns(messages) {
+  for (const [i, message] of messages.entries()) {
+    if (message.role === 'tool' && !message.tool_call_id) {
+      return `Missing parameter 'tool_call_id': messages[${i}] with role 'tool' must have a 'tool_call_id'.`;
+    }
+    if (message.role !== 'assistant' || !message.tool_calls) continue;
+
+    const answered = new Set();
+    for (let j = i + 1; j < messages.length && messages[j].role === 'tool'; j++) {
+      answered.add(messages[j].tool_call_id);
+    }
+    const missing = message.tool_calls.find(call => !answered.has(call.id));
+    if (missing) {
+      return `An assistant message with 'tool_calls' must be followed by tool messages responding to each 'tool_call_id'. The following tool_call_ids did not have response messages: ${missing.id}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Build the scripted chat completion for a request
+ */
+function reply(body) {
+  const last = body.messages[body.messages.length - 1];
+  const parts = typeof last.content === 'string' ? [{ type: 'text', text: last.content }] : last.content || [];
+  const text = parts.filter(part => part.type === 'text').map(part => part.text).join(' ');
+  const attachments = parts.filter(part => part.type !== 'text')
+    .map(part => (part.image_url?.url || part.file.file_data).match(/^data:([^;]+)/)?.[1] || 'url');
+  const functionName = body.tools?.[0]?.function?.name;
+  const cities = functionName && last.role !== 'tool' ? weatherCities(text) : null;
+
+  const results = [];
+  for (let i = body.messages.length - 1; i >= 0 && body.messages[i].role === 'tool'; i--) {
+    results.unshift(body.messages[i].content);
+  }
+
+  let message;
+  if (results.length > 0) {
+    message = { role: 'assistant', content: `Here is what I found: ${results.join('; ')}` };
+  } else if (cities) {
+    message = {
+      role: 'assistant',
+      content: null,
+      tool_calls: cities.map((city, index) => ({
+        id: `call_mock_${index + 1}`,
+        type: 'function',
+        function: { name: functionName, arguments: JSON.stringify({ location: city }) }
+      }))
+    };
+  } else {
+    message = {
+      role: 'assistant',
+      content: body.response_format?.type === 'json_schema'
+        ? structuredReply(body.response_format.json_schema.schema, text)
+        : `Echo: ${text}${describeAttachments(attachments)}`
+    };
+  }
+
+  // Tool arguments cut off by the token limit
+  const truncated = body.model === 'mock-truncated-tool' && Boolean(message.tool_calls);
+  if (truncated) {
+    for (const call of message.tool_calls) {
+      call.function.arguments = call.function.arguments.slice(0, -3);
+    }
+  }
+
+  const promptTokens = Math.ceil(JSON.stringify(body.messages).length / 4);
+  const completionTokens = Math.ceil(JSON.stringify(message.content ?? message.tool_calls).length / 4);
+
+  return {
+    id: `chatcmpl-mock-${Date.now()}`,
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model: body.model,
+    choices: [{ index: 0, message, finish_reason: truncated ? 'length' : cities ? 'tool_calls' : 'stop' }],
+    usage: {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens
+    }
+  };
+}
+
+/**
+ * Send a completion as SSE chunks, with text and tool arguments split into small deltas
+ */
+function streamCompletion(res, completion, body) {
+  const { message, finish_reason } = completion.choices[0];
+  const events = [];
+  const emit = (choices, extra = {}) => events.push(`data: ${JSON.stringify({
+    id: completion.id,
+    object: 'chat.completion.chunk',
+    created: completion.created,
+    model: completion.model,
+    choices,
+    ...extra
+  })}\n\n`);
+  const delta = (fields) => emit([{ index: 0, delta: fields, finish_reason: null }]);
+
+  delta({ role: 'assistant', content: '' });
+  for (const piece of split(message.content || '', 5)) {
+    delta({ content: piece });
+  }
+  (message.tool_calls || []).forEach((call, index) => {
+    delta({ tool_calls: [{ index, id: call.id, type: 'function', function: { name: call.function.name, arguments: '' } }] });
+    for (const piece of split(call.function.arguments, 8)) {
+      delta({ tool_calls: [{ index, function: { arguments: piece } }] });
+    }
+  });
+
+  if (body.model === 'mock-stream-error') {
+    events.splice(3, events.length - 3);
+    events.push(`data: ${JSON.stringify({ error: { message: 'The server had an error while processing your request.', type: 'server_error', code: null } })}\n\n`);
+  } else {
+    emit([{ index: 0, delta: {}, finish_reason }]);
+    if (body.stream_options?.include_usage) {
+      emit([], { usage: completion.usage });
+    }
+    events.push('data: [DONE]\n\n');
+  }
+
+  writeSse(res, events);
+}
+
+function sendError(res, status, type, message) {
+  sendJson(res, status, { error: { message, type, param: null, code: null } });
+}
+
+// Standalone server
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = parseInt(process.argv[2], 10) || 8789;
+  const mock = createOpenAIMock();
+  http.createServer((req, res) => {
+    if (!mock.handle(req, res)) {
+      sendError(res, 404, 'invalid_request_error', 'Not found');
+    }
+  }).listen(port, () => {
+    console.log(`Mock OpenAI API at http://localhost:${port}/v1`);
+  });
+}
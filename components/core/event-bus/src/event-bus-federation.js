@@ -0,0 +1,214 @@
+/**
+ * EventBusFederation - Mirror EventBus events across browser tabs
+ *
+ * Connects the EventBus of each tab through a BroadcastChannel so that, for
+ * example, a session created or a setting changed in one workbench tab is
+ * published in every other tab sharing the same IndexedDB databases.
+ *
+ * Only events matching the opt-in allowlist are broadcast. Every message is
+ * tagged with the sending tab's ID; a tab ignores its own messages and never
+ * re-broadcasts an event it received from another tab, so events cannot echo.
+ */
+
+import { matchesPattern } from './event-bus.js';
+
+/**
+ * @typedef {Object} FederatedMessage
+ * @property {'federated-event'} type - Message type
+ * @property {string} origin - ID of the tab that published the event
+ * @property {number} seq - Per-origin sequence number
+ * @property {string} event - Event name
+ * @property {any} data - Event payload (structured-cloned)
+ * @property {number} timestamp - Publish time in the origin tab
+ */
+
+export class EventBusFederation {
+  /**
+   * @param {Object} options
+   * @param {EventBus} options.eventBus - Local EventBus to federate
+   * @param {string[]} options.events - Event names or patterns to mirror (e.g. ['session:*', 'setting:*'])
+   * @param {string[]} [options.excludeEvents=[]] - Names or patterns never mirrored, even if allowed
+   * @param {string} [options.channelName='aardvark-events'] - BroadcastChannel name
+   * @param {string} [options.tabId] - ID of this tab (random by default)
+   * @param {BroadcastChannel} [options.channel] - Channel instance (for testing)
+   * @param {boolean} [options.autoStart=true] - Start on creation
+   */
+  constructor(options) {
+    if (!options?.eventBus) {
+      throw new Error('EventBusFederation requires an eventBus');
+    }
+
+    this.eventBus = options.eventBus;
+    this.events = new Set(options.events || []);
+    this.excludeEvents = new Set(options.excludeEvents || []);
+    this.channelName = options.channelName || 'aardvark-events';
+    this.tabId = options.tabId || crypto.randomUUID();
+    this.channel = options.channel || null;
+
+    this.isRunning = false;
+    this.seq = 0;
+    this.subscriptions = new Map(); // pattern -> subscriptionId
+    this.inbound = null; // event currently being published from a remote tab
+
+    this._handleMessage = this._handleMessage.bind(this);
+
+    if (options.autoStart ?? true) {
+      this.start();
+    }
+  }
+
+  /**
+   * Open the channel and start mirroring events
+   */
+  start() {
+    if (this.isRunning) return;
+
+    if (!this.channel) {
+      if (typeof BroadcastChannel === 'undefined') {
+        console.warn('[EventBusFederation] BroadcastChannel not available, federation disabled');
+        return;
+      }
+      this.channel = new BroadcastChannel(this.channelName);
+    }
+    this.channel.onmessage = this._handleMessage;
+
+    for (const pattern of this.events) {
+      this._subscribe(pattern);
+    }
+    this.isRunning = true;
+  }
+
+  /**
+   * Stop mirroring and close the channel
+   */
+  stop() {
+    for (const subscriptionId of this.subscriptions.values()) {
+      this.eventBus.unsubscribe(subscriptionId);
+    }
+    this.subscriptions.clear();
+
+    if (this.channel) {
+      this.channel.onmessage = null;
+      this.channel.close();
+      this.channel = null;
+    }
+    this.isRunning = false;
+  }
+
+  /**
+   * Start mirroring an event name or pattern
+   * @param {string} pattern
+   */
+  addEvent(pattern) {
+    if (this.events.has(pattern)) return;
+    this.events.add(pattern);
+    if (this.isRunning) {
+      this._subscribe(pattern);
+    }
+  }
+
+  /**
+   * Stop mirroring an event name or pattern
+   * @param {string} pattern
+   */
+  removeEvent(pattern) {
+    this.events.delete(pattern);
+    const subscriptionId = this.subscriptions.get(pattern);
+    if (subscriptionId !== undefined) {
+      this.eventBus.unsubscribe(subscriptionId);
+      this.subscriptions.delete(pattern);
+    }
+  }
+
+  /**
+   * Check whether an event would be mirrored
+   * @param {string} event - Concrete event name
+   * @returns {boolean}
+   */
+  isFederated(event) {
+    for (const pattern of this.excludeEvents) {
+      if (matchesPattern(pattern, event)) return false;
+    }
+    return this._firstMatch(event) !== null;
+  }
+
+  /**
+   * First allowlist pattern matching an event
+   * @private
+   */
+  _firstMatch(event) {
+    for (const pattern of this.events) {
+      if (matchesPattern(pattern, event)) return pattern;
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  _subscribe(pattern) {
+    const subscriptionId = this.eventBus.subscribe(pattern, (data, meta) => {
+      const event = meta?.event || pattern;
+      // Overlapping patterns (e.g. session:* and session:**) all receive the
+      // event; only the first one in the allowlist broadcasts it
+      if (this._firstMatch(event) !== pattern) return;
+      this._broadcast(event, data);
+    }, { sticky: false });
+    this.subscriptions.set(pattern, subscriptionId);
+  }
+
+  /**
+   * Send a local event to the other tabs
+   * @private
+   */
+  _broadcast(event, data) {
+    // Events arriving from another tab are published locally, not re-broadcast
+    if (this.inbound === event) return;
+    if (!this.channel || !this.isFederated(event)) return;
+
+    /** @type {FederatedMessage} */
+    const message = {
+      type: 'federated-event',
+      origin: this.tabId,
+      seq: ++this.seq,
+      event,
+      data,
+      timestamp: Date.now()
+    };
+
+    try {
+      this.channel.postMessage(message);
+    } catch (error) {
+      console.error(`[EventBusFederation] Failed to broadcast "${event}":`, error);
+    }
+  }
+
+  /**
+   * Publish events received from other tabs on the local bus
+   * @private
+   */
+  _handleMessage(messageEvent) {
+    const message = messageEvent.data;
+    if (message?.type !== 'federated-event') return;
+    if (message.origin === this.tabId) return;
+    if (!this.isFederated(message.event)) return;
+
+    const previous = this.inbound;
+    this.inbound = message.event;
+    try {
+      this.eventBus.publish(message.event, message.data);
+    } finally {
+      this.inbound = previous;
+    }
+  }
+
+  /**
+   * Check if federation is running
+   * @returns {boolean}
+   */
+  get running() {
+    return this.isRunning;
+  }
+}
+
+export default EventBusFederation;
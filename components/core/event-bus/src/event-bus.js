@@ -1,68 +1,608 @@
 /**
  * EventBus - Pub/sub messaging system
  * Provides decoupled communication between components
+ *
+ * Event names are colon-separated (`tool:call`, `session:created`). Subscriptions
+ * may use wildcards instead of an exact name:
+ * - `*` matches within a single segment (`tool:*`, `*:error`)
+ * - `**` matches across segments (`tool:**`, or `**` for every event)
+ *
+ * Request/response calls are layered on top of publish/subscribe: `request()`
+ * publishes on `rpc:request:<event>` with a correlation ID and waits for the
+ * matching `rpc:response:<correlationId>` published by the `handle()` side.
+ * Because both legs are ordinary events, they can be forwarded by MessageBridge.
+ *
+ * An optional bounded journal records published events for `replay()` and
+ * `exportJournal()`. Sticky events keep their last payload and deliver it to
+ * anyone who subscribes later, so late subscribers still see state-defining
+ * events such as `system:ready`.
+ *
+ * Handlers run in priority order (higher first, then subscription order).
+ * Middleware registered with `use()` sees every publish before delivery and may
+ * log, validate, rewrite or veto it. `publishAsync()` awaits async handlers and
+ * reports their results and errors.
+ *
+ * In debug mode every payload is checked against the event catalog and
+ * violations are logged and published as `bus:violation`.
  */
+
+import { systemEventCatalog } from './event-catalog.js';
+
+/**
+ * @typedef {Object} PublishResult
+ * @property {string} event - Published event name
+ * @property {boolean} vetoed - Whether middleware stopped delivery
+ * @property {string} [reason] - Veto reason
+ * @property {number} delivered - Number of handlers called
+ * @property {any[]} results - Return values of handlers that succeeded
+ * @property {Array<{subscriptionId: number, pattern: string, error: Error}>} errors - Handler failures
+ */
+
+const REQUEST_PREFIX = 'rpc:request:';
+const RESPONSE_PREFIX = 'rpc:response:';
+
 export class EventBus {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.journalSize=0] - Max events kept in the journal (0 disables)
+   * @param {string[]} [options.stickyEvents=[]] - Event names or patterns whose last value is retained
+   * @param {boolean} [options.debug=false] - Validate payloads against the event catalog
+   * @param {EventCatalog} [options.catalog] - Catalog used in debug mode (defaults to systemEventCatalog)
+   */
+  constructor(options = {}) {
     this.handlers = new Map();
     this.subscriptions = new Map();
     this.subscriptionId = 0;
+    this.patternCache = new Map();
+    this.requestHandlers = new Map(); // event -> subscriptionId
+    this.middleware = new Map(); // id -> middleware fn
+    this.middlewareId = 0;
+
+    this.journalSize = options.journalSize ?? 0;
+    this.journal = [];
+    this.journalSeq = 0;
+    this.stickyEvents = new Set(options.stickyEvents || []);
+    this.stickyValues = new Map(); // concrete event -> { data, timestamp }
+
+    this.debug = options.debug ?? false;
+    this.catalog = options.catalog || systemEventCatalog;
   }
 
-  subscribe(event, handler) {
+  /**
+   * Subscribe to an event name or pattern.
+   * If matching sticky events have already been published, their last values
+   * are delivered immediately with `meta.sticky = true`.
+   * @param {string} event - Event name or pattern
+   * @param {Function} handler - `(data, meta) => void`
+   * @param {Object} [options]
+   * @param {boolean} [options.sticky=true] - Deliver retained sticky values on subscribe
+   * @param {number} [options.priority=0] - Higher priority handlers run first
+   * @returns {number} Subscription ID
+   */
+  subscribe(event, handler, options = {}) {
+    const id = ++this.subscriptionId;
+    const sub = { id, event, handler, priority: options.priority ?? 0 };
+
     if (!this.handlers.has(event)) {
       this.handlers.set(event, new Set());
     }
-    this.handlers.get(event).add(handler);
-    
-    const id = ++this.subscriptionId;
-    this.subscriptions.set(id, { event, handler });
+    this.handlers.get(event).add(sub);
+    this.subscriptions.set(id, sub);
+
+    if (options.sticky !== false && this.stickyValues.size > 0) {
+      this._deliverSticky(event, handler);
+    }
     return id;
   }
 
   unsubscribe(subscriptionId) {
     const sub = this.subscriptions.get(subscriptionId);
     if (!sub) return;
-    
+
     const handlers = this.handlers.get(sub.event);
     if (handlers) {
-      handlers.delete(sub.handler);
+      handlers.delete(sub);
       if (handlers.size === 0) {
         this.handlers.delete(sub.event);
+        this.patternCache.delete(sub.event);
       }
     }
     this.subscriptions.delete(subscriptionId);
   }
 
+  /**
+   * Publish an event to exact and pattern subscribers.
+   * Handlers receive `(data, meta)` where `meta.event` is the event that fired
+   * and `meta.pattern` is the name or pattern the handler subscribed with.
+   * Async handlers are not awaited; their rejections are logged.
+   * @param {string} event - Event name (never a pattern)
+   * @param {any} data - Event payload
+   * @returns {boolean} False if middleware vetoed the event
+   */
   publish(event, data) {
-    const handlers = this.handlers.get(event);
-    if (!handlers) return;
-    
-    handlers.forEach(handler => {
+    const context = this._runMiddleware(event, data);
+    if (context.vetoed) return false;
+
+    this._record(event, context.data, context.timestamp);
+    for (const sub of this._matchingHandlers(event)) {
+      invoke(sub.handler, context.data, { event, pattern: sub.event });
+    }
+    return true;
+  }
+
+  /**
+   * Publish an event and wait for every handler, including async ones.
+   * Handlers are started in priority order and settle concurrently.
+   * @param {string} event - Event name (never a pattern)
+   * @param {any} data - Event payload
+   * @returns {Promise<PublishResult>}
+   */
+  async publishAsync(event, data) {
+    const context = this._runMiddleware(event, data);
+    if (context.vetoed) {
+      return { event, vetoed: true, reason: context.reason, delivered: 0, results: [], errors: [] };
+    }
+
+    this._record(event, context.data, context.timestamp);
+    const subs = this._matchingHandlers(event);
+    const settled = await Promise.allSettled(subs.map(sub => {
       try {
-        handler(data);
+        return Promise.resolve(sub.handler(context.data, { event, pattern: sub.event }));
       } catch (error) {
-        console.error(`Event handler error for "${event}":`, error);
+        return Promise.reject(error);
+      }
+    }));
+
+    const results = [];
+    const errors = [];
+    settled.forEach((outcome, i) => {
+      if (outcome.status === 'fulfilled') {
+        results.push(outcome.value);
+      } else {
+        console.error(`Event handler error for "${event}":`, outcome.reason);
+        errors.push({ subscriptionId: subs[i].id, pattern: subs[i].event, error: outcome.reason });
       }
     });
+
+    return { event, vetoed: false, delivered: subs.length, results, errors };
   }
 
-  once(event, handler) {
-    const id = this.subscribe(event, (data) => {
-      this.unsubscribe(id);
-      handler(data);
-    });
+  /**
+   * Add middleware that runs before every publish.
+   * Middleware receives a context `{ event, data, timestamp, veto(reason) }`;
+   * it may replace `context.data` (e.g. redaction) or call `veto()` to stop
+   * delivery. A middleware that throws vetoes the event with the error message.
+   * @param {Function} middleware - `(context) => void`
+   * @returns {number} Middleware ID
+   */
+  use(middleware) {
+    const id = ++this.middlewareId;
+    this.middleware.set(id, middleware);
+    return id;
+  }
+
+  /**
+   * Remove middleware added with `use()`
+   * @param {number} middlewareId
+   */
+  removeMiddleware(middlewareId) {
+    this.middleware.delete(middlewareId);
+  }
+
+  once(event, handler, options = {}) {
+    let id;
+    let fired = false;
+    id = this.subscribe(event, (data, meta) => {
+      if (fired) return;
+      fired = true;
+      if (id !== undefined) this.unsubscribe(id);
+      return handler(data, meta);
+    }, options);
+    // A sticky value may have fired the handler before the ID existed
+    if (fired) this.unsubscribe(id);
+    return id;
   }
 
   clear() {
     this.handlers.clear();
     this.subscriptions.clear();
+    this.patternCache.clear();
+    this.requestHandlers.clear();
+    this.middleware.clear();
+  }
+
+  /**
+   * Mark an event name or pattern as sticky
+   * @param {string} event - Event name or pattern
+   */
+  setSticky(event) {
+    this.stickyEvents.add(event);
+  }
+
+  /**
+   * Get the retained value of a sticky event
+   * @param {string} event - Concrete event name
+   * @returns {any} Last published payload, or undefined
+   */
+  getSticky(event) {
+    return this.stickyValues.get(event)?.data;
   }
 
+  /**
+   * Forget retained sticky values (all, or a single event)
+   * @param {string} [event] - Concrete event name
+   */
+  clearSticky(event) {
+    if (event === undefined) {
+      this.stickyValues.clear();
+    } else {
+      this.stickyValues.delete(event);
+    }
+  }
+
+  /**
+   * Get journaled events
+   * @param {string|string[]|Function} [filter] - Pattern(s) or predicate over entries
+   * @param {number} [fromTimestamp=0] - Only entries published at or after this time
+   * @returns {Array<{seq: number, event: string, data: any, timestamp: number}>}
+   */
+  getJournal(filter, fromTimestamp = 0) {
+    const predicate = toEntryFilter(filter);
+    return this.journal.filter(entry => entry.timestamp >= fromTimestamp && predicate(entry));
+  }
+
+  /**
+   * Re-deliver journaled events in their original order.
+   * Replayed events reach handlers with `meta.replay = true` and are not
+   * journaled again or retained as sticky values.
+   * @param {string|string[]|Function} [filter] - Pattern(s) or predicate over entries
+   * @param {number} [fromTimestamp=0] - Only entries published at or after this time
+   * @param {Function} [handler] - Deliver only to this handler instead of all subscribers
+   * @returns {number} Number of events replayed
+   */
+  replay(filter, fromTimestamp = 0, handler) {
+    const entries = this.getJournal(filter, fromTimestamp);
+
+    for (const entry of entries) {
+      const meta = { replay: true, seq: entry.seq, timestamp: entry.timestamp };
+      if (handler) {
+        invoke(handler, entry.data, { event: entry.event, pattern: null, ...meta });
+        continue;
+      }
+      for (const sub of this._matchingHandlers(entry.event)) {
+        invoke(sub.handler, entry.data, { event: entry.event, pattern: sub.event, ...meta });
+      }
+    }
+    return entries.length;
+  }
+
+  /**
+   * Serialize the journal as JSON, e.g. to attach an event trace to a bug report
+   * @param {string|string[]|Function} [filter] - Pattern(s) or predicate over entries
+   * @returns {string}
+   */
+  exportJournal(filter) {
+    return JSON.stringify({
+      version: 1,
+      exportedAt: Date.now(),
+      journalSize: this.journalSize,
+      entries: this.getJournal(filter)
+    }, journalReplacer, 2);
+  }
+
+  /**
+   * Remove all journaled events
+   */
+  clearJournal() {
+    this.journal = [];
+  }
+
+  /**
+   * Register the handler that answers requests for an event.
+   * Only one handler may be registered per event.
+   * @param {string} event - Request name (e.g. 'session:create')
+   * @param {Function} handler - `async (data) => result`; thrown errors are sent back to the caller
+   * @returns {number} Subscription ID
+   */
+  handle(event, handler) {
+    if (this.requestHandlers.has(event)) {
+      throw new Error(`Request handler already registered for "${event}"`);
+    }
+
+    const id = this.subscribe(REQUEST_PREFIX + event, async ({ correlationId, data } = {}) => {
+      const responseEvent = RESPONSE_PREFIX + correlationId;
+      try {
+        const result = await handler(data);
+        this.publish(responseEvent, { correlationId, result });
+      } catch (error) {
+        this.publish(responseEvent, { correlationId, error: serializeError(error) });
+      }
+    });
+    this.requestHandlers.set(event, id);
+    return id;
+  }
+
+  /**
+   * Remove the request handler for an event
+   * @param {string} event - Request name
+   */
+  unhandle(event) {
+    const id = this.requestHandlers.get(event);
+    if (id === undefined) return;
+    this.unsubscribe(id);
+    this.requestHandlers.delete(event);
+  }
+
+  /**
+   * Send a request and wait for the handler's result.
+   * Rejects with `code: 'NO_HANDLER'` when nothing handles the event,
+   * `code: 'TIMEOUT'` when no response arrives in time, or with the
+   * handler's error (message, name, code and stack preserved).
+   * @param {string} event - Request name
+   * @param {any} data - Request payload
+   * @param {Object} [options]
+   * @param {number} [options.timeout=30000] - Timeout in ms (0 disables)
+   * @returns {Promise<any>} Handler result
+   */
+  request(event, data, options = {}) {
+    const timeout = options.timeout ?? 30000;
+    const requestEvent = REQUEST_PREFIX + event;
+
+    if (!this._hasRequestHandler(requestEvent)) {
+      const error = new Error(`No handler registered for "${event}"`);
+      error.code = 'NO_HANDLER';
+      return Promise.reject(error);
+    }
+
+    const correlationId = crypto.randomUUID();
+
+    return new Promise((resolve, reject) => {
+      let timer = null;
+
+      const responseId = this.subscribe(RESPONSE_PREFIX + correlationId, (response) => {
+        this.unsubscribe(responseId);
+        clearTimeout(timer);
+        if (response.error) {
+          reject(deserializeError(response.error));
+        } else {
+          resolve(response.result);
+        }
+      });
+
+      if (timeout > 0) {
+        timer = setTimeout(() => {
+          this.unsubscribe(responseId);
+          const error = new Error(`Request "${event}" timed out after ${timeout}ms`);
+          error.code = 'TIMEOUT';
+          reject(error);
+        }, timeout);
+      }
+
+      this.publish(requestEvent, { correlationId, data });
+    });
+  }
+
+  /**
+   * Count subscribers for an event.
+   * For a concrete event name this counts every handler a publish would reach,
+   * including pattern subscribers. For a pattern it counts the handlers
+   * subscribed with exactly that pattern.
+   * @param {string} event - Event name or pattern
+   * @returns {number}
+   */
   subscriberCount(event) {
-    const handlers = this.handlers.get(event);
-    return handlers ? handlers.size : 0;
+    if (isPattern(event)) {
+      const handlers = this.handlers.get(event);
+      return handlers ? handlers.size : 0;
+    }
+
+    return this._matchingHandlers(event).length;
+  }
+
+  /**
+   * Pass an event through the middleware chain
+   * @private
+   */
+  _runMiddleware(event, data) {
+    const context = {
+      event,
+      data,
+      timestamp: Date.now(),
+      vetoed: false,
+      reason: undefined,
+      veto(reason) {
+        context.vetoed = true;
+        context.reason = reason;
+      }
+    };
+
+    for (const middleware of this.middleware.values()) {
+      try {
+        middleware(context);
+      } catch (error) {
+        console.error(`Event middleware error for "${event}":`, error);
+        context.veto(error.message);
+      }
+      if (context.vetoed) break;
+    }
+
+    if (this.debug && !context.vetoed) {
+      this._reportViolations(event, context.data);
+    }
+    return context;
+  }
+
+  /**
+   * Validate a payload against the catalog and report mismatches
+   * @private
+   */
+  _reportViolations(event, data) {
+    if (event === 'bus:violation') return;
+
+    const { valid, errors } = this.catalog.validate(event, data);
+    if (valid) return;
+
+    const owner = this.catalog.get(event).owner;
+    console.warn(`[EventBus] Payload for "${event}" (owner: ${owner}) violates its schema:`, errors);
+    this.publish('bus:violation', { event, owner, errors });
+  }
+
+  /**
+   * Append to the journal and retain sticky values
+   * @private
+   */
+  _record(event, data, timestamp) {
+    if (this.journalSize > 0) {
+      this.journal.push({ seq: ++this.journalSeq, event, data, timestamp });
+      if (this.journal.length > this.journalSize) {
+        this.journal.splice(0, this.journal.length - this.journalSize);
+      }
+    }
+
+    for (const sticky of this.stickyEvents) {
+      if (matchesPattern(sticky, event)) {
+        this.stickyValues.set(event, { data, timestamp });
+        break;
+      }
+    }
+  }
+
+  /**
+   * Deliver retained sticky values matching a new subscription
+   * @private
+   */
+  _deliverSticky(pattern, handler) {
+    for (const [event, { data, timestamp }] of this.stickyValues) {
+      if (matchesPattern(pattern, event)) {
+        invoke(handler, data, { event, pattern, sticky: true, timestamp });
+      }
+    }
+  }
+
+  /**
+   * Collect subscriptions that should receive an event, ordered by priority
+   * and then subscription order. Returns a snapshot so handlers may
+   * unsubscribe while being called.
+   * @private
+   * @returns {Array<{id: number, event: string, handler: Function, priority: number}>}
+   */
+  _matchingHandlers(event) {
+    const matches = [];
+    for (const [key, subs] of this.handlers) {
+      if (key === event || (isPattern(key) && this._compilePattern(key).test(event))) {
+        matches.push(...subs);
+      }
+    }
+    return matches.sort((a, b) => (b.priority - a.priority) || (a.id - b.id));
   }
+
+  /**
+   * A request is deliverable when something subscribed within the request
+   * namespace (a local handler, or a bridge forwarding `rpc:request:**`).
+   * Catch-all subscribers such as `**` do not count.
+   * @private
+   */
+  _hasRequestHandler(requestEvent) {
+    return this._matchingHandlers(requestEvent)
+      .some(sub => sub.event.startsWith(REQUEST_PREFIX));
+  }
+
+  /**
+   * @private
+   * @returns {RegExp}
+   */
+  _compilePattern(pattern) {
+    let regex = this.patternCache.get(pattern);
+    if (!regex) {
+      regex = patternToRegExp(pattern);
+      this.patternCache.set(pattern, regex);
+    }
+    return regex;
+  }
+}
+
+/**
+ * Check whether an event name contains wildcards
+ * @param {string} event
+ * @returns {boolean}
+ */
+export function isPattern(event) {
+  return typeof event === 'string' && event.includes('*');
+}
+
+/**
+ * Test an event name against a subscription pattern
+ * @param {string} pattern - Exact name or wildcard pattern
+ * @param {string} event - Concrete event name
+ * @returns {boolean}
+ */
+export function matchesPattern(pattern, event) {
+  if (!isPattern(pattern)) return pattern === event;
+  return patternToRegExp(pattern).test(event);
+}
+
+function invoke(handler, data, meta) {
+  try {
+    const result = handler(data, meta);
+    if (result && typeof result.then === 'function') {
+      result.then(undefined, (error) => {
+        console.error(`Async event handler error for "${meta.event}":`, error);
+      });
+    }
+  } catch (error) {
+    console.error(`Event handler error for "${meta.event}":`, error);
+  }
+}
+
+function toEntryFilter(filter) {
+  if (!filter) return () => true;
+  if (typeof filter === 'function') return filter;
+  const patterns = Array.isArray(filter) ? filter : [filter];
+  return (entry) => patterns.some(pattern => matchesPattern(pattern, entry.event));
+}
+
+function journalReplacer(key, value) {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, stack: value.stack };
+  }
+  if (value instanceof Map) {
+    return Object.fromEntries(value);
+  }
+  if (value instanceof Set) {
+    return [...value];
+  }
+  return value;
+}
+
+function serializeError(error) {
+  if (!(error instanceof Error)) {
+    return { message: String(error), name: 'Error' };
+  }
+  return {
+    message: error.message,
+    name: error.name,
+    code: error.code,
+    stack: error.stack
+  };
+}
+
+function deserializeError(data) {
+  const error = new Error(data.message);
+  error.name = data.name || 'Error';
+  if (data.code !== undefined) error.code = data.code;
+  if (data.stack) error.stack = data.stack;
+  return error;
+}
+
+function patternToRegExp(pattern) {
+  const source = pattern
+    .split('**')
+    .map(part => part
+      .split('*')
+      .map(literal => literal.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('[^:]*'))
+    .join('.*');
+  return new RegExp(`^${source}$`);
 }
 
 export const SystemEvents = {
@@ -79,5 +619,7 @@ export const SystemEvents = {
   UI_APPROVE: 'ui:approve'
 };
 
-export const globalEventBus = new EventBus();
+export const globalEventBus = new EventBus({
+  stickyEvents: [SystemEvents.SYSTEM_READY]
+});
 export default EventBus;
@@ -0,0 +1,546 @@
+/**
+ * EventCatalog - Typed registry of application events
+ * Each event declares its owning component, a description and a JSON schema
+ * for its payload, so UI and worker code agree on payload shapes.
+ */
+
+import { validateSchema } from './schema-validator.js';
+
+/**
+ * @typedef {Object} EventDefinition
+ * @property {string} name - Event name
+ * @property {string} owner - Component that publishes the event
+ * @property {string} description - What the event means
+ * @property {Object} schema - JSON schema for the payload
+ */
+
+export class EventCatalog {
+  /**
+   * @param {Object<string, Omit<EventDefinition, 'name'>>} [definitions] - Initial definitions keyed by event name
+   */
+  constructor(definitions = {}) {
+    /** @type {Map<string, EventDefinition>} */
+    this.events = new Map();
+
+    for (const [name, definition] of Object.entries(definitions)) {
+      this.define(name, definition);
+    }
+  }
+
+  /**
+   * Add or replace an event definition
+   * @param {string} name - Event name
+   * @param {Object} definition
+   * @param {string} definition.owner - Owning component
+   * @param {string} [definition.description] - Description
+   * @param {Object} [definition.schema] - Payload JSON schema
+   * @returns {EventCatalog} this, for chaining
+   */
+  define(name, definition) {
+    if (!definition?.owner) {
+      throw new Error(`Event "${name}" must declare an owner`);
+    }
+    this.events.set(name, {
+      name,
+      owner: definition.owner,
+      description: definition.description || '',
+      schema: definition.schema || {}
+    });
+    return this;
+  }
+
+  /**
+   * @param {string} name - Event name
+   * @returns {EventDefinition|undefined}
+   */
+  get(name) {
+    return this.events.get(name);
+  }
+
+  /**
+   * @param {string} name - Event name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.events.has(name);
+  }
+
+  /**
+   * List definitions sorted by name
+   * @param {Object} [options]
+   * @param {string} [options.owner] - Only events owned by this component
+   * @returns {EventDefinition[]}
+   */
+  list(options = {}) {
+    return [...this.events.values()]
+      .filter(def => !options.owner || def.owner === options.owner)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * List owning components
+   * @returns {string[]}
+   */
+  owners() {
+    return [...new Set([...this.events.values()].map(def => def.owner))].sort();
+  }
+
+  /**
+   * Validate a payload against an event's schema.
+   * Events that are not in the catalog are reported as unknown but valid.
+   * @param {string} name - Event name
+   * @param {any} data - Payload
+   * @returns {{valid: boolean, known: boolean, errors: Array<{field: string, message: string}>}}
+   */
+  validate(name, data) {
+    const definition = this.events.get(name);
+    if (!definition) {
+      return { valid: true, known: false, errors: [] };
+    }
+    return { known: true, ...validateSchema(data, definition.schema) };
+  }
+
+  /**
+   * Generate a Markdown reference grouped by owner
+   * @returns {string}
+   */
+  toMarkdown() {
+    const lines = ['# Event Reference', ''];
+
+    for (const owner of this.owners()) {
+      lines.push(`## ${owner}`, '');
+      for (const def of this.list({ owner })) {
+        lines.push(`### \`${def.name}\``, '');
+        if (def.description) lines.push(def.description, '');
+        lines.push('```json', JSON.stringify(def.schema, null, 2), '```', '');
+      }
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * @returns {EventDefinition[]}
+   */
+  toJSON() {
+    return this.list();
+  }
+}
+
+const ANY_OBJECT = { type: 'object' };
+const ERROR_VALUE = { anyOf: [{ type: 'string' }, { type: 'object' }] };
+
+const PROVIDER_REF = {
+  type: 'object',
+  required: ['provider'],
+  properties: { provider: { type: 'string' }, model: { type: 'string' } }
+};
+
+const REPO_REF = {
+  repo: { type: 'string' },
+  owner: { type: 'string' },
+  name: { type: 'string' }
+};
+
+const EXECUTION_RESULT = {
+  type: 'object',
+  required: ['executionId', 'toolName', 'status'],
+  properties: {
+    executionId: { type: 'string' },
+    sessionId: { type: 'string' },
+    toolId: { type: 'string' },
+    toolName: { type: 'string' },
+    duration: { type: 'number', minimum: 0 },
+    status: { enum: ['success', 'failure'] },
+    error: ERROR_VALUE
+  }
+};
+
+/**
+ * Catalog of the events published by Aardvark components
+ */
+export const systemEventCatalog = new EventCatalog({
+  // event-bus / system
+  'system:ready': {
+    owner: 'event-bus',
+    description: 'Application finished initializing. Sticky on the global bus.',
+    schema: { type: 'object', properties: { timestamp: { type: 'number' }, version: { type: 'string' } } }
+  },
+  'system:error': {
+    owner: 'event-bus',
+    description: 'Unrecoverable application error.',
+    schema: { type: 'object', required: ['error'], properties: { error: ERROR_VALUE } }
+  },
+  'bus:violation': {
+    owner: 'event-bus',
+    description: 'A published payload did not match its catalog schema (debug mode only).',
+    schema: {
+      type: 'object',
+      required: ['event', 'errors'],
+      properties: {
+        event: { type: 'string' },
+        owner: { type: 'string' },
+        errors: { type: 'array', items: { type: 'object' } }
+      }
+    }
+  },
+
+  // message-bridge
+  'bridge:error': {
+    owner: 'message-bridge',
+    description: 'Worker communication failed. `fatal` means the worker is gone.',
+    schema: {
+      type: 'object',
+      required: ['error', 'fatal'],
+      properties: {
+        error: { type: 'string' },
+        fatal: { type: 'boolean' },
+        event: { type: 'string' },
+        code: { type: 'string' },
+        clientId: { type: 'string' }
+      }
+    }
+  },
+  'bridge:degraded': {
+    owner: 'message-bridge',
+    description: 'Worker crashed or stopped answering heartbeats; outbound messages are queued while it is respawned.',
+    schema: {
+      type: 'object',
+      required: ['reason', 'queued'],
+      properties: {
+        reason: { enum: ['worker-error', 'heartbeat-timeout'] },
+        error: { type: 'string' },
+        queued: { type: 'integer', minimum: 0 }
+      }
+    }
+  },
+  'bridge:progress': {
+    owner: 'message-bridge',
+    description: 'A chunk of a large message was sent or received. Published on the bus of the side that sent or received it.',
+    schema: {
+      type: 'object',
+      required: ['id', 'event', 'direction', 'loaded', 'total'],
+      properties: {
+        id: { type: 'string' },
+        event: { type: 'string' },
+        direction: { enum: ['send', 'receive'] },
+        loaded: { type: 'integer', minimum: 0 },
+        total: { type: 'integer', minimum: 0 },
+        clientId: { type: 'string' }
+      }
+    }
+  },
+  'bridge:client-connected': {
+    owner: 'message-bridge',
+    description: 'A tab or frame connected to a MessageBridgeHub. Published on the hub side.',
+    schema: {
+      type: 'object',
+      required: ['clientId', 'clients'],
+      properties: { clientId: { type: 'string' }, clients: { type: 'integer', minimum: 0 } }
+    }
+  },
+  'bridge:client-disconnected': {
+    owner: 'message-bridge',
+    description: 'A client left a MessageBridgeHub. Published on the hub side.',
+    schema: {
+      type: 'object',
+      required: ['clientId', 'clients'],
+      properties: { clientId: { type: 'string' }, clients: { type: 'integer', minimum: 0 } }
+    }
+  },
+  'bridge:reconnected': {
+    owner: 'message-bridge',
+    description: 'Worker was respawned after a crash. `replayed` and `flushed` count the messages re-sent to it.',
+    schema: {
+      type: 'object',
+      required: ['attempt'],
+      properties: {
+        attempt: { type: 'integer', minimum: 1 },
+        replayed: { type: 'integer', minimum: 0 },
+        flushed: { type: 'integer', minimum: 0 }
+      }
+    }
+  },
+  'bridge:handshake': {
+    owner: 'message-bridge',
+    description: 'Both bridge sides exchanged protocol versions and capabilities. `features` holds the flags both support; `legacy` means the peer sent no handshake.',
+    schema: {
+      type: 'object',
+      required: ['protocol', 'legacy', 'features'],
+      properties: {
+        protocol: { type: 'string' },
+        legacy: { type: 'boolean' },
+        features: { type: 'object' },
+        peer: { type: ['object', 'null'] },
+        clientId: { type: 'string' }
+      }
+    }
+  },
+
+  // api-client
+  'api:fallback': {
+    owner: 'api-client',
+    description: 'A request failed with a retryable error and moved to the next provider in the fallback chain.',
+    schema: {
+      type: 'object',
+      required: ['from', 'to', 'error'],
+      properties: {
+        from: PROVIDER_REF,
+        to: PROVIDER_REF,
+        error: { type: 'string' },
+        status: { type: 'integer' }
+      }
+    }
+  },
+  'api:queue': {
+    owner: 'api-client',
+    description: 'Requests were queued or started by a provider\'s rate limiter, or the queue was paused by a Retry-After hint.',
+    schema: {
+      type: 'object',
+      required: ['queued', 'providers'],
+      properties: {
+        queued: { type: 'integer', minimum: 0 },
+        providers: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['provider', 'queued'],
+            properties: {
+              provider: { type: 'string' },
+              model: { type: 'string' },
+              queued: { type: 'integer', minimum: 0 },
+              byPriority: { type: 'object' },
+              pausedFor: { type: 'number', minimum: 0 },
+              requestsAvailable: { type: 'number' },
+              tokensAvailable: { type: 'number' }
+            }
+          }
+        }
+      }
+    }
+  },
+
+  // tools
+  'tool:call': { owner: 'agent-core', description: 'The agent requested a tool execution.', schema: ANY_OBJECT },
+  'tool:result': { owner: 'agent-core', description: 'A tool execution produced a result.', schema: ANY_OBJECT },
+  'tool:approve': { owner: 'ui', description: 'The user approved a pending tool.', schema: ANY_OBJECT },
+  'tool:loaded': {
+    owner: 'tool-store',
+    description: 'Tool registry loaded from storage.',
+    schema: { type: 'object', required: ['count'], properties: { count: { type: 'integer', minimum: 0 } } }
+  },
+  'tool:registered': {
+    owner: 'tool-store',
+    description: 'A tool was added to the active registry.',
+    schema: { type: 'object', required: ['name'], properties: { name: { type: 'string' } } }
+  },
+  'tool:pending': {
+    owner: 'tool-store',
+    description: 'A tool proposal is waiting for approval.',
+    schema: {
+      type: 'object',
+      required: ['toolId', 'name'],
+      properties: { toolId: { type: 'string' }, name: { type: 'string' }, description: { type: 'string' } }
+    }
+  },
+  'tool:approved': {
+    owner: 'tool-store',
+    description: 'A pending tool was approved and registered.',
+    schema: { type: 'object', required: ['id', 'name'], properties: { id: { type: 'string' }, name: { type: 'string' } } }
+  },
+  'tool:rejected': {
+    owner: 'tool-store',
+    description: 'A pending tool was rejected.',
+    schema: { type: 'object', required: ['id'], properties: { id: { type: 'string' }, reason: { type: 'string' } } }
+  },
+
+  // sessions
+  'session:update': { owner: 'session-manager', description: 'Session state changed.', schema: ANY_OBJECT },
+  'session:created': {
+    owner: 'session-store',
+    description: 'A session was created.',
+    schema: {
+      type: 'object',
+      required: ['sessionId'],
+      properties: { sessionId: { type: 'string' }, name: { type: 'string' }, repo: { type: ['string', 'null'] } }
+    }
+  },
+  'session:updated': {
+    owner: 'session-store',
+    description: 'Session metadata was updated.',
+    schema: { type: 'object', required: ['sessionId'], properties: { sessionId: { type: 'string' }, updates: ANY_OBJECT } }
+  },
+  'session:deleted': {
+    owner: 'session-store',
+    description: 'A session and its nodes were deleted.',
+    schema: { type: 'object', required: ['sessionId'], properties: { sessionId: { type: 'string' } } }
+  },
+  'node:added': {
+    owner: 'session-store',
+    description: 'A node was appended to a session tree.',
+    schema: {
+      type: 'object',
+      required: ['sessionId', 'nodeId'],
+      properties: { sessionId: { type: 'string' }, nodeId: { type: 'string' }, parentId: { type: ['string', 'null'] } }
+    }
+  },
+  'node:updated': {
+    owner: 'session-store',
+    description: 'A session tree node was updated.',
+    schema: {
+      type: 'object',
+      required: ['sessionId', 'nodeId'],
+      properties: { sessionId: { type: 'string' }, nodeId: { type: 'string' } }
+    }
+  },
+
+  // files and repositories
+  'repo:created': {
+    owner: 'file-store',
+    description: 'A repository directory was created.',
+    schema: { type: 'object', required: ['repo'], properties: { repo: { type: 'string' } } }
+  },
+  'repo:deleted': {
+    owner: 'file-store',
+    description: 'A repository was deleted.',
+    schema: { type: 'object', required: ['repo'], properties: { repo: { type: 'string' } } }
+  },
+  'repo:loading': {
+    owner: 'file-store',
+    description: 'A GitHub repository started loading.',
+    schema: { type: 'object', required: ['repo'], properties: { ...REPO_REF, branch: { type: 'string' } } }
+  },
+  'repo:loaded': {
+    owner: 'file-store',
+    description: 'A GitHub repository finished loading.',
+    schema: {
+      type: 'object',
+      required: ['repo', 'fileCount'],
+      properties: { ...REPO_REF, fileCount: { type: 'integer', minimum: 0 } }
+    }
+  },
+  'repo:load-error': {
+    owner: 'file-store',
+    description: 'Loading a GitHub repository failed.',
+    schema: { type: 'object', required: ['repo', 'error'], properties: { ...REPO_REF, error: { type: 'string' } } }
+  },
+  'file:created': {
+    owner: 'file-store',
+    description: 'A file was written for the first time.',
+    schema: {
+      type: 'object',
+      required: ['repo', 'path'],
+      properties: { repo: { type: 'string' }, path: { type: 'string' }, size: { type: 'integer', minimum: 0 } }
+    }
+  },
+  'file:updated': {
+    owner: 'file-store',
+    description: 'An existing file was overwritten.',
+    schema: {
+      type: 'object',
+      required: ['repo', 'path'],
+      properties: { repo: { type: 'string' }, path: { type: 'string' }, size: { type: 'integer', minimum: 0 } }
+    }
+  },
+  'file:deleted': {
+    owner: 'file-store',
+    description: 'A file was deleted.',
+    schema: { type: 'object', required: ['repo', 'path'], properties: { repo: { type: 'string' }, path: { type: 'string' } } }
+  },
+  'github:file-loaded': {
+    owner: 'file-store',
+    description: 'One file of a GitHub repository was downloaded.',
+    schema: {
+      type: 'object',
+      required: ['path'],
+      properties: { path: { type: 'string' }, progress: { type: 'number', minimum: 0, maximum: 100 } }
+    }
+  },
+
+  // settings
+  'settings:ready': { owner: 'settings-store', description: 'Settings store initialized.', schema: ANY_OBJECT },
+  'setting:changed': {
+    owner: 'settings-store',
+    description: 'A setting value was written.',
+    schema: { type: 'object', required: ['key'], properties: { key: { type: 'string' } } }
+  },
+  'setting:deleted': {
+    owner: 'settings-store',
+    description: 'A setting was removed.',
+    schema: { type: 'object', required: ['key'], properties: { key: { type: 'string' } } }
+  },
+
+  // history
+  'execution:started': {
+    owner: 'history-store',
+    description: 'A tool execution started.',
+    schema: {
+      type: 'object',
+      required: ['executionId', 'toolName'],
+      properties: {
+        executionId: { type: 'string' },
+        sessionId: { type: 'string' },
+        nodeId: { type: 'string' },
+        toolId: { type: 'string' },
+        toolName: { type: 'string' },
+        arguments: ANY_OBJECT
+      }
+    }
+  },
+  'execution:completed': { owner: 'history-store', description: 'A tool execution succeeded.', schema: EXECUTION_RESULT },
+  'execution:failed': { owner: 'history-store', description: 'A tool execution failed.', schema: EXECUTION_RESULT },
+
+  // usage
+  'usage:recorded': {
+    owner: 'usage-store',
+    description: 'The token usage and cost of an LLM request was added to the ledger.',
+    schema: {
+      type: 'object',
+      required: ['entryId', 'provider', 'model', 'usage', 'cost'],
+      properties: {
+        entryId: { type: 'string' },
+        sessionId: { type: ['string', 'null'] },
+        nodeId: { type: ['string', 'null'] },
+        provider: { type: 'string' },
+        model: { type: 'string' },
+        usage: {
+          type: 'object',
+          required: ['prompt', 'completion', 'total'],
+          properties: {
+            prompt: { type: 'integer', minimum: 0 },
+            completion: { type: 'integer', minimum: 0 },
+            total: { type: 'integer', minimum: 0 }
+          }
+        },
+        cost: { type: 'number', minimum: 0 }
+      }
+    }
+  },
+  'usage:budget-exceeded': {
+    owner: 'usage-store',
+    description: 'A request spent the rest of a session or daily budget; further requests are refused.',
+    schema: {
+      type: 'object',
+      required: ['scope', 'cost', 'tokens', 'limit'],
+      properties: {
+        scope: { type: 'string', enum: ['session', 'daily'] },
+        sessionId: { type: ['string', 'null'] },
+        cost: { type: 'number', minimum: 0 },
+        tokens: { type: 'integer', minimum: 0 },
+        limit: { type: 'object', properties: { cost: { type: 'number' }, tokens: { type: 'integer' } } },
+        exceeded: { type: 'boolean' }
+      }
+    }
+  },
+
+  // storage and UI
+  'storage:change': { owner: 'storage', description: 'Persisted data changed.', schema: ANY_OBJECT },
+  'ui:command': { owner: 'ui', description: 'A UI command was triggered.', schema: ANY_OBJECT },
+  'ui:preview': {
+    owner: 'ui',
+    description: 'Render a component preview.',
+    schema: { type: 'object', properties: { component: { type: 'string' }, props: ANY_OBJECT } }
+  },
+  'ui:approve': { owner: 'ui', description: 'The user approved a UI action.', schema: ANY_OBJECT }
+});
+
+export default EventCatalog;
@@ -1,2 +1,5 @@
-export { EventBus, SystemEvents, globalEventBus } from './event-bus.js';
+export { EventBus, SystemEvents, globalEventBus, isPattern, matchesPattern } from './event-bus.js';
+export { EventCatalog, systemEventCatalog } from './event-catalog.js';
+export { validateSchema } from './schema-validator.js';
+export { EventBusFederation } from './event-bus-federation.js';
 export { default } from './event-bus.js';
@@ -0,0 +1,138 @@
+/**
+ * Schema Validator - Minimal JSON Schema validation
+ * Covers the subset used by event payload schemas: type, enum, const,
+ * properties, required, additionalProperties, items, anyOf, numeric and
+ * string bounds.
+ */
+
+/**
+ * @typedef {Object} ValidationResult
+ * @property {boolean} valid - Whether validation passed
+ * @property {ValidationError[]} errors - Array of validation errors
+ */
+
+/**
+ * @typedef {Object} ValidationError
+ * @property {string} field - Path of the value that failed ('' for the root)
+ * @property {string} message - Error message
+ */
+
+/**
+ * Validate a value against a JSON schema
+ * @param {any} value - Value to validate
+ * @param {Object} schema - JSON schema
+ * @returns {ValidationResult}
+ */
+export function validateSchema(value, schema) {
+  const errors = [];
+  validateNode(value, schema, '', errors);
+  return { valid: errors.length === 0, errors };
+}
+
+function validateNode(value, schema, field, errors) {
+  if (!schema || schema === true) return;
+
+  if (schema.anyOf) {
+    const matched = schema.anyOf.some(option => {
+      const optionErrors = [];
+      validateNode(value, option, field, optionErrors);
+      return optionErrors.length === 0;
+    });
+    if (!matched) {
+      errors.push({ field, message: 'Value does not match any allowed schema' });
+    }
+    return;
+  }
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push({ field, message: `Expected ${types.join(' or ')}, got ${describeType(value)}` });
+      return;
+    }
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push({ field, message: `Expected ${JSON.stringify(schema.const)}` });
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ field, message: `Expected one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}` });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ field, message: `Must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ field, message: `Must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ field, message: `Must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ field, message: `Must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ field, message: `Must match pattern ${schema.pattern}` });
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => validateNode(item, schema.items, `${field}[${i}]`, errors));
+  }
+
+  if (isPlainObject(value)) {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ field: joinPath(field, key), message: 'Required property is missing' });
+      }
+    }
+
+    for (const [key, propValue] of Object.entries(value)) {
+      if (properties[key]) {
+        if (propValue !== undefined) {
+          validateNode(propValue, properties[key], joinPath(field, key), errors);
+        }
+      } else if (schema.additionalProperties === false) {
+        errors.push({ field: joinPath(field, key), message: 'Unexpected property' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        validateNode(propValue, schema.additionalProperties, joinPath(field, key), errors);
+      }
+    }
+  }
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && !Number.isNaN(value);
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'array': return Array.isArray(value);
+    case 'object': return isPlainObject(value);
+    case 'null': return value === null;
+    default: return true;
+  }
+}
+
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function joinPath(base, key) {
+  return base ? `${base}.${key}` : key;
+}
+
+export default validateSchema;
@@ -0,0 +1,399 @@
+/**
+ * BridgeRPC - Promise-based request/response over a MessageBridge
+ *
+ * Shared by MessageBridgeMain and MessageBridgeWorker. Each side registers
+ * method handlers and calls methods registered on the other side:
+ * - `call(method, params)` resolves with the handler's return value
+ * - `stream(method, params)` yields the values of a handler that returns an
+ *   async iterable (e.g. an async generator producing chat deltas)
+ * - Errors cross the boundary with name, message, code, data and stack
+ * - Aborting the caller's signal (or a timeout) cancels the handler's signal
+ *   and stops a streaming handler's iterator on the other side
+ */
+
+/**
+ * @typedef {Object} RPCCallOptions
+ * @property {number} [timeout=30000] - Reject after this many ms (0 disables)
+ * @property {AbortSignal} [signal] - Cancels the call and the remote handler
+ */
+
+/**
+ * @typedef {Object} RPCHandlerContext
+ * @property {string} id - Call ID
+ * @property {string} method - Method name
+ * @property {AbortSignal} signal - Aborted when the caller cancels or times out
+ * @property {string} [clientId] - Calling client (MessageBridgeHub only)
+ */
+
+/**
+ * @callback RPCHandler
+ * @param {any} params - Call parameters
+ * @param {RPCHandlerContext} context
+ * @returns {any|Promise<any>|AsyncIterable<any>} Result, or an async iterable to stream
+ */
+
+/**
+ * Error raised by RPC calls. Remote errors keep their original name and
+ * stack; `code` identifies bridge failures:
+ * METHOD_NOT_FOUND, TIMEOUT, ABORTED, DISCONNECTED, HANDLER_ERROR,
+ * UNSUPPORTED (the other side did not announce RPC in its handshake).
+ */
+export class BridgeRPCError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {string} [code='HANDLER_ERROR'] - Error code
+   * @param {any} [data] - Additional error data
+   */
+  constructor(message, code = 'HANDLER_ERROR', data) {
+    super(message);
+    this.name = 'BridgeRPCError';
+    this.code = code;
+    this.data = data;
+  }
+}
+
+const DEFAULT_TIMEOUT = 30000;
+
+export class BridgeRPC {
+  /**
+   * @param {Object} options
+   * @param {Function} options.post - Sends an RPC message to the other side
+   * @param {string} [options.prefix='rpc'] - Prefix for generated call IDs
+   * @param {number} [options.defaultTimeout=30000] - Timeout when a call sets none
+   * @param {Map<string, RPCHandler>} [options.handlers] - Handler registry (shared between endpoints)
+   * @param {Object} [options.context] - Extra properties passed to handlers in their context
+   */
+  constructor(options) {
+    this.post = options.post;
+    this.prefix = options.prefix || 'rpc';
+    this.defaultTimeout = options.defaultTimeout ?? DEFAULT_TIMEOUT;
+
+    this.handlers = options.handlers || new Map(); // method -> handler
+    this.context = options.context || {};
+    this.pending = new Map(); // id -> outgoing call state
+    this.running = new Map(); // id -> AbortController of incoming call
+    this.callId = 0;
+  }
+
+  /**
+   * Register the handler for a method
+   * @param {string} method - Method name
+   * @param {RPCHandler} handler - Handler function
+   * @returns {Function} Unregister function
+   */
+  handle(method, handler) {
+    if (this.handlers.has(method)) {
+      throw new Error(`Handler already registered for method: ${method}`);
+    }
+    this.handlers.set(method, handler);
+    return () => this.unhandle(method);
+  }
+
+  /**
+   * Remove the handler for a method
+   * @param {string} method - Method name
+   */
+  unhandle(method) {
+    this.handlers.delete(method);
+  }
+
+  /**
+   * Call a method on the other side.
+   * A streaming handler's values are collected into an array.
+   * @param {string} method - Method name
+   * @param {any} [params] - Call parameters (structured-cloned)
+   * @param {RPCCallOptions} [options]
+   * @returns {Promise<any>}
+   */
+  call(method, params, options = {}) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      this._start(method, params, options, {
+        chunk: value => chunks.push(value),
+        end: (result, streamed) => resolve(streamed ? chunks : result),
+        error: reject
+      });
+    });
+  }
+
+  /**
+   * Call a streaming method on the other side.
+   * Breaking out of the loop cancels the remote handler.
+   * @param {string} method - Method name
+   * @param {any} [params] - Call parameters (structured-cloned)
+   * @param {RPCCallOptions} [options] - `timeout` applies to the whole stream
+   * @returns {AsyncIterableIterator<any>}
+   */
+  stream(method, params, options = {}) {
+    const buffer = [];
+    const waiters = [];
+    let done = false;
+    let failure = null;
+
+    const settle = () => {
+      while (waiters.length > 0 && (buffer.length > 0 || done)) {
+        const { resolve, reject } = waiters.shift();
+        if (buffer.length > 0) {
+          resolve({ value: buffer.shift(), done: false });
+        } else if (failure) {
+          reject(failure);
+        } else {
+          resolve({ value: undefined, done: true });
+        }
+      }
+    };
+
+    const id = this._start(method, params, options, {
+      chunk: value => { buffer.push(value); settle(); },
+      end: (result, streamed) => {
+        // A non-streaming handler's result is delivered as a single value
+        if (!streamed && result !== undefined) buffer.push(result);
+        done = true;
+        settle();
+      },
+      error: error => { failure = error; done = true; settle(); }
+    });
+
+    return {
+      next: () => {
+        if (buffer.length > 0) {
+          return Promise.resolve({ value: buffer.shift(), done: false });
+        }
+        if (done) {
+          return failure ? Promise.reject(failure) : Promise.resolve({ value: undefined, done: true });
+        }
+        return new Promise((resolve, reject) => waiters.push({ resolve, reject }));
+      },
+      return: () => {
+        if (!done) {
+          this._cancel(id, new BridgeRPCError('Stream closed by caller', 'ABORTED'));
+        }
+        buffer.length = 0;
+        failure = null;
+        done = true;
+        return Promise.resolve({ value: undefined, done: true });
+      },
+      [Symbol.asyncIterator]() {
+        return this;
+      }
+    };
+  }
+
+  /**
+   * Process an RPC message from the other side
+   * @param {Object} message - Message with a `type` starting with `rpc-`
+   * @returns {boolean} True if the message was an RPC message
+   */
+  handleMessage(message) {
+    switch (message?.type) {
+      case 'rpc-call':
+        this._runHandler(message);
+        return true;
+      case 'rpc-cancel':
+        this.running.get(message.id)?.abort();
+        return true;
+      case 'rpc-chunk':
+        this.pending.get(message.id)?.chunk(message.value);
+        return true;
+      case 'rpc-result':
+        this._settle(message.id, call => call.end(message.result, message.streamed));
+        return true;
+      case 'rpc-error':
+        this._settle(message.id, call => call.error(deserializeError(message.error)));
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Reject an outgoing call locally, e.g. when its message could not be sent
+   * @param {string} id - Call ID
+   * @param {Error} error - Rejection reason
+   */
+  reject(id, error) {
+    this._settle(id, call => call.error(error));
+  }
+
+  /**
+   * Reject all outgoing calls and abort all incoming ones,
+   * e.g. when the worker crashed or the bridge is terminated
+   * @param {string} [reason='Bridge disconnected'] - Error message
+   */
+  disconnect(reason = 'Bridge disconnected') {
+    for (const id of [...this.pending.keys()]) {
+      this._settle(id, call => call.error(new BridgeRPCError(reason, 'DISCONNECTED')));
+    }
+    for (const controller of this.running.values()) {
+      controller.abort();
+    }
+    this.running.clear();
+  }
+
+  /**
+   * Number of outgoing calls waiting for a result
+   * @returns {number}
+   */
+  get pendingCount() {
+    return this.pending.size;
+  }
+
+  /**
+   * Send a call and track its state
+   * @private
+   * @returns {string} Call ID
+   */
+  _start(method, params, options, callbacks) {
+    const id = `${this.prefix}_${++this.callId}_${Date.now()}`;
+    const { signal } = options;
+    const timeout = options.timeout ?? this.defaultTimeout;
+
+    if (signal?.aborted) {
+      callbacks.error(abortError(signal));
+      return id;
+    }
+
+    const call = { ...callbacks, timer: null, onAbort: null, signal };
+
+    if (timeout > 0) {
+      call.timer = setTimeout(() => {
+        this._cancel(id, new BridgeRPCError(`RPC call timed out after ${timeout}ms: ${method}`, 'TIMEOUT'));
+      }, timeout);
+    }
+
+    if (signal) {
+      call.onAbort = () => this._cancel(id, abortError(signal));
+      signal.addEventListener('abort', call.onAbort, { once: true });
+    }
+
+    this.pending.set(id, call);
+    this.post({ type: 'rpc-call', id, method, params });
+    return id;
+  }
+
+  /**
+   * Reject a pending call locally and tell the other side to stop
+   * @private
+   */
+  _cancel(id, error) {
+    if (!this.pending.has(id)) return;
+    this._settle(id, call => call.error(error));
+    this.post({ type: 'rpc-cancel', id });
+  }
+
+  /**
+   * Remove a pending call, release its timer and listener, then notify it
+   * @private
+   */
+  _settle(id, notify) {
+    const call = this.pending.get(id);
+    if (!call) return;
+
+    this.pending.delete(id);
+    clearTimeout(call.timer);
+    if (call.onAbort) {
+      call.signal.removeEventListener('abort', call.onAbort);
+    }
+    notify(call);
+  }
+
+  /**
+   * Run a registered handler for an incoming call
+   * @private
+   */
+  async _runHandler({ id, method, params }) {
+    const handler = this.handlers.get(method);
+    if (!handler) {
+      this.post({
+        type: 'rpc-error',
+        id,
+        error: serializeError(new BridgeRPCError(`No handler registered for method: ${method}`, 'METHOD_NOT_FOUND'))
+      });
+      return;
+    }
+
+    const controller = new AbortController();
+    this.running.set(id, controller);
+
+    try {
+      const result = await handler(params, { ...this.context, id, method, signal: controller.signal });
+
+      if (result && typeof result[Symbol.asyncIterator] === 'function') {
+        await this._pipe(id, result, controller.signal);
+        if (!controller.signal.aborted) {
+          this.post({ type: 'rpc-result', id, streamed: true });
+        }
+      } else if (!controller.signal.aborted) {
+        this.post({ type: 'rpc-result', id, result });
+      }
+    } catch (error) {
+      if (!controller.signal.aborted) {
+        this.post({ type: 'rpc-error', id, error: serializeError(error) });
+      }
+    } finally {
+      this.running.delete(id);
+    }
+  }
+
+  /**
+   * Send each value of an async iterable until it ends or the call is cancelled
+   * @private
+   */
+  async _pipe(id, iterable, signal) {
+    const iterator = iterable[Symbol.asyncIterator]();
+    const stop = () => iterator.return?.();
+    signal.addEventListener('abort', stop, { once: true });
+
+    try {
+      while (!signal.aborted) {
+        const { value, done } = await iterator.next();
+        if (done || signal.aborted) break;
+        this.post({ type: 'rpc-chunk', id, value });
+      }
+    } finally {
+      signal.removeEventListener('abort', stop);
+    }
+  }
+}
+
+function abortError(signal) {
+  const reason = signal.reason;
+  const message = reason instanceof Error ? reason.message : (reason ? String(reason) : 'RPC call aborted');
+  const error = new BridgeRPCError(message, 'ABORTED');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Convert an error to a structured-cloneable object
+ * @param {any} error
+ * @returns {{name: string, message: string, code?: string, data?: any, stack?: string}}
+ */
+export function serializeError(error) {
+  if (error instanceof Error) {
+    return {
+      name: error.name,
+      message: error.message,
+      code: error.code,
+      data: error.data,
+      stack: error.stack
+    };
+  }
+  return { name: 'Error', message: String(error) };
+}
+
+/**
+ * Rebuild a BridgeRPCError from a serialized error
+ * @param {Object} serialized - Output of serializeError
+ * @returns {BridgeRPCError}
+ */
+export function deserializeError(serialized) {
+  const error = new BridgeRPCError(serialized?.message || 'Unknown error', serialized?.code || 'HANDLER_ERROR', serialized?.data);
+  error.name = serialized?.name || 'Error';
+  if (serialized?.stack) {
+    error.stack = serialized.stack;
+  }
+  return error;
+}
+
+export default BridgeRPC;
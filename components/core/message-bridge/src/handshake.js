@@ -0,0 +1,194 @@
+/**
+ * Handshake - Protocol version and capability negotiation
+ *
+ * The worker side sends a hello with its `ready` message; the main side
+ * answers with its own hello in a `handshake` message. Each side then
+ * negotiates the same result from the two hellos:
+ * - Protocol versions are `major.minor`; different majors are incompatible
+ * - A feature is enabled only if both sides declare it
+ * - Message types the peer does not list are never sent to it
+ *
+ * A peer that sends a bare `ready` (an older bundle) is treated as legacy
+ * unless the caller requires a handshake. Only the messages an older bundle
+ * answers are used with it: plain bridge messages and errors. Heartbeats,
+ * RPC and chunking are off, since it would republish their messages as
+ * ordinary events and never reply.
+ */
+
+/** Protocol version spoken by this bundle */
+export const PROTOCOL_VERSION = '1.0';
+
+/** Message types this bundle understands */
+export const MESSAGE_TYPES = [
+  'ready',
+  'handshake',
+  'bridge-message',
+  'bridge-error',
+  'bridge-chunk',
+  'ping',
+  'pong',
+  'rpc-call',
+  'rpc-result',
+  'rpc-error',
+  'rpc-chunk',
+  'rpc-cancel',
+  'disconnect'
+];
+
+/** Message types a peer without a handshake understands */
+const LEGACY_MESSAGE_TYPES = ['ready', 'bridge-message', 'bridge-error'];
+
+/** Features that need message types a legacy peer does not have */
+const LEGACY_DISABLED_FEATURES = ['rpc', 'streaming', 'abort', 'chunking', 'heartbeat'];
+
+/** Bridge features this bundle implements; applications add their own (e.g. preview) */
+export const DEFAULT_FEATURES = {
+  rpc: true,
+  streaming: true,
+  abort: true,
+  chunking: true,
+  transfer: true,
+  heartbeat: true
+};
+
+/**
+ * @typedef {Object} BridgeHello
+ * @property {string} protocol - Protocol version (major.minor)
+ * @property {'main'|'worker'} role - Sending side
+ * @property {string[]} messageTypes - Message types the sender understands
+ * @property {Object<string, boolean>} features - Feature flags
+ * @property {string[]} tools - Tools available on the sender
+ * @property {string[]} providers - LLM providers available on the sender
+ * @property {Object} [meta] - Application data (e.g. build version)
+ */
+
+/**
+ * @typedef {Object} BridgeCapabilities
+ * @property {string} protocol - Version both sides speak (the lower minor)
+ * @property {boolean} legacy - Peer did not send a hello
+ * @property {Object<string, boolean>} features - Features enabled on both sides
+ * @property {string[]} messageTypes - Message types both sides understand
+ */
+
+/**
+ * Error for failed handshakes.
+ * Codes: PROTOCOL_MISMATCH, HANDSHAKE_REQUIRED, MISSING_FEATURES.
+ */
+export class BridgeHandshakeError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {string} code - Error code
+   * @param {Object} [details] - Local and remote hellos, missing features
+   */
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'BridgeHandshakeError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Build the hello for one side
+ * @param {Object} options
+ * @param {'main'|'worker'} options.role - Sending side
+ * @param {Object<string, boolean>} [options.features] - Flags merged over DEFAULT_FEATURES
+ * @param {string[]|Function} [options.tools] - Tool names, or a function returning them
+ * @param {string[]|Function} [options.providers] - Provider names, or a function returning them
+ * @param {Object} [options.meta] - Application data
+ * @returns {BridgeHello}
+ */
+export function createHello(options) {
+  return {
+    protocol: PROTOCOL_VERSION,
+    role: options.role,
+    messageTypes: [...MESSAGE_TYPES],
+    features: { ...DEFAULT_FEATURES, ...(options.features || {}) },
+    tools: resolveList(options.tools),
+    providers: resolveList(options.providers),
+    meta: options.meta || {}
+  };
+}
+
+/**
+ * Negotiate capabilities from both hellos
+ * @param {BridgeHello} local - This side's hello
+ * @param {BridgeHello|null|undefined} remote - Peer's hello (missing for legacy peers)
+ * @param {Object} [options]
+ * @param {boolean} [options.requireHandshake=false] - Reject legacy peers
+ * @param {string[]} [options.requiredFeatures=[]] - Features both sides must support
+ * @returns {BridgeCapabilities}
+ * @throws {BridgeHandshakeError}
+ */
+export function negotiate(local, remote, options = {}) {
+  const requiredFeatures = options.requiredFeatures || [];
+
+  if (!remote) {
+    if (options.requireHandshake || requiredFeatures.length > 0) {
+      throw new BridgeHandshakeError(
+        `Peer did not send a handshake; protocol ${local.protocol} is required. The peer is probably an outdated bundle.`,
+        'HANDSHAKE_REQUIRED',
+        { local, remote: null }
+      );
+    }
+    const features = { ...local.features };
+    for (const name of LEGACY_DISABLED_FEATURES) {
+      features[name] = false;
+    }
+    return {
+      protocol: '0.0',
+      legacy: true,
+      features,
+      messageTypes: local.messageTypes.filter(type => LEGACY_MESSAGE_TYPES.includes(type))
+    };
+  }
+
+  const localVersion = parseVersion(local.protocol);
+  const remoteVersion = parseVersion(remote.protocol);
+  if (localVersion.major !== remoteVersion.major) {
+    throw new BridgeHandshakeError(
+      `Protocol mismatch: ${local.role} speaks ${local.protocol}, ${remote.role} speaks ${remote.protocol}. Reload to update the outdated side.`,
+      'PROTOCOL_MISMATCH',
+      { local, remote }
+    );
+  }
+
+  const features = {};
+  for (const name of new Set([...Object.keys(local.features), ...Object.keys(remote.features || {})])) {
+    features[name] = Boolean(local.features[name] && remote.features?.[name]);
+  }
+
+  const missing = requiredFeatures.filter(name => !features[name]);
+  if (missing.length > 0) {
+    throw new BridgeHandshakeError(
+      `Peer ${remote.role} does not support required features: ${missing.join(', ')}`,
+      'MISSING_FEATURES',
+      { local, remote, missing }
+    );
+  }
+
+  const remoteTypes = new Set(remote.messageTypes || []);
+  return {
+    protocol: `${localVersion.major}.${Math.min(localVersion.minor, remoteVersion.minor)}`,
+    legacy: false,
+    features,
+    messageTypes: local.messageTypes.filter(type => remoteTypes.has(type))
+  };
+}
+
+/**
+ * Parse a `major.minor` version string
+ * @param {string} version
+ * @returns {{major: number, minor: number}}
+ */
+export function parseVersion(version) {
+  const [major, minor] = String(version ?? '0.0').split('.').map(part => parseInt(part, 10) || 0);
+  return { major, minor: minor || 0 };
+}
+
+function resolveList(value) {
+  const list = typeof value === 'function' ? value() : value;
+  return Array.isArray(list) ? [...list] : [];
+}
+
+export default negotiate;
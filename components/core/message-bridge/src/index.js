@@ -10,6 +10,19 @@
 
 export { MessageBridgeMain } from './message-bridge-main.js';
 export { MessageBridgeWorker } from './message-bridge-worker.js';
+export { MessageBridgeHub } from './message-bridge-hub.js';
+export { Transports, createEndpoint, createSharedWorkerEndpoint, createPortEndpoint } from './transports.js';
+export { BridgeRPC, BridgeRPCError } from './bridge-rpc.js';
+export { PayloadTransport, inspectPayload, collectTransferables } from './payload-transport.js';
+export {
+  PROTOCOL_VERSION,
+  MESSAGE_TYPES,
+  DEFAULT_FEATURES,
+  BridgeHandshakeError,
+  createHello,
+  negotiate,
+  parseVersion
+} from './handshake.js';
 
 // Re-export as defaults for convenience
 export { MessageBridgeMain as default } from './message-bridge-main.js';
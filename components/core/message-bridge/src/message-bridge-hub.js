@@ -0,0 +1,570 @@
+/**
+ * MessageBridgeHub - Worker side for many clients
+ *
+ * Counterpart of MessageBridgeMain for transports with several clients:
+ * - In a SharedWorker, every tab that connects becomes a client
+ * - Anywhere else, `addPort()` attaches a MessagePort (e.g. a MessageChannel
+ *   shared with an iframe)
+ *
+ * Each client gets an ID that is sent with its `ready` message, together with
+ * the hub's handshake; each client negotiates its own capabilities. Forwarded
+ * events are broadcast to every client; `sendTo()` targets one client and
+ * `broadcast()` can exclude some. RPC handlers are shared by all clients and
+ * receive the caller's `clientId` in their context.
+ *
+ * A closed or crashed tab gives no signal on its port, so the hub pings
+ * every client that negotiated the heartbeat and removes those that stop
+ * answering.
+ *
+ * Clients announce themselves with `bridge:client-connected` and
+ * `bridge:client-disconnected` on the hub's EventBus.
+ */
+
+import { matchesPattern } from '../../event-bus/src/index.js';
+import { BridgeRPC } from './bridge-rpc.js';
+import { PayloadTransport } from './payload-transport.js';
+import { createHello, negotiate } from './handshake.js';
+
+/**
+ * @typedef {Object} HubClient
+ * @property {string} id - Client ID
+ * @property {MessagePort} port - Port to the client
+ * @property {PayloadTransport} transport - Outgoing/incoming payload handling
+ * @property {BridgeRPC} rpc - RPC endpoint for this client
+ * @property {import('./handshake.js').BridgeHello} hello - Handshake sent to the client
+ * @property {import('./handshake.js').BridgeHello|null} peer - Client's handshake
+ * @property {import('./handshake.js').BridgeCapabilities|null} capabilities - Negotiated capabilities
+ * @property {number} chunkThreshold - Configured chunk threshold, applied once the client confirms chunking
+ * @property {number} connectedAt - Connection time
+ * @property {number} pingSeq - ID of the last ping sent to the client
+ * @property {ReturnType<typeof setTimeout>|null} pongTimer - Pending ping's timeout
+ */
+
+export class MessageBridgeHub {
+  /**
+   * Create a new MessageBridgeHub
+   * @param {Object} options - Configuration options
+   * @param {Object} options.eventBus - EventBus instance on the hub side
+   * @param {string[]} [options.forwardEvents=[]] - Events broadcast to all clients
+   * @param {string[]} [options.receiveEvents=[]] - Events accepted from clients (all if empty)
+   * @param {boolean} [options.autoStart=true] - Start accepting SharedWorker connections on creation
+   * @param {number} [options.rpcTimeout=30000] - Default timeout for `call()` and `stream()` (ms)
+   * @param {boolean} [options.transfer=true] - Transfer ArrayBuffers and MessagePorts instead of copying them
+   * @param {number} [options.chunkThreshold=1048576] - Estimated message size (bytes) above which messages are chunked (0 disables)
+   * @param {number} [options.chunkSize=262144] - Chunk size (bytes)
+   * @param {Object<string, boolean>} [options.features] - Feature flags announced to clients (merged over the bridge defaults)
+   * @param {string[]|Function} [options.tools] - Tool names available in the hub, or a function returning them
+   * @param {string[]|Function} [options.providers] - Provider names available in the hub, or a function returning them
+   * @param {string[]} [options.requiredFeatures=[]] - Features every client must support
+   * @param {number} [options.heartbeatInterval=10000] - Interval for pinging clients (ms, 0 disables)
+   * @param {number} [options.heartbeatTimeout=10000] - Max wait for a client's pong before it is removed (ms)
+   */
+  constructor(options) {
+    this.eventBus = options.eventBus;
+    this.forwardEvents = new Set(options.forwardEvents || []);
+    this.receiveEvents = new Set(options.receiveEvents || []);
+    this.autoStart = options.autoStart ?? true;
+    this.rpcTimeout = options.rpcTimeout;
+    this.transferOptions = {
+      transfer: options.transfer,
+      chunkThreshold: options.chunkThreshold,
+      chunkSize: options.chunkSize
+    };
+    this.helloOptions = {
+      role: 'worker',
+      features: options.features,
+      tools: options.tools,
+      providers: options.providers
+    };
+    this.requiredFeatures = options.requiredFeatures || [];
+    this.heartbeatInterval = options.heartbeatInterval ?? 10000;
+    this.heartbeatTimeout = options.heartbeatTimeout ?? 10000;
+
+    this.isReady = false;
+    this.clientMap = new Map(); // clientId -> HubClient
+    this.subscriptions = new Map(); // event -> subscriptionId
+    this.handlers = new Map(); // RPC method -> handler, shared by all clients
+    this.activeClient = null; // client whose event is being published
+    this.heartbeatTimer = null;
+
+    this._handleConnect = this._handleConnect.bind(this);
+
+    if (this.autoStart) {
+      this.start();
+    }
+  }
+
+  /**
+   * Start forwarding events and, in a SharedWorker, accepting connections
+   */
+  start() {
+    if (this.isReady) {
+      return;
+    }
+
+    if (isSharedWorkerScope()) {
+      self.onconnect = this._handleConnect;
+    }
+
+    this._subscribeToForwardedEvents();
+    if (this.heartbeatInterval > 0) {
+      this.heartbeatTimer = setInterval(() => this._pingClients(), this.heartbeatInterval);
+    }
+    this.isReady = true;
+
+    console.log('[MessageBridgeHub] Hub started');
+  }
+
+  /**
+   * Attach a client port
+   * @param {MessagePort} port - Port to the client
+   * @param {Object} [options]
+   * @param {string} [options.clientId] - Client ID (random by default)
+   * @returns {string} Client ID
+   */
+  addPort(port, options = {}) {
+    const id = options.clientId || crypto.randomUUID();
+    if (this.clientMap.has(id)) {
+      throw new Error(`Client already connected: ${id}`);
+    }
+
+    const transport = new PayloadTransport({
+      post: (message, transfer) => port.postMessage(message, transfer),
+      onProgress: (progress) => this.eventBus.publish('bridge:progress', { ...progress, clientId: id }),
+      onError: (error) => console.error(`[MessageBridgeHub] Failed to send to client ${id}:`, error),
+      prefix: `hub_${id}`,
+      ...this.transferOptions
+    });
+    // Chunks are only sent once the client confirms it reassembles them
+    const chunkThreshold = transport.chunkThreshold;
+    transport.chunkThreshold = 0;
+
+    /** @type {HubClient} */
+    const client = {
+      id,
+      port,
+      transport,
+      rpc: new BridgeRPC({
+        post: (message) => this._post(client, message),
+        prefix: `hub_${id}`,
+        defaultTimeout: this.rpcTimeout,
+        handlers: this.handlers,
+        context: { clientId: id }
+      }),
+      hello: createHello(this.helloOptions),
+      peer: null,
+      capabilities: null,
+      chunkThreshold,
+      connectedAt: Date.now(),
+      pingSeq: 0,
+      pongTimer: null
+    };
+
+    this.clientMap.set(id, client);
+    port.onmessage = (event) => this._handleMessage(client, event);
+    port.start?.();
+
+    port.postMessage({ type: 'ready', clientId: id, handshake: client.hello });
+    this.eventBus.publish('bridge:client-connected', { clientId: id, clients: this.clientMap.size });
+    return id;
+  }
+
+  /**
+   * Detach a client and reject its pending calls
+   * @param {string} clientId - Client ID
+   * @returns {boolean} True if the client was connected
+   */
+  removeClient(clientId) {
+    return this._removeClient(clientId, 'removed');
+  }
+
+  /**
+   * Send an event to one client
+   * @param {string} clientId - Client ID
+   * @param {string} eventName - Event name
+   * @param {any} data - Event payload
+   * @returns {boolean} True if the client is connected
+   */
+  sendTo(clientId, eventName, data) {
+    const client = this.clientMap.get(clientId);
+    if (!client) {
+      console.warn(`[MessageBridgeHub] Unknown client, message dropped: ${clientId}`);
+      return false;
+    }
+
+    this._post(client, { type: 'bridge-message', event: eventName, data });
+    return true;
+  }
+
+  /**
+   * Send an event to all clients
+   * @param {string} eventName - Event name
+   * @param {any} data - Event payload
+   * @param {Object} [options]
+   * @param {string[]} [options.exclude=[]] - Client IDs to skip
+   * @returns {number} Number of clients the event was sent to
+   */
+  broadcast(eventName, data, options = {}) {
+    const exclude = new Set(options.exclude || []);
+    const recipients = [...this.clientMap.values()].filter(client => !exclude.has(client.id));
+    // A transferred buffer can only reach one receiver
+    const transfer = recipients.length === 1 ? undefined : false;
+
+    for (const client of recipients) {
+      this._post(client, { type: 'bridge-message', event: eventName, data }, { transfer });
+    }
+    return recipients.length;
+  }
+
+  /**
+   * Send an event to all clients (same as `broadcast`, for MessageBridgeWorker compatibility)
+   * @param {string} eventName - Event name
+   * @param {any} data - Event payload
+   */
+  send(eventName, data) {
+    this.broadcast(eventName, data);
+  }
+
+  /**
+   * Call a method registered by one client
+   * @param {string} clientId - Client ID
+   * @param {string} method - Method name
+   * @param {any} [params] - Call parameters
+   * @param {import('./bridge-rpc.js').RPCCallOptions} [options] - timeout and signal
+   * @returns {Promise<any>}
+   */
+  call(clientId, method, params, options) {
+    const client = this.clientMap.get(clientId);
+    if (!client) {
+      return Promise.reject(new Error(`Unknown client: ${clientId}`));
+    }
+    return client.rpc.call(method, params, options);
+  }
+
+  /**
+   * Call a streaming method registered by one client
+   * @param {string} clientId - Client ID
+   * @param {string} method - Method name
+   * @param {any} [params] - Call parameters
+   * @param {import('./bridge-rpc.js').RPCCallOptions} [options] - timeout and signal
+   * @returns {AsyncIterableIterator<any>}
+   */
+  stream(clientId, method, params, options) {
+    const client = this.clientMap.get(clientId);
+    if (!client) {
+      throw new Error(`Unknown client: ${clientId}`);
+    }
+    return client.rpc.stream(method, params, options);
+  }
+
+  /**
+   * Register a method every client can call
+   * @param {string} method - Method name
+   * @param {import('./bridge-rpc.js').RPCHandler} handler - Handler; its context includes `clientId`
+   * @returns {Function} Unregister function
+   */
+  handle(method, handler) {
+    if (this.handlers.has(method)) {
+      throw new Error(`Handler already registered for method: ${method}`);
+    }
+    this.handlers.set(method, handler);
+    return () => this.unhandle(method);
+  }
+
+  /**
+   * Remove a registered method
+   * @param {string} method - Method name
+   */
+  unhandle(method) {
+    this.handlers.delete(method);
+  }
+
+  /**
+   * Add an event to broadcast to clients
+   * @param {string} eventName - Event name or pattern
+   */
+  forwardEvent(eventName) {
+    if (this.forwardEvents.has(eventName)) {
+      return;
+    }
+
+    this.forwardEvents.add(eventName);
+
+    if (this.isReady) {
+      this._subscribe(eventName);
+    }
+  }
+
+  /**
+   * Stop broadcasting an event
+   * @param {string} eventName - Event name or pattern
+   */
+  stopForwardingEvent(eventName) {
+    this.forwardEvents.delete(eventName);
+
+    const subscriptionId = this.subscriptions.get(eventName);
+    if (subscriptionId) {
+      this.eventBus.unsubscribe(subscriptionId);
+      this.subscriptions.delete(eventName);
+    }
+  }
+
+  /**
+   * Disconnect all clients and stop the hub
+   */
+  stop() {
+    for (const subscriptionId of this.subscriptions.values()) {
+      this.eventBus.unsubscribe(subscriptionId);
+    }
+    this.subscriptions.clear();
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+
+    for (const clientId of [...this.clientMap.keys()]) {
+      this.removeClient(clientId);
+    }
+
+    if (isSharedWorkerScope() && self.onconnect === this._handleConnect) {
+      self.onconnect = null;
+    }
+
+    this.isReady = false;
+    this.forwardEvents.clear();
+    this.receiveEvents.clear();
+  }
+
+  /**
+   * Whether a feature was negotiated with a client.
+   * False until the client's handshake arrives.
+   * @param {string} clientId - Client ID
+   * @param {string} feature - Feature flag, e.g. 'streaming' or 'preview'
+   * @returns {boolean}
+   */
+  supports(clientId, feature) {
+    return Boolean(this.clientMap.get(clientId)?.capabilities?.features[feature]);
+  }
+
+  /**
+   * A client's handshake (protocol, tools, providers, features)
+   * @param {string} clientId - Client ID
+   * @returns {import('./handshake.js').BridgeHello|null} Null until the handshake arrives
+   */
+  getPeer(clientId) {
+    return this.clientMap.get(clientId)?.peer ?? null;
+  }
+
+  /**
+   * IDs of connected clients
+   * @returns {string[]}
+   */
+  get clients() {
+    return [...this.clientMap.keys()];
+  }
+
+  /**
+   * ID of the client whose event is currently being published, so
+   * subscribers can reply to the sender with `sendTo()`
+   * @returns {string|null}
+   */
+  get currentClient() {
+    return this.activeClient;
+  }
+
+  /**
+   * Check if hub is started
+   * @returns {boolean}
+   */
+  get ready() {
+    return this.isReady;
+  }
+
+  /**
+   * @private
+   */
+  _handleConnect(event) {
+    for (const port of event.ports) {
+      this.addPort(port);
+    }
+  }
+
+  /**
+   * Handle a message from one client
+   * @private
+   */
+  _handleMessage(client, event) {
+    // Any message shows the client is alive
+    clearTimeout(client.pongTimer);
+    client.pongTimer = null;
+
+    const message = client.transport.receive(event.data);
+    if (!message) return;
+
+    if (client.rpc.handleMessage(message)) {
+      return;
+    }
+
+    switch (message.type) {
+      case 'bridge-message':
+        this._publishFrom(client, message.event, message.data);
+        break;
+      case 'handshake':
+        this._handleHandshake(client, message.handshake);
+        break;
+      case 'ping':
+        client.port.postMessage({ type: 'pong', id: message.id, timestamp: message.timestamp });
+        break;
+      case 'disconnect':
+        this._removeClient(client.id, 'disconnected');
+        break;
+    }
+  }
+
+  /**
+   * Detach a client and reject its pending calls
+   * @param {string} clientId - Client ID
+   * @param {'removed'|'disconnected'|'heartbeat-timeout'} reason - Reported with `bridge:client-disconnected`
+   * @returns {boolean} True if the client was connected
+   * @private
+   */
+  _removeClient(clientId, reason) {
+    const client = this.clientMap.get(clientId);
+    if (!client) {
+      return false;
+    }
+
+    this.clientMap.delete(clientId);
+    clearTimeout(client.pongTimer);
+    client.rpc.disconnect(`Client disconnected: ${clientId}`);
+    client.transport.reset();
+    client.port.onmessage = null;
+    client.port.close();
+
+    this.eventBus.publish('bridge:client-disconnected', { clientId, clients: this.clientMap.size, reason });
+    return true;
+  }
+
+  /**
+   * Ping every client that answers pings; a client that has not sent
+   * anything when the timeout fires is removed. Clients that did not
+   * negotiate the heartbeat are left alone.
+   * @private
+   */
+  _pingClients() {
+    for (const client of this.clientMap.values()) {
+      const capabilities = client.capabilities;
+      if (!capabilities?.features.heartbeat || !capabilities.messageTypes.includes('ping') || client.pongTimer) {
+        continue;
+      }
+
+      const id = ++client.pingSeq;
+      client.pongTimer = setTimeout(() => {
+        console.warn(`[MessageBridgeHub] No pong from client ${client.id} within ${this.heartbeatTimeout}ms, removing it`);
+        this._removeClient(client.id, 'heartbeat-timeout');
+      }, this.heartbeatTimeout);
+
+      try {
+        client.port.postMessage({ type: 'ping', id, timestamp: Date.now() });
+      } catch (error) {
+        console.error(`[MessageBridgeHub] Failed to ping client ${client.id}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Negotiate capabilities from a client's handshake.
+   * The client rejects an incompatible hub itself and disconnects; this side only reports it.
+   * @private
+   */
+  _handleHandshake(client, remote) {
+    try {
+      client.capabilities = negotiate(client.hello, remote, { requiredFeatures: this.requiredFeatures });
+    } catch (error) {
+      console.error(`[MessageBridgeHub] Handshake with client ${client.id} failed:`, error.message);
+      this.eventBus.publish('bridge:error', { error: error.message, code: error.code, clientId: client.id, fatal: false });
+      return;
+    }
+
+    client.peer = remote;
+    const { features, messageTypes } = client.capabilities;
+    client.transport.chunkThreshold = features.chunking && messageTypes.includes('bridge-chunk') ? client.chunkThreshold : 0;
+    client.transport.transfer = client.transport.transfer && Boolean(features.transfer);
+
+    this.eventBus.publish('bridge:handshake', {
+      protocol: client.capabilities.protocol,
+      legacy: false,
+      features,
+      peer: { role: remote.role, protocol: remote.protocol, tools: remote.tools, providers: remote.providers },
+      clientId: client.id
+    });
+  }
+
+  /**
+   * Publish a client's event on the hub's EventBus
+   * @private
+   */
+  _publishFrom(client, eventName, data) {
+    if (this.receiveEvents.size > 0 && !this._isReceived(eventName)) {
+      return;
+    }
+
+    const previous = this.activeClient;
+    this.activeClient = client.id;
+    try {
+      this.eventBus.publish(eventName, data);
+    } catch (error) {
+      console.error('[MessageBridgeHub] Error publishing event:', error);
+    } finally {
+      this.activeClient = previous;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _isReceived(eventName) {
+    for (const pattern of this.receiveEvents) {
+      if (matchesPattern(pattern, eventName)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * @private
+   */
+  _subscribeToForwardedEvents() {
+    for (const eventName of this.forwardEvents) {
+      this._subscribe(eventName);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _subscribe(eventName) {
+    const subscriptionId = this.eventBus.subscribe(eventName, (data, meta) => {
+      this.broadcast(meta?.event || eventName, data);
+    }, { sticky: false });
+    this.subscriptions.set(eventName, subscriptionId);
+  }
+
+  /**
+   * Post a message to one client
+   * @private
+   */
+  _post(client, message, options) {
+    try {
+      client.transport.send(message, options);
+    } catch (error) {
+      console.error(`[MessageBridgeHub] Failed to send to client ${client.id}:`, error);
+      if (message.type === 'rpc-call') {
+        client.rpc.reject(message.id, error);
+      }
+    }
+  }
+}
+
+function isSharedWorkerScope() {
+  return typeof SharedWorkerGlobalScope !== 'undefined' && self instanceof SharedWorkerGlobalScope;
+}
+
+export default MessageBridgeHub;
@@ -8,8 +8,41 @@
  * - Main Thread: MessageBridgeMain listens for events from EventBus -> forwards to worker
  * - Worker: MessageBridgeWorker listens for messages from main -> publishes to EventBus
  * - Responses/events flow back through the same bridge
+ *
+ * Resilience:
+ * - Messages sent while the worker is not ready are queued (bounded) and flushed on ready
+ * - An optional ping/pong heartbeat detects hung workers; a hub's pings are answered
+ * - A crashed or hung worker is respawned with exponential backoff; afterwards the
+ *   last payload of each `replayEvents` event is re-sent, then the queue is flushed
+ * - Status is published as `bridge:degraded`, `bridge:reconnected` and `bridge:error`
+ *
+ * RPC:
+ * - `call()`/`stream()` invoke methods registered with `handle()` in the worker (and vice versa)
+ * - Calls made while the worker is not ready are queued like events
+ * - Calls in flight when the worker crashes reject with code DISCONNECTED
+ *
+ * Transports:
+ * - A dedicated Worker by default; a SharedWorker port or a MessagePort (iframes)
+ *   connect to a MessageBridgeHub, which assigns this bridge a `clientId`
+ *
+ * Large payloads:
+ * - ArrayBuffers and MessagePorts in messages are transferred, not copied
+ * - Messages above `chunkThreshold` are sent in chunks with `bridge:progress` events
+ *
+ * Handshake:
+ * - The worker's `ready` carries its protocol version, message types, tools,
+ *   providers and feature flags; this side answers with its own and both
+ *   negotiate the features they share (published as `bridge:handshake`)
+ * - A different protocol major version fails `init()` with a fatal `bridge:error`
+ * - Features or message types the worker lacks are not used (e.g. no chunking)
  */
 
+import { matchesPattern } from '../../event-bus/src/index.js';
+import { BridgeRPC, BridgeRPCError } from './bridge-rpc.js';
+import { PayloadTransport } from './payload-transport.js';
+import { createEndpoint, Transports } from './transports.js';
+import { createHello, negotiate } from './handshake.js';
+
 /**
  * @typedef {Object} BridgeMessage
  * @property {string} event - The event name to be published on the destination Event Bus
@@ -30,26 +63,94 @@ export class MessageBridgeMain {
   /**
    * Create a new MessageBridgeMain
    * @param {Object} options - Configuration options
-   * @param {string} options.workerUrl - URL to the worker script
+   * @param {string} [options.workerUrl] - URL to the worker script (worker and shared-worker transports)
+   * @param {string} [options.transport='worker'] - 'worker', 'shared-worker' or 'port'
+   * @param {string} [options.workerName] - SharedWorker name; bridges using the same URL and name share one worker
+   * @param {MessagePort} [options.port] - Port connected to a MessageBridgeHub (port transport)
    * @param {Object} options.eventBus - EventBus instance for main thread
    * @param {string[]} [options.forwardEvents=[]] - Events to forward to worker
    * @param {string[]} [options.receiveEvents=[]] - Events to receive from worker (all if empty)
-   * @param {number} [options.reconnectDelay=1000] - Delay before reconnecting (ms)
+   * @param {number} [options.reconnectDelay=1000] - Base delay before reconnecting (ms), doubled per attempt
+   * @param {number} [options.maxReconnectDelay=30000] - Upper bound for the reconnect delay (ms)
    * @param {number} [options.maxReconnectAttempts=3] - Max reconnection attempts
+   * @param {boolean} [options.autoReconnect=true] - Respawn the worker after a crash or hang
+   * @param {number} [options.readyTimeout=10000] - Max wait for the worker's ready signal (ms, 0 disables)
+   * @param {number} [options.maxQueueSize=100] - Max messages queued while the worker is not ready
+   * @param {number} [options.heartbeatInterval=0] - Ping interval (ms, 0 disables the heartbeat)
+   * @param {number} [options.heartbeatTimeout=5000] - Max wait for a pong before the worker counts as hung (ms)
+   * @param {string[]} [options.replayEvents=[]] - Forwarded events whose last payload is re-sent after a reconnect
+   * @param {number} [options.rpcTimeout=30000] - Default timeout for `call()` and `stream()` (ms)
+   * @param {boolean} [options.transfer=true] - Transfer ArrayBuffers and MessagePorts instead of copying them
+   * @param {number} [options.chunkThreshold=1048576] - Estimated message size (bytes) above which messages are chunked (0 disables)
+   * @param {number} [options.chunkSize=262144] - Chunk size (bytes)
+   * @param {Object<string, boolean>} [options.features] - Feature flags announced to the worker (merged over the bridge defaults)
+   * @param {string[]|Function} [options.tools] - Tool names available on this side, or a function returning them
+   * @param {string[]|Function} [options.providers] - Provider names available on this side, or a function returning them
+   * @param {boolean} [options.requireHandshake=false] - Reject workers that do not send a handshake
+   * @param {string[]} [options.requiredFeatures=[]] - Features the worker must support
    */
   constructor(options) {
     this.workerUrl = options.workerUrl;
+    this.transportType = options.transport || (options.port ? Transports.PORT : Transports.WORKER);
+    this.workerName = options.workerName;
+    this.port = options.port || null;
     this.eventBus = options.eventBus;
     this.forwardEvents = new Set(options.forwardEvents || []);
     this.receiveEvents = new Set(options.receiveEvents || []);
     this.reconnectDelay = options.reconnectDelay ?? 1000;
+    this.maxReconnectDelay = options.maxReconnectDelay ?? 30000;
     this.maxReconnectAttempts = options.maxReconnectAttempts ?? 3;
+    this.autoReconnect = options.autoReconnect ?? true;
+    this.readyTimeout = options.readyTimeout ?? 10000;
+    this.maxQueueSize = options.maxQueueSize ?? 100;
+    this.heartbeatInterval = options.heartbeatInterval ?? 0;
+    this.heartbeatTimeout = options.heartbeatTimeout ?? 5000;
+    this.replayEvents = new Set(options.replayEvents || []);
+    this.features = options.features || {};
+    this.tools = options.tools;
+    this.providers = options.providers;
+    this.requireHandshake = options.requireHandshake ?? false;
+    this.requiredFeatures = options.requiredFeatures || [];
     
-    this.worker = null;
+    this.worker = null; // Worker or transport endpoint
+    this.clientId = null; // assigned by a MessageBridgeHub
     this.subscriptions = new Map(); // event -> subscriptionId
     this.isReady = false;
     this.reconnectAttempts = 0;
     this.reconnectTimer = null;
+    this.isTerminated = false;
+    this.isRecovering = false;
+
+    this.queue = []; // messages waiting for the worker
+    this.lastPayloads = new Map(); // replay event -> last forwarded payload
+
+    this.heartbeatTimer = null;
+    this.pongTimer = null;
+    this.pingSeq = 0;
+    this.lastPongAt = null;
+    this.latency = null;
+
+    this.peerHello = null; // worker's handshake, null for legacy workers
+    this.negotiated = null; // capabilities shared with the current worker
+
+    this.rpc = new BridgeRPC({
+      post: (message) => this._sendRpc(message),
+      prefix: 'main',
+      defaultTimeout: options.rpcTimeout
+    });
+
+    this.transport = new PayloadTransport({
+      post: (message, transfer) => this.worker.postMessage(message, transfer),
+      onProgress: (progress) => this.eventBus.publish('bridge:progress', progress),
+      onError: (error, message) => this._handleSendError(error, message),
+      transfer: options.transfer,
+      chunkThreshold: options.chunkThreshold,
+      chunkSize: options.chunkSize,
+      prefix: 'main'
+    });
+    // Configured values, restored for each worker before negotiating
+    this.chunkThreshold = this.transport.chunkThreshold;
+    this.transferEnabled = this.transport.transfer;
     
     // Event handlers bound to this instance
     this._handleWorkerMessage = this._handleWorkerMessage.bind(this);
@@ -64,23 +165,90 @@ export class MessageBridgeMain {
     if (this.worker) {
       return;
     }
+    this.isTerminated = false;
     
     return new Promise((resolve, reject) => {
+      let readyTimer = null;
+
+      const fail = (error) => {
+        clearTimeout(readyTimer);
+        this._disposeWorker();
+        if (!this.isRecovering) {
+          this._unsubscribeAll();
+        }
+        reject(error);
+      };
+
       try {
-        this.worker = new Worker(this.workerUrl, { type: 'module' });
+        this.worker = createEndpoint({
+          transport: this.transportType,
+          workerUrl: this.workerUrl,
+          workerName: this.workerName,
+          port: this.port
+        });
+
+        // Subscribe right away so events published during startup are queued
+        this._subscribeToForwardedEvents();
+
+        if (this.readyTimeout > 0) {
+          readyTimer = setTimeout(() => {
+            fail(new Error(`Worker did not become ready within ${this.readyTimeout}ms`));
+          }, this.readyTimeout);
+        }
         
         // Set up message handler
         this.worker.onmessage = (event) => {
-          const { type, event: eventName, data, error } = event.data;
+          // Chunks are buffered until the whole message has arrived
+          const message = this.transport.receive(event.data);
+          if (!message) return;
+
+          const { type, event: eventName, data, error } = message;
           
           // Handle ready message
           if (type === 'ready') {
+            if (this.isReady) return;
+            clearTimeout(readyTimer);
+            this.clientId = message.clientId ?? null;
+            try {
+              this._completeHandshake(message.handshake);
+            } catch (handshakeError) {
+              console.error('[MessageBridgeMain] Handshake failed:', handshakeError.message);
+              if (!this.isRecovering) {
+                this.eventBus.publish('bridge:error', {
+                  error: handshakeError.message,
+                  code: handshakeError.code,
+                  fatal: true
+                });
+              }
+              fail(handshakeError);
+              return;
+            }
             this.isReady = true;
-            this.reconnectAttempts = 0;
-            this._subscribeToForwardedEvents();
+            this._startHeartbeat();
+            // After a crash the reconnect logic replays state before flushing
+            if (!this.isRecovering) {
+              this._flushQueue();
+            }
             resolve();
             return;
           }
+
+          // Handle heartbeat replies
+          if (type === 'pong') {
+            this._handlePong(message);
+            return;
+          }
+
+          // Answer a hub's liveness check
+          if (type === 'ping') {
+            this.worker.postMessage({ type: 'pong', id: message.id, timestamp: message.timestamp });
+            return;
+          }
+
+          // Handle RPC calls, results and stream chunks
+          if (this.rpc.handleMessage(message)) {
+            return;
+          }
           
           // Handle bridge messages
           if (type === 'bridge-message') {
@@ -95,35 +263,105 @@ export class MessageBridgeMain {
           }
         };
         
-        // Handle worker errors
+        // Handle worker errors: fail init, or treat as a crash once running
         this.worker.onerror = (error) => {
           console.error('[MessageBridgeMain] Worker error:', error);
-          this.eventBus.publish('bridge:error', { 
-            error: error.message || 'Worker error',
-            fatal: true 
-          });
-          reject(error);
+          if (!this.isReady) {
+            // During recovery only the final failed attempt is reported
+            if (!this.isRecovering) {
+              this.eventBus.publish('bridge:error', { 
+                error: error.message || 'Worker error',
+                fatal: true 
+              });
+            }
+            fail(error);
+            return;
+          }
+          this._handleWorkerFailure('worker-error', error.message || 'Worker error');
         };
         
       } catch (error) {
-        reject(error);
+        fail(error);
       }
     });
   }
   
+  /**
+   * Negotiate capabilities with the worker and answer its handshake.
+   * The answer is posted before anything else, so the worker knows which
+   * message types it may use before the queue is flushed.
+   * @private
+   * @throws {import('./handshake.js').BridgeHandshakeError}
+   */
+  _completeHandshake(remote) {
+    const local = createHello({
+      role: 'main',
+      features: this.features,
+      tools: this.tools,
+      providers: this.providers
+    });
+    const capabilities = negotiate(local, remote, {
+      requireHandshake: this.requireHandshake,
+      requiredFeatures: this.requiredFeatures
+    });
+
+    this.peerHello = remote || null;
+    this.negotiated = capabilities;
+    this.transport.chunkThreshold = this._accepts('bridge-chunk') && capabilities.features.chunking
+      ? this.chunkThreshold
+      : 0;
+    this.transport.transfer = this.transferEnabled && Boolean(capabilities.features.transfer);
+
+    if (!capabilities.legacy) {
+      this.worker.postMessage({ type: 'handshake', handshake: local });
+    }
+
+    const event = {
+      protocol: capabilities.protocol,
+      legacy: capabilities.legacy,
+      features: capabilities.features,
+      peer: remote
+        ? { role: remote.role, protocol: remote.protocol, tools: remote.tools, providers: remote.providers }
+        : null
+    };
+    if (this.clientId !== null) {
+      event.clientId = this.clientId;
+    }
+    this.eventBus.publish('bridge:handshake', event);
+  }
+
+  /**
+   * Whether the current worker accepts a message type
+   * @private
+   */
+  _accepts(type) {
+    return !this.negotiated || this.negotiated.messageTypes.includes(type);
+  }
+
   /**
    * Handle messages from worker by publishing to main thread EventBus
    * @private
    */
   _handleWorkerMessage(eventName, data) {
     // Filter if specific receive events are configured
-    if (this.receiveEvents.size > 0 && !this.receiveEvents.has(eventName)) {
+    if (this.receiveEvents.size > 0 && !this._isReceived(eventName)) {
       return;
     }
     
     this.eventBus.publish(eventName, data);
   }
   
+  /**
+   * Check an incoming event against the receive filter (names or wildcard patterns)
+   * @private
+   */
+  _isReceived(eventName) {
+    for (const pattern of this.receiveEvents) {
+      if (matchesPattern(pattern, eventName)) return true;
+    }
+    return false;
+  }
+  
   /**
    * Handle errors from worker
    * @private
@@ -145,39 +383,255 @@ export class MessageBridgeMain {
     
     // Subscribe to each event that should be forwarded
     for (const eventName of this.forwardEvents) {
-      const subscriptionId = this.eventBus.subscribe(eventName, (data) => {
-        this._sendToWorker(eventName, data);
-      });
+      const subscriptionId = this.eventBus.subscribe(eventName, (data, meta) => {
+        this._sendToWorker(meta?.event || eventName, data);
+      }, { sticky: false });
       this.subscriptions.set(eventName, subscriptionId);
     }
   }
   
   /**
-   * Send a message to the worker
+   * Send a message to the worker, queueing it while the worker is not ready
    * @private
    */
   _sendToWorker(eventName, data) {
+    if (this._isReplayEvent(eventName)) {
+      this.lastPayloads.set(eventName, data);
+    }
+
+    this._send({ type: 'bridge-message', event: eventName, data });
+  }
+
+  /**
+   * Send an RPC message. Only calls are worth queueing: results and
+   * cancellations for a worker that is gone have no recipient.
+   * @private
+   */
+  _sendRpc(message) {
+    if (message.type !== 'rpc-call' && (!this.worker || !this.isReady)) {
+      if (message.type === 'rpc-cancel') {
+        // Cancelled before it was sent
+        this.queue = this.queue.filter(queued => queued.id !== message.id);
+      }
+      return;
+    }
+    this._send(message);
+  }
+
+  /**
+   * Post a message to the worker, or queue it while the worker is not ready
+   * @private
+   */
+  _send(message) {
     if (!this.worker || !this.isReady) {
-      console.warn('[MessageBridgeMain] Worker not ready, message dropped:', eventName);
+      this._enqueue(message);
       return;
     }
-    
+
+    this._postToWorker(message);
+  }
+
+  /**
+   * Post a message to the running worker
+   * @private
+   */
+  _postToWorker(message) {
     try {
-      this.worker.postMessage({
-        type: 'bridge-message',
-        event: eventName,
-        data
-      });
+      this.transport.send(message);
     } catch (error) {
-      console.error('[MessageBridgeMain] Failed to send message:', error);
-      this.eventBus.publish('bridge:error', { 
-        error: `Failed to send message: ${error.message}`,
-        event: eventName,
-        fatal: false 
-      });
+      this._handleSendError(error, message);
+    }
+  }
+
+  /**
+   * Report a message that could not be posted
+   * @private
+   */
+  _handleSendError(error, message) {
+    console.error('[MessageBridgeMain] Failed to send message:', error);
+    if (message.type === 'rpc-call') {
+      this.rpc.reject(message.id, error);
+      return;
     }
+    this.eventBus.publish('bridge:error', { 
+      error: `Failed to send message: ${error.message}`,
+      event: messageName(message),
+      fatal: false 
+    });
   }
   
+  /**
+   * Queue a message until the worker is ready, dropping the oldest when full
+   * @private
+   */
+  _enqueue(message) {
+    if (this.isTerminated || this.maxQueueSize <= 0) {
+      console.warn('[MessageBridgeMain] Worker not ready, message dropped:', messageName(message));
+      if (message.type === 'rpc-call') {
+        this.rpc.reject(message.id, new BridgeRPCError('Worker not available', 'DISCONNECTED'));
+      }
+      return;
+    }
+
+    this.queue.push(message);
+    if (this.queue.length > this.maxQueueSize) {
+      const dropped = this.queue.shift();
+      const droppedName = messageName(dropped);
+      console.warn('[MessageBridgeMain] Outbound queue full, message dropped:', droppedName);
+      if (dropped.type === 'rpc-call') {
+        this.rpc.reject(dropped.id, new BridgeRPCError('Outbound queue full, call dropped', 'DISCONNECTED'));
+      }
+      this.eventBus.publish('bridge:error', {
+        error: 'Outbound queue full, oldest message dropped',
+        event: droppedName,
+        fatal: false
+      });
+    }
+  }
+
+  /**
+   * Send queued messages in order
+   * @private
+   * @returns {number} Number of messages sent
+   */
+  _flushQueue() {
+    const pending = this.queue;
+    this.queue = [];
+    for (const message of pending) {
+      this._postToWorker(message);
+    }
+    return pending.length;
+  }
+
+  /**
+   * Re-send the last payload of each replay event to a respawned worker.
+   * Replay events still waiting in the queue are skipped; the flush sends them.
+   * @private
+   * @returns {number} Number of messages sent
+   */
+  _replayLastPayloads() {
+    const queued = new Set(this.queue.map(message => message.event));
+    let count = 0;
+    for (const [eventName, data] of this.lastPayloads) {
+      if (queued.has(eventName)) continue;
+      this._postToWorker({ type: 'bridge-message', event: eventName, data });
+      count++;
+    }
+    return count;
+  }
+
+  /**
+   * @private
+   */
+  _isReplayEvent(eventName) {
+    for (const pattern of this.replayEvents) {
+      if (matchesPattern(pattern, eventName)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Start sending pings to the worker
+   * @private
+   */
+  _startHeartbeat() {
+    this._stopHeartbeat();
+    if (this.heartbeatInterval <= 0) return;
+    if (!this._accepts('ping')) {
+      console.warn('[MessageBridgeMain] Worker does not answer pings, heartbeat disabled');
+      return;
+    }
+
+    this.heartbeatTimer = setInterval(() => this._sendPing(), this.heartbeatInterval);
+  }
+
+  /**
+   * @private
+   */
+  _stopHeartbeat() {
+    clearInterval(this.heartbeatTimer);
+    clearTimeout(this.pongTimer);
+    this.heartbeatTimer = null;
+    this.pongTimer = null;
+  }
+
+  /**
+   * Send a ping and arm the pong timeout
+   * @private
+   */
+  _sendPing() {
+    if (!this.worker || !this.isReady || this.pongTimer) return;
+
+    const id = ++this.pingSeq;
+    this.pongTimer = setTimeout(() => {
+      this.pongTimer = null;
+      console.warn(`[MessageBridgeMain] No pong within ${this.heartbeatTimeout}ms, worker appears hung`);
+      this._handleWorkerFailure('heartbeat-timeout', `No heartbeat response within ${this.heartbeatTimeout}ms`);
+    }, this.heartbeatTimeout);
+
+    try {
+      this.worker.postMessage({ type: 'ping', id, timestamp: Date.now() });
+    } catch (error) {
+      console.error('[MessageBridgeMain] Failed to send ping:', error);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _handlePong({ id, timestamp }) {
+    if (id !== this.pingSeq) return;
+    clearTimeout(this.pongTimer);
+    this.pongTimer = null;
+    this.lastPongAt = Date.now();
+    this.latency = timestamp ? this.lastPongAt - timestamp : null;
+  }
+
+  /**
+   * Tear down a crashed or hung worker and start recovery.
+   * Forward subscriptions stay active so new messages are queued meanwhile.
+   * @private
+   */
+  _handleWorkerFailure(reason, message) {
+    if (this.isRecovering || this.isTerminated) return;
+    this.isRecovering = true;
+
+    this._disposeWorker();
+    // The crashed worker will never answer calls in flight
+    this.rpc.disconnect(`Worker lost: ${reason}`);
+    this.eventBus.publish('bridge:degraded', {
+      reason,
+      error: message,
+      queued: this.queue.length
+    });
+
+    // A MessagePort cannot be reopened from this side
+    if (this.autoReconnect && this.transportType !== Transports.PORT) {
+      this._attemptReconnect();
+    } else {
+      this.isRecovering = false;
+      this.eventBus.publish('bridge:error', { error: message, fatal: true });
+    }
+  }
+
+  /**
+   * Stop the heartbeat and terminate the current worker instance
+   * @private
+   */
+  _disposeWorker() {
+    this._stopHeartbeat();
+    this.transport.reset();
+    this.isReady = false;
+    this.peerHello = null;
+    this.negotiated = null;
+    if (this.worker) {
+      this.worker.onmessage = null;
+      this.worker.onerror = null;
+      this.worker.terminate();
+      this.worker = null;
+    }
+  }
+
   /**
    * Add an event to forward to worker
    * @param {string} eventName - Event to forward
@@ -189,10 +643,10 @@ export class MessageBridgeMain {
     
     this.forwardEvents.add(eventName);
     
-    if (this.isReady) {
-      const subscriptionId = this.eventBus.subscribe(eventName, (data) => {
-        this._sendToWorker(eventName, data);
-      });
+    if (this.worker || this.isRecovering) {
+      const subscriptionId = this.eventBus.subscribe(eventName, (data, meta) => {
+        this._sendToWorker(meta?.event || eventName, data);
+      }, { sticky: false });
       this.subscriptions.set(eventName, subscriptionId);
     }
   }
@@ -229,6 +683,9 @@ export class MessageBridgeMain {
   async _attemptReconnect() {
     if (this.reconnectAttempts >= this.maxReconnectAttempts) {
       console.error('[MessageBridgeMain] Max reconnection attempts reached');
+      this.isRecovering = false;
+      this.queue = this.queue.filter(message => message.type !== 'rpc-call');
+      this.rpc.disconnect('Max reconnection attempts reached');
       this.eventBus.publish('bridge:error', { 
         error: 'Max reconnection attempts reached',
         fatal: true 
@@ -237,24 +694,35 @@ export class MessageBridgeMain {
     }
     
     this.reconnectAttempts++;
-    console.log(`[MessageBridgeMain] Reconnecting... (attempt ${this.reconnectAttempts})`);
+    const attempt = this.reconnectAttempts;
+    const delay = Math.min(this.reconnectDelay * Math.pow(2, attempt - 1), this.maxReconnectDelay);
+    console.log(`[MessageBridgeMain] Reconnecting in ${delay}ms... (attempt ${attempt})`);
     
     this.reconnectTimer = setTimeout(async () => {
+      this.reconnectTimer = null;
+      if (this.isTerminated) return;
       try {
         await this.init();
+        const replayed = this._replayLastPayloads();
+        const flushed = this._flushQueue();
+        this.reconnectAttempts = 0;
+        this.isRecovering = false;
         console.log('[MessageBridgeMain] Reconnected successfully');
-        this.eventBus.publish('bridge:reconnected', { attempt: this.reconnectAttempts });
+        this.eventBus.publish('bridge:reconnected', { attempt, replayed, flushed });
       } catch (error) {
         console.error('[MessageBridgeMain] Reconnection failed:', error);
         this._attemptReconnect();
       }
-    }, this.reconnectDelay);
+    }, delay);
   }
   
   /**
    * Terminate the worker and clean up
    */
   terminate() {
+    this.isTerminated = true;
+    this.isRecovering = false;
+
     // Clear reconnect timer
     if (this.reconnectTimer) {
       clearTimeout(this.reconnectTimer);
@@ -264,13 +732,12 @@ export class MessageBridgeMain {
     // Unsubscribe from all events
     this._unsubscribeAll();
     
-    // Terminate worker
-    if (this.worker) {
-      this.worker.terminate();
-      this.worker = null;
-    }
+    // Stop heartbeat and terminate worker
+    this._disposeWorker();
     
-    this.isReady = false;
+    this.queue = [];
+    this.rpc.disconnect('Bridge terminated');
+    this.lastPayloads.clear();
     this.forwardEvents.clear();
     this.receiveEvents.clear();
   }
@@ -283,6 +750,54 @@ export class MessageBridgeMain {
   send(eventName, data) {
     this._sendToWorker(eventName, data);
   }
+
+  /**
+   * Call a method registered in the worker
+   * @param {string} method - Method name
+   * @param {any} [params] - Call parameters
+   * @param {import('./bridge-rpc.js').RPCCallOptions} [options] - timeout and signal
+   * @returns {Promise<any>} Handler result (an array of values for streaming handlers)
+   */
+  call(method, params, options) {
+    if (!this._accepts('rpc-call')) {
+      return Promise.reject(new BridgeRPCError('Worker does not support RPC', 'UNSUPPORTED'));
+    }
+    return this.rpc.call(method, params, options);
+  }
+
+  /**
+   * Call a streaming method registered in the worker
+   * @param {string} method - Method name
+   * @param {any} [params] - Call parameters
+   * @param {import('./bridge-rpc.js').RPCCallOptions} [options] - timeout and signal
+   * @returns {AsyncIterableIterator<any>} Values yielded by the handler
+   */
+  stream(method, params, options) {
+    if (!this._accepts('rpc-call')) {
+      return (async function* unsupported() {
+        throw new BridgeRPCError('Worker does not support RPC', 'UNSUPPORTED');
+      })();
+    }
+    return this.rpc.stream(method, params, options);
+  }
+
+  /**
+   * Register a method the worker can call
+   * @param {string} method - Method name
+   * @param {import('./bridge-rpc.js').RPCHandler} handler - Handler function
+   * @returns {Function} Unregister function
+   */
+  handle(method, handler) {
+    return this.rpc.handle(method, handler);
+  }
+
+  /**
+   * Remove a registered method
+   * @param {string} method - Method name
+   */
+  unhandle(method) {
+    this.rpc.unhandle(method);
+  }
   
   /**
    * Check if worker is ready
@@ -291,6 +806,48 @@ export class MessageBridgeMain {
   get ready() {
     return this.isReady;
   }
+
+  /**
+   * Number of messages waiting for the worker
+   * @returns {number}
+   */
+  get queueLength() {
+    return this.queue.length;
+  }
+
+  /**
+   * Whether a feature was negotiated with the current worker.
+   * False until the worker is ready.
+   * @param {string} feature - Feature flag, e.g. 'streaming' or 'preview'
+   * @returns {boolean}
+   */
+  supports(feature) {
+    return Boolean(this.negotiated?.features[feature]);
+  }
+
+  /**
+   * The worker's handshake (protocol, tools, providers, features), or null
+   * before ready and for legacy workers
+   * @returns {import('./handshake.js').BridgeHello|null}
+   */
+  get peer() {
+    return this.peerHello;
+  }
+
+  /**
+   * Capabilities negotiated with the current worker, or null before ready
+   * @returns {import('./handshake.js').BridgeCapabilities|null}
+   */
+  get capabilities() {
+    return this.negotiated;
+  }
+}
+
+/**
+ * Name used when reporting a message (event name or RPC method)
+ */
+function messageName(message) {
+  return message.event || message.method || message.type;
 }
 
 // Default export
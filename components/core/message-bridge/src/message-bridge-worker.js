@@ -8,8 +8,17 @@
  * - Main Thread: MessageBridgeMain listens for events from EventBus -> forwards to worker
  * - Worker: MessageBridgeWorker listens for messages from main -> publishes to EventBus
  * - Responses/events flow back through the same bridge
+ * - Methods registered with `handle()` answer `call()`/`stream()` from the main thread
+ * - Large payloads are transferred or chunked (see PayloadTransport)
+ * - `ready` carries this side's handshake; chunking starts once the main
+ *   thread's handshake confirms it can reassemble chunks
  */
 
+import { matchesPattern } from '../../event-bus/src/index.js';
+import { BridgeRPC, BridgeRPCError } from './bridge-rpc.js';
+import { PayloadTransport } from './payload-transport.js';
+import { createHello, negotiate } from './handshake.js';
+
 /**
  * @typedef {Object} BridgeMessage
  * @property {string} event - The event name to be published on the destination Event Bus
@@ -28,15 +37,49 @@ export class MessageBridgeWorker {
    * @param {string[]} [options.forwardEvents=[]] - Events to forward to main thread
    * @param {string[]} [options.receiveEvents=[]] - Events to receive from main (all if empty)
    * @param {boolean} [options.autoStart=true] - Automatically start listening on creation
+   * @param {number} [options.rpcTimeout=30000] - Default timeout for `call()` and `stream()` (ms)
+   * @param {boolean} [options.transfer=true] - Transfer ArrayBuffers and MessagePorts instead of copying them
+   * @param {number} [options.chunkThreshold=1048576] - Estimated message size (bytes) above which messages are chunked (0 disables)
+   * @param {number} [options.chunkSize=262144] - Chunk size (bytes)
+   * @param {Object<string, boolean>} [options.features] - Feature flags announced to the main thread (merged over the bridge defaults)
+   * @param {string[]|Function} [options.tools] - Tool names available in the worker, or a function returning them
+   * @param {string[]|Function} [options.providers] - Provider names available in the worker, or a function returning them
+   * @param {string[]} [options.requiredFeatures=[]] - Features the main thread must support
    */
   constructor(options) {
     this.eventBus = options.eventBus;
     this.forwardEvents = new Set(options.forwardEvents || []);
     this.receiveEvents = new Set(options.receiveEvents || []);
     this.autoStart = options.autoStart ?? true;
+    this.features = options.features || {};
+    this.tools = options.tools;
+    this.providers = options.providers;
+    this.requiredFeatures = options.requiredFeatures || [];
     
     this.isReady = false;
     this.subscriptions = new Map(); // event -> subscriptionId
+    this.hello = null; // handshake sent with ready
+    this.peerHello = null; // main thread's handshake
+    this.negotiated = null; // capabilities shared with the main thread
+
+    this.rpc = new BridgeRPC({
+      post: (message) => this._postRpc(message),
+      prefix: 'worker',
+      defaultTimeout: options.rpcTimeout
+    });
+
+    this.transport = new PayloadTransport({
+      post: (message, transfer) => self.postMessage(message, transfer),
+      onProgress: (progress) => this.eventBus.publish('bridge:progress', progress),
+      onError: (error) => this._sendError(error),
+      transfer: options.transfer,
+      chunkThreshold: options.chunkThreshold,
+      chunkSize: options.chunkSize,
+      prefix: 'worker'
+    });
+    // Chunks are only sent once the main thread confirms it reassembles them
+    this.chunkThreshold = this.transport.chunkThreshold;
+    this.transport.chunkThreshold = 0;
     
     // Bind methods
     this._handleMessage = this._handleMessage.bind(this);
@@ -88,7 +131,13 @@ export class MessageBridgeWorker {
    */
   _notifyReady() {
     if (typeof self !== 'undefined') {
-      self.postMessage({ type: 'ready' });
+      this.hello = createHello({
+        role: 'worker',
+        features: this.features,
+        tools: this.tools,
+        providers: this.providers
+      });
+      self.postMessage({ type: 'ready', handshake: this.hello });
     }
   }
   
@@ -97,24 +146,73 @@ export class MessageBridgeWorker {
    * @private
    */
   _handleMessage(event) {
-    const { type, event: eventName, data } = event.data;
+    // Chunks are buffered until the whole message has arrived
+    const message = this.transport.receive(event.data);
+    if (!message) return;
+
+    const { type, event: eventName, data } = message;
+
+    // RPC calls, results and stream chunks
+    if (this.rpc.handleMessage(message)) {
+      return;
+    }
     
     if (type === 'bridge-message') {
       this._handleBridgeMessage(eventName, data);
+    } else if (type === 'handshake') {
+      this._handleHandshake(message.handshake);
+    } else if (type === 'ping') {
+      // Heartbeat from main thread
+      self.postMessage({ type: 'pong', id: message.id, timestamp: message.timestamp });
     } else if (type) {
       // Fallback: handle raw messages where type is the event name
       // and the entire data object is the event payload
-      this._handleBridgeMessage(type, event.data);
+      this._handleBridgeMessage(type, message);
     }
   }
   
+  /**
+   * Negotiate capabilities from the main thread's handshake.
+   * The main thread rejects an incompatible worker itself; this side only reports it.
+   * @private
+   */
+  _handleHandshake(remote) {
+    try {
+      this.negotiated = negotiate(this.hello, remote, { requiredFeatures: this.requiredFeatures });
+    } catch (error) {
+      console.error('[MessageBridgeWorker] Handshake failed:', error.message);
+      this.eventBus.publish('bridge:error', { error: error.message, code: error.code, fatal: true });
+      return;
+    }
+
+    this.peerHello = remote;
+    const { features, messageTypes } = this.negotiated;
+    this.transport.chunkThreshold = features.chunking && messageTypes.includes('bridge-chunk') ? this.chunkThreshold : 0;
+    this.transport.transfer = this.transport.transfer && Boolean(features.transfer);
+
+    this.eventBus.publish('bridge:handshake', {
+      protocol: this.negotiated.protocol,
+      legacy: false,
+      features,
+      peer: { role: remote.role, protocol: remote.protocol, tools: remote.tools, providers: remote.providers }
+    });
+  }
+
+  /**
+   * Whether the main thread accepts a message type
+   * @private
+   */
+  _accepts(type) {
+    return !this.negotiated || this.negotiated.messageTypes.includes(type);
+  }
+
   /**
    * Handle bridge messages by publishing to worker's EventBus
    * @private
    */
   _handleBridgeMessage(eventName, data) {
     // Filter if specific receive events are configured
-    if (this.receiveEvents.size > 0 && !this.receiveEvents.has(eventName)) {
+    if (this.receiveEvents.size > 0 && !this._isReceived(eventName)) {
       return;
     }
     
@@ -126,6 +224,17 @@ export class MessageBridgeWorker {
     }
   }
   
+  /**
+   * Check an incoming event against the receive filter (names or wildcard patterns)
+   * @private
+   */
+  _isReceived(eventName) {
+    for (const pattern of this.receiveEvents) {
+      if (matchesPattern(pattern, eventName)) return true;
+    }
+    return false;
+  }
+  
   /**
    * Subscribe to events that should be forwarded to main thread
    * @private
@@ -136,8 +245,8 @@ export class MessageBridgeWorker {
     
     // Subscribe to each event that should be forwarded
     for (const eventName of this.forwardEvents) {
-      const subscriptionId = this.eventBus.subscribe(eventName, (data) => {
-        this._sendToMain(eventName, data);
+      const subscriptionId = this.eventBus.subscribe(eventName, (data, meta) => {
+        this._sendToMain(meta?.event || eventName, data);
       });
       this.subscriptions.set(eventName, subscriptionId);
     }
@@ -154,7 +263,7 @@ export class MessageBridgeWorker {
     }
     
     try {
-      self.postMessage({
+      this.transport.send({
         type: 'bridge-message',
         event: eventName,
         data
@@ -165,6 +274,29 @@ export class MessageBridgeWorker {
     }
   }
   
+  /**
+   * Send an RPC message to the main thread
+   * @private
+   */
+  _postRpc(message) {
+    if (typeof self === 'undefined') {
+      console.warn('[MessageBridgeWorker] Not in worker context');
+      return;
+    }
+
+    try {
+      this.transport.send(message);
+    } catch (error) {
+      console.error('[MessageBridgeWorker] Failed to send RPC message:', error);
+      if (message.type === 'rpc-call') {
+        this.rpc.reject(message.id, error);
+      } else if (message.type !== 'rpc-error') {
+        // e.g. a result that cannot be cloned: report it to the caller instead
+        this._postRpc({ type: 'rpc-error', id: message.id, error: { name: error.name, message: error.message, stack: error.stack } });
+      }
+    }
+  }
+
   /**
    * Send an error to the main thread
    * @private
@@ -199,8 +331,8 @@ export class MessageBridgeWorker {
     this.forwardEvents.add(eventName);
     
     if (this.isReady) {
-      const subscriptionId = this.eventBus.subscribe(eventName, (data) => {
-        this._sendToMain(eventName, data);
+      const subscriptionId = this.eventBus.subscribe(eventName, (data, meta) => {
+        this._sendToMain(meta?.event || eventName, data);
       });
       this.subscriptions.set(eventName, subscriptionId);
     }
@@ -243,10 +375,59 @@ export class MessageBridgeWorker {
       self.onmessage = null;
     }
     
+    this.rpc.disconnect('Bridge stopped');
     this.isReady = false;
     this.forwardEvents.clear();
     this.receiveEvents.clear();
   }
+
+  /**
+   * Call a method registered on the main thread
+   * @param {string} method - Method name
+   * @param {any} [params] - Call parameters
+   * @param {import('./bridge-rpc.js').RPCCallOptions} [options] - timeout and signal
+   * @returns {Promise<any>} Handler result (an array of values for streaming handlers)
+   */
+  call(method, params, options) {
+    if (!this._accepts('rpc-call')) {
+      return Promise.reject(new BridgeRPCError('Main thread does not support RPC', 'UNSUPPORTED'));
+    }
+    return this.rpc.call(method, params, options);
+  }
+
+  /**
+   * Call a streaming method registered on the main thread
+   * @param {string} method - Method name
+   * @param {any} [params] - Call parameters
+   * @param {import('./bridge-rpc.js').RPCCallOptions} [options] - timeout and signal
+   * @returns {AsyncIterableIterator<any>} Values yielded by the handler
+   */
+  stream(method, params, options) {
+    if (!this._accepts('rpc-call')) {
+      return (async function* unsupported() {
+        throw new BridgeRPCError('Main thread does not support RPC', 'UNSUPPORTED');
+      })();
+    }
+    return this.rpc.stream(method, params, options);
+  }
+
+  /**
+   * Register a method the main thread can call
+   * @param {string} method - Method name
+   * @param {import('./bridge-rpc.js').RPCHandler} handler - Handler function
+   * @returns {Function} Unregister function
+   */
+  handle(method, handler) {
+    return this.rpc.handle(method, handler);
+  }
+
+  /**
+   * Remove a registered method
+   * @param {string} method - Method name
+   */
+  unhandle(method) {
+    this.rpc.unhandle(method);
+  }
   
   /**
    * Check if bridge is ready
@@ -255,6 +436,32 @@ export class MessageBridgeWorker {
   get ready() {
     return this.isReady;
   }
+
+  /**
+   * Whether a feature was negotiated with the main thread.
+   * False until the main thread's handshake arrives.
+   * @param {string} feature - Feature flag, e.g. 'streaming' or 'preview'
+   * @returns {boolean}
+   */
+  supports(feature) {
+    return Boolean(this.negotiated?.features[feature]);
+  }
+
+  /**
+   * The main thread's handshake, or null until it arrives
+   * @returns {import('./handshake.js').BridgeHello|null}
+   */
+  get peer() {
+    return this.peerHello;
+  }
+
+  /**
+   * Capabilities negotiated with the main thread, or null until its handshake arrives
+   * @returns {import('./handshake.js').BridgeCapabilities|null}
+   */
+  get capabilities() {
+    return this.negotiated;
+  }
 }
 
 // Default export
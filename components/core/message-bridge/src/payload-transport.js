@@ -0,0 +1,292 @@
+/**
+ * PayloadTransport - Efficient postMessage for large payloads
+ *
+ * Sits between a bridge and `postMessage`:
+ * - ArrayBuffers (including the buffers behind typed arrays) and MessagePorts
+ *   found in a message are transferred instead of copied. Transferred buffers
+ *   are detached in the sending context.
+ * - Messages larger than `chunkThreshold` without transferables are encoded
+ *   as JSON and sent as a sequence of transferred binary chunks, one per
+ *   task, so the sender stays responsive and the receiver reports progress.
+ *   Messages containing values JSON cannot represent (Map, Set, Date, Blob...)
+ *   are always sent as a single structured clone.
+ * - Messages sent while a chunked transfer is in progress wait behind it, so
+ *   the receiver sees messages in the order they were sent.
+ */
+
+/**
+ * @typedef {Object} TransferProgress
+ * @property {string} id - Transfer ID
+ * @property {string} event - Event or RPC method being transferred
+ * @property {'send'|'receive'} direction - Direction seen from this side
+ * @property {number} loaded - Bytes sent or received so far
+ * @property {number} total - Total bytes
+ */
+
+const DEFAULT_CHUNK_THRESHOLD = 1024 * 1024; // 1 MB
+const DEFAULT_CHUNK_SIZE = 256 * 1024; // 256 KB
+
+export class PayloadTransport {
+  /**
+   * @param {Object} options
+   * @param {Function} options.post - `(message, transfer) => void`, e.g. `worker.postMessage`
+   * @param {Function} [options.onProgress] - Called with a TransferProgress for each chunk
+   * @param {Function} [options.onError] - Called with `(error, message)` when an async chunk post fails
+   * @param {boolean} [options.transfer=true] - Transfer ArrayBuffers and MessagePorts
+   * @param {number} [options.chunkThreshold=1048576] - Estimated size (bytes) above which messages are chunked (0 disables)
+   * @param {number} [options.chunkSize=262144] - Size of each chunk (bytes)
+   * @param {string} [options.prefix='transfer'] - Prefix for generated transfer IDs
+   */
+  constructor(options) {
+    this.post = options.post;
+    this.onProgress = options.onProgress || null;
+    this.onError = options.onError || null;
+    this.transfer = options.transfer ?? true;
+    this.chunkThreshold = options.chunkThreshold ?? DEFAULT_CHUNK_THRESHOLD;
+    this.chunkSize = options.chunkSize ?? DEFAULT_CHUNK_SIZE;
+    this.prefix = options.prefix || 'transfer';
+
+    this.outbox = []; // messages waiting behind a chunked transfer
+    this.sending = null; // { timer } while a chunked transfer is in progress
+    this.incoming = new Map(); // transfer id -> { parts, loaded, total, event }
+    this.transferId = 0;
+  }
+
+  /**
+   * Send a message, transferring or chunking it when worthwhile.
+   * Posting is synchronous unless a chunked transfer is in progress.
+   * @param {Object} message - Message to post
+   * @param {Object} [options]
+   * @param {boolean} [options.transfer] - Override transferring for this message,
+   *   e.g. false when the same payload is sent to several receivers
+   */
+  send(message, options = {}) {
+    const transfer = options.transfer ?? this.transfer;
+    if (this.sending) {
+      this.outbox.push({ message, transfer });
+      return;
+    }
+    this._dispatch(message, transfer);
+  }
+
+  /**
+   * Process an incoming message
+   * @param {Object} message - Message received from the other side
+   * @returns {Object|null} The message to handle, or null while a chunked message is incomplete
+   */
+  receive(message) {
+    if (message?.type !== 'bridge-chunk') {
+      return message;
+    }
+
+    let transfer = this.incoming.get(message.id);
+    if (!transfer) {
+      transfer = { parts: new Array(message.count), received: 0, loaded: 0, total: message.total, event: message.event };
+      this.incoming.set(message.id, transfer);
+    }
+
+    transfer.parts[message.index] = new Uint8Array(message.chunk);
+    transfer.received++;
+    transfer.loaded += message.chunk.byteLength;
+    this._reportProgress(message.id, transfer.event, 'receive', transfer.loaded, transfer.total);
+
+    if (transfer.received < message.count) {
+      return null;
+    }
+
+    this.incoming.delete(message.id);
+    return decodeChunks(transfer.parts, transfer.total);
+  }
+
+  /**
+   * Drop outgoing and partially received transfers, e.g. after the other side crashed
+   */
+  reset() {
+    clearTimeout(this.sending?.timer);
+    this.sending = null;
+    this.outbox = [];
+    this.incoming.clear();
+  }
+
+  /**
+   * Whether a chunked transfer is in progress
+   * @returns {boolean}
+   */
+  get busy() {
+    return this.sending !== null;
+  }
+
+  /**
+   * @private
+   */
+  _dispatch(message, transfer) {
+    const { transferables, size, jsonSafe } = inspectPayload(message, transfer);
+
+    if (this.chunkThreshold > 0 && size > this.chunkThreshold && jsonSafe && transferables.length === 0) {
+      this._sendChunked(message);
+      return;
+    }
+
+    this.post(message, transferables);
+  }
+
+  /**
+   * Send a message as transferred binary chunks, one chunk per task
+   * @private
+   */
+  _sendChunked(message) {
+    const bytes = new TextEncoder().encode(JSON.stringify(message));
+    const id = `${this.prefix}_${++this.transferId}_${Date.now()}`;
+    const event = message.event || message.method || message.type;
+    const count = Math.max(1, Math.ceil(bytes.byteLength / this.chunkSize));
+    let index = 0;
+
+    const sendNext = () => {
+      const start = index * this.chunkSize;
+      const chunk = bytes.slice(start, start + this.chunkSize).buffer;
+
+      try {
+        this.post({ type: 'bridge-chunk', id, index, count, total: bytes.byteLength, event, chunk }, [chunk]);
+      } catch (error) {
+        this.sending = null;
+        this.onError?.(error, message);
+        this._drain();
+        return;
+      }
+
+      index++;
+      this._reportProgress(id, event, 'send', Math.min(index * this.chunkSize, bytes.byteLength), bytes.byteLength);
+
+      if (index < count) {
+        this.sending.timer = setTimeout(sendNext, 0);
+      } else {
+        this.sending = null;
+        this._drain();
+      }
+    };
+
+    this.sending = { timer: null };
+    sendNext();
+  }
+
+  /**
+   * Send messages that waited behind a chunked transfer
+   * @private
+   */
+  _drain() {
+    while (this.outbox.length > 0 && !this.sending) {
+      const { message, transfer } = this.outbox.shift();
+      this._dispatch(message, transfer);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _reportProgress(id, event, direction, loaded, total) {
+    if (!this.onProgress) return;
+    try {
+      this.onProgress({ id, event, direction, loaded, total });
+    } catch (error) {
+      console.error('[PayloadTransport] Progress handler failed:', error);
+    }
+  }
+}
+
+/**
+ * Walk a value once, collecting transferables and estimating its clone size
+ * @param {any} value - Value to inspect
+ * @param {boolean} [collect=true] - Collect transferables
+ * @returns {{transferables: Array, size: number, jsonSafe: boolean}}
+ */
+export function inspectPayload(value, collect = true) {
+  const state = { transferables: new Set(), size: 0, jsonSafe: true, collect };
+  inspect(value, state, new Set());
+  return { transferables: [...state.transferables], size: state.size, jsonSafe: state.jsonSafe };
+}
+
+/**
+ * Collect the ArrayBuffers and MessagePorts in a value
+ * @param {any} value - Value to inspect
+ * @returns {Array} Transfer list for postMessage
+ */
+export function collectTransferables(value) {
+  return inspectPayload(value).transferables;
+}
+
+function inspect(value, state, seen) {
+  if (typeof value === 'string') {
+    state.size += value.length * 2;
+    return;
+  }
+  if (value === null || typeof value !== 'object') {
+    state.size += 8;
+    return;
+  }
+  if (seen.has(value)) return;
+  seen.add(value);
+
+  if (value instanceof ArrayBuffer) {
+    state.size += value.byteLength;
+    state.jsonSafe = false;
+    if (state.collect) state.transferables.add(value);
+    return;
+  }
+  if (ArrayBuffer.isView(value)) {
+    state.size += value.byteLength;
+    state.jsonSafe = false;
+    // SharedArrayBuffers are shared, not transferred
+    if (state.collect && value.buffer instanceof ArrayBuffer) state.transferables.add(value.buffer);
+    return;
+  }
+  if (isMessagePort(value)) {
+    state.jsonSafe = false;
+    if (state.collect) state.transferables.add(value);
+    return;
+  }
+
+  if (Array.isArray(value)) {
+    for (const item of value) inspect(item, state, seen);
+    return;
+  }
+  if (value instanceof Map) {
+    state.jsonSafe = false;
+    for (const [key, item] of value) {
+      inspect(key, state, seen);
+      inspect(item, state, seen);
+    }
+    return;
+  }
+  if (value instanceof Set) {
+    state.jsonSafe = false;
+    for (const item of value) inspect(item, state, seen);
+    return;
+  }
+
+  const proto = Object.getPrototypeOf(value);
+  if (proto !== Object.prototype && proto !== null) {
+    // Date, RegExp, Blob, Error... are cloned as-is
+    state.jsonSafe = false;
+    return;
+  }
+  for (const key of Object.keys(value)) {
+    state.size += key.length * 2;
+    inspect(value[key], state, seen);
+  }
+}
+
+function isMessagePort(value) {
+  return typeof MessagePort !== 'undefined' && value instanceof MessagePort;
+}
+
+function decodeChunks(parts, total) {
+  const bytes = new Uint8Array(total);
+  let offset = 0;
+  for (const part of parts) {
+    bytes.set(part, offset);
+    offset += part.byteLength;
+  }
+  return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+export default PayloadTransport;
@@ -0,0 +1,98 @@
+/**
+ * Transports - Endpoints MessageBridgeMain can talk through
+ *
+ * An endpoint looks like a dedicated Worker: `postMessage(message, transfer)`,
+ * `onmessage`, `onerror` and `terminate()`.
+ * - 'worker': a dedicated module Worker (one agent per tab)
+ * - 'shared-worker': a port of a module SharedWorker (one agent shared by all tabs)
+ * - 'port': a MessagePort, e.g. one end of a MessageChannel handed to an iframe
+ *
+ * Terminating a shared-worker or port endpoint only disconnects this client;
+ * the other side keeps running for its remaining clients.
+ */
+
+/**
+ * @typedef {Object} BridgeEndpoint
+ * @property {Function} postMessage - `(message, transfer) => void`
+ * @property {Function|null} onmessage - Receives MessageEvents
+ * @property {Function|null} onerror - Receives error events
+ * @property {Function} terminate - Closes the endpoint
+ */
+
+export const Transports = {
+  WORKER: 'worker',
+  SHARED_WORKER: 'shared-worker',
+  PORT: 'port'
+};
+
+/**
+ * Create the endpoint for a bridge's transport options
+ * @param {Object} options
+ * @param {string} [options.transport='worker'] - One of Transports
+ * @param {string} [options.workerUrl] - Worker script URL (worker and shared-worker)
+ * @param {string} [options.workerName] - SharedWorker name; tabs using the same URL and name share one instance
+ * @param {MessagePort} [options.port] - Port to use (port)
+ * @returns {BridgeEndpoint}
+ */
+export function createEndpoint(options) {
+  switch (options.transport || Transports.WORKER) {
+    case Transports.WORKER:
+      return new Worker(options.workerUrl, { type: 'module' });
+    case Transports.SHARED_WORKER:
+      return createSharedWorkerEndpoint(options.workerUrl, options.workerName);
+    case Transports.PORT:
+      return createPortEndpoint(options.port);
+    default:
+      throw new Error(`Unknown transport: ${options.transport}`);
+  }
+}
+
+/**
+ * Connect to a module SharedWorker
+ * @param {string} url - Worker script URL
+ * @param {string} [name] - SharedWorker name
+ * @returns {BridgeEndpoint}
+ */
+export function createSharedWorkerEndpoint(url, name) {
+  if (typeof SharedWorker === 'undefined') {
+    throw new Error('SharedWorker is not supported in this browser');
+  }
+
+  const sharedWorker = new SharedWorker(url, name ? { type: 'module', name } : { type: 'module' });
+  const endpoint = createPortEndpoint(sharedWorker.port);
+  sharedWorker.onerror = (event) => endpoint.onerror?.(event);
+  return endpoint;
+}
+
+/**
+ * Wrap a MessagePort
+ * @param {MessagePort} port - Port connected to a MessageBridgeHub
+ * @returns {BridgeEndpoint}
+ */
+export function createPortEndpoint(port) {
+  if (!port) {
+    throw new Error('The port transport requires a MessagePort');
+  }
+
+  const endpoint = {
+    onmessage: null,
+    onerror: null,
+    postMessage: (message, transfer) => port.postMessage(message, transfer),
+    terminate: () => {
+      try {
+        // Let the hub release this client; a closed port gives no signal
+        port.postMessage({ type: 'disconnect' });
+      } catch (error) {
+        // Port already closed
+      }
+      port.onmessage = null;
+      port.close();
+    }
+  };
+
+  port.onmessage = (event) => endpoint.onmessage?.(event);
+  port.start?.();
+  return endpoint;
+}
+
+export default createEndpoint;
@@ -34,6 +34,23 @@ export class OPFSProvider {
     return await file.text();
   }
 
+  /**
+   * Read a file from OPFS as binary
+   * @param {string} path - File path
+   * @returns {Promise<File>} File object (images, PDFs, ...)
+   */
+  async readBlob(path) {
+    const parts = path.split('/').filter(p => p);
+
+    let dir = this.root;
+    for (const part of parts.slice(0, -1)) {
+      dir = await dir.getDirectoryHandle(part);
+    }
+
+    const fileHandle = await dir.getFileHandle(parts[parts.length - 1]);
+    return fileHandle.getFile();
+  }
+
   /**
    * Write a file to OPFS
    * @param {string} path - File path
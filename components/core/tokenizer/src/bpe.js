@@ -0,0 +1,196 @@
+/**
+ * Byte-level BPE encoder
+ *
+ * Text is split into pieces by a pre-tokenizer regex, each piece is turned
+ * into UTF-8 bytes mapped onto printable characters (the GPT-2 byte alphabet,
+ * so every input is encodable), and adjacent symbols are merged until no
+ * known pair is left. The merge order comes either from a merge table or,
+ * as in tiktoken, from the ranks of the tokens the pairs would form.
+ */
+
+/**
+ * Pre-tokenizer patterns
+ * - `gpt`: cl100k_base pieces - contractions, words with one leading
+ *   non-letter, up to three digits, punctuation runs and whitespace
+ * - `o200k`: o200k_base pieces - like `gpt`, but words split at case
+ *   changes and keep their contraction
+ * - `sentencepiece`: words carry their leading space, digits stand alone
+ */
+export const PRE_TOKENIZERS = {
+  gpt: /'(?:[sdmt]|ll|ve|re)|[^\r\n\p{L}\p{N}]?\p{L}+|\p{N}{1,3}| ?[^\s\p{L}\p{N}]+[\r\n]*|\s*[\r\n]+|\s+(?!\S)|\s+/giu,
+  o200k: /[^\r\n\p{L}\p{N}]?[\p{Lu}\p{Lt}\p{Lm}\p{Lo}\p{M}]*[\p{Ll}\p{Lm}\p{Lo}\p{M}]+(?:'[sStTmMdD]|'[rR][eE]|'[vV][eE]|'[lL][lL])?|[^\r\n\p{L}\p{N}]?[\p{Lu}\p{Lt}\p{Lm}\p{Lo}\p{M}]+[\p{Ll}\p{Lm}\p{Lo}\p{M}]*(?:'[sStTmMdD]|'[rR][eE]|'[vV][eE]|'[lL][lL])?|\p{N}{1,3}| ?[^\s\p{L}\p{N}]+[\r\n/]*|\s*[\r\n]+|\s+(?!\S)|\s+/gu,
+  sentencepiece: / ?\p{L}+|\p{N}| ?[^\s\p{L}\p{N}]+|\s+(?!\S)|\s/gu
+};
+
+// Pieces longer than this are encoded in slices; merging is quadratic in piece length
+const MAX_PIECE_BYTES = 1024;
+const CACHE_SIZE = 10000;
+
+const BYTE_TO_CHAR = buildByteAlphabet();
+const encoder = new TextEncoder();
+
+/**
+ * Map each byte to a printable character: printable Latin-1 bytes map to
+ * themselves, the rest to code points from U+0100 upwards
+ * @returns {string[]}
+ */
+function buildByteAlphabet() {
+  const printable = (b) => (b >= 0x21 && b <= 0x7e) || (b >= 0xa1 && b <= 0xac) || (b >= 0xae && b <= 0xff);
+  const chars = [];
+  let next = 0;
+  for (let b = 0; b < 256; b++) {
+    chars[b] = String.fromCharCode(printable(b) ? b : 256 + next++);
+  }
+  return chars;
+}
+
+/**
+ * Decode a tiktoken rank table into a map from token (in the byte alphabet)
+ * to rank
+ * @param {string} table - Base64 tokens separated by whitespace, in rank order
+ * @returns {Map<string, number>}
+ */
+export function decodeRanks(table) {
+  const ranks = new Map();
+  table.trim().split(/\s+/).forEach((token, rank) => {
+    const bytes = atob(token);
+    let symbols = '';
+    for (let i = 0; i < bytes.length; i++) {
+      symbols += BYTE_TO_CHAR[bytes.charCodeAt(i)];
+    }
+    ranks.set(symbols, rank);
+  });
+  return ranks;
+}
+
+/**
+ * Split text into pre-tokenizer pieces
+ * @param {string} text
+ * @param {RegExp} pattern - Global regex from PRE_TOKENIZERS
+ * @returns {string[]}
+ */
+export function splitPieces(text, pattern) {
+  return text.match(pattern) || [];
+}
+
+/**
+ * Map a piece to its byte-alphabet symbols
+ * @param {string} piece
+ * @returns {string[]}
+ */
+export function toByteSymbols(piece) {
+  return Array.from(encoder.encode(piece), b => BYTE_TO_CHAR[b]);
+}
+
+export class BytePairEncoding {
+  /**
+   * @param {Object} options
+   * @param {string[]} [options.merges] - Pairs as "left right", highest priority first
+   * @param {Map<string, number>} [options.ranks] - Token ranks, as from decodeRanks();
+   *   used instead of merges
+   * @param {string} [options.pattern='gpt'] - Key of PRE_TOKENIZERS
+   */
+  constructor(options) {
+    this.pattern = PRE_TOKENIZERS[options.pattern || 'gpt'];
+    if (!this.pattern) {
+      throw new Error(`Unknown pre-tokenizer: ${options.pattern}`);
+    }
+    this.tokenRanks = options.ranks || null;
+    this.mergeRanks = this.tokenRanks ? null : new Map(options.merges.map((pair, rank) => [pair, rank]));
+    this.cache = new Map();
+  }
+
+  /**
+   * Encode text into token strings (in the byte alphabet)
+   * @param {string} text
+   * @returns {string[]}
+   */
+  encode(text) {
+    const tokens = [];
+    for (const piece of splitPieces(text, this.pattern)) {
+      tokens.push(...this._encodePiece(piece));
+    }
+    return tokens;
+  }
+
+  /**
+   * Number of tokens in text
+   * @param {string} text
+   * @returns {number}
+   */
+  count(text) {
+    let total = 0;
+    for (const piece of splitPieces(text, this.pattern)) {
+      total += this._encodePiece(piece).length;
+    }
+    return total;
+  }
+
+  /**
+   * @private
+   */
+  _encodePiece(piece) {
+    const cached = this.cache.get(piece);
+    if (cached) return cached;
+
+    const symbols = toByteSymbols(piece);
+    const whole = symbols.join('');
+    const tokens = [];
+    if (this.tokenRanks?.has(whole)) {
+      tokens.push(whole);
+    } else {
+      for (let start = 0; start < symbols.length; start += MAX_PIECE_BYTES) {
+        tokens.push(...this._merge(symbols.slice(start, start + MAX_PIECE_BYTES)));
+      }
+    }
+
+    if (this.cache.size >= CACHE_SIZE) {
+      this.cache.clear();
+    }
+    this.cache.set(piece, tokens);
+    return tokens;
+  }
+
+  /**
+   * Apply merges, lowest rank first, until no known pair remains
+   * @private
+   */
+  _merge(symbols) {
+    while (symbols.length > 1) {
+      let best = -1;
+      let bestRank = Infinity;
+      for (let i = 0; i < symbols.length - 1; i++) {
+        const rank = this.tokenRanks
+          ? this.tokenRanks.get(symbols[i] + symbols[i + 1])
+          : this.mergeRanks.get(symbols[i] + ' ' + symbols[i + 1]);
+        if (rank !== undefined && rank < bestRank) {
+          bestRank = rank;
+          best = i;
+        }
+      }
+      if (best === -1) break;
+
+      if (this.tokenRanks) {
+        // tiktoken merges one pair at a time, leftmost first on ties
+        symbols.splice(best, 2, symbols[best] + symbols[best + 1]);
+        continue;
+      }
+
+      const left = symbols[best];
+      const right = symbols[best + 1];
+      const merged = [];
+      for (let i = 0; i < symbols.length; i++) {
+        if (i < symbols.length - 1 && symbols[i] === left && symbols[i + 1] === right) {
+          merged.push(left + right);
+          i++;
+        } else {
+          merged.push(symbols[i]);
+        }
+      }
+      symbols = merged;
+    }
+    return symbols;
+  }
+}
+
+export default BytePairEncoding;
@@ -0,0 +1,17 @@
+/**
+ * Tokenizer - Offline token counting component
+ *
+ * Features:
+ * - Byte-level BPE with bundled vocabularies, no network at runtime
+ * - Exact counts for OpenAI models (o200k_base, cl100k_base)
+ * - Model families: OpenAI, legacy OpenAI, Anthropic, Gemini
+ * - Calibration against provider-reported usage for the estimated families
+ *
+ * @module tokenizer
+ */
+
+export { Tokenizer, TOKENIZER_FAMILIES, getTokenizer, getModelFamily, countTokens } from './tokenizer.js';
+export { BytePairEncoding, PRE_TOKENIZERS, decodeRanks } from './bpe.js';
+
+// Default export
+export { Tokenizer as default } from './tokenizer.js';
@@ -0,0 +1,226 @@
+/**
+ * Tokenizer - Offline token counting per model family
+ *
+ * Counts come from a byte-level BPE over bundled vocabularies. OpenAI models
+ * use the published o200k_base and cl100k_base ranks, so their text counts
+ * are exact. Anthropic and Google don't publish current vocabularies; those
+ * families count with smaller stand-in merge tables and scale the raw count
+ * by a factor. The factor starts at a prior and is calibrated against the
+ * prompt token counts the providers report in `usage`.
+ */
+
+import { BytePairEncoding, decodeRanks } from './bpe.js';
+import gptMerges from './vocabularies/gpt.js';
+import sentencepieceMerges from './vocabularies/sentencepiece.js';
+import o200kRanks from './vocabularies/o200k_base.js';
+import cl100kRanks from './vocabularies/cl100k_base.js';
+
+const VOCABULARIES = {
+  o200k_base: { ranks: o200kRanks, pattern: 'o200k' },
+  cl100k_base: { ranks: cl100kRanks, pattern: 'gpt' },
+  gpt: { merges: gptMerges, pattern: 'gpt' },
+  sentencepiece: { merges: sentencepieceMerges, pattern: 'sentencepiece' }
+};
+
+/**
+ * Tokenizer settings per model family
+ * - vocabulary: key of VOCABULARIES
+ * - exact: the vocabulary is the provider's own, so counts are not scaled
+ *   or calibrated
+ * - factor: prior ratio of provider tokens to raw BPE tokens
+ * - messageOverhead: tokens the chat format adds per message
+ * - imageTokens: typical cost of an image at the default size limits
+ * - pageTokens: typical cost of a document page
+ */
+export const TOKENIZER_FAMILIES = {
+  openai: { vocabulary: 'o200k_base', exact: true, factor: 1, messageOverhead: 4, imageTokens: 765, pageTokens: 1500 },
+  // GPT-4, GPT-4 Turbo and GPT-3.5
+  'openai-legacy': { vocabulary: 'cl100k_base', exact: true, factor: 1, messageOverhead: 4, imageTokens: 765, pageTokens: 1500 },
+  anthropic: { vocabulary: 'gpt', exact: false, factor: 0.9, messageOverhead: 4, imageTokens: 1600, pageTokens: 2000 },
+  gemini: { vocabulary: 'sentencepiece', exact: false, factor: 0.8, messageOverhead: 4, imageTokens: 258, pageTokens: 258 }
+};
+
+// Document pages are guessed from the size of the file
+const BYTES_PER_PAGE = 50000;
+
+const DEFAULT_FAMILY = 'openai';
+
+// Calibration: samples smaller than this are dominated by fixed overheads
+const MIN_CALIBRATION_TOKENS = 32;
+const MIN_RATIO = 0.25;
+const MAX_RATIO = 4;
+// Plain average for the first samples, then an exponential moving average
+const AVERAGED_SAMPLES = 10;
+const EMA_WEIGHT = 0.1;
+
+const encodings = new Map();
+const sharedTokenizers = new Map();
+
+/**
+ * Guess the family of a model id
+ * @param {string} [model]
+ * @param {string} [fallback='openai'] - Family for ids that don't say, e.g. OpenAI-compatible APIs
+ * @returns {string}
+ */
+export function getModelFamily(model, fallback = DEFAULT_FAMILY) {
+  const id = (model || '').replace(/^models\//, '').toLowerCase();
+  if (id.startsWith('gemini') || id.startsWith('gemma')) return 'gemini';
+  if (id.startsWith('claude')) return 'anthropic';
+  if (/^(gpt-4(?![o.])|gpt-3\.5|text-embedding-(3|ada))/.test(id)) return 'openai-legacy';
+  if (/^(gpt|o\d|chatgpt|text-|davinci)/.test(id)) return 'openai';
+  return TOKENIZER_FAMILIES[fallback] ? fallback : DEFAULT_FAMILY;
+}
+
+// Rank tables are decoded on first use
+function getEncoding(vocabulary) {
+  if (!encodings.has(vocabulary)) {
+    const { ranks, merges, pattern } = VOCABULARIES[vocabulary];
+    encodings.set(vocabulary, new BytePairEncoding(ranks ? { ranks: decodeRanks(ranks), pattern } : { merges, pattern }));
+  }
+  return encodings.get(vocabulary);
+}
+
+export class Tokenizer {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.family='openai'] - Key of TOKENIZER_FAMILIES
+   * @param {number} [options.factor] - Starting factor; the family prior if omitted
+   *   (exact families always use 1)
+   */
+  constructor(options = {}) {
+    const family = TOKENIZER_FAMILIES[options.family] ? options.family : DEFAULT_FAMILY;
+    const settings = TOKENIZER_FAMILIES[family];
+
+    this.family = family;
+    this.exact = settings.exact;
+    this.encoding = getEncoding(settings.vocabulary);
+    this.messageOverhead = settings.messageOverhead;
+    this.imageTokens = settings.imageTokens;
+    this.pageTokens = settings.pageTokens;
+    this.prior = this.exact ? 1 : options.factor ?? settings.factor;
+    this.factor = this.prior;
+    this.samples = 0;
+  }
+
+  /**
+   * Provider tokens for text or an array of content parts. Text counts are
+   * exact for OpenAI models and estimates for the other families (see the
+   * README's Accuracy section). Images and documents are counted at a fixed
+   * cost per image or page.
+   * @param {string|Array<Object>} text
+   * @returns {number}
+   */
+  count(text) {
+    if (Array.isArray(text)) {
+      return text.reduce((total, part) => total + this._countPart(part), 0);
+    }
+    const raw = this.countRaw(text);
+    return raw === 0 ? 0 : Math.max(1, Math.round(raw * this.factor));
+  }
+
+  /**
+   * Tokens under the bundled vocabulary, before calibration
+   * @param {string} text
+   * @returns {number}
+   */
+  countRaw(text) {
+    if (!text) return 0;
+    return this.encoding.count(typeof text === 'string' ? text : JSON.stringify(text));
+  }
+
+  /**
+   * @private
+   */
+  _countPart(part) {
+    if (part.type === 'text') {
+      return this.count(part.text);
+    }
+    if (part.type === 'image') {
+      return this.imageTokens;
+    }
+    if (part.type === 'file') {
+      const bytes = part.data ? part.data.length * 3 / 4 : part.source?.size || 0;
+      return this.pageTokens * Math.max(1, Math.round(bytes / BYTES_PER_PAGE));
+    }
+    return this.count(JSON.stringify(part));
+  }
+
+  /**
+   * Estimated prompt tokens for chat messages, including per-message overhead
+   * @param {Array<{role: string, content: *}>} messages
+   * @returns {number}
+   */
+  countMessages(messages) {
+    return messages.reduce((total, message) => total + this.count(message.content) + this.messageOverhead, 0);
+  }
+
+  /**
+   * Fold a reported token count into the factor. Exact families ignore it.
+   * @param {string} text - The text the provider counted
+   * @param {number} actualTokens - Tokens the provider reported for it
+   * @param {number} [overhead=0] - Part of actualTokens not in the text (message framing)
+   * @returns {boolean} Whether the sample was used
+   */
+  calibrate(text, actualTokens, overhead = 0) {
+    if (this.exact) {
+      return false;
+    }
+    const raw = this.countRaw(text);
+    const actual = actualTokens - overhead;
+    if (raw < MIN_CALIBRATION_TOKENS || !(actual > 0)) {
+      return false;
+    }
+
+    const ratio = Math.min(MAX_RATIO, Math.max(MIN_RATIO, actual / raw));
+    this.samples++;
+    if (this.samples <= AVERAGED_SAMPLES) {
+      // The prior counts as one sample
+      this.factor += (ratio - this.factor) / (this.samples + 1);
+    } else {
+      this.factor += (ratio - this.factor) * EMA_WEIGHT;
+    }
+    return true;
+  }
+
+  /**
+   * Drop calibration and return to the prior
+   */
+  resetCalibration() {
+    this.factor = this.prior;
+    this.samples = 0;
+  }
+
+  /**
+   * @returns {{family: string, exact: boolean, factor: number, samples: number}}
+   */
+  getCalibration() {
+    return { family: this.family, exact: this.exact, factor: this.factor, samples: this.samples };
+  }
+}
+
+/**
+ * Shared tokenizer for a model, one per family, so calibration from any
+ * provider response benefits every estimate for that family
+ * @param {string} [model]
+ * @param {string} [fallbackFamily] - Family for model ids that don't say
+ * @returns {Tokenizer}
+ */
+export function getTokenizer(model, fallbackFamily) {
+  const family = getModelFamily(model, fallbackFamily);
+  if (!sharedTokenizers.has(family)) {
+    sharedTokenizers.set(family, new Tokenizer({ family }));
+  }
+  return sharedTokenizers.get(family);
+}
+
+/**
+ * Estimated tokens for text under a model's shared tokenizer
+ * @param {string} text
+ * @param {string} [model]
+ * @returns {number}
+ */
+export function countTokens(text, model) {
+  return getTokenizer(model).count(text);
+}
+
+export default Tokenizer;
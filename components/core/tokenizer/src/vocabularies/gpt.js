@@ -0,0 +1,880 @@
+/**
+ * BPE merges for the `gpt` pre-tokenizer (8000 merges)
+ *
+ * A stand-in trained on this repository and prose samples, not a provider's
+ * vocabulary; see the README's Accuracy section for how far its counts are off.
+ *
+ * Trained once, with no generator kept; the README's "Where the Stand-in
+ * Tables Come From" section lists the corpus. Do not edit.
+ */
+
+export default [
+  "Ġ Ġ", "ĠĠ ĠĠ", "à ¸", "Ġ t", "o n", "e r", "i n", "e n", "e s", "= =", "Ġ a", "o r", "Ġ c", "- -",
+  "s t", "a t", "ĠĠ Ġ", "Ġt h", "r e", "l e", "ĠĠĠĠ Ġ", "; Ċ", "en t", "i on", "ã ĥ", "i t", "i s",
+  "a n", "Ġ f", "Ċ Ċ", "à ¹", "Ġ s", "e d", "== ==", "a l", "e x", "Ġth e", "à ¦", "ĠĠĠĠ ĠĠĠĠ", "o u",
+  "-- --", "Ġ p", "Ġ b", "Ġ m", "in g", ") ;Ċ", "a r", "Ġ {", "g e", "a s", "Ġ =", "c t", "Ġ d",
+  "Ġ w", "Ġ '", "o l", "Ġ }", "Ġ n", "es s", "a m", "Ġ o", "o m", "ã Ĥ", "Ġt o", "ĠĠĠĠ ĠĠĠ", "u s",
+  "Ġ \"", "Ġc on", "i d", ". Ċ", "Ġ in", "Ġ <", "Ĥ Ċ", "ex t", "ã Ģ", "ãĢ ĤĊ", "c h", "> Ċ", "i v",
+  "Ġ{ Ċ", "as s", "e t", "n d", "es t", "==== ====", "Ġ (", "i m", "u t", "Ġ re", "i l", "e l", "â Ķ",
+  "Ġ l", "ã ģ", "= \"", "r o", "* *", "p t", "u n", "o d", "a d", "' ,", "u r", "l ass", "---- ----",
+  "Ġ T", "à¸ ²", "e c", "Ġ h", "a ge", "m ent", "à¸² à¸", "c e", "Ġ *", "i st", "Ġ is", "Ġ r", "u l",
+  "Ġ st", "( '", "Ø §", "ä ¸", "d iv", "an d", "i f", "Ġ v", "Ġc lass", "Ġcon st", "e m", "o w",
+  "0 0", "Ġa s", "q u", "Ġo f", "am e", "âĶ Ģ", "t h", "p e", "r i", "a y", "Ġth is", "i le", "o c",
+  "at ion", "Ġ |", "à¸ Ń", "Ġf or", "ģ à¸", "Ġa nd", "t ext", "à¸ Ļ", "at e", "r or", "ess age",
+  "Ġ ex", "o t", "ĠĠĠĠ ĠĠĠĠĠ", "v ent", "o ol", "( )", "âĶĢ âĶĢ", "' );Ċ", "à¹ Ģ", "Ġ /", ". ĊĊ",
+  "s e", "Ġ y", "à¹ Ī", "e w", "ct ion", "g r", "u e", "i c", "er s", "i g", "à¹Ģ à¸", "Ġ ×", "a b",
+  "Ġc om", "n t", "Ġ e", "Ġ S", "ess ion", "or e", "Ġ à¦", "y pe", "it h", "er t", "k e", "u m",
+  "Ġ Õ", "a p", "e f", "ge t", "Ġ it", "Ġt ext", "_ _", "Ġ us", "======== ========", "en d", "à¹ ī",
+  "h e", "e ct", "ul t", "Ġy ou", ", Ċ", "on t", "Ġ Ø", ". .", "Ġ C", "er ror", "or t", "ãĥ ¼",
+  "à¸ £", "r ing", "a g", "à¸ ĩ", "à §", "c ri", "r om", "Ġ A", "I d", "t er", "Ġ/ /", "pt ion",
+  "ĠĠĠĠĠĠĠĠ ĠĠĠ", "Ġw ith", "Ġ I", "< /", "Ù Ħ", "Ġ -", "Ġb e", "Ġ} Ċ", "or k", "p le", "Ġ if", "l o",
+  "l y", "à¸ ¡", "Ġc h", "æ ľ", "à¦ ¾", "Ġ= >", "ur n", "Ð ¾", "u b", "ä »", "ec ut", "à¸ Ķ", "Ġ on",
+  "à¸ ±", "j ect", "in d", "Ġa n", "v e", "\" >Ċ", "Ġ M", "Ġ [", "or d", "à¸ ´", "Ġ} );Ċ", "Ġn ew",
+  "à¸ µ", ". t", "Ġ `", "t urn", "Ġ E", "-------- --------", "Î ±", "à¸ ¢", "ķ ×", "in e", "Ġ< /",
+  "# #", "Ġa l", "Ġas s", "Ñ Ĥ", "p o", "u ment", "un ction", "Ð °", "Ø ±", "\" >", "Ġw h", "s p",
+  "Ù Ī", "Ġ P", "a c", "Î µ", "Ġf ile", "Ġ} ĊĊ", "a in", "r y", "Ġ Ð", "es ult", "m and", ". c",
+  "Ġto ol", "Ġth at", "Ù ħ", "Ġa re", "Ġ g", "( );Ċ", "b ject", "à¸ «", "l d", "w a", "ar t", "Î ¹",
+  "ĉ ĉ", "i r", "ou nt", "Ġt ype", "p on", "p ort", "ĠĠĠĠĠĠĠĠ ĠĠĠĠĠĠĠĠ", "× ķ×", "à¹ ģà¸", "Ð µ",
+  "å ħ", "u p", "ou ld", "- s", "` `", "l i", "Ġ @", "ou t", "Ġre turn", "å ı", "Ġc an", "ä º",
+  "ou nd", "Ġass ert", "æ ĸ", "Ġp ro", "at ch", "il l", "at a", "Î ¿", "Ġs e", "Ġ >", "v er", "i z",
+  "Ù Ĩ", "Ġ F", "ãĥ Ī", "$ {", "od e", "Ġ id", "à¸ ª", "à¸ ģà¸", "ä ½", "R e", "al l", "ke y", "or y",
+  "ork er", "' )", "al ue", "wa it", "× Ļ", "Ġcom mand", "Ï Ħ", "re d", "- b", "à¸ §", "y n",
+  "Ġn ame", "à¦¾ à¦", "¡ Õ", "Ġf unction", "à¸ ķ", "t est", "Ġt est", "p ro", "- c", "Ġcon t", "h t",
+  "ãĤ ĭ", "Ġa wait", "S t", "à¸ ļ", "h ould", "p ar", "Ġ V", "t e", "Ġ or", "p l", "Ð ¸", "Ġ W",
+  "ç Ķ", ". get", "at h", "le ment", "' ;Ċ", "Ø ª", "æ ĺ", "Ġ k", "å Ī", "Ï ģ", "ãģ Ļ", "a il",
+  "- gr", "Ġf rom", "Ġd ef", "É Ļ", "Ġt r", "-gr ay", "Ð ½", "à¸ ¥", "âĶĢâĶĢ âĶĢâĶĢ", "Õ ¥", "cri pt",
+  "', Ċ", "ĠT he", "c on", "Ġn ot", "o p", "Ñ Ģ", "m essage", "Î ½", "er e", "Ġ U", "t ool", "r id",
+  "oc k", "Ġ D", "ãĥ ³", "Ġ error", "×Ļ ×", "oc ument", "yn c", "å ®", "a ce", "ä¸ Ģ", "ab le", "å Ĳ",
+  ") Ċ", "Ø ¯", ". s", "Ñ ģ", "Ø§ ÙĦ", "Õ¥ Õ", "a ct", "ont ent", "an g", "Õ ¡Õ", "ĠT h", "Ġex ecut",
+  "Ġ Î", "Ġm essage", "Ġa r", "Ġd ocument", "Ù Ĭ", "st ring", "Ġ B", "rid ge", "ol d", "ãĤ ¹", "it e",
+  "ĠĠĠĠ ĠĠ", "p r", "Ð¾ Ð", "Ġb y", "è ¦", "à¸ Ħ", "E lement", "p er", "s o", "Ù ĩ", "æĺ ¯", "Ï ĥ",
+  "Ġe vent", "an t", "at us", "a x", "sp an", "f or", "n er", "Ö Ģ", "um b", "j s", "Ġ( )", "ãģĻ ãĤĭ",
+  "à¸ ģ", "ĠĠĠĠĠĠĠĠ ĠĠĠĠĠ", "å Ĭ", "ç ļ", "çļ Ħ", "Ñ Į", "im e", "as e", "g ist", "o k", "ion s",
+  "ord er", "Ġ le", "Ġl ine", "th er", "v id", "r ror", "ĠĠĠĠĠĠĠĠ ĠĠĠĠĠĠĠ", "l u", "ac k", "Ġw ill",
+  "Û Į", "c c", "l ow", "Ï Ĥ", "å ¤", "N ame", "Ġa t", "n ame", "a ve", "à¸ ¹", "Ġ});Ċ Ċ", "et h",
+  "Ġ> ĊĊ", "Õ ¸", "f er", "å ľ", "è ¿", "is s", "** Ċ", "T ool", "Ï Ģ",
+  "================ ================", "e le", "è ¡", "Ġ âĶ", "ption s", "æ Ī", "u st", "Ġl o", "B y",
+  "Ġst ring", "T he", "at ed", "re ate", "Ġus e", "Ġas ync", "p ut", "Ġ key", "er m", "ãĥ¼ ãĥ",
+  "Ġs p", "à§ ĩ", "ul l", "ĠV im", "e vent", "Ġ ==", "Ġ| Ċ", ". p", "() \"", "par am", "od el",
+  ": ĊĊ", "/ Ċ", "a k", "Ø§ Ø", "umb er", "ar d", "- l", "à¦ ¿", "Ġr esult", "** **", "å Ń", "Ġ +",
+  "v al", "i al", "ind ow", "qu al", "a v", "Ġ **", ".get Element", ".getElement By",
+  ".getElementBy Id", "at ter", "à¹ī à¸²à¸", "b ut", "Ġ R", "qu est", "re e", "i re", "li ent", "r u",
+  "Ġ L", "Ġ== =", ". js", "è ¨", "r es", "ur r", "eth od", "- m", "æľ ī", "ãĥ ĥ", "and l", "ĠT est",
+  "â Ģ", "Ġv alue", "is e", "Ġd o", "Ġ im", "ĠT ool", "ro w", "il d", "Ġ ~", "à¹ Ħ", "Ġo bject",
+  "c om", "à¸ ·", "`` `", "pon ent", "C ount", "ag es", "urr ent", "Ġf ont", "ound ed", "à¹ Ĥ",
+  "a st", "é Ģ", "Ġr un", "Ġb order", "re en", "à¸ Ĺ", "Ġr ounded", "v i", "à¸ °", "i es", "Ġl ist",
+  "Ġcont ent", "ile d", "Ġp o", "Ġr es", "Õ¥Õ ¬", "ÑĤ ÑĮ", "-s m", "en g", "i b", "Ġ ${", "Ġ N",
+  ": Ċ", "it ion", "Ġs h", "M essage", "an s", "E vent", "à¸ Ĥ", "cc ess", "Ġ O", "vid er",
+  "Ġs ession", "C ontent", "ub s", "( {", "æ ķ", "Ġh ave", ";Ċ Ċ", "iv e", "å Ľ", "a iled", "à¸ ¸",
+  "Ġar g", "E qual", "am ple", "d d", "u al", "Ø ¨", "t ype", "Ġ z", "6 00", "å ·", "ar y", "g ent",
+  "× ¨", "eng th", "re ad", ". m", "S hould", "a ch", "y p", "Ġassert Equal", "ubs cri", ". in",
+  "iz e", "Ġp ar", "ess ages", "äº º", "ä¸ į", "u re", "atter n", "Ġs et", "Ï ħ", "ĠS t", "Ġcon text",
+  "Y ou", "ap p", "ä½ ľ", "Ġal l", "\" ,", "Ġch ar", "lu d", "c lud", "f ig", "Ð° Ð", "1 0", "o ve",
+  "T h", "Ġ Ø§ÙĦ", "en s", "ĠØ ¨", ". l", "I n", "t o", "Ġus ed", "- w", "Ġ j", "on e", "en ce",
+  "erm iss", "b e", "à¦ °", "r esult", "ãĥ «", "Ġd ata", "s ession", "s et", "Ġ qu", "B us", ". d",
+  "- red", "à¸ Ĭ", "gist ry", "Ġst art", "pon se", ". f", "for m", "Ġin st", "Ġ\" __", "Ġa p", "- g",
+  "Ġ :", "in t", "x ecut", "b g", "Ġon e", "pe ct", "æ ³", "ig n", "è¦ ģ", "an ce", "y st", "lo ad",
+  "m l", "---------------- ----------------", "Ġm ethod", "ãĥ ĭ", "Ġ* /Ċ", "-g reen", "Ġ G", "à¹ Į",
+  "Ġb u", "an ge", "ãĤ ¯", "Ġ el", "Ġdef in", "Ġm atch", "Ġs u", "ãģ Ħ", "ĠI f", "Ġit em", "i ch",
+  "Ġwh en", "ist ory", "æ Ĺ", "L ist", "ire ct", "ãĥ ¥", "il es", "ĠTh is", "1 00", "ç »", "Ġ un",
+  "å Ģ", "Ä ĩ", "à¸Ń à¸ĩ", "ä ¹", "Ġ u", "Ġ} ,Ċ", "ĵ ģ", "ig ht", "a ke", "a ult", "ers ion", "Ã Ń",
+  "St ore", "Ù Ĥ", "à¸ ŀ", "\" Ċ", ".. .", "o bject", "Ġarg ument", "ad d", ") .", "Ø ©", ");Ċ Ċ",
+  "- f", "Ø ³", "Ġp r", "yst em", "Ġd is", "r c", "P I", "ol or", "\" :", "à§ į", "Ġs hould", "Ã ¼",
+  "å ĩ", "Ġin d", "Ġchar act", "p ert", "text Content", "Ġw indow", "å ¸", "x t", "Î ¼", "Ġv ar",
+  "\" .", "è ĩ", "èĩ ª", "Ĳ ×", "å ¾", "Ġ| |", "à¸²à¸ £", "Î º", "** :", "e b", "er y", "ir st",
+  "t ri", "Ðµ Ð", "Ö Ĥ", "Ù ģ", "') .", "âĶĢâĶĢâĶĢâĶĢ âĶĢâĶĢâĶĢâĶĢ", "ation s", "Ġ H", "en er",
+  "v alue", "le x", "Ġv al", "so le", "Ġn umber", "Ġsp ec", "ç Ľ", "è Ģ", "is h", "th e", ". re",
+  "ãĥ ª", "Ġb g", "e p", "ä» ¥", ".l ength", "Ø ¹", "v im", "Õ «", "æ ł", "Ġo ther", "ãģ ª", "ľ ×",
+  "à¦ ķ", ".. /", "Î ·", "Ġ up", "ĥ ½", "ĠE vent", "Ġc all", "ł ×", "Î ¬", "à§ ģ", "C on", "ic k",
+  "p x", "re am", "Ġ Re", "ĠI n", "1 4", "l ock", "ç Ļ", "Ġh andl", "un k", "E rror", "å °",
+  "ĠĠĠĠĠĠ Ċ", ".t xt", "5 0", "o g", "rom ise", "en c", "al ly", "Ã ½", "Ġn e", "__ ()\"", "ur s",
+  "à¸ ³", "ĠE rror", "## #", "f ile", "å ½", "Ġtr ue", "R L", "âĶ Ĥ", "è ³", "Ġ/ **Ċ", "Ġa b",
+  "ass ed", "end ing", "i e", "çĶ Ł", "/ /", "it ial", "Î »", "Ñ ĥ", "à§į à¦", "à¸µ à¸¢", "Ġ get",
+  "8 00", "al se", "ed it", "an ag", "è ©", "at or", "Õ¸ ÖĤ", "ch em", "à¸ Ľ", "ĠF or", "g in",
+  "à¸ ĸ", "h en", "po s", "Ġst ate", "b o", "con st", "ä¸ Ń", "à¸ Ī", "a q", "ermiss ions", "} Ċ",
+  "ãĥ¼ ãĤ", "è ®", "lo b", "t ing", "> ĊĊ", "Ġd es", "Ġle t", "pr ession", "æ Į", "el f", "le d",
+  "o v", "Ġ Ùħ", "Ġtest s", "ple ment", "ponent s", "å ĵģ", "anag er", "Ï Į", "è¡ Į", "ĠÐ ¿", "-b l",
+  "Ñ ĭ", "if i", "y nt", "ãĥ³ ãĥ", "© ×", "C h", "ent er", "å ī", "Ġex ample", "Î ¯", ".t est",
+  "chem a", "gr ation", "é Ĺ", "ç §", "Ã ©", "ç ¨", "Îµ Î¹", "Ø ´", "Ã ¡", "Ġv ersion", "ŀ ×", "ar k",
+  "×¨ ×", "Ġon ly", "Ġt ry", "] Ċ", "st atus", "t ed", "à¹ ĩ", "Ġ ÏĢ", "Ġf iles", "Ġw orker", "-- -",
+  "O N", "et w", "in es", "à¸Ń à¸Ļ", "-bl ue", "ec k", "ynt ax", "Î ³", "à¸²à¸ Ļ", "æĸ ĩ", "Ġ ÙĪ",
+  "Ġo per", ".c lass", "ãģ Ĺ", "é Ľ", "Ġm od", "if y", "é ĩ", "Ġth row", "Ġc urrent", "Ġst atus",
+  "r an", "Ġb ack", "t n", "Ġ ro", "Ð º", "tri but", "Ġfor m", "Ñ ı", "4 14", "ÖĢ Õ", "èĢ ħ",
+  "Ġd irect", "ime out", "it y", "th is", "Õ ¶", "Ġw ork", "è ĥ½", "Ġ end", "am es", "o ver", "Ð ¹",
+  "ĳ ×", "ad ge", "Ø§ ÙĨ", "æĹ ¥", "u le", "å Į", "Ġ !", "ĠA PI", "B ridge", "ar ch", "' t", "t on",
+  "ç ķ", "Ġexecut ion", "Ġp attern", "Ġ~ Ċ", "e y", "é ¡", "é ļ", "Ġp y", "n ot", ". message", "as h",
+  "r ite", "ãĤ ³", "ĠM essage", "> >", "ç «", "Ġcont ain", "l ish", "} `", "æ Ń", "l l", "ou r",
+  "od y", "re turn", "re vi", "s cript", "o f", "x l", "å Ĩ", "Ġ\" :", "el l", "å¤ §", "Ġ .",
+  "Ġal so", "Ġwh ich", "ele te", "å ¼", "S ession", "Ġs ame", "oc al", "rom pt", "Ġitem s", "le ct",
+  ". __", "æĮ ģ", "Ġo ver", "Ġt yp", "e e", "urs or", "Ġex ce", ") ĊĊ", "-l g", "à¸ ľ", "Ġ ?", "Ġ[ ]",
+  "Ġdef ault", "Ġ ]", "Ġf irst", "Ġrun ner", "³ »", "ç ³»", "ç µ", "Ġtr ans", ".ĊĊ Ċ", "K ey",
+  "f lex", "u ild", "w o", "Ġ #", "E xecut", "and le", "ay load", "ht ml", "à¸µ à¹Ī", "Ġ â", "Ø§ Ø±",
+  "æ İ", "ol low", "Ġ You", "Ġ( !", "Ġcon sole", "+ --------------------------------", "2 0", "us e",
+  "Ġ J", "4 00", "Th is", "d ata", "ç ´", "T est", "``` ĊĊ", "ad er", "ç ¶", "Ġm essages", "ĠĠĠĠ Ċ",
+  "Ġpo s", "ľ âĶĢâĶĢ", "ub lish", "ex ecut", "v ers", "Å Ĥ", "ç ī", "é ģ", "i p", ". textContent",
+  "P ro", "Ġan y", "Ġ edit", "Ġ} ;Ċ", "pl ay", "à§ ĭ", "ãĥ ©", "ĠS ession", "Ġm b", "5 00", "r ol",
+  "Ä Ľ", "ç ¤", "ru ct", "ä ¼", "Ġu nd", "in i", "n ow", "Ġc ode", "i x", "r ay", "Ġm odel", "f o",
+  "åħ ¨", "M L", "ĠC on", "t r", "Ġ out", "Ġb ut", ". name", "qu i", "s er", "us r", "d ate",
+  "pect ed", "ãĤ ·", "å į", "æĸ °", "ç Ħ", "Ġn o", "( re", "el p", "up port", "ãĥ Ĳ", "ç Ĥ", "om e",
+  "ç Ĳ", "è ¯", "Ġ --", "ãĥ ¬", "Ġcommand s", "l a", "on g", "ubscri be", "Õ ¿", "Ġf ailed", "( `",
+  "i um", "à¦ ¨", "à¸²à¸ ĩ", "æ ¬", "Ġdo es", "ar g", "f ter", "Ö Ħ", "à¸· à¹Ī", "id d", "ou s",
+  "s elf", "Î Ń", "à¦ ²", "Ġc ursor", "lob al", "Î ®", "Ġm an", "Ġw ant", "T ok", "id e", "ãĤ ¢",
+  "à¹ ĥ", "ãĥĥ ãĥĪ", "åĩ º", "æľ ¬", "ç ½", "**** ****", "æ³ ķ", "' s", "f t", "~ ~", "å ĳ", "æ Ķ",
+  "é ĥ", "éĥ ¨", "w ard", "åĲ İ", "é Ŀ", "Ġstate ment", "T ML", "but ton", "h ite", "o st",
+  "pro pert", "Ġp ermissions", "Ġv i", "1 2", "ä ¾", "æ Ĭ", "Ġus ing", "2 9", "} </", "Ġa dd",
+  "Ġn ull", "7 00", "u es", "Ġb us", "Ġs c", "' Ċ", "cri ption", "é Ĥ", "Ġl i", "re ated", "s ert",
+  "Ġo ptions", "I N", "Ï ĩ", "åĪ Ĩ", "Ġf alse", "======== ====", "l es", "æĸ ¹", "Ġinst ance", "ãĥ ķ",
+  "ä¸ Ĭ", "æ ±", "Ġo ption", "Ġp l", "d ef", "p ath", "val id", "à¹Ī à¸Ń", "ãĥ Ģ", "Ġc reate",
+  "Ġres ponse", "Ġs cript", "T RL", "Î¿ Ïħ", "ä¸ »", "åĬ ł", "æ Ħ", "ĠW orker", "id th", "ind ex",
+  "st ore", "u g", "Ġf ollow", "o ptions", "ä» Ĭ", "å ¥", "éĽ »", "Ġo p", "qui red", "ç ľ", "Ġvar i",
+  "d e", "äº Ľ", "Ġ ent", "Ġ[ '", "-c ount", "-w hite", "s h", "çĦ ¶", "T o", "è¿ Ļ", "f f",
+  "gist er", "n ing", "âĢ Ļ", "Ġm ode", "Ġre c", "Ġre quest", "ĠâĶ Ĥ", "o le", "return s", "ĠC om",
+  "al led", "et a", "it em", "Ñģ ÑĤ", "Ġc atch", "e at", "ef ore", "i el", "lo g", "à¸´ à¸Ļ", "é ĸ",
+  ". _", "E l", "us h", "Ġat tribut", "Ġcom ple", "P ath", "Ù ĥ", "Ġ gr", "Ġex pression", "a ut",
+  "ot e", "Ú ©", "e v", "if ic", "r a", "t oc", "Ø Ń", "Ġl ines", "Ġn ames", "' ]", "( m", "at es",
+  "Ġtool s", "w orker", "è¨ Ģ", "ĠU n", "ele ct", "vers ation", "à¸« à¸¡", "( message", "ãģ ĭ", "æ ĵ",
+  "============ ==", "à§ĩ à¦", "è µ", "ĠP romise", "Ġim plement", "( c", "m od", "n e", "us er",
+  "Ġ &", "Ġm ay", "Ġp ath", "-f ull", "D iv", "r ue", "à¸ ĭ", "Ġto t", "c lass", "ur ation", "es e",
+  "iv ed", "le ar", "or m", "æ ¥", "Ġyou r", "f s", "pt im", "à¸²à¸ ¢", "Ġ Îµ", "Ñĭ Ð¹", "ãĤ ±",
+  "ãĥ £", "Ġim port", "../ ../", "Ġin clud", "Ġre m", "H TML", "__ (", "ran ch", "u ccess", "ÏĦ Î±",
+  "à¸± à¸", "Ġ i", "ĠTest s", "Ġpar am", ".class Name", "ner HTML", "rol l", "Ġc ount", "Ġse e",
+  "à¸ģà¸ £", "Ġa v", "Ġcharact er", "Ð ²", "à¸²à¸ §", ") :", "W orker", "at s", "çĲ Ĩ", "Ġp art",
+  "ãĤ ¤", "Ġ Î±", "Ġm ust", ") ,",
+  "================================ ================================", "em pt", "à¦ ®", "ä¸ º",
+  "ĠĠĠĠĠĠĠĠ ĠĠĠĠĠĠĠĠĠĠĠ", "');Ċ Ċ", "Ġargument s", "app ing", "im port", "ãĥ ĵ", "çĻ ¼", "éĢ Ļ",
+  "Ġre ad", ". h", "================================================================ ==============",
+  "D B", "o ther", "ãĤ¹ ãĥ", "Ġs upport", "Ġà¦ Ĩ", "n umber", "Ġlo ad", "p atch", "å ¯", "Ġb lock",
+  "Ġdirect ory", "Ġlo g", "Ġ{ }", "gr am", "session Id", "æľ Ģ", "Ġ~ ĊĊ", "29 3", "ed ium", "re ak",
+  "s rc", "ãģ Ł", "Ġdefin ed", "- y", "-m edium", ". error", ".. ..", "e en", "i k", "on d", "l ine",
+  "Ã ¦", "ä» ĸ", "ĭ æ", "uild er", "Ð° ÑĤÑĮ", "ãģ ¦", "çĶ ¨", "Ġa ut", "ad ow", "nd ex", "o s",
+  "p re", "à¸´ à¹Ī", "å® ļ", "æĪ Ĳ", "Ġval id", "Ð »", "Ø ²", "Ġh as", "Ġtot al", "({ Ċ", ". st",
+  "ot al", "sp ec", "ãģ £", "åĽ ½", "Ġw as", "-c enter", "A ll", "ay s", "ex port", "w ord",
+  "ĠA gent", ".p ush", "ptim iz", "ur es", "¦ Ĥ", "Ñ ĩ", "å ¦Ĥ", "åĪ °", "Ġel se", "ä¼ ļ", "æ Ļ",
+  "ĠC h", "Ġf ail", "Ġs ub", "S ON", "qu ence", "Ġli ke", "ĠÕ ¡Õ", "P E", "ag ent", "in ed", "+ Ċ",
+  "( tool", ".t ool", "Ïģ Î±", "å ĭ", "Ġin te", "ĠĠ Ċ", "T rue", "il t", "n y", "å º", "çĤ º",
+  "Ġh istory", "Ġth ere", "d i", "à¸± à¸Ļ", "Ġth en", "I f", "[ ]", "f fer", "toc ol", "Ï ī", "ç ı",
+  "çı ¾", "ĠI nt", "Ġm ore", "Å Ļ", "× ĺ", "åľ ¨", "åŃ Ĳ", "ĉĉ ĉĉ", "Ġm ax", "Ġst ore", "ĠÎ ´",
+  "M anager", "in al", "Õ ¡", "ç¨ ĭ", "Ġhandl er", "- in", ".c reate", ".in nerHTML", "Ġevent s",
+  "Ġf ind", "Ø ·", "åħ ¶", "åľ °", "Ġw ord", "ľ ħ", "S elect", "it er", "propert y", "qu e", "st r",
+  "ĠT o", "ĠÕ ¯", "ĠĠĠĠĠĠĠĠ ĠĠĠĠĠĠĠĠĠ", "+ +", "iel d", "§ ×ķ×", "Ð½ Ð¸", "Ø ¬", "å· ¥", "Ġ> >>",
+  "Ġsh adow", "Ġt ree", "O bject", "Tok ens", "n ect", "un c", "ĠU I", "Ġit s", "Ġne ed", "C all",
+  "b ody", "pos it", "ä¸ ĭ", "åı ĳ", "Ġp re", "ed DB", "if fer", "it le", "æ ī", "æ ŀ", "Ġc lient",
+  "Ġcharact ers", "Ġt wo", "Ġà¦ ¬", "com ponents", "à¦ ¼", "Ġà¦ ķ", "-s em", "-sem ib", "-semib old",
+  "y th", "Î ´", "åı ¯", "æ Ľ", "Ġ âĢ", "Ġa fter", "ab les", "Ġ! ==", "Ġre ce", ". event", "Event s",
+  "Re gistry", "p s", "patch er", "è §", "Ġa gent", ". add", "Ġm e", "Ġsession Id", "( event",
+  "( res", "etw een", "idd en", "Ġ en", "Ġp assed", "Ġs yntax", "( result",
+  "============================================================================== Ċ", "ap i", "åī į",
+  "Ġ-- >Ċ", "Ġch ange", "Ġind ex", "Ġr a", "1 1", "a le", "ifi ed", "æ ĭ", "Ġexce ption", "! --",
+  "ab el", "} ĊĊ", "Ð ´", "Ġro le", "Ġâ ľħ", "ĠâĶ ľâĶĢâĶĢ", "åĲ Į", "ĠI t", "Ġc ase", "Ġc or",
+  "Ġch ang", "Ġform at", "- t", "bo x", "k en", "ndex edDB", "or age", "à¸ģà¸ ¥", "åĽ ł", "å Ł",
+  "çĽ ®", "Ġ< !--", "Ġl ast", "Ġparam et", "Ġ× ľ×", "ãģĭ ãģĦ", "Ġ: :", "ľ ×Ļ×", ". log", "a re",
+  "lu gin", "éĤ £", "Ġse arch", "et ail", "j av", "ĠF ile", "Ġp ayload",
+  "ĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠ ĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠ", "as cript", "g h", "jav ascript", "oc us", "posit ory",
+  "read y", "Ïĥ ÏĦ", "å Ĥ", "åŃ ¦", "æ º", "Ġ ...", "Ġb efore", "Ġerror s", "Ġ× Ĳ×", "ting s",
+  "à¸´ à¸Ķ", "ãĤ §", "Ġ:: =", "ĠC TRL", "F or", "Pro vider", "å »", "ĉ get", "Ġj ust", "ĠØ ª", "c l",
+  "re po", "à¸ ©", "âĢĻ s", "æ Ł", "Ġd i", "Ġp ass", "c ore", "ream ing", "ĠE xecut", "ĠSt ore",
+  "Ġt im", "Ġus er", "n al", "n ew", "ãĥ Ł", "ä ¿", "Ġin ter", "ĠØ§ÙĦ Ø", "im it", "Ã ¶", "Ã ¸",
+  "Ġdis play", "Ġwh ere", "Ĵ ×", "-m d", "ou gh", "ÉĻ k", "ä¸ ª", "å ¿", "ç ©", "ĠM ock", "Ġl ang",
+  "Ġo w", "\"> ${", "M E", "o id", "ol ve", "ri es", "à¹ģà¸ ģ", "ãĤ¹ ãĥĪ", "ĠEvent Bus", "Ġcon fig",
+  "-b old", "à¹Ī à¸¡", "ĠD ate", "Ġch unk", "Ġobject s", "Ġre quired", "Ġs chema", ") )", "U I",
+  "eat ures", "Ø§ Ø¯", "Ù ĳ", "ãĤ ¸", "×ķ× ¨", "Ġ x", "Ġ Ċ", "Ġb reak", "Ġf ocus", "Ġh e", "1 6",
+  "b ridge", "à¸Ń à¸¢", "Ġin itial", "Ġm in", "Ġpro vider", "Ġ× ¡", "F ile", "a Äĩ", "um m", "Ġb o",
+  "Ġdes cription", "\" .ĊĊ", "and box", "ch at", "Å Ľ", "Ġ& &", "ĠE x", "Ķ âĶĢâĶĢ", "';Ċ Ċ",
+  "( sessionId", ") );Ċ", "a w", "at ic", "clud es", "r ray", "s s", "æ ¨", "Ġattribut e", "Ġval ues",
+  "\"> </", "el lo", "iz ed", "yth on", "å ĸ", "Ġd iffer", "Ġlo ok", "Ġp lugin", "/ index", "C lient",
+  "T ree", "op y", "à¸± à¸ĩ", "å ±", "åľ ĭ", "Ġfollow ing", "Ġm ake", "Ġm apping", "E nt", "Re quest",
+  "Tool s", "app end", "Ï Ĩ", "à¸£ à¸°", "ãģ ¾", "æķ Ļ", "Ġm ock", "ction s", "e gration", "éĢ ļ",
+  "Ġresult s", "à¦¿ à¦", "ãĤ· ãĥ¥", "ãĥ¼ãĥ Ĭ", "è £", "ĠÐ ²", "ail able", "ÙĪ ÙĦ", "à¸« à¸Ļ", "ĠP ro",
+  "m ove", "m s", "Ï İ", "ãģ ®", "ç İ", "Ġ Ñģ", "ĠĠĠĠĠĠĠĠ Ċ", "3 00", "a pt", "o ption", "val u",
+  "Ġpro gram", "he ad", "à¸± à¸Ķ", "Ġw r", "( s",
+  "+-------------------------------- ----------------", "- h", ". r", "2 00", ": **", "Ï į",
+  "âĶĢâĶĢâĶĢâĶĢâĶĢâĶĢâĶĢâĶĢ âĶĢâĶĢâĶĢâĶĢâĶĢâĶĢâĶĢâĶĢ", "æ Ŀ", "Ġc reated", "Ġs o", "Ġsp ace", ". /",
+  "c ess", "s v", "vi ew", "à¸²à¸ ģà¸", "èĩª å·", "é «", "Ġf ound", "Ġsu ccess", "- p", "èĩªå· ±",
+  "Ġassert True", "Ġmod ule", "Ġtyp es", "C om", "Con text", "h r", "Î ¸", "Ġt ab", "Ġà¦ ¤", "ce pt",
+  "ib le", "orm al", "è »", "Ġw ay", "ĠÕ ´", "Ķ ×", "();Ċ Ċ", "g er", "ä¾ Ĩ", "åĢ ĭ", "Ġ` Ċ",
+  "Ġcom p", ". html", "empt y", "qu ery", "à¹Ģà¸ Ĺ", "ãĤ Ń", "Ġf r", "Ġm ain", "Ġs ystem", "Ġ} ;ĊĊ",
+  "' :", "? .", "am p", "en u", "m aq", "Õ¡Õ ¬", "à¸± à¸ļ", "Ġ[] ;Ċ", "Ġg o", "Ġpos ition",
+  "Ġse quence", "E x", "form at", "il ter", "l ist", "Ġp rompt", "/ **Ċ", "E R", "åħ ¥", "é Ļ",
+  "Ġb ridge", "Ġd ec", "Ġsh ow", "ig h", "ãĥ¥ ãĥ¼", "ĠJ SON", "Ġal low", "Ġs end", "L M", "b ack",
+  "pl ic", "ç ĭ", "Ġe ach", ".in cludes", "a u", "ec ond", "u i", "ãĥ¼ãĥ «", "ç ®", "ĠA dd", "Ġf ill",
+  "ĠĠĠĠĠĠĠĠ ĠĠ", "c urrent", "ge m", "st Message", "Ä ±", "Ú ¯", "ãĥ ı", "ĠW hen", "Ġconst ruct",
+  "Ġvi ew", "ĠÕ ¸", "Ġà¦ ¸", "B uilder", "ction ary", "k s", "m ap", "ou p", "Å Ł", "Õ ½", "à¸²à¸ ¡",
+  "à¹Ģà¸ £", "ãĤ µ", "é ¢", "ĠI ndexedDB", "Ġa ccess", "Ġp er", "Ð¸ ÑĤÑĮ", "Ð½ ÑĭÐ¹", "à¸Ń à¸ģ",
+  "Ġass ign", "Ġ} ,", "ĠÎ ¼", "ĠØ ¯", ".p ublish", "W hen", "ÉĻ r", "æ Ģ", "Ġc ol", "Ġc olor",
+  "Ġex ist", "Ġt ime", "Ġ× ķ×", "') ,", "gr ess", "un t", "Ö ĥ", "à§ĩ à¦°", "à¹Ģà¸ ŀ", "è³ ª",
+  "Ġcom m", "Ġid ent", "Ġv er", "i a", "in ter", "à¹Ģà¸ Ħ", "ä¸ ļ", "ä½ į", "çĽ ´", "Ġg lobal",
+  "Ġthe y", "sv g", "w rite", "ÑĢ Ð°Ð", "ãĥ ĳ", "å İ", "å» º", "ç ·", "Ġc alled", "Ġf old",
+  "Event List", "arg s", "em o", "l abel", "r l", "´ »", "Ã ³", "à¸« à¸§", "æ¬ ¡", "ĉĉ ĉ", "Ġ ÙĦ",
+  "Ġfunction s", "Ġpro pert", "Ġre gistry", "Ġs im", "Ġà¦ ļ", ". value", "umm ary", "ust om", "Ä į",
+  "à¸ ł", "à¸µ à¹ī", "ä» Ģ", "åĳ Ĭ", "ç¤ º", "è ²", "ĠInt egration", "( p", ". id", "W indow", "i ce",
+  "row ser", "t en", "å ¢", "è¡ ¨", "ĠC reate", "Ġex pected", "R ec", "T imeout", "b y", "ch o",
+  "f unction", "ole an", "t itle", "y z", "×ķ× Ŀ", "æ ´»", "è© ±", "ĠI D", "Ġap pro", "IN G", "R E",
+  "etw ork", "pro vider", "s ing", "å® Į", "åħ ³", "çľ ĭ", "Ġ Ïĥ", "Ġbu ffer", "Ġmatch es", "Ġre po",
+  "R esult", "andl er", "f ace", "w h", "Ïģ Î¿", "Ð ¿", "à¸± à¹Ī", "à¹Ģà¸ ¢", "æĬ Ģ", "ç» ı",
+  "Ġse lect", "gem ini", "s k", "Î¹ Îº", "Ø ®", "Ø§Ø ³", "à¸ķ à¸£", "à¹ģà¸ ģà¸", "èµ ·",
+  "Ġcon versation", "Ġevent Bus", "Ġth ese", ". on", ". spec", "t es", "º ¼", "Õ¸ Õ", "ÙĬ Ø©",
+  "à¹Ģà¸ ¡", "ç¤ ¾", "é º¼", "Ġan other", "Ġb adge", "Ġpro vid", ".s ubscribe", "EventList ener",
+  "__ \"", "s ub", "¬ Ŀ", "Õ¡Õ ¶", "à¹ģà¸ ¡", "ãĥ ĸ", "å½ ±", "å¾ Ĺ", "ç´ ¢", "è ¬Ŀ", "é ł", "ĠW eb",
+  "Ġw e", "a f", "j o", "n ÃŃ", "ri g", "| Ċ", "Ð ¼", "ä¸ ĸ", "åħ ·", "æŀ ľ", "Ġm ove", "ĵ ×",
+  "( con", "- result", ". append", "apt er", "le v", "à¸ ¶", "å ¹", "éĹ ľ", ") `", "aut o", "ef ined",
+  "ermiss ion", "it ies", "ÎµÎ¹ ÏĤ", "à¦¾à¦ ķ", "à¸« à¸¥", "à¸± à¸ģà¸", "äº Ĩ", "åĬ Ł", "Ġa g",
+  "Ġg ener", "Ġl ocal", "M ain", "itial ize", "Ð½Ð¸ Ðµ", "Ð¾Ð ²", "à¸µà¸¢ à¸ĩ", "à¹īà¸²à¸ §", "æ³ ¨",
+  "æº Ĳ", "Ġbu ilt", "ĠÕ ¬", "Ġà¦ ĸ", ".s et", "f ul", "p ace", "Î¹ Î±", "ä½ ķ", "æŃ ¤", "Ġh elp",
+  ". is", "est amp", "ª ×", "à¸²à¸ «", "ä» »", "æĪ ĳ", "ç¶ ĵ", "Ġe valu", "Ġwith out", "ĠÐ º", "ĠÕ °",
+  "ĠâĶ ĶâĶĢâĶĢ", ". g", "A t", "el y", "s c", "à¦¾à¦ °", "å® ¶", "åŃ ¸", "è ģ", "Ġ' ./", "Ġchang es",
+  "Ġdiffer ent", "ĠÎ º", ": **Ċ", ": //", "? :", "Call s", "and sh", "ev en", "¬ åı", "Õ ¯", "ä¹ Ī",
+  "åĪ ¶", "æī Ģ", "æķ °", "æĽ ´", "ç« Ļ", "é« ĺ", "ĉ Ġ", "Ġexecut e", "Ġre ject", "ĠØ ³", "Ġà¦Ĩ à¦",
+  "00 0", ": set", "U rl", "act ual", "ail Count", "at al", "at ing", "s ed", "¬åı ¸", "åħ ¬åı¸",
+  "ĠS et", "Ġd el", "ı Ĳ", ".t ype", "b tn", "d b", "ult i", "åĭ ķ", "æ¥ Ń", "Ġch at", "0 7", "H ub",
+  "V im", "an c", "l ocal", "à¹Ģà¸ Ĭ", "ãĥ Ń", "Ġp x", "ĥ ħ", "] .", "as on", "f low", "revi ew",
+  "un ning", "z y", "ãĥĥ ãĤ¯", "Ġch eck", "Ġexecut ed", ". b", ". po", "T ype", "as ync", "i er",
+  "m t", "t yp", "æ µ", "çİ °", "Ġ' ../../", "Ġch apter", "Ġoper ations", "Ġth an", "andsh ake",
+  "cl ick", "com mand", "ist ant", "revi ous", "Å ¾", "Îµ Î¯", "à¸Ń à¸Ķ", "ä¹ ĭ", "å¼ ı", "æĦ Ł",
+  "Ġap i", "Ġconstruct or", "Ġinclud e", "Ġn ow", "Ġre fer", "Ġs ubscri", "Ġwh at", ".f ailCount",
+  "A gent", "enc es", "m eta", "po se", "w idth", "Ø§ ÛĮ", "åĮ ĸ", "æ ıĲ", "æĿ ¥", "çĶ µ", "Ġ+ =",
+  "Ġfor ward", "Ġs w", "Ġthe m", "ĠÐ ¼", "ĠØ £", "¤ ×", "à¸ ¨", "à¸· à¸Ń", "ä½ ł", "æĦ ı", "æĸ Ļ",
+  "Ġ` ;Ċ", "Ġent ry", "In put", "ak es", "ptimiz er", "éĿ ¢", "Ġ empty", "Ġ et", "Ġinte gration",
+  "Ġkey word", "## ##", "( --", "e ad", "em ory", "he ader", "ru le", "Ä Ļ", "Ð¾ ÑĢ", "à¹ī à¸³",
+  "ãĥĭ ãĤ¢", "ç Ĭ", "Ġf unc", "Ġup date", "Ľ ×", ".create Element", "l ash", "lement s", "mod ule",
+  "t ion", "ãģ ¿", "åĩ Ĩ", "æķ µ", "Ġ* /", "Ġf n", ". vim", ".c on", "I nt", "à¹Ģà¸ ¥", "ãĤ °",
+  "ä» ĭ", "åĲ į", "æł ¹", "è¨ Ń", "Ġin sert", "Ġm ark", "Ġvari able", "Execut or", "St ring", "f ont",
+  "is ual", "y le", "à¹īà¸²à¸ ¢", "( error", "( name", "/ core", ": c", "b lock", "ht t", "n o",
+  "~~ ~~", "¡ çĲĨ", "Õ¸ ÖĢ", "æĺ İ", "ç® ¡çĲĨ", "è Ļ", "Ġ Ú©", "Ġrece ived", "k a", "ÉĻ n", "Î¿ Î½",
+  "Ø§ Ùħ", "Ù ¾", "à¹Ģà¸ Ĥ", "ç ¹", "è¨ Ī", "ĠB ridge", "ĠP ython", "Ġab out", "Ġmethod s", "- store",
+  "H istory", "b u", "d u", "h elp", "iv ate", "{ Ċ", "Ðµ ÑĢ", "ãĥ ł", "åĪ ¥", "Ġd elete", "ĠØ ´",
+  "() .", "() Ċ", "- rule", ". now", "even od", "evenod d", "×ķ×¨ ×", "à§ĭ à¦", "à¸ģ à¸²à¸£", "ãĤ Į",
+  "ãĤ± ãĥĥãĥĪ", "ãĥ ¯", "å¤ ļ", "ç½ ®", "ĠÐ ½", "ĠÐ¿ ÑĢ", "\" ,Ċ", "P romise", "ab il", "s uccess",
+  "à¸´ à¸ŀ", "çļĦ ãģª", "ĠA n", "ĠL LM", "Ġb etween", "Ġof f", "Ġs ome", "Ġt em", "--- ĊĊ",
+  ".c ontent", "2 4", "a use", "it ing", "u nd", "¢ ×", "Ã ¥", "à¸£ à¸ĸ", "å¥ ³", "è³ ĩ", "Ġ[ Ċ",
+  "Ġa ct", "Ġpropert ies", "Ġra is", "Ġspec ific",
+  "+------------------------------------------------ ----", "/ agent", "D is", "M odel", "al id",
+  "h ase", "r ough", "Ä ħ", "å ķ", "åĢ ĳ", "åĲ Ī", "æľ Ľ", "è¨ ¼", "Ġapi Key", "Ġn ext", "Ġus age",
+  "++ ;Ċ", ".re move", "execut e", "per at", "t otal", "w ith", "ÐµÐ »", "ãģ£ ãģ¦", "ãĤ¸ ãĥ£",
+  "ãĥĥ ãĤ·ãĥ¥", "å¸ Ĥ", "æĮģ ãģ£ãģ¦", "éĢ ²", "Ġ _", "Ġkey s", "Ġt imeout", "Ġw rite", "Con fig",
+  "ang ed", "sp ace", "Õ« Õ", "à¹Ģ à¸Ń", "ãĥ Ķ", "ãĥ¥ ãĥĭ", "ãĥŁ ãĥ¥ãĥĭ", "äº İ", "æľ ĥ", "è Ī",
+  "Ġ ext", "Ġh t", "Ġn ode", "Ġ× §×ķ×", ") ;", ": ring", "in it", "jo in", "v ed", "z e", "Ðµ ÑĤ",
+  "à¹ĩ à¸Ļ", "à¹Ī à¸²à¸ĩ", "ãĤ «", "ãĥ³ãĥ ģ", "é¡ Į", "Ġg iv", "Ġpro tocol", ") .ĊĊ", ".d ata",
+  ": ',", "> <", "C T", "ar get", "ch unk", "d el", "h idden", "ow n", "res h", "test s", "ãĥ¼ãĥ ł",
+  "ĠS ee", "Ġexecut or", "Ġh over", "Ġspec ial", "Ġ× ŀ", "Ġ× ł", "- auto", "A rray", "ar i", "av a",
+  "l it", "o b", "ro p", "Å ¼", "Ð¾Ð »", "ãĥĲ ãĤ¹", "ä» ¬", "Ġb ranch", "Ġit er", "Ġl imit", "Ġs ing",
+  "( (", ".c om", "` ,", "age ment", "er o", "s ystem", "yz er", "}` );Ċ", "à¸ ĺ", "å £", "åĬ Ľ",
+  "Ġav ailable", "Ġc la", "Ġin to", "Ġn on", "Ġw ould", "Ch ild", "F S", "an y", "b le", "ifi er",
+  "se lect", "w ise", "· äºº", "è® ¾", "ĠCon text", "ĠL ist", "ĠM ain", "Ġb el", "Ġex pect", "Ġà¦ ĵ",
+  "-result s", ".event Bus", "F ailed", "c ase", "end er", "m ain", "od ing", "Ñ Ĩ", "à¸Ĭ à¸²à¸",
+  "à¹Ĥ à¸Ķ", "à¹Ī à¸§", "à¹īà¸²à¸ ĩ", "ãģ Ĥ", "ãĥ §", "å Ŀ", "å¿ ħ", "Ġo cc", "Ġpl ace", "Ġpr ess",
+  "Ĳ ×Ļ×", ") \"", "an n", "em ini", "f ix", "m atch", "o x", "po int", "st art", "Î® ÏĤ",
+  "Ðµ Ð½Ð¸Ðµ", "à¹Ģà¸ ª", "ãĤ ª", "ãĤ ī", "ãĥ Ĩ", "ãĥ£ ãĥĵ", "ãĥ³ ãĥĪ", "ç¶ ²", "ĠG et", "Ġs ch",
+  "Ġ× ĳ×", ". query", ".test s", "ad e", "f ail", "Ð¾ Ñģ", "Õ« Õ¶", "à¸ª à¸¡", "ãĤ³ ãĥŁãĥ¥ãĥĭ",
+  "ãĤŃ ãĥ£ãĥĵ", "ãĥ ĩ", "ä¿ Ŀ", "è ´", "è¿ ĩ", "éĹ ´", "Ġ ÏĦ", "Ġd b", "Ġdi ctionary", "Ġm et",
+  "Ġm ost", "Ġre gister", "Ġst and", "Ġth rough", "ĠÕ ½", "Ł ¥", "-s c", ".class List", "a h",
+  "ers ist", "t ry", "ual ly", "v en", "ÙĪ Ø±", "à¦¾à¦ ²", "à¹Ħ à¸¡", "å· ®", "å½ ¼", "æĸ ¼", "ç º",
+  "Ġag ain", "Ġh ere", "Ġr ight", "Ġs k", "Ġwork s", "- d", "P FS", "et urn", "etail s", "à¦¼ à¦¾",
+  "à¸ľ à¸¥", "ãĤ Ģ", "è¦ ĭ", "éļ »", "éĽ» è©±", "Ġ Öĥ", "Ġh ow", "Ġin t", "Ġl ong", "Ġp age", "Ġp ut",
+  "Ġà¦ ª", "- tool", ".po stMessage", "T E", "ch ar", "in fo", "Å ¡", "Ø µ", "è ª", "è¦ ļ", "éģ İ",
+  "éĩ ĳ", "éĸ ĵ", "Ġap p", "Ġd ele", "Ġdoes n", "Ġout put", "Ġow ner", "Ġs rc", "H e", "ag s",
+  "es ent", "à§ģ à¦", "à¹ģà¸ Ĥ", "é Ł", "Ġg ap", "Ġrec ord", "Ġv im", "( e", "H ello", "ac es",
+  "ap pro", "el ine", "ep end", "in k", "perat ure", "×ķ× ľ", "à¸²à¸ Ķ", "ä» ¶", "ä¾ Ľ", "ç ł",
+  "Ġdefin ition", "Ġoper ator", "Ġsu ite", "Ġund er", "Ĺ ×", ".query Select", ".querySelect or",
+  "atal og", "gr ound", "ment s", "pr ivate", "Ã §", "à¸Ľ à¸£à¸°", "à¹ģà¸ ķ", "âĶ ľâĶĢâĶĢ", "ãĤ ĵ",
+  "ç Ł¥", "çī ¹", "è ½", "Ġ\" '", "Ġd on", "Ġind ic", "em b", "in put", "iz ation", "n Ã½", "o pe",
+  "om atic", "ter m", "à¸£ à¸¡", "à¹Ģà¸ ¨", "ãģ ¶", "ãĥ« ãĥ", "ãĥĪ ãĥ¼", "ç½ ĳ", "Ġedit ing",
+  "Ġh igh", "Ġhandl ing", "Ġsing le", "con nect", "eb ug", "form ation", "l ight", "roll er",
+  "s yntax", "u ple", "Ð¾ ÑĤ", "Õ¡Õ ¼", "à¦¾à¦ ¨", "à§ĩà¦° à¦ķ", "ãĥ¬ ãĥ¼ãĤ", "ãĥĸ ãĥ©", "ĠU p",
+  "Ġcom ponents", "Ġt erm", "ĠØ ¬", "ex pression", "m d", "p attern", "Ø§ Øª", "å Ļ", "åĻ ¨", "è¡ ĵ",
+  "ĉ ĠĠ", "ĊĊ Ċ", "Ġexecut ions", "Ġparamet ers", "Ġqu ery", "Ġs ign", "( ()", "ap abil", "ic i",
+  "u age", "ÏĢ Î¿", "ãģ£ ãģŁ", "Ġdef ine", "Ġ× ŀ×", "* Ċ", "js on", "Ð°Ð »", "ãģ ¯", "ãĥĭ ãĥ¥ãĥ¼",
+  "æĹ ¶", "çķ ¥", "Ġ ÙĨ", "ĠRe gistry", "Ġr ange", "Ġwh ile", "ĠØ ®", "able d", "ch eck", "it s",
+  "m plement", "p c", "um p", "umb ers", "ãĥ Ĵ", "ãĥª ãĥ³", "åı ª", "ç§ į", "Ġ ge", "ĠMessage Bridge",
+  "Ġcontain s", "Ġf l", "Ġf lex", "Ġo b", "Ġse ction", "( [", "() `", "Dis patcher", "St atus",
+  "in ally", "li ce", "m b", "o se", "t ab", "à¸¢ à¸§", "à¹Ģà¸ Ķ", "à¹Ģà¸ ķ", "à¹Ģà¸ ļ", "è£ ħ",
+  "Ġ enc", "Ġ order", "Ġr est", "Ġto ken", ".append Child", "/ src", "O ptimizer", "execut ion",
+  "iss ing", "o ad", "p ass", "rig ht", "t a", "w ays", "Ð° Ð½", "Õ¥Õ ²", "âĢ Ŀ", "åĬ ©", "ç¨ ®",
+  "èµ Ħ", "Ġ} )", "ĠÕ ¥", "Ġ× ©×", "I S", "i j", "m ax", "s g", "s ubscribe", "y s", "Ð¾Ð ´", "ç´ °",
+  "è ¾", "Ġab ove", "Ġcla use", "Ġcor re", "Ġle ft", "Ġm t", "Ġpr int", ".m d", "A D", "lo se",
+  "ont ain", "pl ace", "Õ¡ ÖĢÕ", "à¦ ¦", "éģ ĭ", "Ġ*/ ĊĊ", "Ġc re", "Ġp ermission", "Ġwith in", "O R",
+  "Re po", "St ats", "ad ata", "is ion", "or es", "un ic", "y Ã¼", "Î± Î½", "Ñģ Ñı", "à¸± à¸ª",
+  "à¸²à¸ ģ", "Ġf ield", "Ġind ent", "Ġp res", "-------- ----", ". e", ": bg", "Y PE", "n etwork",
+  "on ly", "Ð ·", "à¹Ģà¸ Ľ", "ç¹ Ķ", "Ġ ÖĦ", "ĠC ore", "Ġcall s", "Ġcontent s", "Ġman y", "ĠÐ ·",
+  "ĠØ ¹", "8 6", "A dd", "D O", "en a", "ex cept", "in s", "li p", "Î¹ Î¿", "à¸²à¸ ŀ", "à¹Ħ à¸ķ",
+  "ãĥ¯ ãĥ¼", "çµ Ħ", "Ġus es", "-b adge", "> ;Ċ", "Ent ry", "a red", "i y", "pr esent", "res ponse",
+  "v ert", "Îµ ÏĤ", "Õ ¾", "à¸±à¸ Ĳ", "ãĥ§ ãĥ³", "å ĵ", "Ġ Ïĩ", "Ġb ase", "Ġb ec", "Ġgiv en", "ĠÕ ®",
+  "ĩ ī", "į ä½ľ", "it Hub", "u ch", "à¸Ħ à¸§", "æ ĵģ", "æĵ įä½ľ", "æĻ Ĥ", "è Ħ", "Ġ Ùģ", "Ġarg s",
+  "Ġb ody", "Ġback ground", "Ġund efined", "ĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠ ĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠ",
+  ".... ....", ".p ass", ".pass Count", "I M", "R es", "as ed", "now n", "ow er", "ut able",
+  "à¦¾à¦ ¦", "à¹Ħ à¸Ĥ", "æ ĩī", "é Į", "Ġd one", "Ġe ver", "Ġpos s", "Ġs andbox", "ĠØ ±", "... </",
+  "1 8", "H andler", "I L", "N one", "a ction", "p en", "ÉĻ y", "Õ ¹", "Õ¸ÖĤ Õ", "à¸²à¸ Ħ", "à¸· à¹ī",
+  "à¸¹ à¹ī", "à¸ģà¸ ķ", "ĉ ĠĠĠ", "Ġ\" \\", "Ġent ries", "Ġin formation", "Ġsu ch", "Ġtyp ing", "( f",
+  "- key", ". string", "I t", "N ot", "P ermissions", "S cript", "apabil ities", "at ive", "c ed",
+  "i que", "iter al", "n g", "ulti ple", "Ïģ Î¹", "à¦¾à¦ ®", "Ġ >Ċ", "Ġ Ù¾", "Ġc lip", "Ġin put",
+  "Ġparamet er", "Ġvari ables", "ĠâĶ ĤĊ", ".string ify", ".t r", "7 07", "A L", "E ach", "N T", "U T",
+  "_ tool", "com ple", "ent ry", "es cription", "irect ory", "k t", "n one", "or ed", "t ime",
+  "à¹ī à¸Ńà¸ĩ", "åı Ĥ", "åıĤ åĬł", "è¿ İ", "é¢ ĺ", "ĠExecut ion", "ĠR eturn", "Ġb rowser",
+  "Ġimplement ation", "Ġjust ify", "Ġpro cess", "Ġs econd", "ĠÐ ´", "\" )", "( value", "C olor",
+  "d ition", "in ue", "n ÄĽ", "pl u", "plu gin", "ut e", "yn am", "± »", "¹ çļĦ", "Î ¶", "Ñ ħ",
+  "à¸¸ à¸Ķ", "ç ±»", "ĠEx ample", "ĠP hase", "Ġcom ponent", "Ġre g", "Ġreturn s", "Ġs om", "ĠÎ Ń",
+  "E S", "c all", "ic al", "yÃ¼ k", "Ã¶ yÃ¼k", "Ð¾Ð º", "à¸ł à¸²à¸ŀ", "â ľ", "ä¸» è¦ģ", "Ġ Ùĩ",
+  "ĠTh us", "ĠUp date", "Ġc ustom", "Ġclass es", "Ġn umbers", "Ġp ending", "Ġs ent", "** :Ċ",
+  "******** ********", ".s uccess", "D ef", "act ive", "im eline", "m odel", "our ce", "us age",
+  "ÙĨ Ø¯", "à¸ Ł", "à¸± à¸§", "à¹Ģ à¸Ļ", "à¹ģà¸ģà¸ £", "ãĥ¼ãĥĬ ãĥ¼", "ä¸ĸ çķ", "ä¸ĸçķ Į", "å¥ ¹çļĦ",
+  "åĪ Ĺ", "åŃ¦ çĶŁ", "ç³» åĪĹ", "çµ ±", "Ġht ml", "Ġkey Path", "Ġn um", "Ġnames pace", "Ġst op",
+  "ĠâĢ ľ", "Ĳ ľ", "Ĳľ ç´¢", "' .", "' ]Ċ", "( id", "- test", ": </", "A PI", "Execut ion", "O M",
+  "c d", "c ount", "ef ul", "form ance", "h andle", "Ð¾Ð ¼", "Ø³ Øª", "à¸²à¸ ¥", "à¸µà¸¢ à¸Ļ",
+  "à¸¸ à¹Ī", "à¹ĩ à¸ļ", "ãģ ķ", "å §", "æ Ĳľç´¢", "Ġal ways", "Ġin s", "Ġre pository", "ķ è", "( h",
+  "- x", "B tn", "N ote", "a e", "it ch", "it ions", "valid ate", "¢ æĪ", "Ø§Ø ¡", "à¸¥ à¸ĩ",
+  "à¸«à¸§ à¸²à¸Ļ", "ä¸Ģ èµ·", "å® ¢æĪ", "å¸ ĥ", "è ħ", "è© ķè", "Ġcontain er", "Ġm enu", "Ġpar ent",
+  "( \"", "( t", ".s end", "B adge", "htt ps", "nal yzer", "ot t", "ov at", "unic ation", "v ark",
+  "° ¢", "Ø§Ø ¨", "à¹Ĥ à¸ķ", "à¹ī à¸²", "ä½ľ åĵģ", "æŃ ¡", "çļĦ äºº", "Ġhigh light", "Ġse par",
+  "Ġst reaming", "Ġà¦ ı", ".m odel", "N ode", "ann el", "ard vark", "in ce", "p ending", "sp ort",
+  "Ïĥ ÎµÎ¹ÏĤ", "à¸´ à¸©", "à¸Ń à¸£", "à¹ģà¸ Ķ", "à¹ģà¸Ķ à¸ĩ", "å¢ ĥ", "å¾Ĺ åĪ°", "æ³ķ å¾", "è °¢",
+  "éĥ¨ åĪĨ", "ĠM ap", "ĠUn it", "Ġav oid", "Ġident ifier", "Ġs er", "Ġthe ir", "ĠØ Ń", "(re quest",
+  ".d b", ".h andle", "4 0", "A N", "T ime", "U n", "` Ċ", "ass istant", "c roll", "m ÉĻk", "old er",
+  "sp lit", "ut put", "} :", "§ ×", "¯ æĮģ", "Ïģ Î³", "à¹Ī à¸Ńà¸Ļ", "å§ ĭ", "å¸ ¸", "åĨ ³", "æĬ ķ",
+  "æĶ ¯æĮģ", "éĿ ŀ", "éĿŀ å¸¸", "Ġbo th", "Ġcon s", "Ġd et", "Ġd ig", "Ġdis patcher", "Ġover flow",
+  "Ġth ree", "ĠÏĢ ÏģÎ¿", "Ļ ×", "' \"", "-w idth", ": t", "F unction", "T ab", "_ st", "d er",
+  "e ver", "m an", "ro le", "ul ate", "Ðº Ð°", "Ø§ Ùĩ", "à¸¶ à¸ĩ", "ä¸Ń æĸĩ", "å Ķ", "åĶ ®",
+  "æĺ¯ ä¸Ģ", "è Ĳ", "éĸ ĭ", "Ġ ..", "Ġ ist", "Ġb Ã¶yÃ¼k", "Ġc lear", "Ġex pl", "Ġexce pt", "Ġpo int",
+  "B ox", "P assed", "` ;Ċ", "h ow", "in st", "ok en", "re gister", "¾ İ", "Ðº Ð¸", "æ ²", "æ¬ ¢",
+  "ç ¾İ", "çķ ¶", "Ġ ÙĤ", "Ġg ot", "Ġm ight", "Ġn ormal", "Ġst orage", "Ġt arget", "-c ol", "> }Ċ",
+  "A T", "c ontent", "f ind", "m e", "ov es", "um n", "v oid", "w w", "¸ æĪ", "Î½ Î±", "ÙĪ ÙĨ",
+  "à¸´ à¸ķ", "à¹Ģà¸¨ à¸©", "å ŀ", "åĭ Ļ", "æľĢ æĸ°", "ç© º", "çĶ¨ æĪ", "Ġal ready", "Ġc ould",
+  "Ġf eatures", "Ġman agement", "Ġs elf", "Ġs l", "Ġset Timeout", "Ġth read", "Ġtim estamp", "Ġv ol",
+  "ĠÎ ³", "ĠØ¨ Ø§ÙĦ", "A nalyzer", "D E", "Q u", "b order", "e g", "idd le", "is on", "l en", "pe ar",
+  "s age", "ur l", "y ou", "¡ æ", "© å£", "©å£ ²", "± åľ", "¸ ¸æĪ", "Ð ³", "à¸ Ĳ", "à¸²à¸ ª",
+  "à¸Ļ à¸¡", "à¹Ĥà¸Ķ à¸¢", "ä¹ Ł", "æľī äºĽ", "çĬ ¶", "è² ©å£²", "éĩ ı", "Ġ ÑĤ", "Ġ' <", "ĠG itHub",
+  "ĠV alid", "Ġan not", "Ġb ound", "Ġop fs", "Ġs ize", "Ġstatus Badge", "Ġus eful", "Į ä¸", "- error",
+  "-c olor", "> </", "A R", "I ON", "N o", "N ow", "di ct", "in ish", "s end", "v ir", "±åľ ³",
+  "· ±åľ³", "ãĤ¯ ãĥŃ", "å¤§ å°", "å®Į åħ¨", "æ³ķå¾ ĭ", "æĽ´ æĸ°", "çĶ ¢", "èĢ Įä¸", "èĢĮä¸ Ķ",
+  "ĠO PFS", "Ġal i", "Ġsc ope", "Ġtrans ition", "ĠÐ ¸", "Ġ×¡ ×", "ĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠ ĠĠĠĠĠĠĠ",
+  "(res ponse", "P C", "add EventListener", "at tr", "def ault", "er ed", "ersist ence", "if t",
+  "ig inal", "ott om", "w ind", "} /", "}` ,", "² ¾", "Î ¾", "ÏĦ Îµ", "Ø «", "Ø§Ø³ Øª", "à§ģ à¦²",
+  "ä¹Ł æĺ¯", "ä½ľ èĢħ", "åħ· æľī", "åľ° åĿ", "åľ°åĿ Ģ", "æ³ ģ", "æĺ¯ åĲ", "æł ¼", "ç ²¾", "è¿ Ľ",
+  "éĩ į", "éĩį è¦ģ", "ĠU se", "Ġin it", "Ġin v", "Ġspec ified", "Ġtrans fer", "Ġv ery", "ĠØ§ÙĦØ £",
+  "- xl", "al c", "an el", "ap h", "at er", "n ode", "p art", "º æľ¬", "Õ¸ÖĤ Õ¶", "à¸ ĵ", "à¸ª à¸¥",
+  "à¸Ń à¹Ĥ", "ä¸Ģ çĽ´", "ä¸į æĸ", "ä¼ ģ", "åį Ģ", "æ ¸¸æĪ", "æ į", "æ± ½", "æį ®", "æĵ ļ", "æĺ¯åĲ ¦",
+  "æľĢ åĲİ", "æŁ ¥", "éĤ Ħ", "Ġ' ';Ċ", "ĠC lient", "Ġinst ead", "Ġp ublish", "Ġp ÅĻ", "Ġs ide",
+  "Ġstart s", "ĠÐ ±", "ĠÕ ¶", "Ġ× Ķ×", "ĳ ×¨×", "+ ----------------", ". worker", "S ize", "ail wind",
+  "con text", "current Color", "gr aph", "le t", "rop ic", "t il", "th ropic", "ubscri ptions",
+  "ul es", "¡æ ģ", "¡æģ ¯", "¦ ĸ", "Ø§ ÙĤ", "Ùĩ Ø§", "à¸Ĺ à¸§", "ä½ Ĩ", "ä¿ ¡æģ¯", "å¤§å° ı", "åº Ķ",
+  "åķ Ĩ", "åķĨ åĵģ", "åĸ ľ", "åŁ ºæľ¬", "æİ ¥", "çĽ´ æİ¥", "è® º", "é ¦ĸ", "Ġb r", "Ġp ort",
+  "Ġpattern s", "Ġre present", "Ġview Box", "Ġ× Ĳ×Ļ×", "Ķ ç©", "( !", "( new", "/ tests", "A n",
+  "AD ME", "F alse", "G E", "Test s", "il y", "m atter", "» ŀ", "Ð½ Ð¾", "Ð¾Ð ¹", "Ö ĩ", "à¹Ģà¸ ģ",
+  "ä¸Ģ æ¬¡", "ä¸į åĲĮ", "å¦Ĥ æŃ¤", "å® ŀ", "åĤ Ļ", "åĪ «", "æ± º", "æ³¨ æĦı", "æıĲ é«ĺ", "æĸ¹ å¼ı",
+  "æĸĩ åĮĸ", "çĦ¶ åĲİ", "çł Ķç©", "çłĶç© ¶", "é »ŀ", "ĉ set", "ĠD ay", "ĠR un", "Ġar ound",
+  "Ġfile type", "Ġh andle", "Ġload ed", "Ġm a", "Ġsh ort", "ī åħ¨", "ĵ ×Ļ×", "-b us", "ic ally",
+  "par ison", "« ĸ", "Ð¾Ð ¶", "à¸« à¸²à¸£", "ä½į ç½®", "å¦Ĥ æŀľ", "å¼ Ģ", "åħ¶ ä¸Ń", "åı ²", "åĽ ŀ",
+  "æĢ İ", "æĸĩ ä»¶", "è¡¨ ç¤º", "Ġ\" -", "Ġa d", "Ġaut omatic", "Ġp revious", "Ġp ri", "Ġ} ]",
+  "\" ĊĊ", "(' .", "- status", "12 3", "C TRL", "C ore", "M essages", "S chema", "as es", "d ated",
+  "el se", "ic s", "im al", "is k", "o o", "pl it", "} ,", "© åŃĲ", "Õ¶ Õ¥Õ¬", "à¸³ à¸ª", "ãĤ¹ãĥ ģ",
+  "ãĥ« ãĥĪ", "ãĥ¼ ãĥĪ", "ä»Ĭ å¤", "ä»Ĭ å¹", "ä»Ĭå¤ ©", "ä»Ĭå¹ ´", "å® ¹", "å® īåħ¨", "å· ²", "åħ į",
+  "åĬł åħ¥", "åŀ ĭ", "åŃ ©åŃĲ", "æ ļ", "æļ ĸ", "æļĸ ãģĭãģĦ", "ç Ń", "ç« ł", "çĤ ¹", "çī ĩ", "çŃ ī",
+  "è§ £", "ĠB us", "Ġd ebug", "Ġme ans", "Ġw ere", "ĸ èĢħ", "( store", ".js on", ".m essages",
+  "Ent er", "a ir", "ach e", "ee k", "es c", "est ed", "ont roller", "s w", "tribut e", "u pt",
+  "v ersion", "® ĭ", "®ĭ ãĤĭ", "ÅĽ Äĩ", "Î ²", "Ïī Î½", "Ð¸ Ñı", "Õ ¬", "×¨ ×Ļ×", "Ø ¶", "Ù ī",
+  "à¦ ¤", "à¸¡ à¸Ļ", "à¸²à¸« à¸²à¸£", "à¸ģà¸£ à¸°", "à¸Ħ à¸²à¸§", "ä¸Ń å¿", "ä¸Ńå¿ ĥ", "ä»¥ åı",
+  "å¥³ äºº", "å¦Ĥ ä½ķ", "åĪ¶ ä½ľ", "åĮ Ĺ", "æ ®ĭãĤĭ", "æĪ ĸèĢħ", "æĸĩ ç«ł", "æĹ¥ æľ¬", "æľ¬ ç«Ļ",
+  "æľī éĻ", "æľīéĻ Ĳ", "æŁ¥ çľĭ", "çĶŁ æ´»", "è ¼", "éļ ł", "éļł ãģĻ", "Ġ ke", "Ġ Ã©", "ĠCh eck",
+  "Ġrais ed", "Ġto p", "Ġwh ole", "---- ---", "-b etween", ". par", ".d is", ".s croll", ".s ession",
+  "Tok en", "cript or", "in te", "inter face", "p or", "th at", "v ar", "Î¿Ïħ Î½", "à¸± à¸ģ",
+  "à¸Ń à¸ģà¸", "à¹ Ĭ", "ä¸į èĥ½", "äº §", "ä½Ĩ æĺ¯", "å¯ Ĩ", "åĬŁ èĥ½", "åı °", "åĲĪ ä½ľ", "æ¨ £",
+  "æĪĲ åĬŁ", "æĪĳ çļĦ", "æķĻ è", "æķĻè Ĥ", "æķĻèĤ ²", "æĹ¥ æľ", "æĹ¥æľ Ł", "æł ·", "çĽ ¸", "çľĭ åĪ°",
+  "ĠS end", "ĠV isual", "Ġbe en", "Ġbel ow", "Ġbu ild", "Ġd olor", "Ġresults Div", "Ġvalid ate",
+  "Ġvi a", "Ġword s", "ľ ×ķ×", "( data", "() );Ċ", ") :Ċ", "* ĊĊ", ". ,", "5 86", "< void", "V alue",
+  "W h", "[ i", "ad a", "c z", "ick y", "it es", "opy right", "± æĺ¯", "» éĿ¢", "¿ åº", "¿åº ľ",
+  "Î¼ Î¿", "Ñ Ī", "à§įà¦ ¤", "à¹ĥ à¸ļ", "ãĤ¹ãĥģ ãĥĥãĤ¯", "ãĥ© ãĤ¹ãĥģãĥĥãĤ¯", "ä»¥åı Ĭ", "å®Į æĪĲ",
+  "åħ §", "åħ¨ éĥ¨", "åı¯ èĥ½", "åĳ ĺ", "åĵģ çī", "åĵģçī Į", "æ ·±åľ³", "æ ĥħ", "æīĢ æľī", "æĶ ¿åºľ",
+  "æĸ¹ æ³ķ", "æł ¡", "ç§ ĳ", "ç§ĳ æĬĢ", "çĶ ±", "çĶ »éĿ¢", "è¦ º", "éŁ ³", "Ġ Ø§Ø", "ĠR E",
+  "ĠRe pository", "Ġassign ment", "Ġbe h", "Ġcorre ct", "Ġd uration", "Ġf ull", "Ġmatch ing", "Ġow n",
+  "Ġread y", "ĠÕ ·", "Ĺ ãĥ©ãĤ¹ãĥģãĥĥãĤ¯", "(con fig", "- r", "-l ine", "00 1", "CT YPE", "W ith",
+  "ce ption", "et ch", "get item", "in clud", "l ar", "n et", "ont matter", "ou se", "param et",
+  "© ãĥ«ãĥĪ", "¯ Ķ", "Î¼ Î±", "Ïģ Î¬", "Ð° ÑĤ", "Ð¾Ð ±", "×ķ× ł×", "à¦ ľ", "à¸Ń à¸ļ", "ãĤ ©ãĥ«ãĥĪ",
+  "ãĤ¯ãĥŃ ãĤ¹", "ãĥķ ãĤ©ãĥ«ãĥĪ", "ãĥķ ãĥĪ", "ä»¥ ä¸Ĭ", "ä½ ĵ", "å° ±æĺ¯", "å± ķ", "å·¥ ä½ľ", "åº ı",
+  "åĨ ħ", "æľĢ å¤§", "ç¨ĭ åºı", "èĩª ä½ĵ", "é ľ", "éľ Ģ", "éľĢ è¦ģ", "Ġ K", "Ġattribut es", "Ġb ir",
+  "Ġe qual", "Ġfr ame", "Ġlang uage", "Ġop en", "Ġposs ible", "Ġs on", "ĠÕ Ń", "ĠÕ¡Õ µ", "İ ãĥ¼ãĥĪ",
+  "(re po", "(res olve", "- >>", "- item", "- st", "-c ontent", ". status", "< !", "Message Bridge",
+  "Re ad", "arg ument", "ava Script", "d elete", "en v", "f ailed", "g en", "i at", "load ed",
+  "per m", "t empt", "¼ Ķ", "¼Ķ èĢħ", "à¸ į", "à¸ª à¸²à¸£", "à¸±à¸ į", "à¸±à¸į à¸į", "à¸ĸ à¸²à¸ĩ",
+  "à¸Ń à¸²à¸«à¸²à¸£", "ãĤ§ ãĥŁ", "ãĤ§ãĥŁ ãĥĭ", "ãĤ§ãĥŁãĥĭ ãĤ¹ãĥĪ", "ä»» ä½ķ", "å·¥ ç¨ĭ", "åĩº æ",
+  "åĩºæ ¼ĶèĢħ", "åĮ ħ", "åĮħ æĭ", "åĮħæĭ ¬", "æľ į", "é ĥ½", "Ġ old", "Ġ Ñĥ", "Ġ( {", "ĠCom ponent",
+  "Ġchunk s", "Ġcomm unication", "Ġcomple ted", "Ġl iteral", "Ġm l", "Ġmodel s", "Ġsupport s",
+  "Ġtool Name", "') Ċ", "* .", "-b ridge", "-s ession", ".con fig", ".in itialize", "E sc", "PE P",
+  "ath er", "con sole", "eat ure", "ex pected", "oc ale", "| .ĊĊ", "¦ åı", "¨ æĻ", "¨æĻ ¯", "° ĳ",
+  "Ðµ Ð½", "Ð½ Ñĥ", "Ð½Ñĥ ÑĤÑĮ", "Ø £", "ÙĪ Ø¨", "ÛĮ ÙĨ", "à¸ģà¸ ³", "äºº æ", "äººæ °ĳ", "åį Ī",
+  "åįĪ åīį", "åı¯ ä»¥", "æ ¯Ķ", "è® ¡", "è¯ Ŀ", "é¡ ŀ", "é¢ ¨æĻ¯", "Ġ\" /", "Ġ- >", "Ġ` ${",
+  "Ġap pear", "Ġd etails", "Ġmapping s", "Ġor iginal", "Ġr ender", "Ġrefer ence", "Ġro ot", "Ġst ill",
+  "Ġst ream", "Ġst ro", "Ġsw itch", "Ġt ell", "Ġun til", ". for", ".m ap", "7 8", "< body", "< head",
+  "< html", "D ata", "DO CTYPE", "F iles", "O L", "an k", "ce ived", "d it", "i ÄĻ", "ific ation",
+  "n en", "out put", "se arch", "ul ar", "¹ åĸ", "¹åĸ Ħ", "Å Ħ", "Ï Ī", "Õ £", "Õ¾ Õ¥Õ¬",
+  "ãĥª ãĥķãĥĪ", "ãĥ¼ãĤ ·", "ãĥķ ãĤ§ãĥŁãĥĭãĤ¹ãĥĪ", "ä¸Ģ èĪ", "ä¸Ĭ æµ", "å¢ ŀ", "å¢ŀ åĬł", "å¤ ĩ",
+  "å·¥ åħ·", "åħ¶ ä»ĸ", "åİ Ł", "åİŁ åĽł", "æ³¨ åĨ", "æīĢ ä»¥", "æĶ ¹åĸĦ", "æķ ¸", "çĭ Ĳ", "è¨¼ è¨Ģ",
+  "è¨¼è¨Ģ ãģĻãĤĭ", "Ġ ÉĻ", "Ġ\" <", "ĠG emini", "ĠSt art", "Ġcan not", "Ġconsole El", "Ġj ump",
+  "Ġsession Manager", "Ĭ æ", "* ,", "-col s", "/ .", "2 5", "S ee", "appro ve", "d o", "e cho",
+  "n or", "o y", "or p", "ran sport", "s es", "u red", "¦ ãģĹ", "¦ãģĹ ãģ¦", "¦ãģĹãģ¦ ãģ¿",
+  "¦ãģĹãģ¦ãģ¿ ãĤĭ", "§ åĪ¶", "ÐµÐ ´", "ãĤ¯ ãĥ«", "ä¸ĢèĪ ¬", "ä¸Ĭæµ ·", "åĪ° äºĨ", "åĽł æŃ¤",
+  "æİ §åĪ¶", "æĹ¥ æĽ", "æĹ¥æĽ ľ", "æĹ¥æĽľ æĹ¥", "çĻ »", "çĽ® åīį", "è© ¦ãģĹãģ¦ãģ¿ãĤĭ", "Ġ ÑĢ",
+  "ĠN ote", "ĠS ystem", "ĠTh at", "Ġcomple tion", "Ġexist s", "Ġh idden", "Ġk now", "Ġm ultiple",
+  "Ġoper ation", "Ġs ort", "Ġset tings", "ĠĠĠĠĠĠĠĠ ĠĠĠĠĠĠ", ".e lements", ".m ax", "3 0",
+  "Execut ions", "L og", "a wait", "ain ed", "b in", "ent ries", "gr id", "ind ing", "ith er", "on o",
+  "v el", "vi ce", "¤ İ", "´ ¾", "´¾ ãģª", "º «", "à¸£ à¸Ńà¸ĩ", "à¸´ à¹Ĥ", "à¸¸ à¸Ļ", "à¸Ń à¸¡",
+  "à¹ģà¸ £", "à¹ī à¸§", "ãģª ãģŁ", "ãģªãģŁ èĩª", "ãģªãģŁèĩª è", "ãģªãģŁèĩªè º«", "ãģĤ ãģªãģŁèĩªèº«",
+  "ãĤ¤ ãĤª", "ãĤ¤ãĤª ãĥĭãĤ¢", "ãĤ§ ãĥ¼ãĥ", "ãĤ§ãĥ¼ãĥ ĵ", "ãĤ§ãĥ¼ãĥĵ ãĥ³", "ãĤ§ãĥ¼ãĥĵãĥ³ ãĤ°",
+  "ãĥĩ ãĥķãĤ©ãĥ«ãĥĪ", "ä¸Ģ ä¸ĭ", "ä»ĸ çļĦ", "å¸ ĸ", "å¸ĸ åŃĲ", "åı¯ æĺ¯", "æł ĩ", "ç« ĭæ",
+  "ç«ĭæ ´¾ãģª", "çļĦ æĺ¯", "è¿ ĺ", "èĦ Ĭæ", "èĦĬæ ¤İ", "éĥ½ æĺ¯", "ĠF ailed", "ĠU RL", "Ġ[ {", "Ġa c",
+  "Ġc a", "Ġc r", "Ġever y", "Ġexpression s", "Ġgr oup", "Ġre p", "Ġre qu", "Ġstart ed", "Ġstro ke",
+  "Ġtrans l", "Ġy ield", "ĠÕ ¿", "ŀ ×¨×", "\" .Ċ", "-c lient", ". api", ". execute", "Int er",
+  "S ystem", "ac y", "bo olean", "c ent", "c over", "c ss", "im um", "le ction", "propert ies",
+  "ur pose", "¥ ¿", "¨ ģ", "¨ģ æľĽ", "¬ ¦åı", "¬ ãģĻãĤĭ", "¾ çļĦãģª", "ÏĦ Î¿", "Õ¡Õ µ", "à¦ ģ",
+  "à¸£ à¸²à¸", "à¸ģà¸£ à¸£à¸¡", "à¹ ĭ", "ãĤ¹ãĥ ŀ", "ãĥ¬ ãĥ¼ãĥł", "ä¸Ģ å®ļ", "ä»¥ ä¸ĭ", "å ¨ģæľĽ",
+  "å ł", "å¯ ¾çļĦãģª", "å° Ĭ", "å°Ĭ æķ", "å°Ĭæķ ¬ãģĻãĤĭ", "åĢ Ļ", "æ¨ Ļ", "æ± Ĥ", "æĦŁ è¬Ŀ",
+  "æĦŁè¬Ŀ ãģĻãĤĭ", "æĵģ ãģĻãĤĭ", "æķµ å¯¾çļĦãģª", "ç ¬¦åı", "ç¹Ķ ãĤĭ", "çĶ ·äºº", "è ¥¿", "è¦ģ æ±Ĥ",
+  "ĉ The", "Ġ' /", "ĠT ype", "Ġchar set", "Ġevalu ated", "Ġinter pre", "Ġm issing", "Ġne g",
+  "Ġpar se", "Ġpart s", "Ġs m", "Ġw a", "ĠÕ¥ ÖĢÕ", "ĭæ ĥħ", "- none", "-------- ---",
+  ".add EventListener", "< string", "A I", "Ex pected", "anc es", "cd n", "d is", "eth ing", "ib us",
+  "n a", "od al", "ple te", "plic it", "w d", "| usr", "¨ çµĦ", "© æĸ°", "¬ çľ", "¬çľ ł", "¬çľł è¡ĵ",
+  "Ð° Ñģ", "Õ¡ ÖĢ", "×ķ× ¡", "Ú Ĩ", "à¦ ¸", "à¸µ à¸ļ", "à¸Ħ à¸Ļ", "à¹Ħ à¸Ħ", "ãĤ· ãĤ§ãĥ¼ãĥĵãĥ³ãĤ°",
+  "ãĥ Ĺãĥ©ãĤ¹ãĥģãĥĥãĤ¯", "ãĥ¬ ãĥĥ", "ãĥ¬ãĥĥ ãĤ¸", "ãĥı ãĥĵ", "ãĥıãĥĵ ãĥª", "ä»¥ åĲİ", "å¾ Ī",
+  "å¾Ī å¤ļ", "åĤ ¬çľłè¡ĵ", "åĬ ¡", "æľ ĭ", "æľĭ åı", "ç¬¦åı ·", "ç· ¨çµĦ", "èĥ½ å¤", "Ġ( \"",
+  "ĠJ avaScript", "Ġa cc", "Ġcomple te", "Ġdefin es", "Ġdefin itions", "Ġhandl ers", "Ġim m",
+  "Ġin valid", "Ġlist s", "Ġo ptimiz", "Ġpres ent", "Ġs ol", "Ġspec ify", "ĠâĢ Ķ", "- provider",
+  "4 2", "He ader", "P ending", "S et", "i ec", "le an", "m ock", "ov ing", "pl es", "plic ation",
+  "re quest", "un g", "¨ è", "¯ ī", "Ø§Ø ²", "à¹ī à¸Ńà¸Ļ", "ãģ¾ ãģ¿", "ãģ¾ãģ¿ ãĤĮ", "ãģ¾ãģ¿ãĤĮ ãģ®",
+  "ä¸į è¦ģ", "å·® åĪ¥", "å·®åĪ¥ ãģĻãĤĭ", "å»º ç", "å»ºç ¯ī", "åĨ į", "åĨį çı¾", "åĨįçı¾ ãģĻãĤĭ",
+  "åĮ º", "æİ ¨è", "çķ Ļ", "çķĻ è¨Ģ", "è¡ Ģ", "è¡Ģ ãģ¾ãģ¿ãĤĮãģ®", "éĿ ©æĸ°", "ĉ M", "Ġ \\", "Ġ ol",
+  "Ġ q", "ĠA rray", "ĠTh ere", "Ġd emo", "Ġdirect ly", "Ġe ff", "Ġon ce", "Ġp ack", "Ġvol upt",
+  "Ġy Ã¼", "ĠÕ ¢", "ĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠ ĠĠĠĠĠĠ", "ľ ãĥĪ", ".d elete", "4 5", "I D", "In fo", "b ar",
+  "ce ed", "ex ample", "ex ist", "i ed", "l ess", "u de", "x x", "¨ çļĦ", "ª ×Ļ×", "± å±", "±å± ±",
+  "Ä± n", "Îµ Î½", "ÐµÐ» ÑĮ", "Õ¸ÖĤ ÖĢ", "ÙĪ Ø´", "à¸¹ à¹Ī", "à¸ģà¸¥ à¸²à¸ĩ", "à¹Īà¸§ à¸ĩ", "ãĤ ¿",
+  "ãĤ« ãĥ¬ãĥĥãĤ¸", "ãĤ± ãĥ¼ãĤ·", "ãĤ¸ãĥ£ ãĥł", "ãĥª ãĥĭãĤ¢", "ãĥª ãĥıãĥĵãĥª", "ãĥ¼ãĤ ²", "ä¸» å",
+  "ä¸»å ©", "äº ĭæĥħ", "åĪĨ æŀ", "åĪĨæŀ Ĳ", "åľ° æĸ¹", "æľ Ī", "ç´° ãģĭãģĦ", "èĥ½ åĬĽ", "é ī",
+  "éī ±å±±", "ĉ g", "Ġ* Ċ", "ĠIn sert", "ĠM ath", "ĠTh en", "ĠU ser", "ĠUn ix", "Ġl ength", "Ġm ouse",
+  "Ġnode Id", "Ġres olve", "Ġsim ple", "ĠÏĢ Î±", "ĠÐ ³", "Ġà¦ ®", "Ġà¦ ľ", "Ġâ Ĩ", "Ĥ ¨çļĦ", "( el",
+  "* \"", "-s hr", "-shr ink", "Rec ord", "S T", "U RL", "UT F", "] ĊĊ", "e k", "en ch", "f rom",
+  "h ash", "i Äĩ", "k o", "ne ction", "or ies", "orp aq", "p ec", "st it", "¿ çĶ¨", "Ã¼ r", "Î¬ Î½",
+  "Ð¾ Ð½", "Õ ¼", "Ùģ Øª", "ÙĪ Ø¯", "à¸« à¸£", "à¸Ńà¸¢ à¸Ķ", "à¹Ģà¸Ń à¸ª", "ãģ Ŀ", "ãģĿ ãĤĮ",
+  "ãĤ¹ãĥŀ ãĥĥãĤ·ãĥ¥", "ãĥ İãĥ¼ãĥĪ", "ãĥ¼ãĥ ©", "ä¸»å© ¦", "ä¸Ģ äºĽ", "ä¹ĭ åĲİ", "ä»Ĭ æĹ¥", "ä½ ¿çĶ¨",
+  "å¤§ å®¶", "å° Ħ", "åĵ ¡", "åŁ İ", "åŁİ å¸Ĥ", "çĽ® çļĦ", "ĠA ll", "ĠF unction", "ĠPro vider",
+  "ĠTh ese", "Ġar ray", "Ġb it", "Ġb tn", "Ġbe ing", "Ġdes cri", "Ġe v", "Ġf ew", "Ġmax Tokens",
+  "Ġre f", "Ġre tri", "ĠÏĥ Ïħ", "į å°Ħ", "(event Name", ". usage", "4 4", "ans fer", "c ol", "ex pr",
+  "i en", "lev ant", "st ru", "un it", "}` ;Ċ", "ª ģ", "ÏĦÎ± Î¹", "Õ º", "ÙĬ Ø§", "à¸£ à¸ĩ",
+  "ãģª ãģĦ", "ãģ¾ ãģĹ", "ãģ¾ãģĹ ãģŁ", "ãģĦ ãģ¾ãģĹãģŁ", "ãĤ³ ãĥ¼ãĥ©", "ãĤī ãģĭãģĦ", "ãĥ¼ãĥĬ ãĥ«",
+  "ãĥĲãĤ¹ ãĤ±ãĥĥãĥĪ", "ãĥĳ ãĤ¤ãĤªãĥĭãĤ¢", "ãĥķ ãĥ¬ãĥ¼ãĥł", "ä¸Ń å¤", "ä¸Ńå¤ ®", "åı įå°Ħ",
+  "æĮģãģ£ãģ¦ ãģĦãģ¾ãģĹãģŁ", "æĮģãģ£ãģ¦ ãĤĭ", "æĸ¹ éĿ¢", "æĽ´ å¤ļ", "æŁ Ķ", "æŁĶ ãĤīãģĭãģĦ", "ç ªģ",
+  "è¡ Ŀ", "è¡Ŀ çªģ", "é«ĺ ãģĦ", "éĥ¨ éļ", "Ġ enter", "Ġ/ >Ċ", "ĠB ut", "ĠM odel", "ĠS e", "ĠW h",
+  "ĠW ith", "Ġtim es", "Ġto k", "Ġà¦ ¦", "( b", "(` ${", ": help", ": out", ":out line", "P ar",
+  "Res ponse", "a z", "bo ard", "im estamp", "ip s", "m ake", "n ull", "oc om", "ou ble", "pr ess",
+  "qu ences", "£ åľ¨", "® éĢļ", "®éĢļ ãģ®", "¯ è¦ļ", "¼ ãĤĢ", "à¦ Ĺ", "à¦¾à¦ ¸", "à¸ ¤", "à¸± à¹ī",
+  "à¹Ģà¸ «", "à¹Ģà¸ Ī", "à¹ģà¸ Ĺ", "à¹Ī à¸ĩ", "ãĤ ģ", "ãĤģ è¾", "ãĤģè¾ ¼ãĤĢ", "ãĥ Ĭ", "ãĥ© ãĥł",
+  "ãĥ¼ãĤ º", "ãĥĲ ãĥ¼ãĤ²", "ãĥĶ ãĥĥãĤ¯", "å¯ ¦", "åĩº ãģĹ", "åĲ Ħ", "åŁ ĭ", "åŁĭ ãĤģè¾¼ãĤĢ", "åŃ Ĺ",
+  "æ Ĥ¨çļĦ", "æķ° åŃĹ", "æĻ ®éĢļãģ®", "ç§ ģ", "ç®¡çĲĨ ãģĻãĤĭ", "è¦ĭ åĩºãģĹ", "éĥ¨éļ Ĭ", "éĮ ¯è¦ļ",
+  "ĠCon versation", "Ġg u", "Ġm x", "Ġpre fix", "Ġpro du", "Ġselect ed", "Ġsw ap", "Ġtest ing",
+  "ĠÕ´ Õ¥Õ", "( test", "( this",
+  "+---------------------------------------------------- +----------------------------------------------------",
+  ". key", ".h as", ".st art", "0 8", "= de", "> }", "J SON", "S ome", "Th ere", "_st mt", "al ent",
+  "d ir", "if f", "oc ation", "ol ation", "type of", "u f", "Ïģ Î·", "à¦¾à¦ ¬", "à¸´ à¸Ī", "à¸ł à¸Ħ",
+  "à¹Ģà¸Ĥ à¸¢",
+  "âĶĢâĶĢâĶĢâĶĢâĶĢâĶĢâĶĢâĶĢâĶĢâĶĢâĶĢâĶĢâĶĢâĶĢâĶĢâĶĢ âĶĢâĶĢâĶĢâĶĢâĶĢâĶĢâĶĢâĶĢâĶĢâĶĢâĶĢâĶĢâĶĢâĶĢâĶĢâĶĢ",
+  "ãĤ ¬", "ãĤ³ ãĥĶ", "ãĤ¹ãĥĪ ãĥ¬ãĥ¼ãĤ", "ä¿Ŀ æĮģ", "ä¿ĿæĮģ ãģĻãĤĭ", "å¼ ķ", "åĲĮ è¡Į", "æľ¬ è³ª",
+  "æľ¬è³ª çļĦãģª", "æľĭåı ĭ", "æŃ £åľ¨", "ç´¢ å¼ķ", "è§ ī", "ĠN ot", "Ġbec ause", "Ġc opy",
+  "Ġcol umn", "Ġe as", "Ġimplement ed", "Ġre al", "Ġstand ard", "Ġtok ens", "Ġwindow s", "Ġà¦ Ĺ",
+  "ĠĠĠĠĠĠĠĠ ĠĠĠĠ", "ľãĥĪ ãĥ«", "-c om", "-w orker", ".in it", ".t ailwind", ".tailwind css",
+  ": syntax", "Ch unk", "] (", "] ,", "andl ers", "b a", "b revi", "c k", "epend enc", "le ase",
+  "m ark", "od es", "qu iv", "ruct ure", "ter n", "} \"", "¡ å¼", "¡å¼ µ", "£ åĮĸ", "£åĮĸ ãģĻãĤĭ",
+  "¤ ãĥ", "¦ ãĤ§", "¦ çķ¥", "¦ãĤ§ ãĤ¢", "Ïĥ Î¹", "Ðµ Ñģ", "Õ ²", "Ø§Ø ¹", "à¹Ī à¸Ļ", "ãĤ £",
+  "ãĤ ¦ãĤ§ãĤ¢", "ãĤ¤ ãĥ¼ãĥ«", "ãĤ¹ãĥĪãĥ¬ãĥ¼ãĤ ¸", "ãĥ¼ãĥ ī", "ãĥ¼ãĥī ãĤ¦ãĤ§ãĤ¢", "ãĥĨ ãĤ£",
+  "ãĥĸãĥ© ãĤ±ãĥĥãĥĪ", "ãĥŃ ãĤ°", "ä¸Ń ä¸ĸ", "ä» £åĮĸãģĻãĤĭ", "åĲ Ľ", "åĲĽ ãģ¯", "åĵģ è³ª", "æĭ ¡å¼µ",
+  "æĮģ ãģ", "æıĲ ä¾Ľ", "ç Ī", "çĪ ¶", "è³ Ľ", "è³ ŀ", "è³Ľ ãģĻãĤĭ", "è³ŀ è³ĽãģĻãĤĭ", "è¿ ĳ",
+  "è¿ĳ ä»£åĮĸãģĻãĤĭ", "Ġ\": \"", "ĠCh at", "ĠRE ADME", "Ġcom parison", "Ġd iv", "Ġdes criptor",
+  "Ġp op", "Ġsubscri ption", "Ġt uple", "Ġterm inal", "Ġth ing", "ĠÎ´ Î¹Î±", "ĠÕ ³", "Ķ çĪ¶", "ļ ãĥĢ",
+  "Ľ ãĤ¤ãĥ¼ãĥ«", "' :Ċ", "( options", ") ,Ċ", "-sc ale", ".f ilter", "=de vice", "O T", "S ummary",
+  "T ext", "Tool Registry", "``` Ċ", "ace back", "b ort", "ch ange", "e er", "end ed", "ependenc ies",
+  "f r", "h a", "i or", "ich t", "in ition", "k nown", "ocom mand", "ot s", "quiv alent", "th ing",
+  "view port", "w indow", "¢ ãĥ³ãĥ", "¢ åĢ", "¢ãĥ³ãĥ ī", "¢åĢ Ĵ", "¤ãĥ ¢ãĥ³ãĥī", "¦çķ¥ çļĦ", "½ æĶ",
+  "½æĶ ¾", "½æĶ¾ ãģĻãĤĭ", "Ã Ł", "Ïħ ÏĦ", "Ø± Ø¨", "à¦ ¬", "à¸ª à¸ķ", "à¸Ĭ à¸Ļ", "à¹ģà¸ ¥", "âĢ Į",
+  "ãĤ¤ ãĥ", "ãĤ¤ ãĥ³ãĥģ", "ãĤ¤ãĥ ¤ãĥ¢ãĥ³ãĥī", "ãĤ« ãĥ©ãĥł", "ãĤ± ãĥ", "ãĤ±ãĥ Ħ",
+  "ãĤ³ãĥŁãĥ¥ãĥĭ ãĤ±ãĥ¼ãĤ·", "ãĤ¹ãĥ ļ", "ãĤŃãĥ£ãĥĵ ãĥ", "ãĤŃãĥ£ãĥĵãĥ į", "ãĤŃãĥ£ãĥĵãĥį ãĥĥãĥĪ",
+  "ãĥ¥ãĥ¼ ãĥĪ", "ãĥª ãĥĵ", "ãĥªãĥĵ ãĥ¥ãĥ¼ãĥĪ", "ä¸į æĺ¯", "ä½ł çļĦ", "å¸ Į", "å¸Į æľĽ", "å¾ ħ",
+  "åĪ ĩ", "åĽ ³", "æĦı åĽ³", "æĮģãģ ¤", "çŁ¥ éģ", "çŁ¥éģ ĵ", "è» ¢åĢĴ", "è¿ ½æĶ¾ãģĻãĤĭ", "èĻ Ĳ",
+  "èĻĲ å¾ħ", "ĉ end", "ĠA l", "ĠA p", "ĠC alled", "ĠR ec", "ĠTh read", "Ġb l", "Ġh al", "Ġmet adata",
+  "Ġra ise", "Ġs up", "Ġst r", "Ġstring s", "Ġtab s", "Ġtool Id", "ĠÎµ ÏĢ", "'] ,Ċ", "0 6",
+  "R unning", "St art", "[ '", "ac ed", "ate g", "g pt", "im ary", "in ate", "lient Id", "n ext",
+  "our nal", "unt ime", "wa re", "³ ãģĹ", "³ãģĹ ãģĦ", "» ãĥ«ãĥ", "»ãĥ«ãĥ ļãĥĢ", "½ ãģĹ", "½ãģĹ ãĤĵ",
+  "½ãģĹãĤĵ ãģ", "½ãģĹãĤĵãģ §", "Ïĥ ÎµÎ¹", "Ð¾ ÑģÑĤ", "Ð¾Ð ·", "ÑĢ Ñĥ", "à¸Ĺ à¸Ńà¸Ķ", "ãĤ »ãĥ«ãĥļãĥĢ",
+  "ãĤ¯ ãĤ»ãĥ«ãĥļãĥĢ", "ãĤ³ãĥŁãĥ¥ãĥĭ ãĥĨãĤ£", "ãĥĨ ãĥ³ãĥĪ", "ãĥĲ ãĥĬ", "ä¸Ģ åĪĩ", "å¿ħ è¦ģ",
+  "åİ ³ãģĹãģĦ", "æ¥ ½ãģĹãĤĵãģ§", "æĪ ¦çķ¥çļĦ", "æĸĻ éĩĳ", "è¡Į æĸĻéĩĳ", "éĢļ è¡ĮæĸĻéĩĳ", "éĽ ª",
+  "ĠO n", "ĠTool Executor", "Ġautomatic ally", "Ġdele ted", "Ġpro gress", "Ġw y", "Ġworker Url",
+  "ĠÕ £", ".l ist", ".t o", "D uration", "Qu ery", "R un", "am ples", "ar ray", "as ic", "by tes",
+  "class List", "et s", "l ick", "m ethod", "m y", "or ity", "s on", "st op", "st yle", "t te", "« ģ",
+  "± å", "±å «ģ", "¼ ãģ¶", "à¸§ à¸Ļ", "à¸²à¸Ħ à¸¡", "à¸Ĭ à¸²à¸§", "à¸ļ à¸²à¸¥", "ãĤ·ãĥ¥ ãĤ¬",
+  "ãĤ¸ãĥ£ ãĥ¼ãĥĬãĥ«", "å° ¿", "åī ¯", "åı ĶçĪ¶", "åĳ ¼ãģ¶", "æĮ ĩ", "æĮĩ åĲį", "çĭ Ń", "çĭŃ ãģĦ",
+  "çĻ Į", "è Ĭ", "èħ Ĳ", "èħĲ ãģ£ãģŁ", "èĬ ±å«ģ", "Ġ[ \"", "Ġallow s", "Ġbo olean", "Ġd em", "Ġlo op",
+  "Ġm sg", "Ġqu e", "Ġtem perature", "ĠÎ± ÏĢ", "ĠÕ º", "ĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠ ĠĠ", "- event", ". join",
+  "Ch anged", "T yp", "U p", "er ic", "g acy", "it ect", "j e", "ow ner", "pro ject", "typ ed",
+  "us es", "v o", "£ ç¶", "¨ åĬ", "¨åĬ ±", "¨åĬ± ãģĹ", "¨åĬ±ãģĹ ãģ¾", "¨åĬ±ãģĹãģ¾ ãģĻ", "² æ³ķ",
+  "µ åĤ", "µåĤ ·", "ÅŁ maq", "ÎµÎ¯ ÏĤ", "Ð¸ Ð½", "ÙĬ ÙĨ", "ÛĮ Ø¯", "à¦¿ .Ċ", "à¸²à¸ ĺ", "à¹Ģà¸ª à¸£",
+  "ãģ Ĵ", "ãĥĢ ãĥĥãĤ·ãĥ¥", "ãĥĪ ãĤ¹", "ãĥĴ ãĥĥãĥĪ", "ä¸Ĭ ãģĴ", "ä» ķ", "ä»ķ ä¸ĬãģĴ", "ä¿Ŀ è¨¼",
+  "ä¿Ŀè¨¼ éĩĳ", "å¥ ¨åĬ±ãģĹãģ¾ãģĻ", "åī µåĤ·", "åį Ķ", "åįĶ åĬĽ", "è ĳ", "èĳ ī", "éĢ £ç¶", "éĤ£ äºĽ",
+  "ĠI mplement", "Ġappro val", "Ġc apabilities", "Ġex port", "Ġinstance of", "Ġke ep", "Ġm akes",
+  "Ġposition al", "Ġrun time", "Ġsuccess ful", "Ġtrans form", "Ġvalid ation", "Ġw ell", "Ġà¦ ²",
+  "Ĩ ²æ³ķ", "()\" ,", "- re", "-x s", ". chat", ".f n", "1 3", "1 5", ": h", "K E", "R U", "` ĊĊ",
+  "ac lass", "c an", "em perature", "f ir", "ic ode", "il ar", "li ke", "pon d", "r on", "ver al",
+  "w e", "¢ æŁ", "¢æŁ »", "§ ×¨×", "« ãģĻãĤĭ", "¶ åĻ¨", "Î¼ ÎŃ", "Ïĥ Î·", "ÏĨ Î±", "Ðµ ÑĤÑĮ",
+  "ÑĢÐ°Ð ²", "Õ ´", "ãģ «ãģĻãĤĭ", "ãģĭ ãģ«ãģĻãĤĭ", "ãĤ¢ ãĤ¯ãĤ»ãĥ«ãĥļãĥĢ", "ãĤ¹ ãĤŃ", "ãĤ¹ãĤŃ ãĥ¼ãĥł",
+  "ãĤ¹ãĥļ ãĥ«", "ãĤī ãģĭãģ«ãģĻãĤĭ", "ãĥ ī", "ãĥ¼ ãĤ¯", "ãĥĥ ãĥī", "ãĥĪãĥ¼ ãĤ¹ãĥĪ", "ãĥĭãĥ¥ãĥ¼ ãĤ¹",
+  "ãĥĲ ãĤ±ãĥĦ", "åĭķ çī", "åĭķçī ©", "åıĳ å¸ĥ", "æ Ĩ²æ³ķ", "æİ ¢æŁ»", "æİ Ī", "æķĻ æİĪ",
+  "æĺİ ãĤīãģĭãģ«ãģĻãĤĭ", "éĢ£ç¶ ļ", "éĻ ¶åĻ¨", "ĉ A", "ĉ r", "Ġa m", "Ġadd ed", "Ġcolor s", "Ġre l",
+  "Ġres et", "Ġ×¡ ×ķ×", "ĠØ ¢", "ģ ãĥ¼ãĤº", "ŀ ãĥªãĥ³", "- ui", ". entries", ".st ream", "/ event",
+  "[ \"", "ad i", "c ceed", "c ode", "ch itect", "con fig", "it ten", "ro ss", "u ff", "um aq",
+  "z en", "~~~~ ~~~~", "Ã ¨", "Ð°Ð º", "Ð¾ Ñĩ", "Ñ İ", "à¸²à¸ ķ", "ãĤ¯ãĥ« ãĥ¼", "ãĥ ĽãĤ¤ãĥ¼ãĥ«",
+  "ãĥ ľãĥĪãĥ«", "ãĥ© ãĥĢ", "ãĥ¼ãĤ¯ ãĤ·", "ãĥĢ ãĤ¤ãĥ¤ãĥ¢ãĥ³ãĥī", "ãĥı ãĥ¼ãĥīãĤ¦ãĤ§ãĤ¢", "ãĥĳ ãĥ³",
+  "ä¹ ı", "å® ³", "å½ ĵ", "åĪĨ åī", "åĪĨåī ²", "æ¬ ł", "æ¬ł ä¹ı", "æķĻ ä¼ļ", "çĲ ĥ", "éĩ İ",
+  "éĩİ çĲĥ", "éļ ľ", "éļľ å®³", "Ġ $", "Ġ( `", "ĠMock Session", "ĠS im", "Ġb in",
+  "Ġconversation Optimizer", "Ġexist ing", "Ġfold s", "Ġgr id", "Ġh ub", "Ġins ide", "Ġle vel",
+  "Ġm ag", "Ġrece ive", "Ġsign al", "Ġst ep", "Ġt akes", "Ġt orpaq", "ĠÎ± Î½",
+  "+----------------------------------------------------+---------------------------------------------------- +Ċ",
+  "- message", "-sc reen", "0 3", "20 2", "B e", "U sage", "_ list", "__()\" ,", "art be", "com p",
+  "ed er", "h older", "le ft", "op fs", "s l", "se e", "} );ĊĊ", "¨ ãģĻ", "© ãĤĢ", "¯ ãģª", "µ ç«",
+  "µç« ¯ãģª", "½ ãģ", "½ãģ ¨ãģĻ", "Î± Ïĥ", "ÐµÐ ²", "ÐºÐ¸ Ð¹", "Õ¡Õ ´", "Ùģ Ø±", "à¸ª à¸Ķ", "à¸µ à¸Ļ",
+  "à¸ļ à¸£", "à¹ģà¸ģà¸£ à¸¡", "ãģ ĺ", "ãģ¶ ãĤĵ", "ãģ¶ãĤĵ ãģ®", "ãģĺ ãģ¶ãĤĵãģ®", "ãĤ¯ ãĥ¼ãĥ«",
+  "ãĤ¿ ãĥ¯ãĥ¼", "å® ĺ", "å½ ¢", "åĻ¨ å®ĺ", "æ¥ µç«¯ãģª", "ç· ©ãĤĢ", "è¦ĭ èĲ", "è¦ĭèĲ ½ãģ¨ãģĻ", "èĪ Ĺ",
+  "èĪĹ è£ħ", "ĉ F", "ĠCom ponents", "ĠExecut or", "ĠP assed", "ĠTool s", "Ġallow ed", "Ġformat ted",
+  "Ġh app", "Ġrequest s", "Ġstatement s", "Ġun it", "Ġz ero", "ĠÕ ±", "ĠÙĪ Ø§ÙĦ", "Ľ ×Ļ×", "\" __",
+  "( path", "+-------------------------------- --", ". role", "/ unit", "2 8", "M ock", "Rec e",
+  "T otal", "Test ing", "] ;Ċ", "_ file", "c ontain", "m enu", "ok ens", "r ap", "tool Name", "ª èĢħ",
+  "« çĲĨ", "¯ ç½", "¯ç½ ªèĢħ", "Îº ÏĦ", "ÑģÑĤ Ð²", "ÙĬ Ø±", "à§įà¦ ¦", "ãĤ³ãĥ¼ãĥ© ãĤ¹", "ãĤµ ãĥ©ãĥĢ",
+  "ãĥ ģãĥ¼ãĤº", "ãĥĢ ãĥĭ", "ãĥĲãĥ¼ãĤ² ãĥ³", "åĢ «çĲĨ", "æº Ŀ", "çĬ ¯ç½ªèĢħ", "çŁ¥ è¦ļ", "ĠD emo",
+  "ĠG UI", "ĠMessageBridge Main", "Ġbeh av", "Ġcr ash", "Ġcre ation", "Ġinclud ed", "Ġm anager",
+  "Ġm oves", "Ġsom ething", "Ġsu cceed", "Ġ{} )", "Ġ×ŀ ×ķ×ł×", "ĠØ ¥", "\"> <", "(' [", ". un",
+  "O utput", "S E", "Window s", "[] }", "ar n", "artbe at", "lo sed", "p ack", "qu am", "res olve",
+  "u w", "up pose", "ut ure", "vir on", "z m", "º çĶŁ", "ºçĶŁ ãģĻãĤĭ", "Å ¯", "Ø¹ Ø¯", "Ùħ ÙĦ",
+  "ÙĬ Ø·", "à¦ ¯", "à¸ª à¸³", "à¸Ĺ à¸Ķ", "à¸ŀ à¸¢", "ãĤµ ãĥ³ãĥ", "ãĤµãĥ³ãĥ Ĺ", "ãĤµãĥ³ãĥĹ ãĥ«",
+  "ãĥĪ ãĥªãĥĵãĥ¥ãĥ¼ãĥĪ", "äºº å½¢", "å½¼ å¥³", "åĲĪ è¨Ī", "æ± ł", "çĻ ºçĶŁãģĻãĤĭ", "è£ħ ç½®",
+  "èģ ·äºº", "éĽ» æ±ł", "Ġ ut", "ĠC all", "ĠH istory", "ĠH ow", "ĠIn itialize", "ĠN o", "ĠN ow",
+  "Ġby tes", "Ġd ur", "Ġe ither", "Ġh andshake", "Ġp ersistence", "Ġplugin s", "Ġre ason", "Ġs plit",
+  "ĠÉĻ l", "Ġà¦ ĩ", "ĸ çīĩ", "-m ono", ".session Id", ".tool s", "/ api", "0 4", "C R", "N D",
+  "_ pattern", "` );Ċ", "g t", "id ent", "iv er", "ov ed", "rompt Builder", "s lash", "u d",
+  "up date", "¡ æľī", "½ ãĥ¼", "ÏĦ Î¹", "Ð°Ð ´", "Ñ Ħ", "Õ¡Õ ·", "Õ¸ Õ¿", "à¦ ª", "à¸ª à¸«",
+  "ãģĤ ãģ£ãģŁ", "ãĤ Ĭ", "ãĤ¢ãĤ¯ãĤ»ãĥ«ãĥļãĥĢ ãĥ«", "ãĤ³ãĥŁãĥ¥ãĥĭãĤ±ãĥ¼ãĤ· ãĥ§ãĥ³", "ãĥ ¡",
+  "ãĥ ŀãĥªãĥ³", "ãĥ³ãĥ ŀ", "ãĥĪ ãĥ¬", "ä¸» äºº", "ä¾Ľ çµ", "å ģ", "åģ ı", "åģı å·®", "åľ ĸçīĩ",
+  "æĢ Ĵ", "æĢĴ ãĤĬ", "ç±» åŀĭ", "ĉ U", "ĠM an", "Ġcom ment", "Ġcon vert", "Ġe cho", "Ġe lements",
+  "Ġe quivalent", "Ġhistory Store", "Ġload ing", "Ġre port", "Ġse veral", "Ġto o", "Ġtool Calls",
+  "Ġw idth", "ĠÎ ²", "ĠØ§ÙĦ Ùħ", "ĠÙĪ Ø¨", "( st", "+ ĊĊ", ".r un", ".tr im", "9 0", "I mplement",
+  "ac ity", "an ing", "b ed", "ena i", "ex ception", "f ilter", "gr oup", "h istory", "ic ip", "k i",
+  "pon ses", "pre h", "r en", "® Õ¥Õ¬", "° ä¼ļ", "² Õ¡Õ¬", "ÏĮ ÏĤ", "Ö ģ", "Ø º", "à¸ģà¸ Ħ",
+  "ãĤ ½ãĥ¼", "ãĤª ãĥ¼ãĤ¯ãĤ·", "ãĥĴ ãĥ¼ãĥ«", "ãĥĸãĥ© ãĥ³ãĥģ", "ä¸į èĩª", "ä¸įèĩª çĦ¶", "ä¸įèĩªçĦ¶ ãģª",
+  "åĨ³ å®ļ", "åľĭ å®¶", "æĸĩ è¨Ģ", "ç¾İ åĽ½", "è© ²", "è©ķè Ń", "è©ķèŃ °ä¼ļ", "ĉĉ ĠĠĠĠ", "ĠN ext",
+  "ĠO pen", "ĠR esult", "ĠTest ing", "ĠTool Dispatcher", "Ġaut ocommand", "Ġcons id", "Ġh ÉĻr",
+  "Ġk l", "Ġl ib", "Ġm emory", "Ġof ten", "Ġre pe", "Ġresult Div", "Ġsession s", "Ġstatus Div",
+  "ĠÏĢÏģÎ¿ Ïĥ", "ĠÕ ©", "Ġ× ¦", "Ġ× Ļ×", "Ġà¦Ĩ à¦®", "------- +Ċ", "-b ased", ".tool Calls", "0 2",
+  "3 2", ": d", "> \"", "C ontroller", "E nd", "IL L", "L ocale", "Request s", "ar ge", "c i",
+  "en ers", "ent ion", "f inally", "h n", "icip ant", "j a", "n i", "ot i", "r ary", "r g", "re c",
+  "t le", "viron ment", "w ay", "w ill", "w in", "| ~", "Î» ÎŃ", "Î¿ Î¹", "ÐµÐ ¼", "à¸±à¸ģà¸ ŀ",
+  "ãĢ ľ", "ãĤ³ ãĥ³ãĥ", "ãĤŃãĥ£ãĥĵ ãĥ³", "ãĥ¬ãĥ¼ãĤ Ń", "ãĥĩ ãĥĥãĥī", "ä»ĸ ä»¬", "ä»ĸ åĢĳ", "å®¢æĪ ·",
+  "å»º è®¾", "å¾ ´", "åį İ", "åıĤåĬł ãģĻãĤĭ", "æ¬¢ è¿İ", "æ² ¡æľī", "æĩī è©²", "ç²¾ åįİ", "çī¹ å¾´",
+  "è¡Į éĢ²", "ĠO ther", "ĠUn icode", "Ġc lose", "Ġcom put", "Ġd e", "Ġe ven", "Ġf inish", "Ġh and",
+  "Ġn ec", "Ġn ested", "Ġplace holder", "Ġqu ick", "Ġreg ion", "Ġreturn ed", "Ġse quences", "Ġst ats",
+  "Ġt ag", "Ġth ose", "Ġv ers", "Ġ× ľ×Ļ×", "Ġ×ŀ× ł×", "ľ×Ļ× ¡", "') );Ċ", "(re ceived", ". write",
+  "5 7", "C H", "C atalog", "G emini", "Run ner", "S andbox", "V IM", "ad c", "adc ast", "all ow",
+  "av ed", "g le", "g lobal", "h er", "if ies", "ks ÉĻk", "mod al", "ont inue", "op enai", "r am",
+  "ro adcast", "typ es", "| ĊĊ", "¦ ×", "· åĶ®", "» åĭķ", "Ã¡ v", "Ð ±", "à§ĭ à¦ķ", "à¸´à¸ķ à¹Ģà¸ķ",
+  "à¸´à¸ķà¹Ģà¸ķ à¸Ńà¸£", "à¸µ à¹ģà¸Ķà¸ĩ", "à¸Ĥ à¸Ļà¸¡", "à¹īà¸²à¸ £", "à¹īà¸²à¸ Ĺ", "ãĤ³ãĥ³ãĥ ļ",
+  "ãĥªãĥ³ ãĤ¯", "ä¾Ĩ æºĲ", "ä¾Ľçµ ¦", "å¤§ çµ±", "å¤§çµ± éł", "å¤§çµ±éł ĺ", "å± ĭ", "å±ĭ æł¹",
+  "å±ĭæł¹ è£", "å±ĭæł¹è£ ı", "ç§ »åĭķ", "çĬ¶ æ³ģ", "é Ĭ", "éĬ ·åĶ®", "ĉ CTRL", "ĉ S", "Ġ __", "Ġ er",
+  "Ġ il", "Ġ\" .", "Ġ* __", "ĠB ranch", "ĠB uild", "ĠTest Runner", "Ġannot ation", "Ġbe gin",
+  "Ġin fo", "Ġinst ances", "Ġpack age", "ĠÏĢ Îµ", "ĠÕ¸ ÖĤ", "Ġ× ĳ", "( ',", "( actual", "() ĊĊ",
+  "(m odel", ".c urrent", ".par ent", "2 6", "C ase", "Event Bus", "L E", "M O", "O OL", "S e", "_ T",
+  "a ardvark", "and id", "comple ted", "d ates", "d own", "eth er", "fir m", "g re", "includ e",
+  "lo at", "n on", "r pc", "res pond", "st and", "st orage", "wh ere", "x umaq", "° å¢ĥ", "Î¿ Ïį",
+  "Ïģ Î¸", "à¦ Ł", "à¸ªà¸¥ à¸²à¸¡", "à¸´ à¸ªà¸¥à¸²à¸¡", "à¸Ńà¸ģ à¹Ħà¸¡", "à¹Ħ à¸Ķ", "à¹Īà¸§ à¸Ļ",
+  "à¹ī à¸«", "ãĤ³ ãĥ¼ãĥĬãĥ¼", "ä¸º ä»Ģ", "åħ¶ å®ŀ", "åį ķ", "åįķ ä½į", "åķ ı", "åķı é¡Į", "æĩī çĶ¨",
+  "ç Ĵ", "çĴ °å¢ĥ", "çľ ģ", "çľģ çķ¥", "è¨Ń è¨Ī", "è¿Ľ åħ¥", "ĉ if", "ĉ s", "Ġ ÑĢÐ°Ð", "Ġ> =",
+  "ĠAgent Config", "ĠAgent Core", "ĠEvent s", "ĠMock ToolRegistry", "ĠO bject", "ĠT r", "Ġchang ed",
+  "Ġet mÉĻk", "Ġinitial ized", "Ġm ade", "Ġo xumaq", "Ġother wise", "Ġp ol", "Ġpo st",
+  "Ġpo stMessage", "Ġre pl", "Ġs ec", "Ġth us", "Ġv y", "Ġ| :", "į æĸ¼", "(con text", "- W", "-l ist",
+  ".on message", "/ tool", "> `", "W eb", "_ expr", "a j", "a wa", "an thropic", "ator s", "c lear",
+  "def ined", "il er", "m in", "op er", "perm iss", "re f", "ro ot", "unction s", "w ork", "© Ĺ",
+  "ÏĦÎ± ÏĤ", "Õ¹ Õ¥Õ¬", "×ķ×ľ ×ķ×Ŀ", "×Ļ× ĳ", "×Ļ× ĺ", "à¦¾ .Ċ", "à¸ķ à¸°", "à¸ķ à¸Ń",
+  "à¹Ĥà¸Ķà¸¢ à¸ªà¸²à¸£", "âľ ĵ", "âľ Ĺ", "ãĤ³ãĥĶ ãĥ¼", "ãĥĪãĥ¼ ãĥ³", "å° įæĸ¼", "å·² ç»ı", "å»º è¨Ń",
+  "æ¥Ń åĭĻ", "æł¹ æĵļ", "ç¶ĵ é", "ç¶ĵé ©Ĺ", "çĶ± äºİ", "éĢ² åħ¥", "Ġ est", "ĠL ast", "ĠM anager",
+  "ĠN ormal", "Ġ] ,Ċ", "Ġcon nect", "Ġfail Count", "Ġit self", "Ġover rid", "Ġpass Count", "Ġrais es",
+  "Ġt al", "\", \"", "( a", "- name", ".t otal", "/ \\", "> ';Ċ", "Ch at", "D ay", "D ir", "I ME",
+  "K ILL", "Model s", "P urpose", "P ython", "St orage", "T able", "ar ies", "at ist", "connect ed",
+  "d en", "ex it", "ig en", "l ength", "og n", "re q", "resh old", "stit ute", "typed ef", "¡ ×",
+  "¢ ×ĺ", "· åı²", "Î¹Îº Î¬", "ÏĮ Î¼", "Ð° ÑĢ", "Ð°Ð ²", "ÐµÐ º", "Ð¸ Ð´", "×¨× ©×", "ÙĦ ÙĬ", "Ùħ Ø©",
+  "à¦¿ à¦¨", "à¸ª à¸ļ", "à¸¹ à¸ģà¸", "à¸ģà¸ ļ", "à¸Ļ à¸Ńà¸ĩ", "à¹ĥ à¸Ķ", "à¹Ħ à¸£", "à¹ĩ à¸ĩ",
+  "à¹īà¸²à¸ ģ", "ãģ į", "ãģķ ãģķ", "ãģķãģķ ãĤ", "ãģķãģķãĤ Ħ", "ãģķãģķãĤĦ ãģį", "ãĥı ãĥ³ãĥŀ",
+  "ãĥĲãĥĬ ãĥ¼", "åĩº çı¾", "æ¨ Ĥ", "æ¸¸æĪ ı", "æĬķ è³ĩ", "æľĥ åĵ¡", "æŃ ·åı²", "æŃ¡ è¿İ", "çİ° åľ¨",
+  "è³ĩ æĸĻ", "éŁ³ æ¨Ĥ", "Ġ Ú¯", "ĠA nd", "ĠD ef", "ĠH andle", "ĠL oad", "ĠP er", "ĠV er", "ĠW ork",
+  "Ġass istant", "Ġd own", "Ġdi ct", "Ġex act", "Ġf eature", "Ġfile Store", "Ġinsert ed", "Ġl ower",
+  "Ġmock Bridge", "Ġmod ified", "Ġo m", "Ġst ack", "Ġ× ĵ", "Ġ× ĵ×", "ĠĠĠĠĠĠĠĠ ĠĠĊ", "(m ethod",
+  ") .Ċ", "-f lash", "/ local", "A s", "N ext", "Th reshold", "add ing", "at as", "b er", "b ound",
+  "bu ffer", "c atch", "c reate", "char act", "ire ction", "li k", "m at", "op es", "ow aÄĩ",
+  "re quired", "str ong", "¥ åĳĬ", "¯ ç¤º", "Î® ÏĥÎµÎ¹ÏĤ", "Î³ ÏģÎ±", "ÑĤ ÐµÐ»ÑĮ", "Ø± ÛĮ", "à§ģ à¦¨",
+  "à¸±à¸Ĳ à¸Ľà¸£à¸°", "à¸±à¸Ĳà¸Ľà¸£à¸° à¸«à¸²à¸£", "à¸²à¸« à¸¥", "à¸¹ à¸Ķ", "à¸ĩ à¸ĩ", "à¹Īà¸Ń à¸¢",
+  "ä¸Ģ æ¨£", "ä¸ĭ è¼", "ä¸ĭè¼ ī", "ä¼ļ åĳĺ", "ä¾Ĩ èĩª", "åĨ µ", "åĬ ¨", "åľ¨ çº", "åľ¨çº ¿",
+  "æĪĲ ä¸º", "æĬ ¥åĳĬ", "ç³» ç»", "ç¶² çµ", "çĻ¼ çĶŁ", "é¡ ¯ç¤º", "éĤĦ æĺ¯", "éĸĭ å§ĭ", "ĉ Com",
+  "ĉ f", "ĉ vim", "Ġ Z", "Ġ em", "Ġ url", "ĠP ar", "ĠT ree", "Ġact ually", "Ġcont inue",
+  "Ġcontext Builder", "Ġe ar", "Ġex plicit", "Ġf ug", "Ġgener ic", "Ġinte ger", "Ġm iddle", "Ġp ers",
+  "Ġregister ed", "Ġrun Tests", "Ġrun ning", "Ġs ave", "Ġst ored", "Ġtype of", "Ġup per", "ĠÎ »",
+  "ĠÐ »", "ĠÐ² Ñĭ", "ĠØ§ÙĦØ ¥", "ĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠ ĠĠĠĠĠ", "Ŀ Į", "ŀ× ł×", "-p ur", ".message Bridge",
+  "/ message", "4 1", "A p", "F eatures", "IS O", "P ort", "R PC", "Re ason", "To ast", "V alid",
+  "af e", "ale tte", "ch ron", "d irectory", "htt p", "i Äħ", "ind ent", "ir es", "l ic", "la ude",
+  "of f", "pro gress", "sl ots", "ynam ic", "z M", "©× ĳ×", "Ïİ Î½", "Õ¥ ÖĢ", "Õ¥Õ ¿", "Ùħ Ø§",
+  "à§įà¦ ¯", "à¸« à¸²à¸¢", "à¸ĩà¸ĩ à¸²à¸Ļ", "à¸Ī à¸£", "à¹Ģà¸¨à¸© à¸Ńà¸²à¸«à¸²à¸£",
+  "à¹ģà¸£ à¸ĩà¸ĩà¸²à¸Ļ", "à¹ī à¸Ļ", "âĶĢ âĶ", "ãĤµ ãĥ¯ãĥ¼", "ãĥ«ãĥ Ļ", "ä¸į éģİ", "ä¼ģ ä¸ļ",
+  "åĸľ æŃ¡", "ç©º éĹ´", "ç³» çµ±", "ç³»ç» Ł", "ç¶²çµ ¡", "çĶ¨æĪ ¶", "çķ¶ åīį", "çĻ¼ å±ķ", "çĻ¼ çı¾",
+  "è°¢ è°¢", "è» ¸", "ð Ł", "ĉ Note", "ĠS h", "ĠU sing", "Ġa f", "Ġan al", "Ġass um", "Ġc atalog",
+  "Ġcontext Window", "Ġcor respond", "Ġex p", "Ġfollow s", "Ġm ap", "Ġm utable", "Ġsc reen",
+  "Ġshow Toast", "Ġsp aces", "Ġsub ject", "Ġwh ose", "Ġwork ing", "Ġ×§×ķ× ł×", "Ġ×ĳ× ľ×Ļ×", "') )",
+  "( entry", "( key", "-b tn", "-m anager", ". ab", ". read", "/ )", "= ĊĊ", "F A", "G et", "I T",
+  "M IN", "S ION", "T op", "ach ed", "alc ulate", "chitect ure", "ed At", "et adata", "file type",
+  "h es", "ic es", "ici ent", "ifi ers", "il en", "in valid", "l ines", "li es", "model s", "ms g",
+  "p ed", "st ep", "st ream", "t wo", "ur ther", "us ed", "¤ ä¸ª", "¥ æľī", "¯ åĪĨ", "» ãĥ³ãĥĪ",
+  "¿ åĳĬ", "ÅĤ y", "ÉĻy ata", "Ð¸ Ð²", "ÑĨ Ð¸Ñı", "Õ¡Õ ¯", "Ø´ Øª", "à¸µ à¸ŀ", "à¸ļ à¸Ńà¸ģ",
+  "à¹Ģà¸ģ à¸²à¸«à¸¥", "à¹Į ãĢĤĊ", "ãĢ Ĥ", "ãĤ½ãĥ¼ ãĤ¹", "ãĥ«ãĥĻ ãĥĥãĥĪ", "ãĥ¼ãĤ »ãĥ³ãĥĪ",
+  "ãĥĸ ãĥ¬ãĥ¼ãĤŃ", "ä¸ ĵ", "ä¸º äºĨ", "ä¸ĵ ä¸ļ", "å¹ ¿åĳĬ", "å¼Ģ å§ĭ", "åħ§ å®¹", "åħ³ ç³»",
+  "åŃ¸ çĶŁ", "æ¬¡ æķ°", "æ´» åĬ¨", "æĢİ éº¼", "æĪĲ çĤº", "æĬĢ è¡ĵ", "ç¤¾ åįĢ", "ç§ ¯åĪĨ", "çµ Ĳ",
+  "çµĲ æŀľ", "çĤº ä»Ģ", "çĶ¢ åĵģ", "çĶµ å½±", "çļĦ è¯Ŀ", "è¡Į ä¸ļ", "è¦ ı", "è¦ı å®ļ", "è¬Ŀ è¬Ŀ",
+  "é¡ µ", "é¡ŀ åĪ¥", "é¦ĸ é¡µ", "éĹ »", "ĉĉ Ġ", "Ġ Ã", "ĠA ut", "ĠF irst", "ĠG lobal",
+  "ĠIndexedDB Provider", "ĠL o", "ĠP r", "ĠP revious", "ĠS ch", "Ġbehav ior", "Ġcon se", "Ġcont rol",
+  "Ġcontain ing", "Ġhe ader", "Ġl ater", "Ġle gacy", "Ġocc urs", "Ġre ally", "Ġrem ote", "Ġs ource",
+  "Ġse lection", "Ġsh ell", "Ġtyp ed", "Ġund o", "Ġwh ite", "ĠÕ ¾", "Ġ×ł ×Ļ×",
+  "ĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠ ĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠ", "Ĵ× §", "ĵ ×ķ×Ŀ", "ĺ ãĤ¢", "( x", "- Windows", ".for Each",
+  ".s lice", "For ward", "M ap", "M d", "Pro gress", "ac aq", "and om", "argument s", "at is",
+  "at tribute", "atist ics", "end e", "ener ate", "ert ain", "ex ec", "h or", "ill Md", "in a",
+  "it ted", "ition al", "li b", "m en", "r ation", "st ate", "ug ht", "val ues", "¤ ×Ļ×", "¨ à¸Īà¸£",
+  "¨ éĩı", "¨à¸Īà¸£ à¸£", "¨à¸Īà¸£à¸£ à¸¢", "ª à¦¨", "ª× ľ×", "± è®", "±è® Ģ", "· æł¼", "¸ æĵ",
+  "¸æĵ ĩ", "Îº Îµ", "ÏĮ ÏĦÎµ", "Ð°Ð ¿", "Õ¸Õ ·", "ÖĢÕ ¿", "×¨ ×ķ×", "Ø¹ ÙĦ", "Ùħ Ø±", "à¦ ĵ",
+  "à¦¾à¦ ģ", "à¸£ à¸Ħ", "à¸£à¸ĸ à¹Ĥà¸Ķà¸¢à¸ªà¸²à¸£", "à¸« à¸¢", "à¸±à¸ ¨à¸Īà¸£à¸£à¸¢", "à¸ģà¸ °",
+  "à¸Ī à¸²à¸¢", "à¸Ĭà¸²à¸ ķ", "à¸ķà¸Ń à¹ĥà¸Ķ", "à¹ģà¸ Ī", "à¹Īà¸¡ à¸Ķ", "à¹Īà¸¡ à¹ĥ", "âĶ ĶâĶĢâĶĢ",
+  "ãģ ĳ", "ãģĳ ãģ¦", "ãĤªãĥ¼ãĤ¯ãĤ· ãĥ§ãĥ³", "ãĤ·ãĥ¥ãĤ¬ ãĥ¼", "ä¸ ¤ä¸ª", "ä» ·æł¼", "åħ³ äºİ",
+  "åĬ© ãģĳãģ¦", "åıª è¦ģ", "åĲį ç§", "åĲįç§ °", "æĥħ åĨµ", "æĬķ èµĦ", "æĭ ¥æľī", "æĸ° éĹ»", "æĹ ł",
+  "æĹł æ³ķ", "ç¤¾ ä¼ļ", "çº §", "çķ¶ çĦ¶", "çļĦ è©±", "çŃī çº§", "è¯ Ħ", "è¯Ħ è®º", "è³ª éĩı",
+  "è´ ¨éĩı", "è¾ ĥ", "è¿Ļ æĺ¯", "éĢĻ åĢĭ", "éģ ¸æĵĩ", "éĸ ±è®Ģ", "éĹľ æĸ¼", "Ġ ign", "ĠAPI Client",
+  "ĠB o", "Ġ` {", "Ġdefault s", "Ġindic ate", "Ġm ol", "Ġn am", "Ġs it", "Ġst atic", "Ġun ique",
+  "Ġy en", "ĠyÃ¼ ksÉĻk", "Ġ×ł ×ķ×", "ĠØ ²", "Ġà¦Ĩà¦ ªà¦¨", "ĳ× ©", "Ļ ãĥ«ãĥĻãĥĥãĥĪ", "'] ,",
+  "( provider", "- id", "-f unctions", "-t ime", ". chunk", ". pro", ".d escription", ".s ize", "0 5",
+  "2 3", "9 00", "He ight", "I ndexedDB", "Locale Time", "LocaleTime String", "MIN I", "R O", "[ ,",
+  "con dition", "ell ig", "execut ions", "iv es", "l ast", "le ctions", "lean up", "lev el", "m er",
+  "ob j", "t p", "term inate", "u ite", "¢ ¼", "¤ ä¸º", "ª Į", "¯ å¢ĥ", "° èĢħ", "Ã¦ r",
+  "ÐµÐ½ Ð½ÑĭÐ¹", "Ð¾Ð ³", "Ñ ī", "Ø§ÙĨ Øª", "à¦¾à¦ Ĺ", "à§ģà¦ ¡", "à¸µ ãĢĤĊ", "à¸ĭ à¸Ńà¸Ļ",
+  "à¸ĭà¸Ńà¸Ļ à¹Ģà¸Ķ", "à¸Ķ à¸£", "à¸Ńà¸Ļ à¸ĭà¸Ńà¸Ļà¹Ģà¸Ķ", "à¹Ģà¸ ľ", "à¹īà¸²à¸§ à¸«à¸¡", "ä¸į ä¼ļ",
+  "ä¸įæĸ ·", "ä½ł åĢĳ", "å®¢æĪ ¶", "å¯Ĩ ç", "å¯Ĩç ¢¼", "åºĶ çĶ¨", "åıĳ è¡¨", "æ ħ", "æ¯Ķ è¾ĥ",
+  "æ±½ è½", "æ±½è½ ¦", "æķ° æį®", "æĿ¥ èĩª", "ç¤¾ æľĥ", "ç©º éĸĵ", "ç· ļ", "ç»ı é", "ç»ıé ªĮ",
+  "çī¹ åĪ«", "çĭ Ģ", "çĭĢ æħ", "çİ ¯å¢ĥ", "çĽ¸ åħ³", "è¨Ń åĤĻ", "è® ¤ä¸º", "è® °èĢħ", "è¿ Ĳ",
+  "è¿Ĳ è¡Į", "è¿Ļ ä¹Ī", "è¿Ļ ç§į", "éĢĻ æĺ¯", "éļ» æĺ¯", "éļ» è¦ģ", "éĽ» åŃĲ", "Ġ Ã¼", "Ġ Ø§Ø³Øª",
+  "Ġ' {", "Ġ.. .Ċ", "ĠAdd ed", "ĠInt er", "ĠP ublish", "ĠResult s", "Ġ[] ,Ċ", "Ġassign ed",
+  "Ġback slash", "Ġblock s", "Ġcall er", "Ġd id", "Ġd ist", "Ġedit or", "Ġet c", "Ġex amples",
+  "Ġex it", "Ġformat ting", "Ġm ention", "Ġman ual", "Ġmet aclass", "Ġop acity", "Ġper formance",
+  "Ġre levant", "Ġset ting", "Ġst ar", "Ġt ags", "Ġ× ª", "\" )Ċ", ". validate", ".is Array", "/ `",
+  "2 7", ": *", "Com ponent", "D el", "F irst", "G lobal", "ISO String", "L LM", "Output Tokens",
+  "adi us", "ak ing", "ar ning", "are a", "c ard", "c ie", "c re", "ch ild", "ena ar", "enc y",
+  "f en", "k l", "key word", "ool enaar", "pec ial", "po p", "wh ich", "yn chron", "§ ×ĺ", "© Ł",
+  "± è¥¿", "¹ æł¼", "½ çĦ¶", "Ã ¤", "ÏĦ Î¬", "Õ¡Õ ¿", "Ø± ÙĪ", "à§ĩà¦ ¯", "à§į à¦°", "à¸¡ à¸Ħà¸²à¸§",
+  "à¸ª à¸Ĭà¸²à¸ķ", "à¸ª à¸Ļà¸Ńà¸ĩ", "à¸° à¸Ļ", "à¸±à¸Ļ à¸Ļ", "à¸µ à¹Ģà¸Ĺ", "à¸¹ à¹ģà¸Ķà¸ĩ",
+  "à¸ģà¸Ħ à¸£à¸Ńà¸ĩ", "à¸Ķ à¸Ńà¸ģà¹Ħà¸¡", "à¸ķ à¸²à¸¢", "à¸Ļ à¸ĺ", "à¸Ńà¹Ĥ à¸£à¸Ħ", "à¹Ģà¸ŀ à¸¥à¸ĩ",
+  "à¹Ī à¸²à¸Ļ", "à¹Ī ãĢĤĊ", "à¹īà¸²à¸ ķ", "ãĥ¡ ãĥĭãĥ¥ãĥ¼", "ä¸Ģ æł·", "ä¸į è¿ĩ", "ä¸įæĸ Ń", "äº§ åĵģ",
+  "å ĥ", "å½± éŁ", "å½±éŁ ¿", "å¾ ©", "åĥ ¹æł¼", "åħį è´", "åĩº ä¾Ĩ", "åĩº æĿ¥", "åĽŀ å¾©", "åľ¨ ç·ļ",
+  "æ±º å®ļ", "æ±½ è»", "æī ĭæ", "æīĭæ ©Ł", "æĵ Ĭ", "æĿ ±è¥¿", "æł¹ æį®", "ç¶² ä¸Ĭ", "ç½ĳ ä¸Ĭ",
+  "çĶ¨æĪ ·", "çĶŁ çĶ¢", "çĻ¼ è¡¨", "è©ķè «ĸ", "èµ· ä¾Ĩ", "è¿ĩ ç¨ĭ", "è¿Ļ ä¸ª", "è¿Ļ äºĽ", "èĻ ½çĦ¶",
+  "é»ŀ æĵĬ", "éĥ¨ éĹ", "éĥ¨éĹ ¨", "éĹľ ç³»", "Ġ ips", "Ġ-- >", "ĠA r", "ĠExecut e", "ĠM S",
+  "ĠMockSession Manager", "ĠOther wise", "ĠP ending", "ĠV IM", "Ġb il", "Ġconfig uration", "Ġdec or",
+  "Ġdig its", "Ġdocument ation", "Ġf inal", "Ġhe ight", "Ġinterpre ter", "Ġk ap", "Ġk r",
+  "Ġliteral s", "Ġm en", "Ġnum eric", "Ġocc ur", "Ġp air", "Ġp review", "Ġprovid es", "Ġrem ain",
+  "Ġrem oved", "Ġs ince", "Ġsm all", "Ġson ra", "Ġstand s", "Ġup dates", "Ġvim rc", "Ġwa it", "ĠÎ ¬",
+  "Ġ×ľ× Ľ×", "ĠØ¨ Ø±", "Ġà¦ °", "ł× ļ", "' ĊĊ", "( Ċ", "- output", ". ',Ċ", ". result", ".c lear",
+  ".get All", "6 4", "J son", "KE Y", "S ER", "St reaming", "Token Count", "Un known", "] \"",
+  "ag en", "al ity", "ang es", "b it", "b re", "c r", "cover ed", "ef t", "em ove", "ench mark",
+  "er n", "find ÉĻn", "ick Ã½", "il ity", "il le", "item s", "itial ized", "lev ance", "li ch",
+  "oy maq", "paramet er", "part icipant", "r ound", "ruct ured", "s chema", "ur ity", "ver se",
+  "} );Ċ", "£ åĳĬ", "¦ ×ĺ", "ª æĺİ", "ª× ¦×ĺ", "¬ ä»»", "³ ç´°", "Ã¡ t", "ÉĻ findÉĻn",
+  "ÉĻr ÉĻfindÉĻn", "Ø ¥", "ÙĦ Ø§", "à§ĩà¦ Ĺ", "à¸£ à¸£à¸¡", "à¸±à¸ Ĵ", "à¸±à¸Ĵ à¸Ļà¸ĺ",
+  "à¸±à¸Ĵà¸Ļà¸ĺ à¸£à¸£à¸¡", "à¸²à¸ģà¸ ¥", "à¸²à¸Ķ à¹Ģà¸Ħ", "à¸· à¸¡à¸Ħà¸²à¸§", "à¸¹ à¸Ĺ",
+  "à¸ģà¸£à¸° à¸Īà¸²à¸¢", "à¸Ĭà¸²à¸ Ĭ", "à¸Ļ à¸Ĺ", "à¹ĥ à¸Ī", "à¹ĥà¸ļ à¹Ħà¸¡", "à¹Īà¸¡ à¸£", "ä¸Ģ ä¸ª",
+  "ä¸į æľĥ", "ä¹ĭ éĸĵ", "ä»ĭ ç»", "åºĶ è¯", "åºĶè¯ ¥", "å» £åĳĬ", "åħįè´ ¹", "åĩ »", "åĪ Ĵ",
+  "åı° åĮĹ", "åĽ½ åĨħ", "åĽ½ éĻ", "åĽ½éĻ ħ", "åľĭ éļ", "åľĭéļ Ľ", "æ±½è» Ĭ", "æ´» åĭķ", "æĬĢ æľ",
+  "æĬĢæľ ¯", "æĹ¶ åĢĻ", "çĤ¹ åĩ»", "è§£ æ±º", "è© ³ç´°", "èª ªæĺİ", "è®¡ åĪĴ", "è¯ »", "è² ¬ä»»",
+  "é ĺ", "éĤ£ éº¼", "éĸĭ çĻ¼", "éĺ ħ", "éĺħ è¯»", "ĉ participant", "ĉ re", "Ġ Ùĥ", "Ġ< =", "ĠC lear",
+  "ĠL og", "ĠOpen AI", "ĠPro tocol", "ĠSession Tree", "ĠSet tings", "Ġ[ ]Ċ", "Ġac cept", "Ġal ign",
+  "Ġappro ved", "Ġat tempt", "Ġch annel", "Ġevent Name", "Ġf oo", "Ġinst all", "Ġlog ic", "Ġne ver",
+  "Ġo d", "Ġp adding", "Ġsub class", "Ġtem por", "Ġwr iting", "ĠÎµ ÏģÎ³", "ĠÕ¥ÖĢÕ ¯", "() )", "() ;",
+  "- only", "-------- -", "-s ize", ".api Key", ".con text", ".p ath", ".scroll Height", ": no",
+  "= '", "C lass", "C ode", "Context Window", "E D", "P attern", "Par am", "Set tings", "St ate",
+  "Type Error", "W ord", "_ toc", "__ *", "al k", "bu ilt", "d etail", "ev el", "f iles", "i h",
+  "i ri", "ig t", "im er", "im i", "man ual", "oc md", "or ing", "p review", "r act", "r w", "ro du",
+  "s hould", "to Be", "to ISOString", "ut ion", "}/ ${", "«ĸ å£", "«ĸå£ ĩ", "´ æĺİ", "¹ çĽ®", "Ã§ ik",
+  "Ã¸ r", "Î¼Î¿ ÏĢÎ¿", "ÏģÎ· ÏĥÎ¹", "ÏģÎ·ÏĥÎ¹ Î¼Î¿ÏĢÎ¿", "ÏĮ Î½", "Õ½ Õ¿", "Ù ĭ", "Ù ı", "à¸±à¸ĩ à¸Ħ",
+  "à¸²à¸ ļ", "à¸´ à¸ģà¸²à¸£", "à¸´ à¸Ĭà¸²à¸Ĭ", "à¸´à¸Ļ à¹Ģà¸Ĺ", "à¸´à¸Ļà¹Ģà¸Ĺ à¸Ńà¸£", "à¸¹ à¸ģà¸ķ",
+  "à¸¹ ãĢĤĊ", "à¸ģ à¹Ģà¸", "à¸ģà¸ ĭ", "à¹Īà¸Ń à¸¡", "à¹īà¸²à¸£ à¸«", "à¹Į à¹Ģà¸Ļ", "ãĥ ĺãĤ¢",
+  "ãĥĪãĥ¬ ãĥ¼ãĥĬãĥ¼", "ä¸Ģ çĤ¹", "ä¸Ģ é»ŀ", "ä»ĭç» į", "ä½ľ ä¸º", "ä½ł ä»¬", "å¤ į", "å¯¦ çı¾",
+  "åħ ©", "åħ¨ åĽ½", "åĩĨ åĤĻ", "åıª æľī", "åĽŀ å¤į", "åľ° åįĢ", "åĿ Ľ", "åŃ¦ æł¡", "æ³¨åĨ Ĭ",
+  "æĦŁ è¦º", "æľį åĭĻ", "ç±» åĪ«", "ç» Ħ", "ç» ĩ", "ç»Ħ ç»ĩ", "çĤº äºĨ", "çĭĢæħ ĭ", "çĶµ åŃĲ",
+  "è «ĸå£ĩ", "è§ Ī", "èª į", "èª ŀ", "èªį çĤº", "èªŀ è¨Ģ", "è®º åĿĽ", "è®¾ å¤ĩ", "è¯ ´æĺİ", "è¯ Ń",
+  "è¯Ń è¨Ģ", "é Ķ", "é¡ ¹çĽ®", "éģİ ç¨ĭ", "éĶ Ģ", "éĶĢ åĶ®", "ĉ V", "Ġ ÚĨ", "ĠCon fig", "ĠRe ad",
+  "ĠS upport", "Ġapp end", "Ġb inding", "Ġbreak point", "Ġd ouble", "Ġen vironment", "Ġf ast",
+  "Ġf ilter", "Ġf ix", "Ġfl ag", "Ġfr ontmatter", "Ġg re", "Ġl ab", "Ġm eta", "Ġoption al", "Ġpar a",
+  "Ġpro per", "Ġprovid ers", "Ġrec over", "Ġrem emb", "Ġres ol", "Ġsc opes", "Ġscript s",
+  "Ġtransl ate", "Ġ{} );Ċ", "Ġ× Ľ×", "Ġà¦ «", "ı è§Ī", "Ĳ× ŀ", "------------ +Ċ", ". terminate",
+  ".p ayload", ".st yle", "/ *", "/ storage", "0 1", "0 12", ":c reated", "A P", "A l", "B ut", "I X",
+  "In stru", "It em", "L oad", "U AL", "_ expression", "a fter", "ase Url", "at ely", "ch anged",
+  "ec or", "econd ary", "ellig ent", "iz ing", "m et", "ow y", "preh ens", "r untime", "row s",
+  "st at", "u ed", "wh ile", "§ ç»", "§ç» Ń", "® ä½į", "¹ äºİ", "¾ ç¤º", "Ã¼ l", "ÅĤ o", "Î± ÏĤ",
+  "Î¶ Î¿Î½", "Î· Î¼", "Õ¥Õ ¶", "×Ļ× ¨", "ÙĬ Ùĥ", "à¦ ļ", "à¦¾à¦ ¤", "à¸£ à¸Ń", "à¸¤ à¸Ķ", "à¸§ à¸ª",
+  "à¸ĩ à¹ģà¸ķ", "à¸Ķà¸£ à¸Ńà¸¢à¸Ķ", "à¸Ļ à¹Ĥà¸ķ", "à¸Ľ à¸ģà¸Ħà¸£à¸Ńà¸ĩ", "à¸Ńà¸Ļ à¸Ķà¸£à¸Ńà¸¢à¸Ķ",
+  "à¹ ģ", "à¹ģ à¸Ńà¸Ļà¸Ķà¸£à¸Ńà¸¢à¸Ķ", "à¹ģà¸ ŀ", "à¹ĥ à¸«à¸¡", "à¹ĩ à¸ģà¸ĭ", "à¹ĩ à¸ķ", "à¹Īà¸ĩ à¸Ĥ",
+  "ãĥĳ ãĥ¼ãĤ»ãĥ³ãĥĪ", "ä¸» é¡Į", "ä¸Ģ ç§į", "ä¸ĭ è½", "ä¸ĭè½ ½", "ä¹ ł", "ä¹ĭ éĹ´", "äº ¬", "ä»Ģ éº¼",
+  "ä¼ģ æ¥Ń", "å¤§ åŃ¸", "å¯ ¹äºİ", "åħį è²", "åħįè² »", "åĮĹ äº¬", "åĸ ®ä½į", "åľ° åĮº", "åŃ¦ ä¹ł",
+  "æ¨Ļ é¡Į", "æĪĳ åĢĳ", "æĹ¶ éĹ´", "æĺ ¾ç¤º", "æłĩ é¢ĺ", "ç ģ", "è§£ åĨ³", "è³ĩ æºĲ", "èĥ½å¤ Ł",
+  "é¦ĸ éł", "é¦ĸéł ģ", "Ġ Ø§", "Ġ\" %", "Ġ'../../ ../", "ĠF low", "ĠH TML", "ĠM oolenaar",
+  "ĠMan agement", "ĠR PC", "ĠValid ation", "Ġassert False", "Ġc enter", "Ġcomple x",
+  "Ġcorrespond ing", "Ġd en", "Ġd epend", "Ġd ot", "Ġf inally", "Ġgo od", "Ġh ÉĻyata", "Ġis olation",
+  "Ġneed s", "Ġoff set", "Ġol acaq", "Ġrec ogn", "Ġs em", "Ġs lice", "Ġs ummary", "Ġsim ilar",
+  "Ġsubscri ptions", "Ġv o", "Ġvari ous", "ĠÏĥÏħ Î³", "Ġ× Ķ", "Ġ×ŀ×ķ×ł× ¤", "Ġâ ĿĮ", "ģà¸ ¡", "ķ× Ļ×",
+  "ł× Ķ", "(c ontent", "-s econdary", ".dis abled", ".scroll Top", ".tool Name", "/ session", ": nor",
+  "C opyright", "L e", "P rompt", "T imeline", "W eek", "al a", "at ible", "ce ive", "ele ted",
+  "enc oding", "fo o", "h ere", "int s", "inte gration", "it i", "it ive", "k ol", "l se", "lo or",
+  "or ld", "p ri", "r ange", "sw er", "t uple", "to LocaleTimeString", "w y", "£ ä»»", "¦ ç»",
+  "¦ç» Ĩ", "Ã¥ r", "ÃŃ t", "Õ«Õ ·", "Ø¨ Ø±", "à¸³ à¸¥", "à¸´ à¸¥", "à¸´ à¸ĩ", "à¸´à¸Ļ à¹Ĥà¸Ķ",
+  "à¸´à¸Ļà¹Ĥà¸Ķ à¸§à¸ª", "à¸µ à¸łà¸²à¸ŀ", "à¸¸ à¸¡", "à¸¸ à¸¡à¸Ļ", "à¸¸ à¹ī", "à¸¸à¸Ķ à¸Ļ",
+  "à¸¹ à¹Ģà¸ģ", "à¸ģà¸£à¸£à¸¡ à¸ģà¸²à¸£", "à¸ģà¸³ à¹Ħà¸£", "à¸Ħ à¸³à¸ª", "à¸Ī à¸²à¸ģà¸", "à¹Ģà¸ ģà¸¡",
+  "à¹Ģà¸ ĩ", "à¹ģà¸ ľ", "à¹ģà¸ľ à¸Ļà¸Ĺ", "à¹Ĥ à¸Ħà¸§", "ãĥ Ļãĥ«ãĥĻãĥĥãĥĪ", "åı° çģ", "åĲĮ æĻĤ",
+  "åĸľ æ¬¢", "åŃ¸ æł¡", "æ¬¡ æķ¸", "æ² Ĵ", "æ²Ĵ æľī", "æµ İ", "ç Ģ", "ç» §ç»Ń", "ç» ľ", "ç»ı æµİ",
+  "ç½ĳ ç»ľ", "çĢ ı", "çĢı è¦", "çĢıè¦ ½", "è¦º å¾Ĺ", "è¯ ¦ç»Ĩ", "è´ £ä»»", "éĢĻ ç¨®", "éĤ£ ä¸ª",
+  "ĉ O", "ĠB uilder", "ĠD elete", "ĠM AN", "ĠR unning", "ĠSession Header", "Ġ` <", "Ġab brevi",
+  "Ġaut o", "Ġbranch ing", "Ġd ir", "Ġdis abled", "Ġeff ect", "Ġexecution Id", "Ġexpl ained", "Ġh ar",
+  "Ġhe ad", "Ġindic ates", "Ġl arge", "Ġl ay", "Ġlook s", "Ġlook up", "Ġoptimiz ation", "Ġp e",
+  "Ġrefer ences", "Ġs le", "Ġs ure", "Ġset s", "Ġstatus Content", "Ġt ake", "Ġv Ã½", "Ġ} ));Ċ",
+  "Ġ~ /.", "ĠÎ¼ Îµ", "ĠÖĥ Õ¸ÖĢ", "ĠÙħ ÙĪ", "ĥ åĬł", "Ľ ×Ļ", "(result El", "- agent", "- or", "- to",
+  "-b uilder", ".f ile", ".m ark", ".re gister", ".t s", "/ vim", ": loaded", "A S", "A bort",
+  "D ate", "Def inition", "NT IME", "RU NTIME", "Rece ived", "Result Element", "VIM RUNTIME", "__ __",
+  "a pe", "ac cent", "alc ul", "anc el", "ch e", "end is", "ess e", "evel op", "execution Id",
+  "ft plugin", "g ers", "inte ger", "l at", "lar Ä±n", "m a", "m ath", "o ot", "or u", "orm ally",
+  "p a", "pect or", "q t", "qt ÉĻ", "register ed", "sh ift", "th ree", "tool s", "ww w", "¡ ×ĺ",
+  "ª à¸ĩ", "« à¸¢", "½ Õ¿", "¿ Ł", "Ã¶ qtÉĻ", "ÏĦ Î¹Îº", "Ð¸ Ñģ", "Ð¸ Ñĩ", "ÖĢ Õ¥Õ¬", "Ø± Ø¯",
+  "à¸£ à¸ªà¸Ĭà¸²à¸ķ", "à¸£à¸²à¸ Ł", "à¸¥ à¸²à¸¢", "à¸«à¸¥ à¸¢", "à¸±à¸ª à¸¢", "à¸µ à¸£à¸²à¸Ł",
+  "à¸µà¸¢ à¸¡", "à¸¸à¸Ķà¸Ļ à¸Ńà¸Ļ", "à¸ģà¹Ģà¸ ĸ", "à¸Ķ à¹Ħ", "à¸Ķà¹Ħ à¸«à¸¥à¸¢", "à¸Ĺà¸§ à¸Ķ",
+  "à¹Ģà¸¡ à¸¥", "à¹ģà¸ ªà¸ĩ", "à¹Īà¸¡à¹ĥ à¸ª", "à¹Īà¸²à¸ĩ à¸ģ", "à¹Īà¸Ń à¸Ĥ", "à¹īà¸Ńà¸ĩ à¸Ł",
+  "à¹ĭ à¹ģà¸ģ", "ä¸ª äºº", "ä¸Ń åĽ½", "å¤§ åŃ¦", "å½± åĵ", "å½±åĵ į", "åı ĥåĬł", "åı°çģ £", "åĲį ç¨",
+  "æ ¿Ł", "æ¸¸æĪ ²", "æĢ ģ", "æĢİ ä¹Ī", "æĪĳ ä»¬", "æİ¨è ĸ", "æİ¨èĸ ¦", "ç® Ģ", "ç´ ļ", "ç¶ĵ æ¿Ł",
+  "çĬ¶ æĢģ", "çĶŁ äº§", "çĻ» éĮ", "çĻ»éĮ Ħ", "çŃī ç´ļ", "è§ Ħ", "è§Ħ å®ļ", "è¿ĺ æĺ¯", "è¿Ļ æł·",
+  "éĢ ī", "éĢī æĭ", "éĤ£ ä¹Ī", "éĤĦ æľī", "éĽ» å½±", "ĉ For", "Ġ X", "Ġ Ñħ", "Ġ' '", "ĠA s",
+  "ĠB rowser", "ĠConversation Optimizer", "ĠO r", "ĠO utput", "ĠO ver", "ĠOn ly", "ĠRe quest",
+  "ĠW eek", "Ġali as", "Ġb et", "Ġb ur", "Ġc ause", "Ġc ertain", "Ġc o", "Ġch o", "Ġcontain ed",
+  "Ġdur ing", "Ġf etch", "Ġh o", "Ġimport ed", "Ġinitial ize", "Ġinst ru", "Ġparam s", "Ġpro ble",
+  "Ġrem ove", "Ġrequ ire", "Ġs aved", "Ġs ou", "Ġtotal Count", "Ġwr itten", "Ġwr ong", "Ġ{} ,",
+  "ĠÎ± ÏĢÎ¿", "ĠÏĩ ÏģÎ·ÏĥÎ¹Î¼Î¿ÏĢÎ¿", "Ġ×¦ ×ķ×", "ĠØ µ", "ĠØ§ÙĦ Øª", "ĠØ§ÙĦ Ø³", "Ħ à¸°", "ĳ× §",
+  "ĵ à¦¯", "') ;", "( chunk", "() ,", "() ,Ċ", "(c urrent", "- repo", "-c opyright", ".t oken", "3 1",
+  "= help", "B ranch", "Object URL", "Result s", "T T", "U L", "^ ^", "_ KEY", "allow ed", "an te",
+  "ang uage", "c es", "ch en", "d a", "en ÃŃ", "f ollow", "for ce", "h l", "ir ÉĻ", "irÉĻ m", "li ed",
+  "m Client", "old ing", "param s", "paramet ers", "permiss ions", "pro cess", "text area", "tr ue",
+  "vid ers", "y o", "¯ ä»¶", "ÉĻy irÉĻm", "ÎŃ Î»", "ÏĥÏĦ Î®ÏĤ", "Ñı ÑĤÑĮ", "Õ¡Õ ¦", "Ùĩ Ùħ",
+  "à¦¾à¦ Ĥ", "à¦¾à¦ķ à¦°", "à¦¿ à¦°", "à§ĭà¦ ģ", "à¸±à¸§ à¸£", "à¸±à¸§ à¹Ģà¸¡", "à¸²à¸§ à¹Ģà¸Ĺ",
+  "à¸µà¸¢ à¸£", "à¸· à¸Ļ", "à¸¸ à¸Ľ", "à¸¸ à¹Ĭ", "à¸¹ à¸ļ", "à¸ģà¸¥à¸²à¸ĩ à¸Ħ", "à¸Ĭ à¸°à¸Ļ",
+  "à¸ĭ à¸ļ", "à¸Ł à¸ĭ", "à¸Ń à¸Ńà¸Ļà¸ĭà¸Ńà¸Ļà¹Ģà¸Ķ", "à¸Ń à¹Ģà¸Ńà¸ª", "à¸Ńà¹Ĥ à¸Ńà¹Ģà¸Ńà¸ª",
+  "à¹Ģà¸ Ł", "à¹Ģà¸Ħ à¸¢", "à¹Ģà¸Ħ à¹Ģà¸Ń", "à¹Ģà¸Ħà¹Ģà¸Ń à¸Łà¸ĭ", "à¹Ģà¸Ł à¸ĭà¸ļ", "à¹ģà¸ Ħà¸°",
+  "à¹ģà¸ ĸ", "à¹ģà¸ģà¸ °", "à¹ģà¸ĸ à¸ļ", "à¹Ĥ à¸ģ", "à¹Ĥ à¸ĩ", "à¹Ĥ à¸ľà¸¥", "à¹Ħ à¸Ńà¹Ĥà¸Ńà¹Ģà¸Ńà¸ª",
+  "à¹Ī à¸²à¸§", "à¹Īà¸§à¸ĩ à¹ĥ", "à¹Īà¸²à¸ĩà¸ģ à¸²à¸¢", "à¹ī à¸ĩ", "à¹īà¸²à¸§ à¹Ģà¸Ī", "å¯Ĩ çł",
+  "å¯Ĩçł ģ", "å¸Ĥ åł", "å¸Ĥåł ´", "å¼Ģ åıĳ", "åĨħ å®¹", "åĩº çİ°", "åĲĦ ç¨®", "åĲįç¨ ±", "æµ ıè§Ī",
+  "æķ¸ æĵļ", "æľī éĹľ", "æľį åĬ¡", "ç ĩ", "ç®Ģ ä»ĭ", "ç¶² ç«Ļ", "ç¶ĵ çĩ", "ç¶ĵçĩ Ł", "ç½ĳ ç«Ļ",
+  "çĻ» å½", "çĻ¼ å¸ĥ", "çĽ¸ éĹľ", "èµĦ æĸĻ", "è½ ¯ä»¶", "è¿Ľ è¡Į", "èģ Ķ", "èģĶ ç³»", "éĢīæĭ ©",
+  "éģĭ è¡Į", "éł ħ", "éłħ çĽ®", "ĉ ĠĠĠĠĠ", "ĠA I", "ĠB ram", "ĠCom plete", "ĠD OM", "ĠD i",
+  "ĠFor mat", "ĠIn st", "ĠM ethod", "ĠR ef", "ĠR es", "ĠTool Analyzer", "Ġ[] ;ĊĊ", "Ġact ive",
+  "Ġconsid ered", "Ġcont roller", "Ġcreate Provider", "Ġenc oding", "Ġf all", "Ġh ash",
+  "Ġhighlight ing", "Ġinv ok", "Ġiter able", "Ġiter ator", "Ġk ar", "Ġk ind", "Ġk on", "Ġkeyword s",
+  "Ġl am", "Ġmark s", "Ġon Chunk", "Ġoperator s", "Ġprovid e", "Ġqu is", "Ġse hr", "Ġser ver",
+  "Ġsol id", "Ġst ores", "Ġtell s", "Ġv isual", "Ġ} `", "ĠÎ ¸", "ĠÎµ Îº", "Ġ× ª×¦×ĺ", "Ġ×ľ× ¤×",
+  "(m ock", "* usr", "-c ore", ". text", ".p ending", "2 1", "3 6", ": ft", ":no et", ":nor l",
+  ":t s", ":t w", "============================================================================== ĊĊ",
+  "GE MINI", "L ength", "O PFS", "O r", "P anel", "_ API", "am a", "as k", "at ur", "av ÉĻ", "e val",
+  "et o", "g ing", "i Ã§ik", "ild iri", "ildiri b", "ilen ame", "im es", "ir d", "iv ely", "iy ÉĻ",
+  "k on", "li j", "ontain er", "p assed", "s el", "s ys", "se ction", "t ers", "u ages",
+  "ubscri ption", "us ing", "v es", "w r", "| .", "¯ ç³»", "± åĳĬ", "Õ¥Õ ¼", "Ø °", "Ø§Ø± Øª",
+  "ÙĪ Ø¹", "à¦¿à¦ ¶", "à§įà¦ Ł", "à¸¢à¸§ à¸°", "à¸£à¸ĩ à¸ª", "à¸¥ à¸²à¸Ļ", "à¸¥ à¹Ģà¸¡",
+  "à¸¥à¹Ģà¸¡ à¸ķà¸£", "à¸§ à¸²à¸Ķ", "à¸§ à¸Ī", "à¸«à¸¡ à¸Ķ", "à¸± à¸¢à¸§à¸°",
+  "à¸´à¹Ĥ à¸¥à¹Ģà¸¡à¸ķà¸£", "à¸´à¹Ĥ à¸łà¸Ħ", "à¸µ à¸Ķ", "à¸¸ à¸Ĥ", "à¸¹à¸ģà¸ Ĭ",
+  "à¸ģà¸£ à¸Ķà¹Ħà¸«à¸¥à¸¢", "à¸ģà¸£à¸° à¸ĸà¸²à¸ĩ", "à¸Ħà¸Ļ à¸ķà¸²à¸¢", "à¸Ĭ à¹Ĥ", "à¸Ĭà¹Ĥ à¸¢",
+  "à¸ĺ à¸²à¸ķ", "à¸Ńà¸ĩ à¸ļ", "à¹ģà¸ ĭ", "à¹ģà¸ĭ à¸ĩ", "à¹Ħ à¸Ĭà¹Ĥà¸¢", "à¹ĩ à¸Ķ", "à¹Īà¸§à¸ĩà¹ĥ à¸¢",
+  "à¹Īà¸Ńà¸¡ à¹Ģà¸ļ", "à¹īà¸Ńà¸ĩ à¹Ģà¸£", "ä¸Ģ ç¨®", "å¿ħ éł", "å¿ħéł Ī", "åħ¨ åľĭ", "åħ© åĢĭ",
+  "åĽł ä¸º", "åĽł çĤº", "åł ±åĳĬ", "æĻĤ éĸĵ", "æĿ¥ æºĲ", "çµĦ ç¹Ķ", "ç¾İ åľĭ", "çĻ»å½ ķ", "è¡Į æ¥Ń",
+  "è¨ ĺ", "è¨ĺ èĢħ", "èģ ¯ç³»", "èĻ ķ", "èĻķ çĲĨ", "éĢĻ éº¼", "éĤ£ åĢĭ", "éļ» æľī", "éĽ ĸ", "éĽĸ çĦ¶",
+  "Ġ esc", "Ġ? ?", "ĠAp pro", "ĠD is", "ĠMAN UAL", "ĠMessage Entry", "ĠS KILL", "ĠS te",
+  "ĠSt reaming", "ĠU SER", "ĠW rite", "Ġar r", "Ġc lick", "Ġdec imal", "Ġexplicit ly",
+  "Ġfunction ality", "Ġint elligent", "Ġk iÃ§ik", "Ġl ot", "Ġme aning", "Ġmen us", "Ġmod al",
+  "Ġneg ative", "Ġon es", "Ġon larÄ±n", "Ġprogram s", "Ġq oymaq", "Ġre place", "Ġrequ ires", "Ġs z",
+  "Ġshow s", "Ġt re", "Ġt rig", "Ġthing s", "Ġtr an", "Ġun subscribe", "ĠÐ¸ Ð·", "ĠÕ ¤", "Ġ× §×¨×",
+  "Ġ× ł×", "Ġà¦Ĩà¦ ¸", "ľ ×ķ×¨×", "( worker", "(m essages", ") </", "-pur ple", ". env", ". split",
+  ".. .Ċ", ".c all", ".f ind", ".t emperature", "10 1", "2 2", "=\" ${", "A rg", "DE L", "Inter face",
+  "O ptions", "Re pository", "UL T", "V ersion", "_ t", "al le", "ant ed", "at ab", "av ing",
+  "b ranch", "b reak", "by te", "c ing", "c md", "c ontinue", "com ponent", "ed db", "er en",
+  "get attr", "key s", "m ode", "ou ps", "p m", "pro gram", "se quence", "t re", "v ailable", "w hen",
+  "y u", "¡ æ³ķ", "ÐµÐ ¿", "Õ µ", "Õ¡ÖĢÕ ¤", "Õ« ÖĦ", "×ķ×¨× §", "Ø¯ ÙĬ", "Ø² Ø±", "ÙĨ Ø³", "à¦¿à¦ ¯",
+  "à§ĩà¦ ľ", "à¸° à¹Ģà¸Ĥ", "à¸±à¸ĩ à¸Ļ", "à¸²à¸ģà¸¥ à¸²à¸ĩ", "à¸´ à¸¡", "à¸´ à¸ģ", "à¸´ à¸ķà¸£",
+  "à¸µ à¹Ģà¸Ķ", "à¸·à¸Ń à¹Ģà¸Ĺ", "à¸·à¸Ńà¹Ģà¸Ĺ à¸¨", "à¸¸à¸Ķ à¸Ĺ", "à¸¸à¸Ľ à¹Ĥ", "à¸ģà¸ §",
+  "à¸Ĥ à¸²à¸Ķà¹Ģà¸Ħ", "à¸Ń à¸§", "à¸Ń à¸°", "à¹Ģà¸¢ à¸Ńà¸°", "à¹Ģà¸ŀ à¸£à¸²à¸", "à¹ģà¸¥ à¸°",
+  "à¹Īà¸¡ à¸ľ", "à¹ī à¸«à¸§", "à¹īà¸§ à¸¢", "ä¸» é¢ĺ", "ä¸ļ åĬ¡", "ä»Ģ ä¹Ī", "ä½ľ çĤº", "åĢĭ äºº",
+  "åĩĨ å¤ĩ", "åĬ ĥ", "åİ Ĩ", "åİĨ åı²", "åĽ½ å®¶", "æĥħ æ³ģ", "æĦŁ è§ī", "ç²¾ è", "ç²¾è ı", "ç²¾èı ¯",
+  "ç»ı èĲ", "ç»ıèĲ ¥", "çĦ ¡æ³ķ", "çı¾ åľ¨", "è¨Ī åĬĥ", "è®¾ è®¡", "è» Ł", "è»Ł é«", "è¿ĺ æľī",
+  "è¿Ļ éĩ", "è¿Ļéĩ Į", "èħ ¦", "éĢļ è¿ĩ", "éĽ» èħ¦", "ĉ echo", "ĉ var", "ĉU sing", "Ġ Y", "Ġ ]Ċ",
+  "ĠE n", "ĠHow ever", "ĠT yp", "ĠThe y", "ĠValid ate", "Ġact ual", "Ġd ro", "Ġd ÉĻn", "Ġdescri bed",
+  "Ġexact ly", "Ġf low", "Ġf uture", "Ġg en", "Ġh ard", "Ġinter face", "Ġist ÉĻyirÉĻm", "Ġk om",
+  "Ġm ar", "Ġm o", "Ġp an", "Ġpar sed", "Ġpre c", "Ġpropert y", "Ġre try", "Ġrec ent", "Ġsc roll",
+  "Ġt en", "Ġt ÉĻrÉĻfindÉĻn", "Ġy er", "ĠĠĠĠĠĠĠĠ ĠĠĠĠĊ", "į åĪĨ", "Ĺ ×ķ×", "ŀ× ĺ", "( par", "() :",
+  "(p attern", "- V", "- defined", "- left", "- pro", "-or ange", ".c ode", ".m in", "/ integration",
+  "3 7", "H andshake", "O n", "RE S", "_ name", "a ÅŁ", "ag ing", "am aq", "aÅŁ amaq", "ch t",
+  "check Permissions", "f irst", "ge ther", "get Tool", "i o", "ic on", "ig it", "ild card", "m ost",
+  "match es", "n ie", "ri ct", "s ort", "s ummary", "set tings", "u k", "v an", "y c", "y d",
+  "ynam aq", "« åĬ©", "® åĬ©", "Ã© s", "Î¯ Î¶", "Ðº Ð¾", "Õ »", "×¨×Ļ× §×", "×Ļ ×ķ×", "Ø§Ùħ Øª",
+  "Ø± Ø³", "ÙĪØ± ÙĪØ¨", "à§ĩ à¦²", "à§ĩà¦ Ł", "à¸£à¸° à¸¢", "à¸£à¸° à¹Ģà¸ļ", "à¸£à¸ĸ à¸ĸ",
+  "à¸±à¸ģà¸ ľ", "à¸±à¸Ĳ à¸ļà¸²à¸¥", "à¸±à¸Ķ à¸Ļ", "à¸³ à¹Ģà¸ª", "à¸³à¹Ģà¸ª à¸¡", "à¸´ à¹ī",
+  "à¸´à¸© à¸¢", "à¸´à¸Ī à¸ģà¸£à¸£à¸¡", "à¸µà¸¢ à¸ļ", "à¸¶ à¸Ķ", "à¸· à¸Ńà¸ĩ", "à¸ģà¸ Ĥ", "à¸ģà¸£ à¸ĵ",
+  "à¸Ħ à¸¥à¸²à¸Ļ", "à¸Ķ à¸²à¸Ļ", "à¸ķ à¸³à¸¥", "à¸Ńà¸ĩ à¸«à¸§à¸²à¸Ļ", "à¸Ńà¸ļ à¸Ń", "à¹Ģà¸¢ à¸²à¸§",
+  "à¹Ģà¸Ľ à¸¥", "à¹Ģà¸ŀ à¸Ķà¸²à¸Ļ", "à¹ģà¸ģà¸£ à¸ĩ", "à¹Ĥ à¸£à¸ĩà¸ª", "à¹Ī à¸³à¹Ģà¸ªà¸¡",
+  "à¹īà¸³ à¸«à¸§à¸²à¸Ļ", "ãĥıãĥ³ãĥŀ ãĥ¼", "ä»ĭ ç´", "ä»ĭç´ ¹", "å®ŀ çİ°", "å¸ ®åĬ©", "å¹ «åĬ©",
+  "åĲĮ æĹ¶", "æ³¨åĨ Į", "æī ĭ", "æīĭ æľ", "æīĭæľ º", "æłĩ åĩĨ", "ç© įåĪĨ", "ç» ĵ", "ç»ĵ æŀľ",
+  "è»Łé« Ķ", "è¼ ĥ", "éĢļ éģİ", "ĉ return", "ĉr m", "Ġ ÅĽ", "Ġ Ñĩ", "Ġ* .", "ĠCh anged", "ĠD ays",
+  "ĠM essages", "ĠN one", "ĠP review", "ĠPer formance", "ĠR emove", "ĠS how", "ĠSt atus",
+  "ĠTool Registry", "Ġab ort", "Ġb ar", "Ġcol on", "Ġcomm on", "Ġdel iv", "Ġfail s", "Ġh it",
+  "Ġinclud ing", "Ġindex es", "Ġlimit s", "Ġm uch", "Ġn Ã¶qtÉĻ", "Ġoper and", "Ġp od", "Ġpri ority",
+  "Ġpublish ed", "Ġr ather", "Ġre gist", "Ġsubscri b", "Ġt a", "Ġupper case", "Ġv el", "Ġvolupt at",
+  "ĠÎµÏĢ Î¹", "ĠÏĢÎµ ÏģÎ¹", "ĠÐ¸ Ð½", "Ġ×§×ķ× ķ×Ļ×", "Ġà¦ ¡", "ľ× Ĳ×", "\" ',Ċ", "(c lient", "(p art",
+  ") \".ĊĊ", ". index", ".d atas", ".d ef", ".datas et", ".r pc", ".re po", ".s how", "/ components",
+  "= /", "> `;Ċ", "A B", "C reate", "In sert", "L imit", "Model Info", "Read y", "St ream",
+  "System Events", "U S", "_ O", "a ar", "ang g", "app ed", "ared Worker", "atab ase", "com m",
+  "d es", "d iting", "ec imal", "ee ks", "em p", "f old", "g ed", "ht iy", "htiy ac", "ib ility",
+  "iss en", "l ig", "m port", "n am", "n ormal", "sk i", "th en", "° ¡", "¼ çº", "¼çº Į", "¿ Ĵ",
+  "Ã ª", "Î¿ ÏĤ", "Ð° Ð½Ð¸Ðµ", "Ð¸ Ð»", "×ķ× Ĵ×", "Ø§Ø Ń", "Ø¬ Ùĩ", "à¸« à¸²à¸ļ", "à¸µ à¸", "à¸µ à¸¡",
+  "à¸¸à¸Ĥ à¸łà¸²à¸ŀ", "à¸Ħà¸Ļ à¹Ħà¸Ĥ", "à¸ĩ à¹Ħà¸¡", "à¸ķà¸£ à¸§à¸Ī", "à¸ĸ à¸²à¸Ļ", "à¸Ĺ à¸²à¸Ļ",
+  "à¸Ĺà¸Ńà¸Ķ à¸¡", "à¹Ģà¸¢à¸²à¸§ à¸Ĭà¸Ļ", "à¹ģà¸ Ļ", "ä¸Ģ åĢĭ", "å·² ç¶ĵ", "åľĭ åħ§", "åŃ¸ ç",
+  "åŃ¸ç ¿Ĵ", "æ¨Ļ åĩĨ", "æ¯Ķ è¼ĥ", "æİ¨è į", "æİ¨èį Ĳ", "æĵģ æľī", "æľī åħ³", "ç °¡", "ç¹ ¼çºĮ",
+  "éĢ² è¡Į", "éĢĻ äºĽ", "éĢĻ æ¨£", "Ġ Ïħ", "Ġ ÑģÑĤ", "Ġ\" #", "Ġ\" ${", "ĠAl so", "ĠB uf", "ĠB y",
+  "ĠContext Builder", "ĠE nt", "ĠM ax", "ĠM ove", "ĠT oken", "ĠT rue", "Ġannot ations", "Ġc ore",
+  "Ġcont in", "Ġcontext Manager", "Ġd etail", "Ġdisplay ed", "Ġg ive", "Ġhead ers", "Ġl ocation",
+  "Ġle af", "Ġload s", "Ġlog Event", "Ġn a", "Ġn at", "Ġn iyÉĻ", "Ġneed ed", "Ġres ponses",
+  "Ġsem ant", "Ġsle ep", "Ġst icky", "Ġst ructure", "Ġstart ing", "Ġt itle", "Ġtool Dispatcher",
+  "Ġu d", "Ġw er", "Ġy et", "ĠÉĻl avÉĻ", "ĠØ§ÙĦØ ®", "ĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠ ĠĠĠĠ", "( -", "(s chema",
+  "(t ree", "- value", ". body", ". provider", ".event s", ".f unction", ".stream Request", "1 9",
+  "40 9", "5 6", "A vailable", "H E", "Session s", "St r", "Wh at", "_ P", "a que", "an is",
+  "ap plication", "api Key", "ass ert", "ax Ä±n", "ch anis", "charact er", "e j", "end re", "er ved",
+  "et imes", "h ost", "im ate", "inst ance", "iz l", "izl ÉĻ", "izlÉĻ mÉĻk", "k el", "k illMd",
+  "k om", "m essages", "n ames", "ny a", "oru ÅŁmaq", "p ow", "pr imary", "s z", "select ed", "t ain",
+  "und efined", "v ol", "z ad", "Ã¼ nya", "ÅŁ ÉĻk", "ÅŁÉĻk il", "Î± ÏģÎ±", "Ð ¶", "Ð°Ñģ ÑĤÑĮ",
+  "ÑĢÐ°Ð ¶", "Õ¥ ÖĢÕ", "Õ¸Õ ²Õ¡Õ¬", "Õ¸ÖĤ Õ½", "Õ¸ÖĤÕ ²", "Õ¸ÖĤÕ½ Õ«Õ¶", "Ø§Ø¯ Ùĩ", "Ø§ÙĦ Ùħ",
+  "Øª Ùħ", "Ø± Ùħ", "Ø¹ ÛĮ", "Ùĳ Ø©", "à¦ £", "à¦¼ à¦¿", "à¸ª à¸ĸà¸²à¸Ļ", "à¸ªà¸¡ à¸Ńà¸ĩ",
+  "à¸ªà¸ķ à¸²", "à¸° à¹ģà¸Ļ", "à¸²à¸¥ à¸²à¸ģà¸¥à¸²à¸ĩ", "à¸³à¸ª à¸§à¸Ļ", "à¸´à¸Ļ à¸ªà¸ķà¸²",
+  "à¸ģà¸ ĩ", "à¸Ħ à¸£", "à¸Ħ à¸ļ", "à¸Ĺ à¸«à¸²à¸£", "à¸ļ à¸²à¸Ķ", "à¸ļà¸Ńà¸ģ à¹ĥà¸ļ", "à¸ľ à¸ªà¸¡",
+  "à¹Ģà¸Ħ à¸£", "à¹Ģà¸ŀà¸£à¸²à¸ °", "à¹Ģà¸Ńà¸ª à¸ĭ", "à¹Ī à¸Ńà¸ĩ", "à¹ī à¸Ń", "å¤ Ħ", "å¤Ħ çĲĨ",
+  "åıĳ å±ķ", "åıĳ çİ°", "ç°¡ ä»ĭ", "çĶµ èĦ", "çĶµèĦ ĳ", "èĥ½å¤ ł", "éĢĻ è£", "ĉ check", "Ġ %",
+  "Ġ Ð¾ÑĤ", "Ġ\" [", "ĠAPI s", "ĠCom mand", "ĠMessage Handler", "ĠN ode", "Ġclient Id", "Ġclient s",
+  "Ġclip board", "Ġdebug ger", "Ġdel ay", "Ġdisplay Name", "Ġexecut es", "Ġext ra", "Ġfail ure",
+  "Ġhighlight ed", "Ġl l", "Ġm ÉĻn", "Ġn etwork", "Ġp ang", "Ġqu ot", "Ġquick ly", "Ġrepl aced",
+  "Ġrequest ed", "Ġrun Test", "Ġset up", "Ġt ur", "Ġtool Store", "Ġun less", "Ġw ays", "ĠÎ´ Î¹Î¿",
+  "ĠÏĢÎ± ÏģÎ±", "Ġ× §×", "Ġ×ĵ ×ķ×ľ", "ł ×ķ×", "\" ]", "' ;", "( SystemEvents", "( line", "(h istory",
+  "(tool Name", ") )Ċ", "- for", "----------- +------------------------------------------------",
+  "-m emory", ". )ĊĊ", ". w", ".for ward", ".on error", ".s ubscriptions", ".t ransport",
+  ".tr ansfer", "/ man", "3 4", ": error", ":d eleted", "C I", "D elete", "L ast", "M etadata",
+  "O pen", "R ange", "S ID", "S ubscriptions", "ac ing", "and ae", "ang er", "at en", "at i",
+  "aut ocmd", "av ailable", "c reated", "c ustom", "c ut", "cr umb", "er ver", "exist s", "f unc",
+  "h ello", "i ores", "ign al", "ik a", "im ation", "in nerHTML", "ith ub", "ocument ation", "op en",
+  "ou n", "r ain", "r un", "re ct", "read crumb", "t ual", "vim rc", "wa Äĩ", "} '", "} .", "¢× Ŀ",
+  "ª×Ļ× ¢×Ŀ", "Ã¦ l", "Äħ d", "ÄĽ t", "ÅĻ ÃŃ", "ÉĻ st", "Î¼ÎŃ Î½", "Ïī ÏĤ", "Ð°Ð½ Ð´", "Õ¡Õ ²",
+  "Õ¡Õ¶ Õ¥Õ¬", "ÖĢÕ ½", "Ø¯ ÙĪÙĦ", "Ø± Ø©", "ÙĬ ÙĦ", "à¦ ĸ", "à¸£à¸°à¸¢ à¸³", "à¸£à¸ĸ à¸Ĺ",
+  "à¸¥ à¸Ńà¸Ķ"
+];
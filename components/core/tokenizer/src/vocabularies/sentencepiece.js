@@ -0,0 +1,885 @@
+/**
+ * BPE merges for the `sentencepiece` pre-tokenizer (8000 merges)
+ *
+ * A stand-in trained on this repository and prose samples, not a provider's
+ * vocabulary; see the README's Accuracy section for how far its counts are off.
+ *
+ * Trained once, with no generator kept; the README's "Where the Stand-in
+ * Tables Come From" section lists the corpus. Do not edit.
+ */
+
+export default [
+  "Ġ Ġ", "ĠĠ ĠĠ", "à ¸", "Ġ t", "o n", "e r", "i n", "e n", "e s", "= =", "Ċ ĠĠĠĠ", "Ġ a", "o r",
+  "Ġ c", "- -", "s t", "a t", "ĠĠ Ġ", "Ġt h", "r e", "l e", "en t", "i on", "ã ĥ", "i t", "i s",
+  "a n", "Ġ f", "à ¹", "Ġ s", "e d", "== ==", "a l", "e x", "Ġth e", "à ¦", "ĊĠĠĠĠ Ġ", "o u", "-- --",
+  "Ġ p", ") ;", "Ġ b", "Ġ m", "in g", "a r", "Ġ {", "g e", "a s", "Ċ ĠĠĠ", "Ġ =", "c t", "Ġ d", "Ġ w",
+  "Ġ '", "o l", "Ġ }", "Ġ n", "es s", "a m", "Ġ o", "o m", "ĠĠĠĠ ĠĠĠĠ", "ã Ĥ", "Ġt o", "u s", "Ġ \"",
+  "Ġc on", "i d", "Ġ in", "Ġ <", "ex t", "ã Ģ", "ãĢ Ĥ", "ĊĠĠĠĠ ĠĠĠ", "c h", "i v", "as s", "e t",
+  "n d", "es t", "Ċ ĠĠ", "==== ====", "Ġ (", "i m", "u t", "Ġ re", "Ċ Ġ", "i l", "e l", "â Ķ", "Ġ l",
+  "ã ģ", "= \"", "r o", "* *", "p t", "u n", "ĊĠĠĠĠ ĠĠĠĠ", "o d", "a d", "' ,", "u r", "l ass",
+  "---- ----", "Ġ T", "à¸ ²", "e c", "Ġ h", "a ge", "m ent", "à¸² à¸", "c e", "Ġ *", "i st", "Ġ is",
+  "Ġ r", "u l", "Ġ st", "( '", "Ø §", "ä ¸", "d iv", "an d", "i f", "Ġ v", "Ġc lass", "Ġcon st",
+  "e m", "o w", "Ġa s", "q u", "Ġo f", "am e", "âĶ Ģ", "t h", "p e", "r i", "a y", "\" >", "Ġth is",
+  "i le", "o c", "at ion", "Ġ |", "à¸ Ń", "Ġf or", "ģ à¸", "Ġa nd", "t ext", "à¸ Ļ", "at e", "r or",
+  "ess age", "Ġ ex", "o t", "v ent", "o ol", "' );", "âĶĢ âĶĢ", "( )", "à¹ Ģ", "Ġ /", "s e", "Ġ y",
+  "ĊĠĠĠĠĠĠĠĠ Ġ", "à¹ Ī", "e w", "ct ion", "g r", "u e", "i c", "er s", "i g", "à¹Ģ à¸", "Ġ ×", "a b",
+  "Ġc om", "n t", "Ġ e", "Ġ S", "ess ion", "or e", "Ġ à¦", "y pe", "it h", "er t", "k e", "u m",
+  "Ġ Õ", "a p", "e f", "ge t", "Ġ it", "Ġt ext", "_ _", "Ġ us", "======== ========", "en d", "à¹ ī",
+  "h e", "e ct", "ul t", ". .", "Ġy ou", "ĊĠĠĠĠ ĠĠĠĠĠĠĠĠ", "on t", "Ġ Ø", "Ġ C", "er ror", "or t",
+  "ãĥ ¼", "à¸ £", "r ing", "a g", "à¸ ĩ", "à §", "c ri", "r om", "Ġ A", "I d", "t er", "Ġ/ /",
+  "pt ion", "Ġw ith", "Ġ I", "< /", "Ù Ħ", "Ġ -", "Ġb e", "or k", "p le", "Ġ if", "l o", "l y",
+  "à¸ ¡", "Ġc h", "æ ľ", "à¦ ¾", "Ċ ĊĠĠĠ", "Ġ= >", "ur n", "Ð ¾", "u b", "ä »", "ec ut", "à¸ Ķ",
+  "Ġ on", "Ċ Ċ", "à¸ ±", "j ect", "in d", "Ġa n", "v e", "Ġ M", "Ġ [", "or d", "à¸ ´", "Ġ} );",
+  "Ġn ew", "à¸ µ", "Ġ `", "t urn", "Ġ E", "-------- --------", "Î ±", "à¸ ¢", "ķ ×", "in e", "Ġ< /",
+  "# #", "Ġa l", "Ġas s", "ĊĠĠĠĠĠĠĠĠ ĠĠĠ", "Ñ Ĥ", "p o", "u ment", "un ction", "Ð °", "t est", "Ø ±",
+  "Ġw h", "s p", "Ù Ī", "Ġ P", "a c", "Î µ", "Ġf ile", "a in", "r y", "Ġ Ð", "es ult", "m and",
+  "Ġto ol", "Ġth at", "( );", "Ù ħ", "Ġa re", "Ġ g", "b ject", "à¸ «", "l d", "w a", "ar t", "Î ¹",
+  "ĉ ĉ", "i r", "ou nt", "Ġt ype", "p on", "Ġ >", "p ort", "ĠĠĠĠĠĠĠĠ ĠĠĠĠĠĠĠĠ", "× ķ×", "à¹ ģà¸",
+  "Ð µ", "å ħ", "u p", "ou ld", "` `", "l i", "Ġ @", "ou t", "Ċ ĊĠĠĠĠĠ", "Ġre turn", "å ı", "Ġc an",
+  "ä º", "ou nd", "Ġass ert", "æ ĸ", "Ġp ro", "at ch", "il l", "at a", "Î ¿", "Ġs e", "v er", "i z",
+  "Ù Ĩ", "Ġ F", "ãĥ Ī", "$ {", "od e", "Ġ id", "à¸ ª", "à¸ ģà¸", "ä ½", "R e", "al l", "t ool",
+  "ke y", "or y", "ork er", "al ue", "wa it", "× Ļ", "Ġcom mand", "Ï Ħ", "re d", "' )", "à¸ §", "y n",
+  "Ġn ame", "¡ Õ", "Ġf unction", "c on", "à¸ ķ", "Ġt est", "p ro", "Ġcon t", "h t", "ãĤ ĭ", "Ġa wait",
+  "S t", "à¸ ļ", "h ould", "p ar", "Ġ V", "t e", "' ;", "Ġ or", "p l", "Ð ¸", "Ġ W", "ç Ķ", "at h",
+  "le ment", "Ø ª", "æ ĺ", "Ġ k", "å Ī", "Ï ģ", "ãģ Ļ", "a il", "Ġf rom", "Ġd ef", "É Ļ", "gr ay",
+  "Ġt r", "Ð ½", "à¸ ¥", "âĶĢâĶĢ âĶĢâĶĢ", "Õ ¥", "cri pt", "ĠT he", "Ġn ot", "o p", "Ñ Ģ", "m essage",
+  "Î ½", "er e", "Ġ U", "r id", "oc k", "Ġ D", "ãĥ ³", "Ġ error", "×Ļ ×", "oc ument", "yn c", "å ®",
+  "a ce", "ä¸ Ģ", "ab le", "å Ĳ", "Ø ¯", "Ñ ģ", "Ø§ ÙĦ", "Õ¥ Õ", "a ct", "ont ent", "an g", "Õ ¡Õ",
+  "ĠT h", "Ġex ecut", "Ġ Î", "Ġm essage", "Ġa r", "Ġd ocument", "Ù Ĭ", "st ring", "Ġ B", "rid ge",
+  "ol d", "ãĤ ¹", "it e", "p r", "Ð¾ Ð", "Ġb y", "è ¦", "à¸ Ħ", "E lement", "p er", "s o", "Ù ĩ",
+  "æĺ ¯", "Ï ĥ", "Ġe vent", "an t", "at us", "a x", "sp an", "f or", "n er", "Ö Ģ", "um b", "Ċ ĊĠ",
+  "j s", "Ġ( )", "ãģĻ ãĤĭ", "à¸ ģ", "å Ĭ", "ç ļ", "çļ Ħ", "Ñ Į", "im e", "c om", "as e", "g ist",
+  "o k", "ion s", "ord er", "Ġ le", "Ġl ine", "th er", "v id", "r ror", "c l", "ac k", "Ġw ill",
+  "Û Į", "l ow", "\" ,", "c c", "Ï Ĥ", "å ¤", "N ame", "Ġa t", "n ame", "ĊĠĠĠĠĠĠĠĠĠĠĠĠ Ġ", "a ve",
+  "u d", "à¸ ¹", "\" .", "et h", "Õ ¸", "f er", "å ľ", "è ¿", "is s", "T ool", "u st", "âĶ Ĥ", "Ï Ģ",
+  "================ ================", "e le", "è ¡", "ption s", "æ Ī", "Ġl o", "B y", "Ġst ring",
+  "T he", "at ed", "re ate", "Ġus e", "ĊĠĠĠĠĠĠĠĠĠĠĠĠ ĠĠĠ", "Ġas ync", "p ut", "Ġ key", "Ċ ĊĠĠ",
+  "er m", "ãĥ¼ ãĥ", "Ġs p", "à§ ĩ", "ul l", "ĠV im", "e vent", "Ġ ==", "t ype", "par am", "od el",
+  "a k", "Ø§ Ø", "umb er", "ar d", "à¦ ¿", "Ġr esult", "** **", "å Ń", "s et", "Ġ +", "v al", "i al",
+  "ind ow", "qu al", "a v", "Ġ **", "By Id", "Element ById", "at ter", "b ut", "get ElementById",
+  "Ġ R", "qu est", "re e", "i re", "li ent", "à¦ °", "Ġ L", "Ġ== =", "s ession", "è ¨", "r es",
+  "ur r", "eth od", "r u", "æľ ī", "ãĥ ĥ", "and l", "ĠT est", "â Ģ", "Ġv alue", "is e", "Ġd o",
+  "Ġ im", "ĠT ool", "ro w", ") .", "il d", "Ġ ~", "à¹ Ħ", "Ġo bject", "à¸ ·", "`` `", "pon ent",
+  "Ġ} ,", "C ount", "ag es", "urr ent", "s m", "Ġ* /", "Ġf ont", "ound ed", "à¹ Ĥ", "a st", "é Ģ",
+  "Ġr un", "Ġb order", "re en", "à¸ Ĺ", "Ġr ounded", "v i", "à¸ °", "i es", "Ġl ist", "c lass",
+  "Ġcont ent", "ile d", "Ġp o", "Ġr es", "Õ¥Õ ¬", "ÑĤ ÑĮ", "en g", "i b", "Ġ ${", "t o", "Ġ N", "u g",
+  "it ion", "Ġs h", "M essage", "E vent", "à¸ Ĥ", "an s", "cc ess", "Ġ O", "vid er", "Ġs ession",
+  "C ontent", "( {", "ub s", "æ ķ", "Ġh ave", "iv e", "å Ľ", "a iled", "à¸ ¸", "Ġar g", "E qual",
+  "am ple", "u al", "Ø ¨", "Ġ z", "å ·", "ar y", "× ¨", "eng th", "re ad", "S hould", "a ch", "g ent",
+  "d d", "y p", "Ġassert Equal", "à¦ ķ", "b l", "ubs cri", "Ċ ĉ", "iz e", "ĊĠĠĠĠ ĠĠ", "Ġp ar",
+  "ess ages", "äº º", "ä¸ į", "u re", "atter n", "Ġs et", "Ï ħ", ".. .", "ĠS t", "Ġcon text", "Y ou",
+  "ap p", "ä½ ľ", "Ġal l", "Ġch ar", "cl ud", "f ig", "Ð° Ð", "o ve", "T h", "Ġ Ø§ÙĦ", "ĠØ ¨", "I n",
+  "Ġus ed", "Ġ :", "Ġ j", "() \"", "on e", "en ce", "** :", "erm iss", "b e", "en s", "r esult",
+  "ãĥ «", "Ġd ata", "Ġ qu", "B us", "à¸ Ĭ", "gist ry", "Ġst art", "pon se", "for m", "Ġin st",
+  "Ġ\" __", "Ġa p", "b g", "in t", "x ecut", "Ġon e", "g reen", "pe ct", "æ ³", "ig n", "è¦ ģ",
+  "an ce", "y st", "m l", "lo ad", "---------------- ----------------", "Ġm ethod", "ãĥ ĭ", "Ġ G",
+  "à¹ Į", "an ge", "ãĤ ¯", "Ġ el", "Ġdef in", "Ġm atch", "ãģ Ħ", "ĠI f", "Ġit em", "Ġ} ;", "i ch",
+  "Ġwh en", "ist ory", "à¸²à¸ £", "æ Ĺ", "Ġs u", "L ist", "ire ct", "ãĥ ¥", "\" :", "il es", "ĠTh is",
+  "ç »", "Ġ un", "å Ģ", "Ä ĩ", "l ength", "à¸Ń à¸ĩ", "ä ¹", "Ġb u", "Ġp l", "ĵ ģ", "ig ht", "a ke",
+  "a ult", "ers ion", "Ã Ń", "St ore", "Ù Ĥ", "à¸ ŀ", "o bject", "Ġarg ument", "ad d", "Ø ©", "Ġp r",
+  "Ø ³", "f ile", "yst em", "Ġd is", "r c", "P I", "ol or", "w h", "à§ į", "Ġs hould", "Ã ¼", "å ĩ",
+  "Ġin d", "Ġchar act", "p ert", "text Content", "Ġw indow", "t r", "å ¸", "Î ¼", "Ġv ar", "t ri",
+  "è ĩ", "èĩ ª", "Ĳ ×", "å ¾", "Ġ| |", "') .", "Î º", "e b", "er y", "ir st", "Ðµ Ð", "Ö Ĥ", "Ù ģ",
+  "âĶĢâĶĢâĶĢâĶĢ âĶĢâĶĢâĶĢâĶĢ", "ation s", "Ġ H", "en er", "v alue", "d ata", "le x", "Ġv al", "so le",
+  "Ġn umber", "x t", "Ġsp ec", "ç Ľ", "u nd", "è Ģ", "is h", "th e", "ãĥ ª", "Ġb g", "e p", "à¦ ²",
+  "ä» ¥", "Ø ¹", "v im", "Õ «", "æ ł", "Ġo ther", "ĠĠĠĠ Ġ", "ãģ ª", "ľ ×", ".. /", "Î ·", "t xt",
+  "Ġ up", "ĥ ½", "ĠE vent", "Ġc all", "ł ×", "Î ¬", "à§ ģ", "C on", "ic k", "p x", "re am", "Ġ Re",
+  "ĠI n", "ç Ļ", "Ġh andl", "un k", "E rror", "à¸²à¸ ĩ", "å °", "Ġ/ **", "rom ise", "c ount", "al ly",
+  "s h", "Ã ½", "Ġn e", "ur s", "à¸ ³", "ĠE rror", "## #", "å ½", "Ġ âĶ", "Ġtr ue", "R L", "è ³",
+  "Ġa b", "ass ed", "end ing", "à¦ ¨", "i e", "çĶ Ł", "/ /", "en c", "it ial", "Î »", "Ñ ĥ",
+  "ĊĠĠĠĠĠĠ ĊĠĠĠĠĠ", "Ġ get", "al se", "ed it", "an ag", "è ©", "at or", "o g", "Õ¸ ÖĤ", "b o",
+  "ch em", "m d", "à¸ Ľ", "con st", "ĠF or", "à¸ ĸ", "po s", "Ġst ate", "à¸²à¸ §", "ä¸ Ń", "à¸ Ī",
+  "a q", "ermiss ions", "ãĥ¼ ãĤ", "è ®", "lo b", "t ing", "Ġd es", "Ġle t", "pr ession", "æ Į",
+  "el f", "le d", "o v", "Ġ Ùħ", "à¸²à¸ ¢", "Ġtest s", "] ;", "ple ment", "ponent s", "å ĵģ",
+  "anag er", "Ï Į", "è¡ Į", "ĠÐ ¿", "Ñ ĭ", "if i", "y nt", "ãĥ³ ãĥ", "© ×", "C h", "ent er", "å ī",
+  "Ġex ample", "Î ¯", "chem a", "gr ation", "é Ĺ", "ç §", "Ã ©", "ç ¨", "Îµ Î¹", "Ø ´", "Ã ¡",
+  "à¸²à¸ Ļ", "Ġv ersion", "ŀ ×", "ar k", "×¨ ×", "Ġon ly", "Ġt ry", "st atus", "t ed", "à¹ ĩ", "Ġ ÏĢ",
+  "Ġf iles", "Ġw orker", "-- -", "O N", "bl ue", "et w", "in es", "à¸Ń à¸Ļ", "ec k", "h en", "ynt ax",
+  "Î ³", "æĸ ĩ", "Ġ ÙĪ", "Ġo per", "ãģ Ĺ", "é Ľ", "Ġm od", "if y", "à¦ ®", "é ĩ", "Ġth row", "Ġ âĶĤ",
+  "Ġc urrent", "Ġst atus", "Ġb ack", "t n", "Ġ ro", "Ð º", "tri but", "Ġfor m", "Ñ ı", "ÖĢ Õ", "èĢ ħ",
+  "Ġd irect", "ime out", "it y", "th is", "Õ ¶", "Ġw ork", "s c", "è ĥ½", "Ġ end", "am es", "o ver",
+  "u le", "Ð ¹", "ĳ ×", "ad ge", "Ø§ ÙĨ", "æĹ ¥", "å Į", "Ġ !", "ĠA PI", "B ridge", "ar ch", "t on",
+  "ç ķ", "Ġexecut ion", "Ġp attern", "e y", "l g", "> >", "é ¡", "é ļ", "Ġp y", "n ot", "s cript",
+  ") :", "as h", "l l", "r ite", "ãĤ ³", "ĠM essage", "ç «", "Ġ .", "Ġcont ain", "l ish", "} `",
+  "æ Ń", "ou r", "re turn", "od y", "re vi", "o f", "x l", "å Ĩ", "Ġ\" :", "el l", "s ubscri", "å¤ §",
+  "Ġal so", "Ġwh ich", "ele te", "å ¼", "' ]", "S ession", "Ġs ame", "le ct", "oc al", "rom pt",
+  "Ġitem s", ". __", "s er", "æĮ ģ", "Ġo ver", "Ġt yp", "f lex", "e e", "urs or", "Ġex ce", "à¸ ľ",
+  "Ġ ?", "Ġdef ault", "Ġf irst", "Ġrun ner", "³ »", "ç ³»", "ç µ", "Ġtr ans", "K ey", "u ild", "w o",
+  "Ġ #", "E xecut", "and le", "ay load", "ht ml", "à¸µ à¹Ī", "Ġ â", "Ø§ Ø±", "æ İ", "ol low", "Ġ You",
+  "Ġ( !", "Ġcon sole", "+ --------------------------------", ": **", "ar g", "us e", "Ġ J", "Th is",
+  "__ ()\"", "ç ´", "T est", "ad er", "w orker", "ç ¶", "Ġm essages", "c ontent", "r an", "Ġ ]",
+  "ľ âĶĢâĶĢ", "ub lish", "ex ecut", "v ers", "Å Ĥ", "ç ī", "é ģ", "Ġpo s", "i p", "P ro", "p ath",
+  "Ġan y", "ĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠ ĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠ", ") ,", "Ġ edit", "pl ay", "à§ ĭ", "ãĥ ©", "ĠS ession",
+  "Ġb l", "Ġm b", "r ol", "Ä Ľ", "ç ¤", "ru ct", "s u", "ä ¼", "Ġ und", "in i", "l ine", "n ow",
+  "f o", "Ġc ode", "d ef", "i x", "r ay", "Ġm odel", "åħ ¨", "M L", "ĠC on", "d ate", "Ġ out",
+  "Ġb ut", "qu i", "us r", "m od", "pect ed", "ãĤ ·", "å į", "æĸ °", "ç Ħ", "Ġn o", "el p", "up port",
+  "à¦ ¦", "ãĥ Ĳ", "ç Ĥ", "om e", "ç Ĳ", "è ¯", "Ġ --", "re po", "ãĥ ¬", "Ġcommand s", "on g", "Õ ¿",
+  "Ġf ailed", "( `", "c reate", "i um", "æ ¬", "Ġdo es", "f ter", "Ö Ħ", "à¸· à¹Ī", "id d", "ou s",
+  "s elf", "ug in", "Î Ń", "Ġc ursor", "ĠĠĠĠ ĠĠ", "lob al", "Î ®", "Ġm an", "Ġw ant", "T ok",
+  "**** ****", "id e", "ãĤ ¢", "à¹ ĥ", "ãĥĥ ãĥĪ", "åĩ º", "æľ ¬", "ç ½", "but ton", "æ³ ķ",
+  "session Id", "f t", "m ed", "~ ~", "å ĳ", "æ Ķ", "é ĥ", "éĥ ¨", "w ard", "åĲ İ", "é Ŀ",
+  "ĊĠĠĠĠ ĊĠĠĠ", "Ġstate ment", "T ML", "o st", "pro pert", "Ġp ermissions", "Ġv i", "ä ¾", "æ Ĭ",
+  "Ġus ing", "} </", "Ġa dd", "Ġn ull", "Ġb us", "Ġs c", "cri ption", "é Ĥ", "Ġl i", "re ated",
+  "s ert", "Ġo ptions", "I N", "Ï ĩ", "åĪ Ĩ", "Ġf alse", "======== ====", "wh ite", "æĸ ¹",
+  "Ġinst ance", "ãĥ ķ", "ä¸ Ĭ", "æ ±", "Ġo ption", "val id", "ãĥ Ģ", "Ġc reate", "Ġres ponse",
+  "Ġs cript", "T RL", "Î¿ Ïħ", "ä¸ »", "åĬ ł", "æ Ħ", "ĠW orker", "id th", "ind ex", "st ore",
+  "Ġf ollow", "o ptions", "ä» Ĭ", "å ¥", "éĽ »", "Ġo p", "l ist", "qui red", "ç ľ", "Ġvar i", "äº Ľ",
+  "Ġ ent", "Ġ[ '", "f ail", "f f", "çĦ ¶", "T o", "lo g", "è¿ Ļ", "gist er", "n ing", "u es", "âĢ Ļ",
+  "Ġm ode", "Ġre quest", "f ull", "o le", "return s", "ĠC om", "al led", "et a", "it em", "Ñģ ÑĤ",
+  "Ġc atch", "Ġre c", "e at", "e v", "ef ore", "i el", "é ĸ", ". _", "E l", "us h", "Ġat tribut",
+  "Ġcom ple", "P ath", "a ut", "Ù ĥ", "Ġ gr", "Ġex pression", "ot e", "Ú ©", "if ic", "l es", "t oc",
+  "Ø Ń", "Ġl ines", "Ġn ames", "at es", "Ġtool s", "b ridge", "è¨ Ģ", "ĠU n", "in clud", "vers ation",
+  "à¸« à¸¡", "ele ct", "r a", "ãģ ĭ", "æ ĵ", "============ ==", "subscri be", "è µ", "ĠP romise",
+  "Ġim plement", "n e", "us er", "Ġ &", "Ġm ay", "Ġp ath", "D iv", "f s", "r ue", "à¸ ĭ", "Ġto t",
+  "ur ation", "es e", "iv ed", "le ar", "or m", "p re", "æ ¥", "Ġ ...", "Ġyou r", "pt im", "Ġ Îµ",
+  "ĠĠĠĠ ĠĠĠ", "in ner", "Ñĭ Ð¹", "ãĤ ±", "ãĥ £", "Ġim port", "../ ../", "Ġin clud", "Ġre m", "H TML",
+  "__ (", "class Name", "ran ch", "ÏĦ Î±", "Ġ i", "ĠTest s", "Ġpar am", "inner HTML", "rol l",
+  "Ġ-- >", "Ġc ount", "Ġse e", "Ġ{ }", "à¸ģà¸ £", "Ġa v", "Ġcharact er", "Ð ²", "W orker", "at s",
+  "c urrent", "çĲ Ĩ", "Ġp art", "ãĤ ¤", "Ġ Î±", "Ġm ust",
+  "================================ ================================", "em pt", "ä¸ º", "Ġargument s",
+  "app ing", "im port", "ãĥ ĵ", "çĻ ¼", "éĢ Ļ", "Ġre ad",
+  "================================================================ ==============", "D B", "o ther",
+  "à¦ ¤", "ãĤ¹ ãĥ", "Ġlo g", "Ġs upport", "Ġà¦ Ĩ", "c enter", "n umber", "Ġlo ad", ".. ..", "a use",
+  "on d", "p atch", "å ¯", "Ġbl ock", "Ġdirect ory", "gr am", "re ak", "test s", "æľ Ģ", "s rc",
+  "w ord", "ãģ Ł", "Ġdefin ed", "e en", "i k", "med ium", "Ã ¦", "ä» ĸ", "ĭ æ", "m ap", "p ush",
+  "uild er", "Ð° ÑĤÑĮ", "ãģ ¦", "çĶ ¨", "Ġa ut", "ad ow", "nd ex", "à¸´ à¹Ī", "à¸Ń à¸¢", "å® ļ",
+  "æĪ Ĳ", "Ġval id", ") );", "f unction", "Ð »", "Ø ²", "Ġh as", "Ġtot al", "ot al", "sp ec", "ãģ £",
+  "åĽ ½", "Ġs ub", "Ġw as", "A ll", "ay s", "ex port", "o s", "ĠA gent", "' :", "ptim iz", "ur es",
+  "¦ Ĥ", "Ñ ĩ", "å ¦Ĥ", "åĪ °", "Ġel se", "m odel", "ä¼ ļ", "æ Ļ", "ĠC h", "Ġf ail", "S ON",
+  "qu ence", "Ġli ke", "ĠÕ ¡Õ", ") )", "P E", "ag ent", "in ed", "in al", "Ïģ Î±", "å ĭ", "Ġin te",
+  "T rue", "d b", "il t", "n y", "à¦ ¬", "à¦ ¸", "å º", "çĤ º", "Ġh istory", "Ġth ere", "s em",
+  "Ċ ĊĠĠĠĠĠĠĠ", "Ġth en", "I f", "f fer", "su ccess", "toc ol", "w idth", "Ï ī", "ç ı", "çı ¾",
+  "ĠI nt", "Ġm ore", "Å Ļ", "× ĺ", "åľ ¨", "åŃ Ĳ", "ĉĉ ĉĉ", "Ġm ax", "Ġst ore", "ĠÎ ´", "M anager",
+  "a re", "Õ ¡", "ç¨ ĭ", "Ġhandl er", "Ġ> >>", "Ġevent s", "Ġf ind", "b ody", "Ø ·", "åħ ¶", "åľ °",
+  "Ġw ord", "ľ ħ", "+ +", "S elect", "it er", "propert y", "qu e", "st r", "ĠT o", "ĠÕ ¯", "iel d",
+  "§ ×ķ×", "Ð½ Ð¸", "Ø ¬", "å· ¥", "Ġsh adow", "Ġt ree", "O bject", "Tok ens", "n ect", "un c",
+  "à¦ ¯", "ĠU I", "Ġit s", "Ġne ed", "C all", "pos it", "ä¸ ĭ", "åı ĳ", "Ġp re", "ed DB", "if fer",
+  "it le", "p ass", "æ ī", "æ ŀ", "Ġ en", "Ġc lient", "Ġcharact ers", "Ġt wo", "Ġà¦ ¬", "c ore",
+  "com ponents", "à¦ ¼", "Ġà¦ ķ", "ib old", "sem ibold", "y th", "Î ´", "åı ¯", "æ Ľ", "Ġ âĢ",
+  "Ġa fter", "ab les", "Ġ! ==", "Ġre ce", "Event s", "Re gistry", "p s", "patch er", "è §", "Ġa gent",
+  "c lient", "Ġm e", "Ġsession Id", "etw een", "idd en", "m s", "Ġp assed", "Ġs yntax", "ap i",
+  "bo x", "åī į", "Ġch ange", "Ġind ex", "a le", "ifi ed", "æ ĭ", "Ġ[ ];", "Ġexce ption", "! --",
+  "ab el", "Ð ´", "Ġro le", "Ġâ ľħ", "ĠâĶ ľâĶĢâĶĢ", "åĲ Į", "ĠI t", "Ġc ase", "Ġc or", "Ġch ang",
+  "Ġform at", "Ġr a", "d e", "k en", "ndex edDB", "or age", "à¸ģà¸ ¥", "åĽ ł", "å Ł", "çĽ ®",
+  "Ġ< !--", "Ġl ast", "Ġparam et", "Ġ× ľ×", "ãģĭ ãģĦ", "Ġ: :", "ľ ×Ļ×", "éĤ £", "ĠE x", "Ġse arch",
+  "et ail", "j av", "s ub", "ĠF ile", "Ġp ayload", "as cript", "b old", "g h", "jav ascript", "oc us",
+  "posit ory", "read y", "Ïĥ ÏĦ", "å Ĥ", "åŃ ¦", "æ º", "Ġb efore", "Ġerror s", "Ġ× Ĳ×", "ting s",
+  "ãĤ §", "Ġ:: =", "ĠC TRL", "F or", "Pro vider", "re m", "å »", "Ġj ust", "ĠØ ª", "con fig", "d i",
+  "à¸ ©", "æ Ł", "Ġd i", "Ġp ass", "ream ing", "ĠE xecut", "ĠSt ore", "Ġt im", "Ġus er", "n al",
+  "n ew", "ãĥ Ł", "ä ¿", "Ġin ter", "ĠØ§ÙĦ Ø", "im it", "Ã ¶", "Ã ¸", "Ġdis play", "Ġwh ere", "Ĵ ×",
+  "ou gh", "t ime", "ÉĻ k", "ä¸ ª", "å ¿", "ç ©", "ĠM ock", "Ġl ang", "Ġo w", "\"> ${", "M E", "o id",
+  "ol ve", "ri es", "à¹ģà¸ ģ", "ãĤ¹ ãĥĪ", "ĠEvent Bus", "Ġcon fig", "[ ]", "ĠD ate", "Ġch unk",
+  "Ġobject s", "Ġre quired", "Ġs chema", "U I", "eat ures", "Ø§ Ø¯", "Ù ĳ", "ãĤ ¸", "a Äĩ", "c all",
+  "×ķ× ¨", "Ġ x", "Ġb reak", "Ġf ocus", "Ġh e", "p ublish", "Ġin itial", "Ġm in", "Ġpro vider",
+  "Ġ× ¡", "F ile", "um m", "Ġb o", "Ġdes cription", "and box", "ch at", "Å Ľ", "Ġ& &", "Ķ âĶĢâĶĢ",
+  "a w", "at ic", "r ray", "æ ¨", "Ġattribut e", "Ġval ues", "\"> </", "el lo", "in it", "iz ed",
+  "yth on", "à¸²à¸ ģà¸", "å ĸ", "Ġd iffer", "Ġlo ok", "Ġpl ugin", "C lient", "T ree", "b tn", "op y",
+  "å ±", "åľ ĭ", "Ġfollow ing", "Ġm ake", "Ġm apping", "E nt", "Re quest", "Tool s", "app end",
+  "includ es", "s end", "Ï Ĩ", "à¸£ à¸°", "ãģ ¾", "æķ Ļ", "Ġm ock", "ction s", "e gration", "éĢ ļ",
+  "ĊĠĠĠĠĠĠĠĠĠĠĠĠ ĠĠĠĠĠ", "Ġresult s", "js on", "ãĤ· ãĥ¥", "ãĥ¼ãĥ Ĭ", "è £", "ĠÐ ²", "ail able",
+  "l abel", "ÙĪ ÙĦ", "à¸ Ĳ", "à¸« à¸Ļ", "ĠP ro", "m ax", "s v", "Ï İ", "ãģ ®", "ç İ", "Ġ Ñģ", "a pt",
+  "o ption", "res ponse", "val u", "à¦ Ĺ", "Ġpro gram", "') ,", "he ad", "st art", "u i", "à¸ ¨",
+  "ĊĠĠĠĠĠĠĠĠ ĊĠĠĠĠĠĠĠ", "Ġw r", "+-------------------------------- ----------------", "re quest",
+  "s s", "Ï į", "âĶĢâĶĢâĶĢâĶĢâĶĢâĶĢâĶĢâĶĢ âĶĢâĶĢâĶĢâĶĢâĶĢâĶĢâĶĢâĶĢ", "æ Ŀ", "Ġc reated", "Ġs o",
+  "Ġsp ace", ". /", "/ **", "c ess", "h andle", "m eta", "vi ew", "èĩª å·", "é «", "Ġc l", "Ġf ound",
+  "Ġsu ccess", "? .", "èĩªå· ±", "Ġassert True", "Ġmod ule", "Ġtyp es", "C om", "Con text", "t itle",
+  "t otal", "Î ¸", "Ġt ab", "Ġà¦ ¤", "ce pt", "ib le", "orm al", "è »", "Ġw ay", "ĠÕ ´", "Ķ ×",
+  "class List", "g er", "ä¾ Ĩ", "åĢ ĭ", "Ġcom p", "E x", "empt y", "qu ery", "r un", "à¹Ģà¸ Ĺ",
+  "ãĤ Ń", "Ġf r", "Ġm ain", "Ġs ystem", "am p", "en u", "m aq", "Õ¡Õ ¬", "Ġg o", "Ġpos ition",
+  "Ġse quence", "form at", "il ter", "Ġp rompt", "E R", "b ack", "åħ ¥", "é Ļ", "Ġb ridge", "Ġd ec",
+  "Ġsh ow", "ec ond", "ig h", "ãĥ¥ ãĥ¼", "ĠJ SON", "Ġal low", "Ġs end", "L M", "pl ic", "à¸²à¸ ¡",
+  "à¸²à¸ «", "ç ĭ", "Ġe ach", "__ \"", "con text", "à¸Ń à¸ģ", "ãĥ¼ãĥ «", "ç ®", "ĠA dd", "Ġf ill",
+  "d is", "ge m", "st Message", "Ä ±", "Ú ¯", "ãĥ ı", "Ċ ĉĉ", "ĠW hen", "Ġconst ruct", "Ġvi ew",
+  "ĠÕ ¸", "Ġà¦ ¸", "B uilder", "c ol", "ction ary", "ou p", "Å Ł", "Õ ½", "à¹Ģà¸ £", "ãĤ µ", "é ¢",
+  "ĠI ndexedDB", "Ġa ccess", "Ġp er", "i a", "sv g", "Ð¸ ÑĤÑĮ", "Ð½ ÑĭÐ¹", "Ġass ign", "ĠÎ ¼", "ĠØ ¯",
+  "W hen", "a u", "ri g", "ÉĻ r", "æ Ģ", "Ġc ol", "Ġc olor", "Ġex ist", "Ġt ime", "Ġ× ķ×", "gr ess",
+  "Ö ĥ", "à¹Ģà¸ ŀ", "è³ ª", "Ġcom m", "Ġid ent", "Ġv er", "in ter", "l ocal", "s k", "à¹Ģà¸ Ħ",
+  "ä¸ ļ", "ä½ į", "çĽ ´", "Ġg lobal", "Ġthe y", "w rite", "ÑĢ Ð°Ð", "ãĥ ĳ", "å İ", "å» º", "ç ·",
+  "Ġ[ ]", "Ġc alled", "Ġf old", "ĠĠĠĠĠĠĠĠ ĠĠĠ", "Event List", "arg s", "b y", "em o", "r l", "´ »",
+  "Ã ³", "à¸« à¸§", "æ¬ ¡", "Ġ ÙĦ", "Ġfunction s", "Ġpro pert", "Ġre gistry", "Ġs im", "Ġà¦ ļ",
+  "t en", "umm ary", "ust om", "Ä į", "à¸ ł", "à¸µ à¹ī", "ä» Ģ", "åĳ Ĭ", "ç¤ º", "è ²",
+  "ĠInt egration", "W indow", "a f", "i ce", "row ser", "å ¢", "è¡ ¨", "ĠC reate", "Ġex pected",
+  "R ec", "T imeout", "ch o", "k s", "ole an", "y z", "×ķ× Ŀ", "à¦ ģ", "æ ´»", "è© ±", "ĠI D",
+  "Ġap pro", "IN G", "R E", "etw ork", "p attern", "pro vider", "s ing", "å® Į", "åħ ³", "çľ ĭ",
+  "Ġ Ïĥ", "Ġbu ffer", "Ġmatch es", "Ġre po", "R esult", "andl er", "f ace", "Ïģ Î¿", "Ð ¿", "à¸± à¹Ī",
+  "à¹Ģà¸ ¢", "æĬ Ģ", "ç» ı", "Ġse lect", "cl ick", "gem ini", "tool s", "Î¹ Îº", "Ø ®", "Ø§Ø ³",
+  "à¸ķ à¸£", "à¹ģà¸ ģà¸", "èµ ·", "Ġcon versation", "Ġevent Bus", "Ġth ese", "t es", "º ¼", "Õ¸ Õ",
+  "ÙĬ Ø©", "à¹Ģà¸ ¡", "ç¤ ¾", "é º¼", "Ġ` ;", "Ġan other", "Ġb adge", "Ġpro vid", "Ġs ubscri",
+  "EventList ener", "bl ock", "rem ove", "¬ Ŀ", "Õ¡Õ ¶", "à¹ģà¸ ¡", "ãĥ ĸ", "å½ ±", "å¾ Ĺ", "ç´ ¢",
+  "è ¬Ŀ", "é ł", "ĠW eb", "Ġw e", "j o", "n ÃŃ", "Ð ¼", "ä¸ ĸ", "åħ ·", "æŀ ľ", "Ġm ove", "ĵ ×",
+  "apt er", "s ystem", "à¦ ľ", "à¸ ¶", "å ¹", "éĹ ľ", ") `", "aut o", "c ont", "ef ined",
+  "ermiss ion", "f low", "it ies", "le v", "ÎµÎ¹ ÏĤ", "à¸¢ à¸ĩ", "à¸« à¸¥", "äº Ĩ", "åĬ Ł", "Ġa g",
+  "Ġg ener", "Ġl ocal", "M ain", "itial ize", "Ð½Ð¸ Ðµ", "Ð¾Ð ²", "æ³ ¨", "æº Ĳ", "Ġbu ilt", "ĠÕ ¬",
+  "Ġà¦ ĸ", "add EventListener", "f ul", "in put", "p ace", "Î¹ Î±", "à¸²à¸ ģ", "ä½ ķ", "æŃ ¤",
+  "Ġh elp", "est amp", "ª ×", "ä» »", "æĪ ĳ", "ç¶ ĵ", "Ġe valu", "Ġwith out", "ĠÐ º", "ĠÕ °",
+  "ĠâĶ ĶâĶĢâĶĢ", "A t", "com mand", "el y", "å® ¶", "åŃ ¸", "è ģ", "Ġ' ./", "Ġchang es",
+  "Ġdiffer ent", "ĠÎ º", ": //", "> }", "? :", "Call s", "and sh", "ev en", "¬ åı", "Õ ¯", "ä¹ Ī",
+  "åĪ ¶", "æī Ģ", "æķ °", "æĽ ´", "ç« Ļ", "é« ĺ", "Ġexecut e", "Ġre ject", "ĠØ ³", "U rl", "act ual",
+  "at al", "at ing", "fail Count", "p ending", "s ed", "¬åı ¸", "à¦ Ł", "à¸ į", "à¸Ń à¸Ķ", "åħ ¬åı¸",
+  "ĠS et", "Ġd el", "ı Ĳ", "] .", "a h", "i er", "m essages", "result s", "ult i", "åĭ ķ", "æ¥ Ń",
+  "Ġch at", "\" )", "H ub", "V im", "an c", "d elete", "m ain", "t ab", "à¹Ģà¸ Ĭ", "ãĥ Ń", "Ġp x",
+  "ĥ ħ", "as on", "revi ew", "t yp", "z y", "ãĥĥ ãĤ¯", "Ġch eck", "Ġexecut ed", "T ype", "as ync",
+  "b us", "event Bus", "m t", "æ µ", "çİ °", "Ġ' ../../", "Ġch apter", "Ġoper ations", "Ġth an",
+  "++ ;", "andsh ake", "ist ant", "revi ous", "Å ¾", "Îµ Î¯", "ä¹ ĭ", "å¼ ı", "æĦ Ł", "Ġap i",
+  "Ġconstruct or", "Ġinclud e", "Ġn ow", "Ġre fer", "Ġwh at", "A gent", "enc es", "po se", "Ø§ ÛĮ",
+  "åĮ ĸ", "æ ıĲ", "æĿ ¥", "çĶ µ", "Ġ+ =", "Ġfor ward", "Ġs w", "Ġthe m", "ĠÐ ¼", "ĠØ £", "d el",
+  "f ont", "| .", "¤ ×", "ä½ ł", "æĦ ı", "æĸ Ļ", "Ġent ry", "In put", "ak es", "h idden", "mod ule",
+  "ptimiz er", "éĿ ¢", "Ġ empty", "Ġ et", "Ġinte gration", "Ġkey word", "## ##", "( --", "e ad",
+  "em ory", "h elp", "he ader", "p art", "ru le", "Ä Ļ", "Ð¾ ÑĢ", "à¸²à¸ ķ", "ãĥĭ ãĤ¢", "ç Ĭ",
+  "Ġf unc", "Ġup date", "Ľ ×", "create Element", "lement s", "t ion", "ãģ ¿", "åĩ Ĩ", "æķ µ", "Ġf n",
+  "I nt", "com ple", "à¹Ģà¸ ¥", "ãĤ °", "ä» ĭ", "åĲ į", "æł ¹", "è¨ Ń", "Ġin sert", "Ġm ark",
+  "Ġvari able", "Execut or", "St ring", "` ,", "is ual", "m atch", "y le", "b u", "ht t", "l ash",
+  "n o", "~~ ~~", "¡ çĲĨ", "Õ¸ ÖĢ", "æĺ İ", "ç® ¡çĲĨ", "è Ļ", "Ġ Ú©", "Ġrece ived", "k a", "ÉĻ n",
+  "Î¿ Î½", "Ø§ Ùħ", "Ù ¾", "à¹Ģà¸ Ĥ", "ç ¹", "è¨ Ī", "ĠB ridge", "ĠP ython", "Ġab out", "Ġmethod s",
+  "() .", "H istory", "iv ate", "Ðµ ÑĢ", "ãĥ ł", "åĪ ¥", "Ġd elete", "ĠØ ´", "even od", "evenod d",
+  "×ķ×¨ ×", "ãĤ Į", "ãĤ± ãĥĥãĥĪ", "ãĥ ¯", "å¤ ļ", "ç½ ®", "ĠÐ ½", "ĠÐ¿ ÑĢ", "ĠĠĠĠĠĠĠĠ ĠĠ", "P romise",
+  "ab il", "d u", "}` );", "çļĦ ãģª", "ĠA n", "ĠL LM", "Ġb etween", "Ġof f", "Ġs ome", "Ġt em",
+  "it ing", "¢ ×", "Ã ¥", "à¸£ à¸ĸ", "à¸ģ à¸²à¸£", "å¥ ³", "è³ ĩ", "Ġa ct", "Ġpropert ies", "Ġra is",
+  "Ġspec ific", "() \",", "+------------------------------------------------ ----", "D is", "M odel",
+  "al id", "h ase", "r ough", "Ä ħ", "å ķ", "åĢ ĳ", "åĲ Ī", "æľ Ľ", "è¨ ¼", "ĊĠĠ ĊĠ", "ĠR un",
+  "Ġapi Key", "Ġn ext", "Ġus age", "execut e", "in fo", "m in", "per at", "w ith", "ÐµÐ »", "ãģ£ ãģ¦",
+  "ãĤ¸ ãĥ£", "ãĥĥ ãĤ·ãĥ¥", "å¸ Ĥ", "æĮģ ãģ£ãģ¦", "éĢ ²", "Ġ _", "Ġkey s", "Ġt imeout", "Ġw rite",
+  "Con fig", "ang ed", "sp ace", "Õ« Õ", "à¹Ģ à¸Ń", "ãĥ Ķ", "ãĥ¥ ãĥĭ", "ãĥŁ ãĥ¥ãĥĭ", "äº İ", "æľ ĥ",
+  "è Ī", "Ġ ext", "Ġh t", "Ġn ode", "Ġ× §×ķ×", ") \"", "jo in", "res olve", "v ed", "z e", "Ðµ ÑĤ",
+  "ãĤ «", "ãĥ³ãĥ ģ", "é¡ Į", "Ġg iv", "Ġpro tocol", ": ',", "> <", "C T", "ar get", "ch unk",
+  "con nect", "m ethod", "ow n", "re gister", "res h", "ãĥ¼ãĥ ł", "ĠS ee", "Ġexecut or", "Ġh over",
+  "Ġspec ial", "Ġ× ŀ", "Ġ× ł", "A rray", "ar i", "av a", "c olor", "l it", "ro p", "Å ¼", "Ð¾Ð »",
+  "ãĥĲ ãĤ¹", "ä» ¬", "Ġb ranch", "Ġit er", "Ġl imit", "Ġs ing", "( (", "R un", "age ment", "b le",
+  "c ase", "er o", "in s", "se lect", "yz er", "à¸ ĺ", "å £", "åĬ Ľ", "Ġav ailable", "Ġin to",
+  "Ġn on", "Ġw ould", "Ch ild", "F S", "a red", "an y", "f ilter", "f ix", "ifi er", "w ise", "· äºº",
+  "è® ¾", "ĠCon text", "ĠL ist", "ĠM ain", "Ġb el", "Ġex pect", "Ġà¦ ĵ", "ĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠ ĠĠĠ",
+  "F ailed", "o b", "od ing", "po stMessage", "Ñ Ĩ", "à¹Ĥ à¸Ķ", "ãģ Ĥ", "ãĥ §", "å Ŀ", "å¿ ħ",
+  "Ġo cc", "Ġpl ace", "Ġpr ess", "Ĳ ×Ļ×", "an n", "em ini", "m ock", "po int", "Î® ÏĤ", "Ðµ Ð½Ð¸Ðµ",
+  "à¸²à¸ Ķ", "à¹Ģà¸ ª", "ãĤ ª", "ãĤ ī", "ãĥ Ĩ", "ãĥ£ ãĥĵ", "ãĥ³ ãĥĪ", "ç¶ ²", "ĠG et", "Ġs ch",
+  "Ġ× ĳ×", "ad e", "st ream", "tool Name", "Ð¾ Ñģ", "Õ« Õ¶", "à¸ª à¸¡", "ãĤ³ ãĥŁãĥ¥ãĥĭ", "ãĤŃ ãĥ£ãĥĵ",
+  "ãĥ ĩ", "ä¿ Ŀ", "è ´", "è¿ ĩ", "éĹ ´", "Ġ ÏĦ", "Ġd b", "Ġdi ctionary", "Ġm et", "Ġm ost",
+  "Ġre gister", "Ġst and", "Ġth rough", "ĠÕ ½", "Ł ¥", "' .", "> ;", "end er", "ers ist", "f ind",
+  "t ry", "ual ly", "v en", "ÙĪ Ø±", "à¦ ª", "à¹Ħ à¸¡", "å· ®", "å½ ¼", "æĸ ¼", "ç º", "Ġag ain",
+  "Ġh ere", "Ġr ight", "Ġs k", "Ġwork s", "P FS", "et urn", "etail s", "s yntax", "à¦¼ à¦¾",
+  "à¸ľ à¸¥", "ãĤ Ģ", "è¦ ĭ", "éļ »", "éĽ» è©±", "Ġ Öĥ", "Ġh ow", "Ġin t", "Ġl ong", "Ġp age", "Ġp ut",
+  "Ġà¦ ª", "T E", "ch ar", "o x", "Å ¡", "Ø µ", "è ª", "è¦ ļ", "éģ İ", "éĩ ĳ", "éĸ ĵ", "Ġd ele",
+  "Ġdoes n", "Ġout put", "Ġow ner", "Ġs rc", "H e", "ag s", "d es", "es ent", "à¹ģà¸ Ĥ", "é Ł",
+  "Ġg ap", "Ġrec ord", "Ġv im", "H ello", "ac es", "ap pro", "el ine", "ep end", "in k", "perat ure",
+  "×ķ× ľ", "ä» ¶", "ä¾ Ľ", "ç ł", "ĊĠĠĠĠĠĠĠĠĠĠĠĠ ĠĠĠĠĠĠĠ", "Ġdefin ition", "Ġoper ator", "Ġsu ite",
+  "Ġund er", "Ĺ ×", "Select or", "atal og", "gr ound", "ment s", "pr ivate", "query Selector", "t a",
+  "Ã §", "à¸Ľ à¸£à¸°", "à¹ģà¸ ķ", "âĶ ľâĶĢâĶĢ", "ãĤ ĵ", "ç Ł¥", "çī ¹", "è ½", "Ġd on", "Ġind ic",
+  "b adge", "c lear", "iz ation", "n Ã½", "o pe", "om atic", "t ok", "à¸£ à¸¡", "à¹Ģà¸ ¨", "ãģ ¶",
+  "ãĥ« ãĥ", "ãĥĪ ãĥ¼", "ç½ ĳ", "Ġedit ing", "Ġh igh", "Ġhandl ing", "Ġsing le", "eb ug", "form ation",
+  "l ight", "roll er", "t em", "t im", "u ple", "Ð¾ ÑĤ", "Õ¡Õ ¼", "à¦° à¦ķ", "ãĥ¬ ãĥ¼ãĤ", "ãĥĸ ãĥ©",
+  "Ġ\" '", "ĠU p", "Ġcom ponents", "Ġt erm", "ĠØ ¬", "ex pression", "Ø§ Øª", "å Ļ", "åĻ ¨", "è¡ ĵ",
+  "Ġ u", "Ġexecut ions", "Ġparamet ers", "Ġqu ery", "Ġs ign", "( ()", "ap abil", "ic i", "u age",
+  "ÏĢ Î¿", "à¸Ń à¸¡", "à¸Ń à¸ģà¸", "ãģ£ ãģŁ", "Ġap p", "Ġdef ine", "Ġ× ŀ×", "append Child", "Ð°Ð »",
+  "ãģ ¯", "ãĥĭ ãĥ¥ãĥ¼", "æĹ ¶", "çķ ¥", "Ġ ÙĨ", "ĠRe gistry", "Ġr ange", "Ġwh ile", "ĠØ ®", "` ;",
+  "able d", "ch eck", "in ally", "it s", "m plement", "p c", "re ce", "um p", "umb ers", "à¸§ à¸Ļ",
+  "ãĥ Ĵ", "ãĥª ãĥ³", "åı ª", "ç§ į", "Ġ ge", "ĠMessage Bridge", "Ġcontain s", "Ġf l", "Ġf lex",
+  "Ġse ction", "( [", "* .", "Dis patcher", "St atus", "i j", "li ce", "o se", "à¹Ģà¸ Ķ", "à¹Ģà¸ ķ",
+  "à¹Ģà¸ ļ", "è£ ħ", "Ġ order", "Ġr est", "Ġto ken", "() `", "O ptimizer", "execut ion", "iss ing",
+  "o ad", "rig ht", "st yle", "t s", "w ays", "Ð° Ð½", "Õ¥Õ ²", "à¸¢ à¸§", "âĢ Ŀ", "åĬ ©", "ç¨ ®",
+  "èµ Ħ", "ĠÕ ¥", "Ġ× ©×", "I S", "y s", "Ð¾Ð ´", "à¸²à¸ ª", "à¸²à¸ Ħ", "ç´ °", "è ¾", "Ġab ove",
+  "Ġcl ause", "Ġcor re", "Ġle ft", "Ġm t", "Ġpr int", "A D", "def ault", "lo se", "on ly", "pl ace",
+  "}` ,", "Õ¡ ÖĢÕ", "éģ ĭ", "Ġc re", "Ġp ermission", "Ġwith in", "O R", "Re po", "St ats", "ad ata",
+  "c ode", "is ion", "m b", "or es", "un ic", "y Ã¼", "Î± Î½", "Ñģ Ñı", "à¸²à¸ ŀ", "Ġf ield",
+  "Ġind ent", "Ġp res", "-------- ----", "Y PE", "f ailed", "m ark", "n etwork", "Ð ·", "à¹Ģà¸ Ľ",
+  "ç¹ Ķ", "Ġ ÖĦ", "ĠC ore", "Ġcall s", "Ġcontent s", "Ġman y", "ĠÐ ·", "ĠØ ¹", "A dd", "D O", "en a",
+  "ex cept", "li p", "s ize", "Î¹ Î¿", "à¹Ħ à¸ķ", "ãĥ¯ ãĥ¼", "çµ Ħ", "Ġ enc", "Ġ( {", "Ġo b",
+  "Ġus es", "'] ,", "--- +", "Ent ry", "i y", "pass Count", "pr esent", "v ert", "Îµ ÏĤ", "Õ ¾",
+  "ãĥ§ ãĥ³", "å ĵ", "Ġ Ïĩ", "Ġb ase", "Ġb ec", "Ġgiv en", "Ġ} )", "ĠÕ ®", "ĩ ī", "į ä½ľ", "it Hub",
+  "à¸Ħ à¸§", "æ ĵģ", "æĵ įä½ľ", "æĻ Ĥ", "è Ħ", "Ġ Ùģ", "Ġarg s", "Ġb ody", "Ġback ground",
+  "Ġund efined", "ĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠ ĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠ", ".... ....", "I M", "R es",
+  "a ction", "as ed", "em b", "f rom", "now n", "ow er", "p en", "ut able", "à¹Ħ à¸Ĥ", "æ ĩī", "é Į",
+  "Ġd one", "Ġe ver", "Ġpos s", "Ġs andbox", "ĠØ ±", "... </", "H andler", "I L", "N one", "in st",
+  "ÉĻ y", "Õ ¹", "Õ¸ÖĤ Õ", "à¸· à¹ī", "à¸¹ à¹ī", "Ċĉ Ġ", "Ġ\" \\", "Ġent ries", "Ġin formation",
+  "Ġs econd", "Ġsu ch", "Ġtyp ing", "N ot", "P ermissions", "S cript", "apabil ities", "at ive",
+  "c ed", "i que", "iter al", "n g", "sc roll", "ulti ple", "un t", "Ïģ Î¹", "à¸¢ à¸Ļ", "Ġ Ù¾",
+  "Ġ' ';", "Ġc lip", "Ġin put", "Ġparamet er", "Ġvari ables", "A L", "E ach", "N T", "U T", "c d",
+  "ent ry", "irect ory", "n one", "or ed", "string ify", "à¸²à¸ ¥", "åı Ĥ", "åıĤ åĬł", "è¿ İ", "é¢ ĺ",
+  "ĠExecut ion", "ĠR eturn", "Ġb rowser", "Ġimplement ation", "Ġjust ify", "Ġpro cess", "ĠÐ ´",
+  "******** ********", "C olor", "d ition", "h istory", "in ue", "n ÄĽ", "pl ugin", "ut e", "yn am",
+  "± »", "¹ çļĦ", "Î ¶", "Ñ ħ", "à¸Ń à¸£", "ç ±»", "ĠEx ample", "ĠP hase", "Ġcom ponent", "Ġre g",
+  "Ġreturn s", "Ġs om", "ĠÎ Ń", "E S", "h as", "ic al", "r pc", "yÃ¼ k", "} );", "Ã¶ yÃ¼k", "Ð¾Ð º",
+  "à¸ł à¸²à¸ŀ", "â ľ", "ä¸» è¦ģ", "ĉĉ ĉ", "Ġ Ùĩ", "ĠTh us", "ĠUp date", "Ġc ustom", "Ġclass es",
+  "Ġn umbers", "Ġp ending", "Ġs ent", "D ef", "act ive", "e ver", "our ce", "s w", "us age", "ÙĨ Ø¯",
+  "à¸ Ł", "à¹Ģ à¸Ļ", "à¹ģà¸ģà¸ £", "ãĥ¼ãĥĬ ãĥ¼", "ä¸ĸ çķ", "ä¸ĸçķ Į", "å¥ ¹çļĦ", "åĪ Ĺ", "åŃ¦ çĶŁ",
+  "ç³» åĪĹ", "çµ ±", "Ġht ml", "Ġkey Path", "Ġn um", "Ġnames pace", "Ġst op", "ĠâĢ ľ", "Ĳ ľ",
+  "Ĳľ ç´¢", ": </", "A PI", "Execut ion", "O M", "ef ul", "form ance", "st op", "Ð¾Ð ¼", "Ø³ Øª",
+  "à¸¸ à¹Ī", "ãģ ķ", "å §", "æ Ĳľç´¢", "Ġal ways", "Ġre pository", "Ġs l", "ķ è", "' \"", "B tn",
+  "N ote", "a e", "it ch", "it ions", "k t", "m an", "p rompt", "t om", "valid ate", "¢ æĪ", "Ø§Ø ¡",
+  "à¸¥ à¸ĩ", "à¸«à¸§ à¸²à¸Ļ", "ä¸Ģ èµ·", "å® ¢æĪ", "å¸ ĥ", "è ħ", "è© ķè", "ĊĠĠĠĠĠĠĠĠ ĠĠ",
+  "Ġcontain er", "Ġm enu", "Ġpar ent", "( \"", "B adge", "b ar", "htt ps", "nal yzer", "ov at",
+  "unic ation", "v ark", "° ¢", "Ø§Ø ¨", "à¹Ĥ à¸ķ", "ä½ľ åĵģ", "æŃ ¡", "çļĦ äºº", "Ġhigh light",
+  "Ġin s", "Ġse par", "Ġst reaming", "Ġà¦ ı", "N ode", "] ,", "ann el", "ard vark", "in ce", "sp ort",
+  "} :", "Ïĥ ÎµÎ¹ÏĤ", "à¹ģà¸ Ķ", "à¹ģà¸Ķ à¸ĩ", "å¢ ĥ", "å¾Ĺ åĪ°", "æ³ķ å¾", "è °¢", "éĥ¨ åĪĨ",
+  "ĠM ap", "ĠUn it", "Ġav oid", "Ġident ifier", "Ġs er", "Ġthe ir", "ĠØ Ń",
+  "ĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠ ĠĠĠĠĠĠĠĠ", "A N", "T ime", "U n", "ass istant", "m ÉĻk", "old er", "sp lit",
+  "ut put", "§ ×", "¯ æĮģ", "Ïģ Î³", "å§ ĭ", "å¸ ¸", "åĨ ³", "æĬ ķ", "æĶ ¯æĮģ", "éĿ ŀ", "éĿŀ å¸¸",
+  "Ġbo th", "Ġcon s", "Ġd et", "Ġd ig", "Ġdis patcher", "Ġover flow", "Ġth ree", "ĠÏĢ ÏģÎ¿", "Ļ ×",
+  "C ont", "F unction", "T ab", "e g", "in te", "ro le", "ul ate", "Ðº Ð°", "Ø§ Ùĩ", "ä¸Ń æĸĩ", "å Ķ",
+  "åĶ ®", "æĺ¯ ä¸Ģ", "è Ĳ", "éĸ ĭ", "Ġ ist", "Ġb Ã¶yÃ¼k", "Ġc lear", "Ġex pl", "Ġexce pt", "Ġpo int",
+  "B ox", "P assed", "h r", "¾ İ", "Ðº Ð¸", "æ ²", "æ¬ ¢", "ç ¾İ", "çķ ¶", "Ġ ÙĤ", "Ġg ot", "Ġm ight",
+  "Ġn ormal", "Ġst orage", "Ġt arget", "A T", "m e", "ov es", "um n", "v oid", "w w", "¸ æĪ", "Î½ Î±",
+  "ÙĪ ÙĨ", "à¦ ĵ", "à¸ª à¸¥", "à¸²à¸ ĺ", "à¸ģà¸ ķ", "à¹Ģà¸¨ à¸©", "å ŀ", "åĭ Ļ", "æľĢ æĸ°", "ç© º",
+  "çĶ¨ æĪ", "Ġ[ {", "Ġal ready", "Ġc ould", "Ġf eatures", "Ġman agement", "Ġs elf", "Ġset Timeout",
+  "Ġth read", "Ġtim estamp", "Ġv ol", "ĠÎ ³", "ĠØ¨ Ø§ÙĦ", "A nalyzer", "D E", "Q u", "b order",
+  "idd le", "is on", "l en", "pe ar", "s age", "ur l", "y ou", "} /", "¡ æ", "© å£", "©å£ ²", "± åľ",
+  "¸ ¸æĪ", "Ð ³", "à¹Ĥà¸Ķ à¸¢", "ä¹ Ł", "æľī äºĽ", "çĬ ¶", "è² ©å£²", "éĩ ı", "Ġ ÑĤ", "Ġ' <",
+  "ĠG itHub", "ĠV alid", "Ġan not", "Ġb ound", "Ġop fs", "Ġs ize", "Ġstatus Badge", "Ġus eful",
+  "Į ä¸", "> </", "A R", "I ON", "N o", "N ow", "b etween", "con sole", "di ct", "f r", "in ish",
+  "in itialize", "v ir", "±åľ ³", "· ±åľ³", "à¸Ļ à¸¡", "à¸Ń à¹Ĥ", "ãĤ¯ ãĥŃ", "å¤§ å°", "å®Į åħ¨",
+  "æ³ķå¾ ĭ", "æĽ´ æĸ°", "çĶ ¢", "èĢ Įä¸", "èĢĮä¸ Ķ", "ĠO PFS", "Ġal i", "Ġsc ope", "Ġtrans ition",
+  "ĠÐ ¸", "Ġ×¡ ×", "P C", "at tr", "d er", "er ed", "ersist ence", "ig inal", "ot tom", "w ind",
+  "² ¾", "Î ¾", "ÏĦ Îµ", "Ø «", "Ø§Ø³ Øª", "ä¹Ł æĺ¯", "ä½ľ èĢħ", "åħ· æľī", "åľ° åĿ", "åľ°åĿ Ģ",
+  "æ³ ģ", "æĺ¯ åĲ", "æł ¼", "ç ²¾", "è¿ Ľ", "éĩ į", "éĩį è¦ģ", "ĠU se", "Ġin it", "Ġin v",
+  "Ġspec ified", "Ġtrans fer", "Ġv ery", "ĠØ§ÙĦØ £", "al c", "an el", "ap h", "at er", "n ode",
+  "re c", "º æľ¬", "Õ¸ÖĤ Õ¶", "à¦ ¶", "à¸ ĵ", "à¸Ń à¸ļ", "ä¸Ģ çĽ´", "ä¸į æĸ", "ä¼ ģ", "åį Ģ",
+  "æ ¸¸æĪ", "æ į", "æ± ½", "æį ®", "æĵ ļ", "æĺ¯åĲ ¦", "æľĢ åĲİ", "æŁ ¥", "éĤ Ħ", "ĠC lient",
+  "Ġinst ead", "Ġp ublish", "Ġp ÅĻ", "Ġs ide", "Ġstart s", "ĠÐ ±", "ĠÕ ¶", "Ġ× Ķ×", "ĳ ×¨×", "S ize",
+  "ail wind", "cont ain", "current Color", "gr aph", "if t", "le t", "p ayload", "rop ic", "t il",
+  "th ropic", "tr ans", "ul es", "¡æ ģ", "¡æģ ¯", "¦ ĸ", "Ø§ ÙĤ", "Ùĩ Ø§", "à¸³ à¸ª", "à¸Ĺ à¸§",
+  "ä½ Ĩ", "ä¿ ¡æģ¯", "å¤§å° ı", "åº Ķ", "åķ Ĩ", "åķĨ åĵģ", "åĸ ľ", "åŁ ºæľ¬", "æİ ¥", "çĽ´ æİ¥",
+  "è® º", "é ¦ĸ", "Ġp ort", "Ġpattern s", "Ġre present", "Ġview Box", "Ġ× Ĳ×Ļ×", "Ķ ç©", "( !",
+  "+ ----------------", "A n", "AD ME", "F alse", "G E", "Test s", "a ir", "il y", "m atter", "» ŀ",
+  "Ð½ Ð¾", "Ð¾Ð ¹", "Ö ĩ", "à¸ĩ à¸ª", "à¹Ģà¸ ģ", "ä¸Ģ æ¬¡", "ä¸į åĲĮ", "å¦Ĥ æŃ¤", "å® ŀ", "åĤ Ļ",
+  "åĪ «", "æ± º", "æ³¨ æĦı", "æıĲ é«ĺ", "æĸ¹ å¼ı", "æĸĩ åĮĸ", "çĦ¶ åĲİ", "çł Ķç©", "çłĶç© ¶", "é »ŀ",
+  "ĠD ay", "Ġar ound", "Ġb r", "Ġfile type", "Ġh andle", "Ġload ed", "Ġm a", "Ġsh ort", "ī åħ¨",
+  "ĵ ×Ļ×", "* ,", ". ,", "W h", "ic ally", "mod al", "par ison", "« ĸ", "Ð¾Ð ¶", "à¸« à¸²à¸£",
+  "ä½į ç½®", "å¦Ĥ æŀľ", "å¼ Ģ", "åħ¶ ä¸Ń", "åı ²", "åĽ ŀ", "æĢ İ", "æĸĩ ä»¶", "è¡¨ ç¤º", "Ġ\" -",
+  "Ġa d", "Ġaut omatic", "Ġp revious", "Ġp ri", "(' .", "C TRL", "C ore", "M essages", "S chema",
+  "d ated", "el se", "ic s", "im al", "k o", "o o", "pl it", "s chema", "} \"", "} ,", "© åŃĲ",
+  "Õ¶ Õ¥Õ¬", "à¸¡ à¸Ļ", "ãĤ¹ãĥ ģ", "ãĥ« ãĥĪ", "ãĥ¼ ãĥĪ", "ä»Ĭ å¤", "ä»Ĭ å¹", "ä»Ĭå¤ ©", "ä»Ĭå¹ ´",
+  "å® ¹", "å® īåħ¨", "å· ²", "åħ į", "åĬł åħ¥", "åŀ ĭ", "åŃ ©åŃĲ", "æ ļ", "æļ ĸ", "æļĸ ãģĭãģĦ", "ç Ń",
+  "ç« ł", "çĤ ¹", "çī ĩ", "çŃ ī", "è§ £", "Ċ ĊĠĠĠĠ", "ĠB us", "Ġd ebug", "Ġme ans", "Ġw ere", "ĸ èĢħ",
+  "() );", "* \"", "Ent er", "ach e", "ee k", "est ed", "s g", "t ree", "tribut e", "u pt",
+  "v ersion", "® ĭ", "®ĭ ãĤĭ", "ÅĽ Äĩ", "Î ²", "Ïī Î½", "Ð¸ Ñı", "Õ ¬", "×¨ ×Ļ×", "Ø ¶", "Ù ī",
+  "à¸²à¸« à¸²à¸£", "à¸ģà¸£ à¸°", "à¸Ħ à¸²à¸§", "à¸Ķ à¸Ļ", "ä¸Ń å¿", "ä¸Ńå¿ ĥ", "ä»¥ åı", "å¥³ äºº",
+  "å¦Ĥ ä½ķ", "åĪ¶ ä½ľ", "åĮ Ĺ", "æ ®ĭãĤĭ", "æĪ ĸèĢħ", "æĸĩ ç«ł", "æĹ¥ æľ¬", "æľ¬ ç«Ļ", "æľī éĻ",
+  "æľīéĻ Ĳ", "æŁ¥ çľĭ", "çĶŁ æ´»", "è ¼", "éļ ł", "éļł ãģĻ", "Ċ ĊĠĠĠĠĠĠĠĠĠĠĠ", "Ġ ke", "Ġ Ã©",
+  "ĠCh eck", "Ġa c", "Ġrais ed", "Ġto p", "Ġwh ole", "Tok en", "a z", "cript or", "inter face",
+  "p or", "th at", "v ar", "Î¿Ïħ Î½", "à¹ Ĭ", "ä¸į èĥ½", "äº §", "ä½Ĩ æĺ¯", "å¯ Ĩ", "åĬŁ èĥ½", "åı °",
+  "åĲĪ ä½ľ", "æ¨ £", "æĪĲ åĬŁ", "æĪĳ çļĦ", "æķĻ è", "æķĻè Ĥ", "æķĻèĤ ²", "æĹ¥ æľ", "æĹ¥æľ Ł", "æł ·",
+  "çĽ ¸", "çľĭ åĪ°", "ĊĠĠĠĠĠĠĠĠĠĠĠĠ ĠĠĠĠĠĠĠĠĠĠĠ", "ĠS end", "ĠS h", "ĠV isual", "Ġbe en", "Ġbel ow",
+  "Ġbu ild", "Ġd olor", "Ġresults Div", "Ġvalid ate", "Ġvi a", "Ġword s", "ĠĠĠĠĠĠĠĠ Ġ", "ľ ×ķ×",
+  "V alue", "ad a", "c z", "e cho", "ick y", "it es", "opy right", "± æĺ¯", "» éĿ¢", "¿ åº", "¿åº ľ",
+  "Î¼ Î¿", "Ñ Ī", "à¦ ļ", "à¹ĥ à¸ļ", "ãĤ¹ãĥģ ãĥĥãĤ¯", "ãĥ© ãĤ¹ãĥģãĥĥãĤ¯", "ä»¥åı Ĭ", "å®Į æĪĲ",
+  "åħ §", "åħ¨ éĥ¨", "åı¯ èĥ½", "åĳ ĺ", "åĵģ çī", "åĵģçī Į", "æ ·±åľ³", "æ ĥħ", "æīĢ æľī", "æĶ ¿åºľ",
+  "æĸ¹ æ³ķ", "æł ¡", "ç§ ĳ", "ç§ĳ æĬĢ", "çĶ ±", "çĶ »éĿ¢", "è¦ º", "éŁ ³", "Ġ Ø§Ø", "ĠR E",
+  "ĠRe pository", "Ġassign ment", "Ġbe h", "Ġcorre ct", "Ġd uration", "Ġf ull", "Ġmatch ing", "Ġow n",
+  "Ġread y", "ĠÕ ·", "Ĺ ãĥ©ãĤ¹ãĥģãĥĥãĤ¯", "CT YPE", "W ith", "ce ption", "com p", "et ch", "get item",
+  "l ar", "n et", "ont matter", "ou se", "param et", "© ãĥ«ãĥĪ", "¯ Ķ", "Î¼ Î±", "Ïģ Î¬", "Ð° ÑĤ",
+  "Ð¾Ð ±", "×ķ× ł×", "ãĤ ©ãĥ«ãĥĪ", "ãĤ¯ãĥŃ ãĤ¹", "ãĥķ ãĤ©ãĥ«ãĥĪ", "ãĥķ ãĥĪ", "ä»¥ ä¸Ĭ", "ä½ ĵ",
+  "å° ±æĺ¯", "å± ķ", "å·¥ ä½ľ", "åº ı", "åĨ ħ", "æľĢ å¤§", "ç¨ĭ åºı", "èĩª ä½ĵ", "é ľ", "éľ Ģ",
+  "éľĢ è¦ģ", "Ġ K", "Ġattribut es", "Ġb ir", "Ġe qual", "Ġfr ame", "Ġlang uage", "Ġop en",
+  "Ġposs ible", "Ġs on", "ĠÕ Ń", "ĠÕ¡Õ µ", "İ ãĥ¼ãĥĪ", "- >>", "< !", "Message Bridge", "Re ad",
+  "arg ument", "as es", "ava Script", "c reated", "d ir", "en v", "g en", "i at", "load ed", "per m",
+  "t empt", "¼ Ķ", "¼Ķ èĢħ", "à¸į à¸į", "à¸ĸ à¸²à¸ĩ", "à¸Ń à¸²à¸«à¸²à¸£", "ãĤ§ ãĥŁ", "ãĤ§ãĥŁ ãĥĭ",
+  "ãĤ§ãĥŁãĥĭ ãĤ¹ãĥĪ", "ä»» ä½ķ", "å·¥ ç¨ĭ", "åĩº æ", "åĩºæ ¼ĶèĢħ", "åĮ ħ", "åĮħ æĭ", "åĮħæĭ ¬",
+  "æľ į", "é ĥ½", "Ġ old", "Ġ Ñĥ", "ĠCom ponent", "Ġchunk s", "Ġcomm unication", "Ġcomple ted",
+  "Ġl iteral", "Ġm l", "Ġmodel s", "Ġsupport s", "Ġtool Name", "/ .", "E sc", "PE P", "ath er",
+  "c ss", "eat ure", "ex pected", "f n", "oc ale", "¦ åı", "¨ æĻ", "¨æĻ ¯", "° ĳ", "Ðµ Ð½", "Ð½ Ñĥ",
+  "Ð½Ñĥ ÑĤÑĮ", "Ø £", "ÙĪ Ø¨", "ÛĮ ÙĨ", "äºº æ", "äººæ °ĳ", "åį Ī", "åįĪ åīį", "åı¯ ä»¥", "æ ¯Ķ",
+  "è® ¡", "è¯ Ŀ", "é¡ ŀ", "é¢ ¨æĻ¯", "Ġ\" /", "Ġ- >", "Ġ` ${", "Ġap pear", "Ġd etails", "Ġmapping s",
+  "Ġor iginal", "Ġr ender", "Ġrefer ence", "Ġro ot", "Ġst ill", "Ġst ream", "Ġst ro", "Ġsw itch",
+  "Ġt ell", "Ġun til", "D ata", "DO CTYPE", "F iles", "O L", "T im", "an k", "c i", "ific ation",
+  "ms g", "n en", "out put", "par ent", "re quired", "rece ived", "se arch", "to L", "u ch", "ul ar",
+  "¹ åĸ", "¹åĸ Ħ", "Å Ħ", "Ï Ī", "Õ £", "Õ¾ Õ¥Õ¬", "à¸ª à¸²à¸£", "à¸ģà¸ ³", "ãĥª ãĥķãĥĪ", "ãĥ¼ãĤ ·",
+  "ãĥķ ãĤ§ãĥŁãĥĭãĤ¹ãĥĪ", "ä¸Ģ èĪ", "ä¸Ĭ æµ", "å¢ ŀ", "å¢ŀ åĬł", "å¤ ĩ", "å·¥ åħ·", "åħ¶ ä»ĸ", "åİ Ł",
+  "åİŁ åĽł", "æ³¨ åĨ", "æīĢ ä»¥", "æĶ ¹åĸĦ", "æķ ¸", "çĭ Ĳ", "è¨¼ è¨Ģ", "è¨¼è¨Ģ ãģĻãĤĭ", "Ġ ÉĻ",
+  "Ġ\" <", "ĠG emini", "ĠSt art", "Ġcan not", "Ġconsole El", "Ġj ump", "Ġsession Manager", "Ĭ æ",
+  "\" ]", "S ee", "ain ed", "appro ve", "bo olean", "col s", "d o", "e lements", "n or", "or p",
+  "re q", "s es", "s on", "¦ ãģĹ", "¦ãģĹ ãģ¦", "¦ãģĹãģ¦ ãģ¿", "¦ãģĹãģ¦ãģ¿ ãĤĭ", "§ åĪ¶", "ÐµÐ ´",
+  "à¸Ļ à¸ķ", "ãĤ¯ ãĥ«", "ä¸ĢèĪ ¬", "ä¸Ĭæµ ·", "åĪ° äºĨ", "åĽł æŃ¤", "æİ §åĪ¶", "æĹ¥ æĽ", "æĹ¥æĽ ľ",
+  "æĹ¥æĽľ æĹ¥", "çĻ »", "çĽ® åīį", "è© ¦ãģĹãģ¦ãģ¿ãĤĭ", "Ġ ÑĢ", "ĠN ote", "ĠS ystem", "ĠTh at",
+  "Ġcomple tion", "Ġexist s", "Ġh idden", "Ġk now", "Ġm ultiple", "Ġoper ation", "Ġs ort",
+  "Ġset tings", "() ,", "Execut ions", "L og", "a us", "a wait", "b in", "c ent", "ent ries",
+  "event Name", "gr id", "i ÄĻ", "ind ing", "ith er", "on o", "sc reen", "u red", "vi ce", "w r",
+  "}` ;", "¤ İ", "´ ¾", "´¾ ãģª", "º «", "à¸£ à¸Ńà¸ĩ", "à¹ģà¸ £", "ãģª ãģŁ", "ãģªãģŁ èĩª",
+  "ãģªãģŁèĩª è", "ãģªãģŁèĩªè º«", "ãģĤ ãģªãģŁèĩªèº«", "ãĤ¤ ãĤª", "ãĤ¤ãĤª ãĥĭãĤ¢", "ãĤ§ ãĥ¼ãĥ",
+  "ãĤ§ãĥ¼ãĥ ĵ", "ãĤ§ãĥ¼ãĥĵ ãĥ³", "ãĤ§ãĥ¼ãĥĵãĥ³ ãĤ°", "ãĥĩ ãĥķãĤ©ãĥ«ãĥĪ", "ä¸Ģ ä¸ĭ", "ä»ĸ çļĦ", "å¸ ĸ",
+  "å¸ĸ åŃĲ", "åı¯ æĺ¯", "æł ĩ", "ç« ĭæ", "ç«ĭæ ´¾ãģª", "çļĦ æĺ¯", "è¿ ĺ", "èĦ Ĭæ", "èĦĬæ ¤İ",
+  "éĥ½ æĺ¯", "ĠF ailed", "ĠU RL", "Ġever y", "Ġexpression s", "Ġgr oup", "Ġre p", "Ġre qu",
+  "Ġstart ed", "Ġstro ke", "Ġtrans l", "Ġy ield", "ĠÕ ¿", "ŀ ×¨×", "Int er", "S et", "S ystem",
+  "ac y", "api Key", "c ard", "d it", "des cription", "im um", "le ction", "o y", "propert ies",
+  "ur pose", "w e", "¥ ¿", "¨ ģ", "¨ģ æľĽ", "¬ ¦åı", "¬ ãģĻãĤĭ", "¾ çļĦãģª", "ÏĦ Î¿", "Õ¡Õ µ",
+  "à¸£ à¸²à¸", "à¸ģà¸£ à¸£à¸¡", "à¹ ĭ", "ãĤ¹ãĥ ŀ", "ãĥ¬ ãĥ¼ãĥł", "ä¸Ģ å®ļ", "ä»¥ ä¸ĭ", "å ¨ģæľĽ",
+  "å ł", "å¯ ¾çļĦãģª", "å° Ĭ", "å°Ĭ æķ", "å°Ĭæķ ¬ãģĻãĤĭ", "åĢ Ļ", "æ¨ Ļ", "æ± Ĥ", "æĦŁ è¬Ŀ",
+  "æĦŁè¬Ŀ ãģĻãĤĭ", "æĵģ ãģĻãĤĭ", "æķµ å¯¾çļĦãģª", "ç ¬¦åı", "ç¹Ķ ãĤĭ", "çĶ ·äºº", "è ¥¿", "è¦ģ æ±Ĥ",
+  "Ċĉĉ ĉ", "Ġ' /", "ĠT ype", "Ġc r", "Ġchar set", "Ġevalu ated", "Ġinter pre", "Ġm issing", "Ġne g",
+  "Ġpar se", "Ġpart s", "Ġs m", "ĠÕ¥ ÖĢÕ", "ĭæ ĥħ", "A I", "Ex pected", "a it", "anc es", "cd n",
+  "eth ing", "for Each", "ib us", "l ess", "n a", "p review", "plic it", "v el", "w d", "¨ çµĦ",
+  "© æĸ°", "¬ çľ", "¬çľ ł", "¬çľł è¡ĵ", "Ð° Ñģ", "Õ¡ ÖĢ", "×ķ× ¡", "Ú Ĩ", "à¹Ĥ à¸ł", "à¹Ħ à¸Ħ",
+  "ãĤ· ãĤ§ãĥ¼ãĥĵãĥ³ãĤ°", "ãĥ Ĺãĥ©ãĤ¹ãĥģãĥĥãĤ¯", "ãĥ¬ ãĥĥ", "ãĥ¬ãĥĥ ãĤ¸", "ãĥı ãĥĵ", "ãĥıãĥĵ ãĥª",
+  "ä»¥ åĲİ", "å¾ Ī", "å¾Ī å¤ļ", "åĤ ¬çľłè¡ĵ", "åĬ ¡", "æľ ĭ", "æľĭ åı", "ç¬¦åı ·", "ç· ¨çµĦ",
+  "èĥ½ å¤", "Ġ( \"", "ĠJ avaScript", "ĠW h", "Ġcomple te", "Ġdefin es", "Ġdefin itions", "Ġhandl ers",
+  "Ġin valid", "Ġlist s", "Ġo ptimiz", "Ġpres ent", "Ġs ol", "Ġspec ify", "Ġ} ]", "ĠâĢ Ķ",
+  "+---------------------------------------------------- +", "He ader", "P ending", "h a", "h ash",
+  "le an", "ov ing", "pl es", "plic ation", "re f", "ud e", "un g", "¨ è", "¯ ī", "Ø§Ø ²",
+  "à¸Ńà¸¢ à¸Ķ", "ãģ¾ ãģ¿", "ãģ¾ãģ¿ ãĤĮ", "ãģ¾ãģ¿ãĤĮ ãģ®", "ä¸į è¦ģ", "å·® åĪ¥", "å·®åĪ¥ ãģĻãĤĭ",
+  "å»º ç", "å»ºç ¯ī", "åĨ į", "åĨį çı¾", "åĨįçı¾ ãģĻãĤĭ", "åĮ º", "æİ ¨è", "çķ Ļ", "çķĻ è¨Ģ", "è¡ Ģ",
+  "è¡Ģ ãģ¾ãģ¿ãĤĮãģ®", "éĿ ©æĸ°", "Ċĉ ĠĠ", "Ġ \\", "Ġ ol", "Ġ q", "ĠA rray", "ĠTh ere", "Ġd emo",
+  "Ġdirect ly", "Ġe ff", "Ġon ce", "Ġp ack", "Ġvol upt", "Ġy Ã¼", "ĠÕ ¢", "I D", "In fo", "ce ed",
+  "ex ample", "ex ist", "i ed", "ter m", "x x", "¨ çļĦ", "ª ×Ļ×", "± å±", "±å± ±", "Ä± n", "Îµ Î½",
+  "ÐµÐ» ÑĮ", "Õ¸ÖĤ ÖĢ", "ÙĪ Ø´", "à¸¹ à¹Ī", "à¸ģà¸¥ à¸²à¸ĩ", "ãĤ ¿", "ãĤ« ãĥ¬ãĥĥãĤ¸", "ãĤ± ãĥ¼ãĤ·",
+  "ãĤ¸ãĥ£ ãĥł", "ãĥª ãĥĭãĤ¢", "ãĥª ãĥıãĥĵãĥª", "ãĥ¼ãĤ ²", "ä¸» å", "ä¸»å ©", "äº ĭæĥħ", "åĪĨ æŀ",
+  "åĪĨæŀ Ĳ", "åľ° æĸ¹", "æľ Ī", "ç´° ãģĭãģĦ", "èĥ½ åĬĽ", "é ī", "éī ±å±±", "ĠIn sert", "ĠM ath",
+  "ĠTh en", "ĠU ser", "ĠUn ix", "Ġl ength", "Ġm ouse", "Ġnode Id", "Ġres olve", "Ġsim ple", "ĠÏĢ Î±",
+  "ĠÐ ³", "Ġà¦ ®", "Ġà¦ ľ", "Ġâ Ĩ", "Ĥ ¨çļĦ", "Rec ord", "S T", "U RL", "UT F", "e k", "en ch",
+  "ne ction", "or ies", "orp aq", "p ec", "r ink", "sh rink", "st it", "tr im", "¿ çĶ¨", "Ã¼ r",
+  "Î¬ Î½", "Ð¾ Ð½", "Õ ¼", "Ùģ Øª", "ÙĪ Ø¯", "à¸« à¸£", "à¹Ģà¸Ń à¸ª", "à¹Ĥà¸ł à¸Ħ", "ãģ Ŀ", "ãģĿ ãĤĮ",
+  "ãĤ¹ãĥŀ ãĥĥãĤ·ãĥ¥", "ãĥ İãĥ¼ãĥĪ", "ãĥ¼ãĥ ©", "ä¸»å© ¦", "ä¸Ģ äºĽ", "ä¹ĭ åĲİ", "ä»Ĭ æĹ¥", "ä½ ¿çĶ¨",
+  "å¤§ å®¶", "å° Ħ", "åĵ ¡", "åŁ İ", "åŁİ å¸Ĥ", "çĽ® çļĦ", "ĠA ll", "ĠF unction", "ĠPro vider",
+  "ĠTh ese", "Ġar ray", "Ġb it", "Ġb tn", "Ġbe ing", "Ġdes cri", "Ġe v", "Ġf ew", "Ġmax Tokens",
+  "Ġre f", "Ġre tri", "ĠÏĥ Ïħ", "į å°Ħ", "() \".", "con dition", "ex pr", "lev ant", "un it",
+  "w indow", "ª ģ", "ÏĦÎ± Î¹", "Õ º", "ÙĬ Ø§", "à¸§ à¸ĩ", "ãģª ãģĦ", "ãģ¾ ãģĹ", "ãģ¾ãģĹ ãģŁ",
+  "ãģĦ ãģ¾ãģĹãģŁ", "ãĤ³ ãĥ¼ãĥ©", "ãĤī ãģĭãģĦ", "ãĥ¼ãĥĬ ãĥ«", "ãĥĲãĤ¹ ãĤ±ãĥĥãĥĪ", "ãĥĳ ãĤ¤ãĤªãĥĭãĤ¢",
+  "ãĥķ ãĥ¬ãĥ¼ãĥł", "ä¸Ń å¤", "ä¸Ńå¤ ®", "åı įå°Ħ", "æĮģãģ£ãģ¦ ãģĦãģ¾ãģĹãģŁ", "æĮģãģ£ãģ¦ ãĤĭ",
+  "æĸ¹ éĿ¢", "æĽ´ å¤ļ", "æŁ Ķ", "æŁĶ ãĤīãģĭãģĦ", "ç ªģ", "è¡ Ŀ", "è¡Ŀ çªģ", "é«ĺ ãģĦ", "éĥ¨ éļ",
+  "Ġ enter", "Ġ\": \"", "Ġ/ >", "ĠB ut", "ĠM odel", "ĠS e", "ĠW ith", "Ġtim es", "Ġto k", "Ġà¦ ¦",
+  "ľ ãĥĪ", "(` ${", "-------- ---", "P ar", "Res ponse", "[] }", "bo ard", "ip s", "item s", "m ake",
+  "m anager", "n ull", "oc om", "ou ble", "out line", "pr ess", "qu ences", "z en", "£ åľ¨", "® éĢļ",
+  "®éĢļ ãģ®", "¯ è¦ļ", "¼ ãĤĢ", "à¸ ¤", "à¸± à¹ī", "à¸Ķ à¸Ĺ", "à¸ļ à¸£", "à¹Ģà¸ «", "à¹Ģà¸ Ī",
+  "à¹ģà¸ Ĺ", "ãĤ ģ", "ãĤģ è¾", "ãĤģè¾ ¼ãĤĢ", "ãĥ Ĭ", "ãĥ© ãĥł", "ãĥ¼ãĤ º", "ãĥĲ ãĥ¼ãĤ²", "ãĥĶ ãĥĥãĤ¯",
+  "å¯ ¦", "åĩº ãģĹ", "åĲ Ħ", "åŁ ĭ", "åŁĭ ãĤģè¾¼ãĤĢ", "åŃ Ĺ", "æ Ĥ¨çļĦ", "æķ° åŃĹ", "æĻ ®éĢļãģ®",
+  "ç§ ģ", "ç®¡çĲĨ ãģĻãĤĭ", "è¦ĭ åĩºãģĹ", "éĥ¨éļ Ĭ", "éĮ ¯è¦ļ", "ĠCon versation", "Ġg u", "Ġm x",
+  "Ġpre fix", "Ġpro du", "Ġselect ed", "Ġsw ap", "Ġtest ing", "ĠÕ´ Õ¥Õ",
+  "+---------------------------------------------------- +----------------------------------------------------+",
+  "J SON", "S ome", "Th ere", "] )", "al ent", "b a", "c over", "de vice", "i en", "i Äĩ", "if f",
+  "is k", "key s", "l ast", "oc ation", "ol ation", "ru ctions", "st mt", "t ailwind", "type of",
+  "Ïģ Î·", "à¹Ģà¸Ĥ à¸¢",
+  "âĶĢâĶĢâĶĢâĶĢâĶĢâĶĢâĶĢâĶĢâĶĢâĶĢâĶĢâĶĢâĶĢâĶĢâĶĢâĶĢ âĶĢâĶĢâĶĢâĶĢâĶĢâĶĢâĶĢâĶĢâĶĢâĶĢâĶĢâĶĢâĶĢâĶĢâĶĢâĶĢ",
+  "ãĤ ¬", "ãĤ³ ãĥĶ", "ãĤ¹ãĥĪ ãĥ¬ãĥ¼ãĤ", "ä¿Ŀ æĮģ", "ä¿ĿæĮģ ãģĻãĤĭ", "å¼ ķ", "åĲĮ è¡Į", "æľ¬ è³ª",
+  "æľ¬è³ª çļĦãģª", "æľĭåı ĭ", "æŃ £åľ¨", "ç´¢ å¼ķ", "è§ ī", "ĠN ot", "Ġbec ause", "Ġc opy",
+  "Ġcol umn", "Ġe as", "Ġimplement ed", "Ġre al", "Ġstand ard", "Ġtok ens", "Ġwindow s", "Ġà¦ Ĺ",
+  "ľãĥĪ ãĥ«", "Ch unk", "In st", "] (", "andl ers", "b it", "b revi", "c k", "epend enc", "i ec",
+  "le ase", "od es", "p assed", "qu iv", "ruct ure", "tailwind css", "ter n", "u f", "¡ å¼", "¡å¼ µ",
+  "£ åĮĸ", "£åĮĸ ãģĻãĤĭ", "¤ ãĥ", "¦ ãĤ§", "¦ çķ¥", "¦ãĤ§ ãĤ¢", "Ïĥ Î¹", "Ðµ Ñģ", "Õ ²", "Ø§Ø ¹",
+  "à¦ Ĥ", "à¸ª à¸ķ", "à¸²à¸ Ĺ", "à¸Ļ à¸Ĺ", "ãĤ £", "ãĤ ¦ãĤ§ãĤ¢", "ãĤ¤ ãĥ¼ãĥ«", "ãĤ¹ãĥĪãĥ¬ãĥ¼ãĤ ¸",
+  "ãĥ¼ãĥ ī", "ãĥ¼ãĥī ãĤ¦ãĤ§ãĤ¢", "ãĥĨ ãĤ£", "ãĥĸãĥ© ãĤ±ãĥĥãĥĪ", "ãĥŃ ãĤ°", "ä¸Ń ä¸ĸ", "ä» £åĮĸãģĻãĤĭ",
+  "åĲ Ľ", "åĲĽ ãģ¯", "åĵģ è³ª", "æĭ ¡å¼µ", "æĮģ ãģ", "æıĲ ä¾Ľ", "ç Ī", "çĪ ¶", "è³ Ľ", "è³ ŀ",
+  "è³Ľ ãģĻãĤĭ", "è³ŀ è³ĽãģĻãĤĭ", "è¿ ĳ", "è¿ĳ ä»£åĮĸãģĻãĤĭ", "ĠCh at", "ĠRE ADME", "Ġcom parison",
+  "Ġd iv", "Ġdes criptor", "Ġp op", "Ġsubscri ption", "Ġt uple", "Ġterm inal", "Ġth ing", "ĠÎ´ Î¹Î±",
+  "ĠÕ ³", "Ķ çĪ¶", "ļ ãĥĢ", "Ľ ãĤ¤ãĥ¼ãĥ«", ". )", "O T", "S ummary", "T ext", "Tool Registry",
+  "__ ()\",", "ace back", "b ort", "ch ange", "e er", "end ed", "ependenc ies", "event s", "f lo",
+  "function s", "i or", "in ition", "k nown", "ocom mand", "ot s", "quiv alent", "r en", "s lice",
+  "sc ale", "th ing", "tool Id", "view port", "¢ ãĥ³ãĥ", "¢ åĢ", "¢ãĥ³ãĥ ī", "¢åĢ Ĵ", "¤ãĥ ¢ãĥ³ãĥī",
+  "¦çķ¥ çļĦ", "½ æĶ", "½æĶ ¾", "½æĶ¾ ãģĻãĤĭ", "Ã Ł", "Ïħ ÏĦ", "Ø± Ø¨", "à¹ģà¸ ¥", "âĢ Į", "ãĤ¤ ãĥ",
+  "ãĤ¤ ãĥ³ãĥģ", "ãĤ¤ãĥ ¤ãĥ¢ãĥ³ãĥī", "ãĤ« ãĥ©ãĥł", "ãĤ± ãĥ", "ãĤ±ãĥ Ħ", "ãĤ³ãĥŁãĥ¥ãĥĭ ãĤ±ãĥ¼ãĤ·",
+  "ãĤ¹ãĥ ļ", "ãĤŃãĥ£ãĥĵ ãĥ", "ãĤŃãĥ£ãĥĵãĥ į", "ãĤŃãĥ£ãĥĵãĥį ãĥĥãĥĪ", "ãĥ¥ãĥ¼ ãĥĪ", "ãĥª ãĥĵ",
+  "ãĥªãĥĵ ãĥ¥ãĥ¼ãĥĪ", "ä¸į æĺ¯", "ä½ł çļĦ", "å¸ Į", "å¸Į æľĽ", "å¾ ħ", "åĪ ĩ", "åĽ ³", "æĦı åĽ³",
+  "æĮģãģ ¤", "çŁ¥ éģ", "çŁ¥éģ ĵ", "è» ¢åĢĴ", "è¿ ½æĶ¾ãģĻãĤĭ", "èĻ Ĳ", "èĻĲ å¾ħ", "ĠA p", "ĠC alled",
+  "ĠR ec", "ĠTh read", "Ġa cc", "Ġbe g", "Ġh al", "Ġmet adata", "Ġra ise", "Ġs up", "Ġst r",
+  "Ġstring s", "Ġtab s", "Ġtool Id", "ĠÎµ ÏĢ", "I t", "Run ning", "St art", "[ '", "ac ed", "ate g",
+  "client Id", "g pt", "im ary", "model s", "n ext", "our nal", "r ound", "t imeout", "wa re",
+  "³ ãģĹ", "³ãģĹ ãģĦ", "» ãĥ«ãĥ", "»ãĥ«ãĥ ļãĥĢ", "½ ãģĹ", "½ãģĹ ãĤĵ", "½ãģĹãĤĵ ãģ", "½ãģĹãĤĵãģ §",
+  "Ïĥ ÎµÎ¹", "Ð¾ ÑģÑĤ", "Ð¾Ð ·", "ÑĢ Ñĥ", "à¸Ĭ à¸Ļ", "ãĤ »ãĥ«ãĥļãĥĢ", "ãĤ¯ ãĤ»ãĥ«ãĥļãĥĢ",
+  "ãĤ³ãĥŁãĥ¥ãĥĭ ãĥĨãĤ£", "ãĥĨ ãĥ³ãĥĪ", "ãĥĲ ãĥĬ", "ä¸Ģ åĪĩ", "å¿ħ è¦ģ", "åİ ³ãģĹãģĦ", "æ¥ ½ãģĹãĤĵãģ§",
+  "æĪ ¦çķ¥çļĦ", "æĸĻ éĩĳ", "è¡Į æĸĻéĩĳ", "éĢļ è¡ĮæĸĻéĩĳ", "éĽ ª", "ĠA l", "ĠO n", "ĠTool Executor",
+  "Ġautomatic ally", "Ġdele ted", "Ġpro gress", "Ġw y", "Ġworker Url", "ĠÕ £", ". ',", "D uration",
+  "Qu ery", "am ples", "ar ray", "as ic", "by tes", "file type", "g g", "gr oup", "or ity",
+  "ru ction", "s l", "t te", "tool Calls", "« ģ", "± å", "±å «ģ", "¼ ãģ¶", "à¸²à¸Ħ à¸¡", "à¸ģà¸ ĩ",
+  "à¸Ĭ à¸²à¸§", "à¸ļ à¸²à¸¥", "ãĤ·ãĥ¥ ãĤ¬", "ãĤ¸ãĥ£ ãĥ¼ãĥĬãĥ«", "å° ¿", "åī ¯", "åı ĶçĪ¶", "åĳ ¼ãģ¶",
+  "æĮ ĩ", "æĮĩ åĲį", "çĭ Ń", "çĭŃ ãģĦ", "çĻ Į", "è Ĭ", "èħ Ĳ", "èħĲ ãģ£ãģŁ", "èĬ ±å«ģ", "Ġ es",
+  "Ġ[ \"", "Ġallow s", "Ġbo olean", "Ġd em", "Ġlo op", "Ġm sg", "Ġqu e", "Ġres et", "Ġtem perature",
+  "ĠÎ± ÏĢ", "ĠÕ º", "ĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠ ĠĠĠĠĠĠ", "---- ---+", "Ch anged", "T yp", "U p", "an sport",
+  "er ic", "for ward", "g acy", "it ect", "j e", "m y", "ow ner", "pro ject", "typ ed", "£ ç¶",
+  "¨ åĬ", "¨åĬ ±", "¨åĬ± ãģĹ", "¨åĬ±ãģĹ ãģ¾", "¨åĬ±ãģĹãģ¾ ãģĻ", "² æ³ķ", "µ åĤ", "µåĤ ·", "ÅŁ maq",
+  "ÎµÎ¯ ÏĤ", "Ð¸ Ð½", "ÙĬ ÙĨ", "ÛĮ Ø¯", "à¦ ¹", "à¦¿ .", "à¸¢ à¸¡", "à¸²à¸ Ĭ", "à¹Ģà¸ª à¸£", "ãģ Ĵ",
+  "ãĥĢ ãĥĥãĤ·ãĥ¥", "ãĥĪ ãĤ¹", "ãĥĴ ãĥĥãĥĪ", "ä¸Ĭ ãģĴ", "ä» ķ", "ä»ķ ä¸ĬãģĴ", "ä¿Ŀ è¨¼", "ä¿Ŀè¨¼ éĩĳ",
+  "å¥ ¨åĬ±ãģĹãģ¾ãģĻ", "åī µåĤ·", "åį Ķ", "åįĶ åĬĽ", "è ĳ", "èĳ ī", "éĢ £ç¶", "éĤ£ äºĽ", "ĠI mplement",
+  "Ġappro val", "Ġc apabilities", "Ġex port", "Ġinstance of", "Ġke ep", "Ġm akes", "Ġposition al",
+  "Ġre l", "Ġrun time", "Ġsuccess ful", "Ġtrans form", "Ġvalid ation", "Ġw ell", "Ġà¦ ²", "Ĩ ²æ³ķ",
+  "> \"", "K E", "R U", "ac lass", "f ir", "ic ode", "il ar", "li ke", "p ack", "pon d", "r on",
+  "v o", "ver al", "x s", "¢ æŁ", "¢æŁ »", "§ ×¨×", "« ãģĻãĤĭ", "¶ åĻ¨", "Î¼ ÎŃ", "Ïĥ Î·", "ÏĨ Î±",
+  "Ðµ ÑĤÑĮ", "ÑĢÐ°Ð ²", "Õ ´", "ãģ «ãģĻãĤĭ", "ãģĭ ãģ«ãģĻãĤĭ", "ãĤ¢ ãĤ¯ãĤ»ãĥ«ãĥļãĥĢ", "ãĤ¹ ãĤŃ",
+  "ãĤ¹ãĤŃ ãĥ¼ãĥł", "ãĤ¹ãĥļ ãĥ«", "ãĤī ãģĭãģ«ãģĻãĤĭ", "ãĥ ī", "ãĥ¼ ãĤ¯", "ãĥĥ ãĥī", "ãĥĪãĥ¼ ãĤ¹ãĥĪ",
+  "ãĥĭãĥ¥ãĥ¼ ãĤ¹", "ãĥĲ ãĤ±ãĥĦ", "åĭķ çī", "åĭķçī ©", "åıĳ å¸ĥ", "æ Ĩ²æ³ķ", "æİ ¢æŁ»", "æİ Ī",
+  "æķĻ æİĪ", "æĺİ ãĤīãģĭãģ«ãģĻãĤĭ", "éĢ£ç¶ ļ", "éĻ ¶åĻ¨", "Ġadd ed", "Ġcolor s", "Ġk l", "Ġ×¡ ×ķ×",
+  "ĠØ ¢", "ģ ãĥ¼ãĤº", "ŀ ãĥªãĥ³", "ad i", "c ceed", "ch itect", "d at", "it ten", "re gistry",
+  "ro ss", "set tings", "tok en", "um aq", "~~~~ ~~~~", "Ã ¨", "Ð°Ð º", "Ð¾ Ñĩ", "Ñ İ", "à¸© à¸Ĳ",
+  "à¸ĩ à¸Ħ", "à¸Ķ à¸£", "ãĤ¯ãĥ« ãĥ¼", "ãĥ ĽãĤ¤ãĥ¼ãĥ«", "ãĥ ľãĥĪãĥ«", "ãĥ© ãĥĢ", "ãĥ¼ãĤ¯ ãĤ·",
+  "ãĥĢ ãĤ¤ãĥ¤ãĥ¢ãĥ³ãĥī", "ãĥı ãĥ¼ãĥīãĤ¦ãĤ§ãĤ¢", "ãĥĳ ãĥ³", "ä¹ ı", "å® ³", "å½ ĵ", "åĪĨ åī",
+  "åĪĨåī ²", "æ¬ ł", "æ¬ł ä¹ı", "æķĻ ä¼ļ", "çĲ ĥ", "éĩ İ", "éĩİ çĲĥ", "éļ ľ", "éļľ å®³", "Ġ $",
+  "Ġ( `", "ĠMock Session", "ĠS im", "Ġa m", "Ġb in", "Ġconversation Optimizer", "Ġexist ing",
+  "Ġfold s", "Ġgr id", "Ġh ub", "Ġins ide", "Ġle vel", "Ġm ag", "Ġrece ive", "Ġsign al", "Ġst ep",
+  "Ġt akes", "Ġt orpaq", "ĠÎ± Î½", "U sage", "` );", "art be", "ed er", "et s", "h older", "l ines",
+  "le ft", "op fs", "se e", "¨ ãģĻ", "© ãĤĢ", "¯ ãģª", "µ ç«", "µç« ¯ãģª", "½ ãģ", "½ãģ ¨ãģĻ",
+  "Î± Ïĥ", "ÐµÐ ²", "ÐºÐ¸ Ð¹", "Õ¡Õ ´", "Ùģ Ø±", "à¦ ¡", "à¸ģà¸ ŀ", "à¸ĩ à¸Ĥ", "à¸Ĺ à¸Ńà¸Ķ",
+  "à¹ģà¸ģà¸£ à¸¡", "ãģ ĺ", "ãģ¶ ãĤĵ", "ãģ¶ãĤĵ ãģ®", "ãģĺ ãģ¶ãĤĵãģ®", "ãĤ¯ ãĥ¼ãĥ«", "ãĤ¿ ãĥ¯ãĥ¼",
+  "å® ĺ", "å½ ¢", "åĻ¨ å®ĺ", "æ¥ µç«¯ãģª", "ç· ©ãĤĢ", "è¦ĭ èĲ", "è¦ĭèĲ ½ãģ¨ãģĻ", "èĪ Ĺ", "èĪĹ è£ħ",
+  "Ċĉ ĠĠĠ", "ĠCom ponents", "ĠExecut or", "ĠP assed", "ĠTool s", "Ġallow ed", "Ġformat ted", "Ġh app",
+  "Ġrequest s", "Ġstatement s", "Ġun it", "Ġz ero", "ĠÕ ±", "ĠÙĪ Ø§ÙĦ", "Ľ ×Ļ×", "\" __", "' }",
+  "') );", "+-------------------------------- --", "B e", "M ock", "Rec e", "T otal", "Test ing",
+  "[ \"", "c an", "connect ed", "m enu", "st orage", "ª èĢħ", "« çĲĨ", "¯ ç½", "¯ç½ ªèĢħ", "Îº ÏĦ",
+  "ÑģÑĤ Ð²", "ÙĬ Ø±", "ãĤ³ãĥ¼ãĥ© ãĤ¹", "ãĤµ ãĥ©ãĥĢ", "ãĥ ģãĥ¼ãĤº", "ãĥĢ ãĥĭ", "ãĥĪ ãĥ¬",
+  "ãĥĲãĥ¼ãĤ² ãĥ³", "åĢ «çĲĨ", "æº Ŀ", "çĬ ¯ç½ªèĢħ", "çŁ¥ è¦ļ", "ĠD emo", "ĠG UI",
+  "ĠMessageBridge Main", "Ġbeh av", "Ġcr ash", "Ġcre ation", "Ġinclud ed", "Ġm anager", "Ġm oves",
+  "Ġsom ething", "Ġsu cceed", "Ġ×ŀ ×ķ×ł×", "ĠØ ¥", "\"> <", "(' [", "> `", "O utput", "S E",
+  "Window s", "ar n", "artbe at", "comple ted", "f lash", "g lobal", "lo sed", "qu am", "up pose",
+  "ut ure", "vir on", "z m", "º çĶŁ", "ºçĶŁ ãģĻãĤĭ", "Å ¯", "Ø¹ Ø¯", "Ùħ ÙĦ", "ÙĬ Ø·", "à¸Ļ à¸Ļ",
+  "à¸ŀ à¸¢", "ãĢ ľ", "ãĤµ ãĥ³ãĥ", "ãĤµãĥ³ãĥ Ĺ", "ãĤµãĥ³ãĥĹ ãĥ«", "ãĥĪ ãĥªãĥĵãĥ¥ãĥ¼ãĥĪ", "äºº å½¢",
+  "å½¼ å¥³", "åĲĪ è¨Ī", "æ± ł", "çĻ ºçĶŁãģĻãĤĭ", "è£ħ ç½®", "èģ ·äºº", "éĽ» æ±ł", "Ġ ut", "ĠC all",
+  "ĠH istory", "ĠH ow", "ĠIn itialize", "ĠN o", "ĠN ow", "Ġby tes", "Ġd ur", "Ġe ither",
+  "Ġh andshake", "Ġp ersistence", "Ġplugin s", "Ġre ason", "Ġs plit", "Ġ{} )", "ĠÉĻ l", "Ġà¦ ĩ",
+  "ĸ çīĩ", "C R", "N D", "b ased", "g t", "ich t", "id ent", "iv er", "m ono", "ov ed", "s lash",
+  "st ate", "st ep", "up date", "¡ æľī", "½ ãĥ¼", "ÏĦ Î¹", "Ð°Ð ´", "Ñ Ħ", "Õ¡Õ ·", "Õ¸ Õ¿",
+  "à¸Ń à¹ĥ", "ãģĤ ãģ£ãģŁ", "ãĤ Ĭ", "ãĤ¢ãĤ¯ãĤ»ãĥ«ãĥļãĥĢ ãĥ«", "ãĤ³ãĥŁãĥ¥ãĥĭãĤ±ãĥ¼ãĤ· ãĥ§ãĥ³", "ãĥ ¡",
+  "ãĥ ŀãĥªãĥ³", "ãĥ³ãĥ ŀ", "ä¸» äºº", "ä¾Ľ çµ", "å ģ", "åģ ı", "åģı å·®", "åľ ĸçīĩ", "æĢ Ĵ",
+  "æĢĴ ãĤĬ", "ç±» åŀĭ", "ĠM an", "Ġcom ment", "Ġcon vert", "Ġe cho", "Ġe lements", "Ġe quivalent",
+  "Ġhistory Store", "Ġload ing", "Ġre port", "Ġse veral", "Ġto o", "Ġtool Calls", "Ġw idth", "ĠÎ ²",
+  "ĠØ§ÙĦ Ùħ", "ĠÙĪ Ø¨", ") \".", "I mplement", "` )", "ac ity", "an ing", "b ed", "bu ffer", "d own",
+  "ena i", "ex ception", "h ello", "ic ip", "includ e", "k i", "pon ses", "pre h", "® Õ¥Õ¬", "° ä¼ļ",
+  "² Õ¡Õ¬", "ÏĮ ÏĤ", "Ö ģ", "Ø º", "à¸¡ à¸Ķ", "à¸ģà¸ Ħ", "ãĤ ½ãĥ¼", "ãĤª ãĥ¼ãĤ¯ãĤ·", "ãĥĴ ãĥ¼ãĥ«",
+  "ãĥĸãĥ© ãĥ³ãĥģ", "ä¸į èĩª", "ä¸įèĩª çĦ¶", "ä¸įèĩªçĦ¶ ãģª", "åĨ³ å®ļ", "åľĭ å®¶", "æĸĩ è¨Ģ",
+  "ç¾İ åĽ½", "è© ²", "è©ķè Ń", "è©ķèŃ °ä¼ļ", "ĠN ext", "ĠO pen", "ĠR esult", "ĠTest ing",
+  "ĠTool Dispatcher", "Ġaut ocommand", "Ġcons id", "Ġh ÉĻr", "Ġl ib", "Ġm emory", "Ġof ten", "Ġre pe",
+  "Ġresult Div", "Ġsession s", "Ġstatus Div", "ĠÏĢÏģÎ¿ Ïĥ", "ĠÕ ©", "Ġ× ¦", "Ġ× Ļ×", "Ġà¦Ĩ à¦®",
+  "Cont roller", "E nd", "IL L", "Request s", "U sing", "d r", "en ers", "ent ion", "f inally", "h n",
+  "icip ant", "j a", "n i", "ot i", "r ary", "t le", "toL ocale", "tok ens", "typ es", "u w",
+  "viron ment", "w ay", "w ill", "w in", "| ~", "Î» ÎŃ", "Î¿ Î¹", "ÐµÐ ¼", "ãĤ³ ãĥ³ãĥ",
+  "ãĤŃãĥ£ãĥĵ ãĥ³", "ãĥ¬ãĥ¼ãĤ Ń", "ãĥĩ ãĥĥãĥī", "ä»ĸ ä»¬", "ä»ĸ åĢĳ", "å®¢æĪ ·", "å»º è®¾", "å¾ ´",
+  "åį İ", "åıĤåĬł ãģĻãĤĭ", "æ¬¢ è¿İ", "æ² ¡æľī", "æĩī è©²", "ç²¾ åįİ", "çī¹ å¾´", "è¡Į éĢ²", "ĉ Ġ",
+  "ĊĊ ĉĉ", "ĠA r", "ĠCom ple", "ĠO ther", "ĠUn icode", "Ġc lose", "Ġcom put", "Ġd e", "Ġe ven",
+  "Ġf inish", "Ġh and", "Ġn ec", "Ġn ested", "Ġplace holder", "Ġqu ick", "Ġreg ion", "Ġreturn ed",
+  "Ġse quences", "Ġst ats", "Ġt ag", "Ġth ose", "Ġv ers", "Ġ× ľ×Ļ×", "Ġ×ŀ× ł×", "ľ×Ļ× ¡", "A s",
+  "C H", "C atalog", "G emini", "P l", "Run ner", "S andbox", "V IM", "a wa", "ad c", "adc ast",
+  "all ow", "ar ge", "av ed", "g ener", "h er", "if ies", "ks ÉĻk", "op enai", "po p", "ro adcast",
+  "s ys", "start ed", "tim estamp", "w ork", "¦ ×", "· åĶ®", "» åĭķ", "Ã¡ v", "Ð ±", "à¸ª à¸³",
+  "à¸ª à¸Ķ", "à¸ķ à¹Ģà¸ķ", "à¸ķà¹Ģà¸ķ à¸Ńà¸£", "ãĤ³ãĥ³ãĥ ļ", "ãĥªãĥ³ ãĤ¯", "ä¾Ĩ æºĲ", "ä¾Ľçµ ¦",
+  "å¤§ çµ±", "å¤§çµ± éł", "å¤§çµ±éł ĺ", "å± ĭ", "å±ĭ æł¹", "å±ĭæł¹ è£", "å±ĭæł¹è£ ı", "ç§ »åĭķ",
+  "çĬ¶ æ³ģ", "é Ĭ", "éĬ ·åĶ®", "Ġ __", "Ġ er", "Ġ il", "Ġ\" .", "Ġ* __", "ĠB ranch", "ĠB uild",
+  "ĠTest Runner", "Ġ[] ,", "Ġannot ation", "Ġin fo", "Ġinst ances", "Ġpack age", "ĠÏĢ Îµ", "ĠÕ¸ ÖĤ",
+  "Ġ× ĳ", "') )", "( ',", "() :", "C ase", "Event Bus", "L E", "M O", "O OL", "S e", "] \"",
+  "a ardvark", "and id", "aus es", "d ates", "d irectory", "eth er", "n on", "on message", "r am",
+  "res pond", "run ning", "st and", "wh ere", "x umaq", "° å¢ĥ", "Î¿ Ïį", "Ïģ Î¸", "à¸¡ à¸£",
+  "à¸ª à¸«", "à¸ªà¸¥ à¸²à¸¡", "à¸²à¸« à¸¥", "à¸Ĥ à¸Ļà¸¡", "à¸Ļ à¸Ńà¸ĩ", "à¸Ńà¸ģ à¹Ħà¸¡",
+  "ãĤ³ ãĥ¼ãĥĬãĥ¼", "ä¸º ä»Ģ", "åħ¶ å®ŀ", "åį ķ", "åįķ ä½į", "åķ ı", "åķı é¡Į", "æĩī çĶ¨", "ç Ĵ",
+  "çĴ °å¢ĥ", "çľ ģ", "çľģ çķ¥", "è¨Ń è¨Ī", "è¿Ľ åħ¥", "Ġ ÑĢÐ°Ð", "Ġ> =", "ĠAgent Config",
+  "ĠAgent Core", "ĠEvent s", "ĠMock ToolRegistry", "ĠO bject", "ĠT r", "Ġchang ed", "Ġet mÉĻk",
+  "Ġinitial ized", "Ġm ade", "Ġo xumaq", "Ġother wise", "Ġp ol", "Ġpo st", "Ġpo stMessage", "Ġre pl",
+  "Ġth us", "Ġv y", "Ġ| :", "ĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠ ĠĠ", "į æĸ¼", "> ';", "A p", "W eb", "a j",
+  "an thropic", "ator s", "b ound", "b ranch", "com ponent", "def ined", "il er", "k l", "op er",
+  "perm iss", "re p", "ro ot", "s ort", "s ummary", "sh ift", "t wo", "ter min", "© Ĺ", "ÏĦÎ± ÏĤ",
+  "Õ¹ Õ¥Õ¬", "×ķ×ľ ×ķ×Ŀ", "×Ļ× ĳ", "×Ļ× ĺ", "à¦ª à¦¨", "à¦¾ .", "à¸§ à¸£", "à¸ĩ à¸ĩ", "à¸Ķ à¹Ħ",
+  "à¹Ĥà¸Ķà¸¢ à¸ªà¸²à¸£", "à¹Ħ à¸£", "âľ ĵ", "âľ Ĺ", "ãĤ³ãĥĶ ãĥ¼", "ãĥĪãĥ¼ ãĥ³", "å° įæĸ¼", "å·² ç»ı",
+  "å»º è¨Ń", "æ¥Ń åĭĻ", "æł¹ æĵļ", "ç¶ĵ é", "ç¶ĵé ©Ĺ", "çĶ± äºİ", "éĢ² åħ¥", "Ġ est", "Ġ ud",
+  "ĠIn st", "ĠL ast", "ĠM anager", "ĠN ormal", "Ġ] ,", "Ġcon nect", "Ġfail Count", "Ġit self",
+  "Ġover rid", "Ġpass Count", "Ġrais es", "Ġt al", "Ġ{} ,", "Ġ} `", "/ \\", "Ch at", "D ay", "D ir",
+  "I ME", "K ILL", "Model s", "P urpose", "P ython", "St orage", "T able", "ar ies", "at ist",
+  "c atch", "c re", "ex it", "ff ers", "h andshake", "ig en", "og n", "p ur", "resh old", "stit ute",
+  "typed ef", "¡ ×", "¢ ×ĺ", "· åı²", "Î¹Îº Î¬", "ÏĮ Î¼", "Ð° ÑĢ", "Ð°Ð ²", "ÐµÐ º", "Ð¸ Ð´",
+  "×¨× ©×", "ÙĦ ÙĬ", "Ùħ Ø©", "à¸ª à¸ļ", "à¸ģà¸ ļ", "ãģ į", "ãģķ ãģķ", "ãģķãģķ ãĤ", "ãģķãģķãĤ Ħ",
+  "ãģķãģķãĤĦ ãģį", "ãĥı ãĥ³ãĥŀ", "ãĥĲãĥĬ ãĥ¼", "åĩº çı¾", "æ¨ Ĥ", "æ¸¸æĪ ı", "æĬķ è³ĩ", "æľĥ åĵ¡",
+  "æŃ ·åı²", "æŃ¡ è¿İ", "çİ° åľ¨", "è³ĩ æĸĻ", "éŁ³ æ¨Ĥ", "Ġ Ú¯", "ĠA nd", "ĠD ef", "ĠH andle",
+  "ĠL oad", "ĠP er", "ĠV er", "ĠW ork", "Ġass istant", "Ġd own", "Ġdi ct", "Ġex act", "Ġf eature",
+  "Ġfile Store", "Ġinsert ed", "Ġl ower", "Ġmock Bridge", "Ġmod ified", "Ġs ec", "Ġst ack", "Ġ× ĵ",
+  "Ġ× ĵ×", "N ext", "Th reshold", "__ *", "add ing", "b er", "b ottom", "c lose", "c r", "char act",
+  "d en", "d uration", "end if", "g o", "ire ction", "l a", "li k", "m at", "m emory", "m ode",
+  "op es", "ow aÄĩ", "s econd", "str ong", "tem perature", "¥ åĳĬ", "¯ ç¤º", "Î® ÏĥÎµÎ¹ÏĤ", "Î³ ÏģÎ±",
+  "ÑĤ ÐµÐ»ÑĮ", "Ø± ÛĮ", "à¸« à¸²à¸¢", "à¸Ī à¸£", "à¸Ĳ à¸Ľà¸£à¸°", "à¸Ĳà¸Ľà¸£à¸° à¸«à¸²à¸£", "à¸Ļ à¸ĺ",
+  "à¸ļ à¸Ńà¸ģ", "à¹Ħ à¸Ķ", "ä¸Ģ æ¨£", "ä¸ĭ è¼", "ä¸ĭè¼ ī", "ä¼ļ åĳĺ", "ä¾Ĩ èĩª", "åĨ µ", "åĬ ¨",
+  "åľ¨ çº", "åľ¨çº ¿", "æĪĲ ä¸º", "æĬ ¥åĳĬ", "ç³» ç»", "ç¶² çµ", "çĻ¼ çĶŁ", "é¡ ¯ç¤º", "éĤĦ æĺ¯",
+  "éĸĭ å§ĭ", "ĊĠĠĠĠĠĠĠĠĠĠ ĊĠĠĠĠĠĠĠĠĠ", "Ġ Z", "Ġ em", "Ġ url", "ĠP ar", "ĠS ubscri", "ĠT ree",
+  "Ġact ually", "Ġcont inue", "Ġcontext Builder", "Ġe ar", "Ġex plicit", "Ġf ug", "Ġgener ic",
+  "Ġinte ger", "Ġm iddle", "Ġo m", "Ġp ers", "Ġregister ed", "Ġrun Tests", "Ġrun ning", "Ġs ave",
+  "Ġst ored", "Ġtype of", "Ġup per", "ĠÎ »", "ĠÐ »", "ĠÐ² Ñĭ", "ĠØ§ÙĦØ ¥", "Ŀ Į", "ŀ× ł×",
+  "------------ +", "A l", "F eatures", "IS O", "P ort", "R PC", "Re ason", "To ast", "V alid",
+  "a ug", "af e", "ale tte", "ch ron", "d ec", "d etail", "f unc", "htt p", "i Äħ", "ind ent",
+  "inte gration", "ir es", "l ic", "m er", "m et", "message Bridge", "of f", "p ri", "pro gress",
+  "sh ow", "sl ots", "t w", "ynam ic", "z M", "©× ĳ×", "Ïİ Î½", "Õ¥ ÖĢ", "Õ¥Õ ¿", "Ùħ Ø§", "à¸¡ à¹ĥ",
+  "à¸ĩà¸ĩ à¸²à¸Ļ", "à¹Ģà¸¨à¸© à¸Ńà¸²à¸«à¸²à¸£", "à¹ģà¸£ à¸ĩà¸ĩà¸²à¸Ļ", "âĶĢ âĶ", "ãĤµ ãĥ¯ãĥ¼",
+  "ãĥ«ãĥ Ļ", "ä¸į éģİ", "ä¼ģ ä¸ļ", "åĸľ æŃ¡", "ç©º éĹ´", "ç³» çµ±", "ç³»ç» Ł", "ç¶²çµ ¡", "çĶ¨æĪ ¶",
+  "çķ¶ åīį", "çĻ¼ å±ķ", "çĻ¼ çı¾", "è°¢ è°¢", "è» ¸", "ð Ł", "ĉ ĠĠ", "Ċ ĊĠĠĠĠĠĠĠĠĠ", "ĠU sing",
+  "Ġa f", "Ġan al", "Ġass um", "Ġc atalog", "Ġcontext Window", "Ġcor respond", "Ġex p", "Ġfollow s",
+  "Ġm ap", "Ġm utable", "Ġsc reen", "Ġshow Toast", "Ġsp aces", "Ġsub ject", "Ġwh ose", "Ġwork ing",
+  "Ġ{} );", "Ġ×§×ķ× ł×", "Ġ×ĳ× ľ×Ļ×", "() )", "/ )", "F A", "G et", "I T", "M IN", "S ION",
+  "S ubscri", "T op", "ach ed", "alc ulate", "chitect ure", "f iles", "get All", "h es", "ic es",
+  "ici ent", "ifi ers", "il en", "in valid", "li es", "p ed", "r and", "r ange", "ur ther", "¤ ä¸ª",
+  "¥ æľī", "¯ åĪĨ", "» ãĥ³ãĥĪ", "¿ åĳĬ", "ÅĤ y", "ÉĻy ata", "Ð¸ Ð²", "ÑĨ Ð¸Ñı", "Õ¡Õ ¯", "Ø´ Øª",
+  "à¸« à¸¢", "à¸ģà¸ °", "à¸ķ à¸°", "à¸Ńà¸Ļ à¸ĭ", "à¹Ģà¸ģ à¸²à¸«à¸¥", "à¹Į ãĢĤ", "ãĤ½ãĥ¼ ãĤ¹",
+  "ãĥ«ãĥĻ ãĥĥãĥĪ", "ãĥ¼ãĤ »ãĥ³ãĥĪ", "ãĥĸ ãĥ¬ãĥ¼ãĤŃ", "ä¸ ĵ", "ä¸º äºĨ", "ä¸ĵ ä¸ļ", "å¹ ¿åĳĬ",
+  "å¼Ģ å§ĭ", "åħ§ å®¹", "åħ³ ç³»", "åŃ¸ çĶŁ", "æ¬¡ æķ°", "æ´» åĬ¨", "æĢİ éº¼", "æĪĲ çĤº", "æĬĢ è¡ĵ",
+  "ç¤¾ åįĢ", "ç§ ¯åĪĨ", "çµ Ĳ", "çµĲ æŀľ", "çĤº ä»Ģ", "çĶ¢ åĵģ", "çĶµ å½±", "çļĦ è¯Ŀ", "è¡Į ä¸ļ",
+  "è¦ ı", "è¦ı å®ļ", "è¬Ŀ è¬Ŀ", "é¡ µ", "é¡ŀ åĪ¥", "é¦ĸ é¡µ", "éĹ »", "ĉ ĠĠĠ", "Ġ ];", "Ġ Ã", "ĠA ut",
+  "ĠF irst", "ĠG lobal", "ĠIndexedDB Provider", "ĠL o", "ĠP r", "ĠP revious", "ĠS ch", "Ġbehav ior",
+  "Ġcon se", "Ġcont rol", "Ġcontain ing", "Ġhe ader", "Ġl ater", "Ġle gacy", "Ġocc urs", "Ġre ally",
+  "Ġrem ote", "Ġs ource", "Ġse lection", "Ġsh ell", "Ġtyp ed", "Ġund o", "Ġwh ite", "Ġ} ));", "ĠÕ ¾",
+  "Ġ×ł ×Ļ×", "ĠĠĠĠĠĠĠĠ ĠĠĠĠĠ", "ĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠ ĠĠĠĠĠĠĠ", "Ĵ× §", "ĵ ×ķ×Ŀ", "ĺ ãĤ¢",
+  "For ward", "M ap", "M d", "M od", "Pro gress", "` .", "ac aq", "argument s", "at is", "at tribute",
+  "atist ics", "aug ht", "c ustom", "end e", "ert ain", "ex ec", "h andler", "h or", "ill Md", "in a",
+  "it ted", "ition al", "l at", "li b", "m en", "re ason", "t uple", "u k", "val ues", "¤ ×Ļ×",
+  "¨ éĩı", "ª× ľ×", "± è®", "±è® Ģ", "· æł¼", "¸ æĵ", "¸æĵ ĩ", "Îº Îµ", "ÏĮ ÏĦÎµ", "Ð°Ð ¿", "Õ¸Õ ·",
+  "ÖĢÕ ¿", "×¨ ×ķ×", "Ø¹ ÙĦ", "Ùħ Ø±", "à¦¾ à¦ģ", "à¸£ à¸¢", "à¸£à¸ĸ à¹Ĥà¸Ķà¸¢à¸ªà¸²à¸£",
+  "à¸¨ à¸Īà¸£", "à¸¨à¸Īà¸£ à¸£à¸¢", "à¸²à¸ ļ", "à¸²à¸ģà¸ ¥", "à¸ĩ à¸Ļ", "à¸Ī à¸²à¸¢", "à¸Ĭ à¸²à¸ķ",
+  "à¸ķ à¸Ńà¹ĥ", "à¸Ń à¸§", "à¹ģà¸ Ī", "âĶ ĶâĶĢâĶĢ", "ãģ ĳ", "ãģĳ ãģ¦", "ãĤªãĥ¼ãĤ¯ãĤ· ãĥ§ãĥ³",
+  "ãĤ·ãĥ¥ãĤ¬ ãĥ¼", "ä¸ ¤ä¸ª", "ä» ·æł¼", "åħ³ äºİ", "åĬ© ãģĳãģ¦", "åıª è¦ģ", "åĲį ç§", "åĲįç§ °",
+  "æĥħ åĨµ", "æĬķ èµĦ", "æĭ ¥æľī", "æĸ° éĹ»", "æĹ ł", "æĹł æ³ķ", "ç¤¾ ä¼ļ", "çº §", "çķ¶ çĦ¶",
+  "çļĦ è©±", "çŃī çº§", "è¯ Ħ", "è¯Ħ è®º", "è³ª éĩı", "è´ ¨éĩı", "è¾ ĥ", "è¿Ļ æĺ¯", "éĢĻ åĢĭ",
+  "éģ ¸æĵĩ", "éĸ ±è®Ģ", "éĹľ æĸ¼", "Ġ ign", "ĠAPI Client", "ĠB o", "Ġ` {", "Ġdefault s", "Ġindic ate",
+  "Ġm ol", "Ġn am", "Ġs it", "Ġst atic", "Ġun ique", "Ġy en", "ĠyÃ¼ ksÉĻk", "Ġ×ł ×ķ×", "ĠØ ²",
+  "Ġà¦Ĩ à¦ªà¦¨", "ĳ× ©", "Ļ ãĥ«ãĥĻãĥĥãĥĪ", "He ight", "I ndexedDB", "MIN I", "R O", "S h",
+  "Time String", "[ ,", "ab ort", "ell ig", "execut ions", "get Tool", "iv es", "le ctions",
+  "lean up", "lev el", "man ual", "ob j", "run time", "st ats", "subscri ptions", "t p", "termin ate",
+  "toLocale TimeString", "trans fer", "wh ich", "{ \"", "} '", "¢ ¼", "¤ ä¸º", "ª Į", "¯ å¢ĥ",
+  "° èĢħ", "Ã¦ r", "ÐµÐ½ Ð½ÑĭÐ¹", "Ð¾Ð ³", "Ñ ī", "Ø§ÙĨ Øª", "à¸£ à¸Ħ", "à¸²à¸§ à¸«à¸¡", "à¸²à¸ĩ à¸ģ",
+  "à¸µ ãĢĤ", "à¸ģ à¹Ģà¸", "à¸Ķ à¸Ńà¸ģà¹Ħà¸¡", "à¸Ĺ à¸Ķ", "à¸Ńà¸Ļ à¹Ģà¸Ķ", "à¸Ńà¸Ļà¸ĭ à¸Ńà¸Ļà¹Ģà¸Ķ",
+  "ä¸į ä¼ļ", "ä¸įæĸ ·", "ä½ł åĢĳ", "å®¢æĪ ¶", "å¯Ĩ ç", "å¯Ĩç ¢¼", "åºĶ çĶ¨", "åıĳ è¡¨", "æ ħ",
+  "æ¯Ķ è¾ĥ", "æ±½ è½", "æ±½è½ ¦", "æķ° æį®", "æĿ¥ èĩª", "ç¤¾ æľĥ", "ç©º éĸĵ", "ç· ļ", "ç»ı é",
+  "ç»ıé ªĮ", "çī¹ åĪ«", "çĭ Ģ", "çĭĢ æħ", "çİ ¯å¢ĥ", "çĽ¸ åħ³", "è¨Ń åĤĻ", "è® ¤ä¸º", "è® °èĢħ",
+  "è¿ Ĳ", "è¿Ĳ è¡Į", "è¿Ļ ä¹Ī", "è¿Ļ ç§į", "éĢĻ æĺ¯", "éļ» æĺ¯", "éļ» è¦ģ", "éĽ» åŃĲ", "Ċ ĉĉĉĉ",
+  "Ġ Ã¼", "Ġ Ø§Ø³Øª", "ĠAdd ed", "ĠInt er", "ĠP ublish", "ĠResult s", "Ġassign ed", "Ġback slash",
+  "Ġblock s", "Ġcall er", "Ġd id", "Ġd ist", "Ġedit or", "Ġet c", "Ġex amples", "Ġex it",
+  "Ġformat ting", "Ġm ention", "Ġman ual", "Ġmet aclass", "Ġop acity", "Ġper formance", "Ġre levant",
+  "Ġs em", "Ġset ting", "Ġst ar", "Ġt ags", "Ġ× ª", "Com ponent", "D el", "F irst", "G lobal",
+  "ISO String", "L LM", "Output Tokens", "adi us", "ak ing", "ar ning", "are a", "b ind", "c ie",
+  "ch ild", "dis abled", "ena ar", "enc y", "ev el", "f irst", "ick Ã½", "is Array", "key word",
+  "l in", "ool enaar", "par se", "pec ial", "pre fix", "r adius", "re ject", "to ISOString",
+  "yn chron", "§ ×ĺ", "© Ł", "± è¥¿", "¹ æł¼", "½ çĦ¶", "Ã ¤", "ÏĦ Î¬", "Õ¡Õ ¿", "Ø± ÙĪ", "à¦ Ļ",
+  "à¸¡ à¸Ħà¸²à¸§", "à¸ª à¸Ĭà¸²à¸ķ", "à¸° à¸Ļ", "à¸ģà¸ ĭ", "à¸ģà¸Ħ à¸£à¸Ńà¸ĩ", "à¸Ļà¸ķ à¸²à¸¢",
+  "à¸Ńà¹Ĥ à¸£à¸Ħ", "à¹Ģà¸ŀ à¸¥à¸ĩ", "à¹Ī ãĢĤ", "ãĥ¡ ãĥĭãĥ¥ãĥ¼", "ãĥĪãĥ¬ ãĥ¼ãĥĬãĥ¼", "ä¸Ģ æł·",
+  "ä¸į è¿ĩ", "ä¸įæĸ Ń", "äº§ åĵģ", "å ĥ", "å½± éŁ", "å½±éŁ ¿", "å¾ ©", "åĥ ¹æł¼", "åħį è´", "åĩº ä¾Ĩ",
+  "åĩº æĿ¥", "åĽŀ å¾©", "åľ¨ ç·ļ", "æ±º å®ļ", "æ±½ è»", "æī ĭæ", "æīĭæ ©Ł", "æĵ Ĭ", "æĿ ±è¥¿",
+  "æł¹ æį®", "ç¶² ä¸Ĭ", "ç½ĳ ä¸Ĭ", "çĶ¨æĪ ·", "çĶŁ çĶ¢", "çĻ¼ è¡¨", "è©ķè «ĸ", "èµ· ä¾Ĩ", "è¿ĩ ç¨ĭ",
+  "è¿Ļ ä¸ª", "è¿Ļ äºĽ", "èĻ ½çĦ¶", "é»ŀ æĵĬ", "éĥ¨ éĹ", "éĥ¨éĹ ¨", "éĹľ ç³»", "Ġ ips", "Ġ' ',",
+  "ĠExecut e", "ĠM S", "ĠMockSession Manager", "ĠOther wise", "ĠP ending", "ĠV IM", "Ġb il",
+  "Ġconfig uration", "Ġdec or", "Ġdig its", "Ġdocument ation", "Ġf inal", "Ġhe ight", "Ġinterpre ter",
+  "Ġk ap", "Ġk r", "Ġliteral s", "Ġm en", "Ġnum eric", "Ġocc ur", "Ġp air", "Ġp review", "Ġprovid es",
+  "Ġrem ain", "Ġrem oved", "Ġs ince", "Ġsm all", "Ġson ra", "Ġstand s", "Ġup dates", "Ġvim rc",
+  "Ġw ait", "ĠÎ ¬", "Ġ×ľ× Ľ×", "ĠØ¨ Ø±", "Ġà¦ °", "ł× ļ", "\" ).", ": *", "> '", "A r", "J son",
+  "KE Y", "S ER", "St reaming", "Token Count", "Un known", "W ord", "a ar", "ag en", "al ity",
+  "ang es", "b re", "ef t", "em ove", "ench mark", "er n", "f eatures", "find ÉĻn", "h over",
+  "il ity", "il le", "itial ized", "lev ance", "li ch", "oy maq", "paramet er", "part icipant",
+  "pro vid", "ruct ured", "scroll Height", "ur ity", "ver se", "£ åĳĬ", "¦ ×ĺ", "ª æĺİ", "ª× ¦×ĺ",
+  "¬ ä»»", "³ ç´°", "Ã¡ t", "ÉĻ findÉĻn", "ÉĻr ÉĻfindÉĻn", "Ø ¥", "ÙĦ Ø§", "à¸ Ĵ", "à¸¢ à¸£",
+  "à¸£ à¸£à¸¡", "à¸²à¸Ķ à¹Ģà¸Ħ", "à¸ģà¸£à¸° à¸Īà¸²à¸¢", "à¸ĩ à¹ģà¸ķ", "à¸Ĭ à¸²à¸Ĭ", "à¸Ĵ à¸Ļà¸ĺ",
+  "à¸Ĵà¸Ļà¸ĺ à¸£à¸£à¸¡", "à¸Ļ à¹Ģà¸Ĺ", "à¸Ļ à¹Ĥà¸ķ", "à¸Ń à¸Ĥ", "à¹Ģà¸ ľ", "à¹ĥà¸ļ à¹Ħà¸¡", "ä¸Ģ ä¸ª",
+  "ä¸į æľĥ", "ä¹ĭ éĸĵ", "ä»ĭ ç»", "åºĶ è¯", "åºĶè¯ ¥", "å» £åĳĬ", "åħįè´ ¹", "åĩ »", "åĪ Ĵ",
+  "åı° åĮĹ", "åĽ½ åĨħ", "åĽ½ éĻ", "åĽ½éĻ ħ", "åľĭ éļ", "åľĭéļ Ľ", "æ±½è» Ĭ", "æ´» åĭķ", "æĬĢ æľ",
+  "æĬĢæľ ¯", "æĹ¶ åĢĻ", "çĤ¹ åĩ»", "è§£ æ±º", "è© ³ç´°", "èª ªæĺİ", "è®¡ åĪĴ", "è¯ »", "è² ¬ä»»",
+  "é ĺ", "éĤ£ éº¼", "éĸĭ çĻ¼", "éĺ ħ", "éĺħ è¯»", "Ġ Ùĥ", "Ġ< =", "ĠC lear", "ĠL og", "ĠOpen AI",
+  "ĠPro tocol", "ĠSession Tree", "ĠSet tings", "ĠT ok", "Ġac cept", "Ġal ign", "Ġappro ved",
+  "Ġat tempt", "Ġch annel", "Ġevent Name", "Ġf oo", "Ġinst all", "Ġlog ic", "Ġne ver", "Ġp adding",
+  "Ġsub class", "Ġtem por", "Ġwr iting", "ĠÎµ ÏģÎ³", "ĠÕ¥ÖĢÕ ¯", "- +", "= '", "C lass", "C ode",
+  "Com mand", "Context Window", "E D", "P attern", "P rompt", "Par am", "Set tings", "St ate",
+  "Type Error", "a fter", "al k", "b ase", "bu ilt", "comple te", "dis play", "et adata", "f en",
+  "f old", "fir m", "h ere", "i h", "i ri", "ig t", "im i", "oc md", "or ing", "pro cess",
+  "pro tocol", "r w", "rec ord", "register ed", "ro du", "s hould", "s ign", "s ome", "to Be",
+  "tr ansport", "un subscribe", "ut ion", "}/ ${", "«ĸ å£", "«ĸå£ ĩ", "´ æĺİ", "¹ çĽ®", "Ã§ ik",
+  "Ã¸ r", "Î¼Î¿ ÏĢÎ¿", "ÏģÎ· ÏĥÎ¹", "ÏģÎ·ÏĥÎ¹ Î¼Î¿ÏĢÎ¿", "ÏĮ Î½", "Õ½ Õ¿", "Ù ĭ", "Ù ı", "à¦ «",
+  "à¦ ĸ", "à¸²à¸£ à¸«", "à¸¹ ãĢĤ", "à¸ķà¸Ńà¹ĥ à¸Ķ", "à¸Ļà¹Ģà¸Ĺ à¸Ńà¸£", "à¹ĥ à¸Ī", "ãĥ ĺãĤ¢",
+  "ä¸Ģ çĤ¹", "ä¸Ģ é»ŀ", "ä»ĭç» į", "ä½ľ ä¸º", "ä½ł ä»¬", "å¤ į", "å¯¦ çı¾", "åħ ©", "åħ¨ åĽ½",
+  "åĩĨ åĤĻ", "åıª æľī", "åĽŀ å¤į", "åľ° åįĢ", "åĿ Ľ", "åŃ¦ æł¡", "æ³¨åĨ Ĭ", "æĦŁ è¦º", "æľį åĭĻ",
+  "ç±» åĪ«", "ç» Ħ", "ç» ĩ", "ç»Ħ ç»ĩ", "çĤº äºĨ", "çĭĢæħ ĭ", "çĶµ åŃĲ", "è «ĸå£ĩ", "è§ Ī", "èª į",
+  "èª ŀ", "èªį çĤº", "èªŀ è¨Ģ", "è®º åĿĽ", "è®¾ å¤ĩ", "è¯ ´æĺİ", "è¯ Ń", "è¯Ń è¨Ģ", "é Ķ", "é¡ ¹çĽ®",
+  "éģİ ç¨ĭ", "éĶ Ģ", "éĶĢ åĶ®", "Ġ ÚĨ", "ĠCon fig", "ĠRe ad", "ĠS upport", "Ġapp end", "Ġaut o",
+  "Ġb inding", "Ġbreak point", "Ġd ouble", "Ġen vironment", "Ġf ast", "Ġf ilter", "Ġf ix", "Ġfl ag",
+  "Ġfr ontmatter", "Ġl ab", "Ġm eta", "Ġoption al", "Ġpar a", "Ġpro per", "Ġprovid ers", "Ġrec over",
+  "Ġrem emb", "Ġres ol", "Ġsc opes", "Ġscript s", "Ġtransl ate", "Ġ× Ľ×", "Ġà¦ «", "ĠĠĠĠĠĠĠĠ ĠĠĠĠ",
+  "ı è§Ī", "Ĳ× ŀ", "/ *", "A P", "B ut", "I X", "I tem", "L oad", "U AL", "at ely", "ch anged",
+  "contain s", "cover ed", "ellig ent", "evel op", "iz ing", "l ang", "ow y", "preh ens", "r m",
+  "re place", "row s", "scroll Top", "st at", "st reaming", "wh ile", "§ ç»", "§ç» Ń", "® ä½į",
+  "¹ äºİ", "¾ ç¤º", "Ã¼ l", "ÅĤ o", "Î± ÏĤ", "Î¶ Î¿Î½", "Î· Î¼", "Õ¥Õ ¶", "×Ļ× ¨", "ÙĬ Ùĥ", "à¸¤ à¸Ķ",
+  "à¸§ à¸ª", "à¸ģà¸ Ĭ", "à¸ģà¸³ à¹Ħà¸£", "à¸ĩ à¸¡", "à¸Ī à¸²à¸ģà¸", "à¸Ķà¸£ à¸Ńà¸¢à¸Ķ",
+  "à¸Ľ à¸ģà¸Ħà¸£à¸Ńà¸ĩ", "à¸Ńà¸Ļ à¸Ķà¸£à¸Ńà¸¢à¸Ķ", "à¹ ģ", "à¹ģ à¸Ńà¸Ļà¸Ķà¸£à¸Ńà¸¢à¸Ķ", "à¹ģà¸ ŀ",
+  "ãĥĳ ãĥ¼ãĤ»ãĥ³ãĥĪ", "ä¸» é¡Į", "ä¸Ģ ç§į", "ä¸ĭ è½", "ä¸ĭè½ ½", "ä¹ ł", "ä¹ĭ éĹ´", "äº ¬", "ä»Ģ éº¼",
+  "ä¼ģ æ¥Ń", "å¤§ åŃ¸", "å¯ ¹äºİ", "åħį è²", "åħįè² »", "åĮĹ äº¬", "åĸ ®ä½į", "åľ° åĮº", "åŃ¦ ä¹ł",
+  "æ¨Ļ é¡Į", "æĪĳ åĢĳ", "æĹ¶ éĹ´", "æĺ ¾ç¤º", "æłĩ é¢ĺ", "ç ģ", "è§£ åĨ³", "è³ĩ æºĲ", "èĥ½å¤ Ł",
+  "é¦ĸ éł", "é¦ĸéł ģ", "Ġ Ø§", "Ġ\" %", "Ġ'../../ ../", "ĠF low", "ĠH TML", "ĠM oolenaar",
+  "ĠMan agement", "ĠP rompt", "ĠR PC", "ĠValid ation", "Ġassert False", "Ġc enter", "Ġcomple x",
+  "Ġcorrespond ing", "Ġd en", "Ġd epend", "Ġd ot", "Ġf inally", "Ġgo od", "Ġh ÉĻyata", "Ġis olation",
+  "Ġneed s", "Ġo d", "Ġoff set", "Ġol acaq", "Ġrec ogn", "Ġs lice", "Ġs ummary", "Ġsim ilar",
+  "Ġsubscri ptions", "Ġv o", "Ġvari ous", "ĠÏĥÏħ Î³", "Ġ× Ķ", "Ġ×ŀ×ķ×ł× ¤", "Ġâ ĿĮ", "ģà¸ ¡", "ķ× Ļ×",
+  "ł× Ķ", "B u", "C opyright", "L e", "T T", "Tim eline", "W eek", "al a", "at ible", "ele ted",
+  "enc oding", "fo o", "int s", "it i", "it ive", "k ol", "l se", "match es", "or ld", "p m", "po st",
+  "rece ive", "second ary", "session s", "stream Request", "sw er", "w y", "£ ä»»", "¦ ç»", "¦ç» Ĩ",
+  "Ã¥ r", "ÅĻ ÃŃ", "Õ«Õ ·", "Ø¨ Ø±", "à¦ĵ à¦¯", "à¸ª à¸¢", "à¸ª à¸Ļà¸Ńà¸ĩ", "à¸³ à¸¥", "à¸¸ à¹ī",
+  "à¸ģà¸ §", "à¸ģà¸£à¸£à¸¡ à¸ģà¸²à¸£", "à¸Ļ à¸Ħ", "à¸Ļ à¹Ĥà¸Ķ", "à¸Ļ à¹Ħà¸Ĥ", "à¸Ļà¹Ĥà¸Ķ à¸§à¸ª",
+  "à¸Ń à¹Ģà¸Ĺ", "à¸Ńà¸ĩ à¸Ł", "à¹Ģà¸ ĩ", "à¹ģà¸ ľ", "à¹ģà¸ľ à¸Ļà¸Ĺ", "ãĥ Ļãĥ«ãĥĻãĥĥãĥĪ", "åı° çģ",
+  "åĲĮ æĻĤ", "åĸľ æ¬¢", "åŃ¸ æł¡", "æ¬¡ æķ¸", "æ² Ĵ", "æ²Ĵ æľī", "æµ İ", "ç Ģ", "ç» §ç»Ń", "ç» ľ",
+  "ç»ı æµİ", "ç½ĳ ç»ľ", "çĢ ı", "çĢı è¦", "çĢıè¦ ½", "è¦º å¾Ĺ", "è¯ ¦ç»Ĩ", "è´ £ä»»", "éĢĻ ç¨®",
+  "éĤ£ ä¸ª", "ĊĊ ĉĉĉ", "ĠB uilder", "ĠD elete", "ĠD es", "ĠM AN", "ĠRun ning", "ĠSession Header",
+  "Ġ` <", "Ġab brevi", "Ġbranch ing", "Ġd ir", "Ġdis abled", "Ġeff ect", "Ġexecution Id",
+  "Ġexpl ained", "Ġf lo", "Ġh ar", "Ġhe ad", "Ġindic ates", "Ġl arge", "Ġl ay", "Ġlook s", "Ġlook up",
+  "Ġoptimiz ation", "Ġp e", "Ġrefer ences", "Ġs le", "Ġs ure", "Ġset s", "Ġstatus Content", "Ġt ake",
+  "Ġv Ã½", "Ġ~ /.", "ĠÎ¼ Îµ", "ĠÖĥ Õ¸ÖĢ", "ĠÙħ ÙĪ", "ĥ åĬł", "Ľ ×Ļ", "A S", "A bort", "D ate",
+  "Def inition", "M atch", "NT IME", "RU NTIME", "Rece ived", "Result Element", "VIM RUNTIME",
+  "__ __", "a pe", "ac cent", "alc ul", "anc el", "b uild", "b uilder", "ch e", "end is", "ess e",
+  "execution Id", "ft plugin", "g ers", "h andlers", "inte ger", "lar Ä±n", "m ath", "or u",
+  "orm ally", "p a", "pect or", "q t", "qt ÉĻ", "result El", "started At", "th ree", "u ed", "ww w",
+  "¡ ×ĺ", "½ Õ¿", "¿ Ł", "Ã¶ qtÉĻ", "ÏĦ Î¹Îº", "Ð¸ Ñģ", "Ð¸ Ñĩ", "ÖĢ Õ¥Õ¬", "Ø± Ø¯", "à¸£à¸²à¸ Ł",
+  "à¸¥ à¸²à¸¢", "à¸§ à¹Ģà¸¡", "à¸«à¸¥ à¸¢", "à¸²à¸ Ń", "à¸ģà¸ ľ", "à¸ģà¹Ģà¸ ĸ", "à¸Ķà¸Ļ à¸Ńà¸Ļ",
+  "à¸Ķà¹Ħ à¸«à¸¥à¸¢", "à¸Ń à¸Ńà¸Ļà¸ĭà¸Ńà¸Ļà¹Ģà¸Ķ", "à¹Ģà¸ ģà¸¡", "à¹ģà¸ ª", "à¹Ĥ à¸Ħà¸§", "ä¸ª äºº",
+  "ä¸Ń åĽ½", "å¤§ åŃ¦", "å½± åĵ", "å½±åĵ į", "åı ĥåĬł", "åı°çģ £", "åĲį ç¨", "æ ¿Ł", "æ¸¸æĪ ²",
+  "æĢ ģ", "æĢİ ä¹Ī", "æĪĳ ä»¬", "æİ¨è ĸ", "æİ¨èĸ ¦", "ç® Ģ", "ç´ ļ", "ç¶ĵ æ¿Ł", "çĬ¶ æĢģ", "çĶŁ äº§",
+  "çĻ» éĮ", "çĻ»éĮ Ħ", "çŃī ç´ļ", "è§ Ħ", "è§Ħ å®ļ", "è¿ĺ æĺ¯", "è¿Ļ æł·", "éĢ ī", "éĢī æĭ",
+  "éĤ£ ä¹Ī", "éĤĦ æľī", "éĽ» å½±", "ĊĊĉĉ ĠĠĠĠ", "Ġ X", "Ġ Ñħ", "ĠA s", "ĠB rowser",
+  "ĠConversation Optimizer", "ĠO r", "ĠO utput", "ĠO ver", "ĠOn ly", "ĠRe quest", "ĠW eek", "Ġali as",
+  "Ġb et", "Ġb ur", "Ġc ause", "Ġc ertain", "Ġc o", "Ġch o", "Ġcontain ed", "Ġdur ing", "Ġf etch",
+  "Ġh o", "Ġimport ed", "Ġinitial ize", "Ġparam s", "Ġpro ble", "Ġrem ove", "Ġrequ ire", "Ġs aved",
+  "Ġs ou", "Ġtotal Count", "Ġwr itten", "Ġwr ong", "ĠÎ± ÏĢÎ¿", "ĠÏĩ ÏģÎ·ÏĥÎ¹Î¼Î¿ÏĢÎ¿", "Ġ×¦ ×ķ×",
+  "ĠØ µ", "ĠØ§ÙĦ Øª", "ĠØ§ÙĦ Ø³", "Ħ à¸°", "ĳ× §", "B ranch", "G ener", "Object URL", "Result s",
+  "U L", "^ ^", "allow ed", "an te", "b reak", "c es", "c md", "c opyright", "ch en", "com m", "d ig",
+  "e val", "en ÃŃ", "f ollow", "for ce", "h l", "i o", "ir ÉĻ", "irÉĻ m", "li ed", "m Client",
+  "m ost", "max Tokens", "or re", "param s", "paramet ers", "permiss ions", "s ave", "text area",
+  "tim eline", "tool Executor", "tr ue", "us ed", "y o", "« à¸¢", "¯ ä»¶", "ÉĻy irÉĻm", "ÎŃ Î»",
+  "ÏĥÏĦ Î®ÏĤ", "Ñı ÑĤÑĮ", "Õ¡Õ ¦", "Ùĩ Ùħ", "à¦¾ à¦Ĥ", "à¦ķ à¦°", "à§ĭ à¦ģ", "à¸¡ à¸ľ", "à¸¡à¹ĥ à¸ª",
+  "à¸£ à¸ĩà¸ª", "à¸§à¸ĩ à¹ĥ", "à¸²à¸§ à¹Ģà¸Ī", "à¸²à¸§ à¹Ģà¸Ĺ", "à¸²à¸ĩà¸ģ à¸²à¸¢", "à¸¸ à¹Ĭ",
+  "à¸ģà¸¥à¸²à¸ĩ à¸Ħ", "à¸Ĭ à¸°à¸Ļ", "à¸ĭ à¸ļ", "à¸Ļ à¸Ĥ", "à¸Ł à¸ĭ", "à¸Ń à¹Ģà¸Ńà¸ª", "à¸Ńà¸ĩ à¹Ģà¸£",
+  "à¸Ńà¹Ĥ à¸Ńà¹Ģà¸Ńà¸ª", "à¹Ģà¸ Ł", "à¹Ģà¸¡ à¸¥", "à¹Ģà¸Ħ à¹Ģà¸Ń", "à¹Ģà¸Ħà¹Ģà¸Ń à¸Łà¸ĭ",
+  "à¹Ģà¸Ł à¸ĭà¸ļ", "à¹ģà¸ Ħà¸°", "à¹ģà¸ ĸ", "à¹ģà¸ģà¸ °", "à¹ģà¸ĸ à¸ļ", "à¹Ĥ à¸ģ", "à¹Ĥ à¸ĩ",
+  "à¹Ĥ à¸ľà¸¥", "å¯Ĩ çł", "å¯Ĩçł ģ", "å¸Ĥ åł", "å¸Ĥåł ´", "å¼Ģ åıĳ", "åĨħ å®¹", "åĩº çİ°", "åĲĦ ç¨®",
+  "åĲįç¨ ±", "æµ ıè§Ī", "æķ¸ æĵļ", "æľī éĹľ", "æľį åĬ¡", "ç ĩ", "ç®Ģ ä»ĭ", "ç¶² ç«Ļ", "ç¶ĵ çĩ",
+  "ç¶ĵçĩ Ł", "ç½ĳ ç«Ļ", "çĻ» å½", "çĻ¼ å¸ĥ", "çĽ¸ éĹľ", "èµĦ æĸĻ", "è½ ¯ä»¶", "è¿Ľ è¡Į", "èģ Ķ",
+  "èģĶ ç³»", "éĢīæĭ ©", "éģĭ è¡Į", "éł ħ", "éłħ çĽ®", "Ġ ---", "ĠA I", "ĠB ram", "ĠComple te",
+  "ĠD OM", "ĠD i", "ĠFor mat", "ĠM ethod", "ĠM od", "ĠR ef", "ĠR es", "ĠTool Analyzer", "Ġact ive",
+  "Ġconsid ered", "Ġcont roller", "Ġcreate Provider", "Ġenc oding", "Ġf all", "Ġh ash",
+  "Ġhighlight ing", "Ġim m", "Ġinv ok", "Ġiter able", "Ġiter ator", "Ġk ar", "Ġk ind", "Ġk on",
+  "Ġkeyword s", "Ġl am", "Ġmark s", "Ġon Chunk", "Ġoperator s", "Ġprovid e", "Ġqu is", "Ġse hr",
+  "Ġser ver", "Ġsol id", "Ġst ores", "Ġtell s", "Ġv isual", "ĠÎ ¸", "ĠÎµ Îº", "Ġ× ª×¦×ĺ", "Ġ×ľ× ¤×",
+  "\", \"", "Com p", "GE MINI", "L ength", "O PFS", "O n", "O r", "P anel", "[ ];", "am a", "as k",
+  "at ur", "av ÉĻ", "by te", "c ursor", "d a", "d eleted", "del ta", "et o", "f l", "g ing",
+  "get History", "i Ã§ik", "ild iri", "ildiri b", "ilen ame", "ir d", "iv ely", "iy ÉĻ", "li j",
+  "no et", "nor l", "o ot", "old ing", "rand om", "s el", "se ction", "t ers", "u ages", "v es",
+  "wr ap", "¯ ç³»", "± åĳĬ", "Õ¥Õ ¼", "Ø °", "Ø§Ø± Øª", "ÙĪ Ø¹", "à¦ ·", "à¸¢à¸§ à¸°", "à¸¥ à¸²à¸Ļ",
+  "à¸¥ à¹Ģà¸¡", "à¸¥à¹Ģà¸¡ à¸ķà¸£", "à¸§ à¸Ī", "à¸ģà¸£ à¸Ķà¹Ħà¸«à¸¥à¸¢", "à¸ģà¸£à¸° à¸ĸà¸²à¸ĩ",
+  "à¸Ĭ à¹Ĥ", "à¸Ĭà¹Ĥ à¸¢", "à¸Ĺà¸§ à¸Ķ", "à¸Ńà¸¡ à¹Ģà¸ļ", "à¸Ńà¸ĩ à¸ļ", "à¹ģà¸ ĭ",
+  "à¹Ĥ à¸¥à¹Ģà¸¡à¸ķà¸£", "ä¸Ģ ç¨®", "å¿ħ éł", "å¿ħéł Ī", "åħ¨ åľĭ", "åħ© åĢĭ", "åĽł ä¸º", "åĽł çĤº",
+  "åł ±åĳĬ", "æĻĤ éĸĵ", "æĿ¥ æºĲ", "çµĦ ç¹Ķ", "ç¾İ åľĭ", "çĻ»å½ ķ", "è¡Į æ¥Ń", "è¨ ĺ", "è¨ĺ èĢħ",
+  "èģ ¯ç³»", "èĻ ķ", "èĻķ çĲĨ", "éĢĻ éº¼", "éĤ£ åĢĭ", "éļ» æľī", "éĽ ĸ", "éĽĸ çĦ¶", "Ġ? ?", "ĠAp pro",
+  "ĠD is", "ĠMAN UAL", "ĠMessage Entry", "ĠS KILL", "ĠS te", "ĠSt reaming", "ĠU SER", "ĠW rite",
+  "Ġar r", "Ġbeg in", "Ġcl ick", "Ġdec imal", "Ġes c", "Ġexplicit ly", "Ġfunction ality",
+  "Ġint elligent", "Ġk iÃ§ik", "Ġl ot", "Ġme aning", "Ġmen us", "Ġmod al", "Ġneg ative", "Ġon es",
+  "Ġon larÄ±n", "Ġprogram s", "Ġq oymaq", "Ġre place", "Ġrequ ires", "Ġs z", "Ġshow s", "Ġt rig",
+  "Ġterm in", "Ġthing s", "Ġun subscribe", "ĠÐ¸ Ð·", "ĠÕ ¤", "Ġ× §×¨×", "Ġ× ł×", "Ġà¦Ĩ à¦¸",
+  "ĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠĠ Ġ", "ľ ×ķ×¨×", ") </", "=\" ${", "Ar g", "DE L", "Inter face", "O ptions",
+  "Re pository", "T OOL", "UL T", "V ersion", "al le", "ant ed", "at ab", "av ing", "c ing",
+  "cont inue", "ed db", "er en", "get attr", "in sert", "k on", "m a", "m apping", "ou ps", "p ow",
+  "pro gram", "pur ple", "re g", "se quence", "t arget", "t re", "v ailable", "vim rc", "wh en",
+  "y u", "} .", "¡ æ³ķ", "ÐµÐ ¿", "Õ µ", "Õ¡ÖĢÕ ¤", "Õ« ÖĦ", "×ķ×¨× §", "Ø¯ ÙĬ", "Ø² Ø±", "ÙĨ Ø³",
+  "à¸¢ à¸ļ", "à¸«à¸¡ à¸Ķ", "à¸° à¹Ģà¸Ĥ", "à¸Ń à¸°", "à¸Ńà¸ļ à¸Ń", "à¸Ńà¹Ģà¸Ĺ à¸¨", "à¹Ģà¸¢ à¸Ńà¸°",
+  "à¹Ģà¸ŀ à¸£à¸²à¸", "à¹ģà¸¥ à¸°", "à¹ģà¸ª à¸ĩ", "à¹Ĥ à¸£à¸ĩà¸ª", "à¹ĥ à¸«à¸¡", "ä¸» é¢ĺ", "ä¸ļ åĬ¡",
+  "ä»Ģ ä¹Ī", "ä½ľ çĤº", "åĢĭ äºº", "åĩĨ å¤ĩ", "åĬ ĥ", "åİ Ĩ", "åİĨ åı²", "åĽ½ å®¶", "æĥħ æ³ģ",
+  "æĦŁ è§ī", "ç²¾ è", "ç²¾è ı", "ç²¾èı ¯", "ç»ı èĲ", "ç»ıèĲ ¥", "çĦ ¡æ³ķ", "çı¾ åľ¨", "è¨Ī åĬĥ",
+  "è®¾ è®¡", "è» Ł", "è»Ł é«", "è¿ĺ æľī", "è¿Ļ éĩ", "è¿Ļéĩ Į", "èħ ¦", "éĢļ è¿ĩ", "éĽ» èħ¦",
+  "ĊĠĠĠĠĠĠĠĠĠĠĠĠ ĊĠĠĠĠĠĠĠĠĠĠĠ", "Ġ Y", "ĠE n", "ĠHow ever", "ĠT yp", "ĠThe y", "ĠValid ate",
+  "Ġact ual", "Ġd ro", "Ġd ÉĻn", "Ġdescri bed", "Ġexact ly", "Ġf low", "Ġf uture", "Ġg en", "Ġh ard",
+  "Ġinter face", "Ġist ÉĻyirÉĻm", "Ġk om", "Ġm o", "Ġp an", "Ġpar sed", "Ġpre c", "Ġpropert y",
+  "Ġre try", "Ġrec ent", "Ġsc roll", "Ġt en", "Ġt ÉĻrÉĻfindÉĻn", "Ġy er", "į åĪĨ", "Ĺ ×ķ×", "ŀ× ĺ",
+  "- >", "=\" \">", "A ut", "H andshake", "RE S", "S u", "__ ()\".", "a ÅŁ", "ag ing", "am aq",
+  "append Message", "aÅŁ amaq", "check Permissions", "ge ther", "h ub", "ic on", "ild card", "n ie",
+  "or ange", "r ation", "ran sport", "ri ct", "v an", "ynam aq", "} ;", "« åĬ©", "® åĬ©", "Ã© s",
+  "Î¯ Î¶", "Ðº Ð¾", "Õ »", "×¨×Ļ× §×", "×Ļ ×ķ×", "Ø§Ùħ Øª", "Ø± Ø³", "ÙĪØ± ÙĪØ¨", "à¸£ à¸Ń",
+  "à¸£à¸° à¸¢", "à¸£à¸° à¹Ģà¸ļ", "à¸£à¸ĸ à¸ĸ", "à¸§à¸ĩà¹ĥ à¸¢", "à¸© à¸¢", "à¸²à¸ģà¸¥ à¸²à¸ĩ",
+  "à¸³ à¸«à¸§à¸²à¸Ļ", "à¸³ à¹Ģà¸ª", "à¸³à¹Ģà¸ª à¸¡", "à¸´ à¹ī", "à¸ģà¸ Ĥ", "à¸ģà¸£ à¸ĵ", "à¸Ħ à¸³à¸ª",
+  "à¸Ī à¸ģà¸£à¸£à¸¡", "à¸Ĳ à¸ļà¸²à¸¥", "à¸Ķ à¸²à¸Ļ", "à¸ķ à¸ķ", "à¸ļà¸Ńà¸ģ à¹ĥà¸ļ",
+  "à¸Ńà¸ĩ à¸«à¸§à¸²à¸Ļ", "à¹Ģà¸¢ à¸²à¸§", "à¹Ģà¸Ħ à¸¢", "à¹Ģà¸Ľ à¸¥", "à¹Ģà¸ŀ à¸Ķà¸²à¸Ļ",
+  "ãĥıãĥ³ãĥŀ ãĥ¼", "ä»ĭ ç´", "ä»ĭç´ ¹", "å®ŀ çİ°", "å¸ ®åĬ©", "å¹ «åĬ©", "åĲĮ æĹ¶", "æ³¨åĨ Į", "æī ĭ",
+  "æīĭ æľ", "æīĭæľ º", "æłĩ åĩĨ", "ç© įåĪĨ", "ç» ĵ", "ç»ĵ æŀľ", "è»Łé« Ķ", "è¼ ĥ", "éĢļ éģİ", "Ġ ÅĽ",
+  "Ġ Ñĩ", "Ġ* .", "ĠCh anged", "ĠD ays", "ĠM essages", "ĠN one", "ĠP review", "ĠPer formance",
+  "ĠR emove", "ĠSh ow", "ĠSt atus", "ĠTool Registry", "Ġab ort", "Ġb ar", "Ġcol on", "Ġcomm on",
+  "Ġdel iv", "Ġfail s", "Ġh it", "Ġinclud ing", "Ġindex es", "Ġlimit s", "Ġm uch", "Ġn Ã¶qtÉĻ",
+  "Ġoper and", "Ġp od", "Ġpri ority", "Ġpublish ed", "Ġr ather", "Ġre gist", "Ġsubscri b", "Ġt re",
+  "Ġupper case", "Ġv el", "Ġvolupt at", "ĠÎµÏĢ Î¹", "ĠÏĢÎµ ÏģÎ¹", "ĠÐ¸ Ð½", "Ġ×§×ķ× ķ×Ļ×", "Ġà¦ ¡",
+  "ľ× Ĳ×", "\" ',", "+------------------------------------------------ ------------+", "= /", "> `;",
+  "A B", "C reate", "Com ple", "In sert", "L imit", "Model Info", "O pen", "O ther", "Read y",
+  "St ream", "System Events", "U S", "U ser", "ang g", "app ed", "ared Worker", "as et", "atab ase",
+  "d iting", "dat aset", "ee ks", "error s", "g ed", "ht iy", "htiy ac", "ib ility", "iss en",
+  "m port", "n ormal", "p ing", "sk i", "t ag", "th en", "us ing", "° ¡", "¼ çº", "¼çº Į", "¿ Ĵ",
+  "Ã ª", "Î¿ ÏĤ", "Ð° Ð½Ð¸Ðµ", "Ð¸ Ð»", "×ķ× Ĵ×", "Ø§Ø Ń", "Ø¬ Ùĩ", "à¦ ĩ", "à¸£ à¸ªà¸Ĭà¸²à¸ķ",
+  "à¸§ à¸¢", "à¸§ à¸²à¸Ķ", "à¸ª à¸ĸ", "à¸« à¸²à¸ļ", "à¸³à¸ª à¸§à¸Ļ", "à¸Ĥ à¸łà¸²à¸ŀ",
+  "à¸Ħ à¸Ļà¸ķà¸²à¸¢", "à¸ĩ à¹Ħà¸¡", "à¸Ķ à¸²à¸§à¹Ģà¸Ĺ", "à¸ķà¸£ à¸§à¸Ī", "à¸ĺ à¸²à¸ķ", "à¸ļ à¹Ħà¸Ĥ",
+  "à¸Ľ à¹Ĥà¸łà¸Ħ", "à¹ģà¸ Ļ", "à¹Ħ à¸Ĭà¹Ĥà¸¢", "à¹Ħ à¸Ńà¹Ĥà¸Ńà¹Ģà¸Ńà¸ª", "ä¸Ģ åĢĭ", "å·² ç¶ĵ",
+  "åľĭ åħ§", "åŃ¸ ç", "åŃ¸ç ¿Ĵ", "æ¨Ļ åĩĨ", "æ¯Ķ è¼ĥ", "æİ¨è į", "æİ¨èį Ĳ", "æĵģ æľī", "æľī åħ³",
+  "ç °¡", "ç¹ ¼çºĮ", "éĢ² è¡Į", "éĢĻ äºĽ", "éĢĻ æ¨£", "ĊĊ ĉ", "Ġ );", "Ġ ..", "Ġ Ïħ", "Ġ ÑģÑĤ",
+  "Ġ\" #", "Ġ\" ${", "ĠAl so", "ĠB uf", "ĠB y", "ĠContext Builder", "ĠE nt", "ĠM ax", "ĠM ove",
+  "ĠT rue", "ĠTok en", "Ġannot ations", "Ġc ore", "Ġcont in", "Ġcontext Manager", "Ġd etail",
+  "Ġdisplay ed", "Ġg ive", "Ġhead ers", "Ġl ocation", "Ġle af", "Ġload s", "Ġlog Event", "Ġn a",
+  "Ġn at", "Ġn iyÉĻ", "Ġneed ed", "Ġres ponses", "Ġsem ant", "Ġsle ep", "Ġst icky", "Ġst ructure",
+  "Ġstart ing", "Ġt itle", "Ġtool Dispatcher", "Ġw er", "Ġy et", "Ġ{} ;", "ĠÉĻl avÉĻ", "ĠØ§ÙĦØ ®",
+  "( -", "A vailable", "H E", "Session s", "St r", "Wh at", "a que", "an is", "ap plication",
+  "ass ert", "ax Ä±n", "ch anis", "charact er", "def ine", "e j", "end re", "er ved", "et im",
+  "etim es", "evelop ment", "fr ontmatter", "gg le", "h ost", "im ate", "inst ance", "iz l", "izl ÉĻ",
+  "izlÉĻ mÉĻk", "k el", "k om", "n am", "n ames", "ny a", "on error", "oru ÅŁmaq", "pr imary",
+  "s ide", "s z", "select ed", "t ain", "und efined", "v ol", "z ad", "Ã¼ nya", "ÅŁ ÉĻk", "ÅŁÉĻk il",
+  "Î± ÏģÎ±", "Ð ¶", "Ð°Ñģ ÑĤÑĮ", "ÑĢÐ°Ð ¶", "Õ¥ ÖĢÕ", "Õ¸Õ ²Õ¡Õ¬", "Õ¸ÖĤ Õ½", "Õ¸ÖĤÕ ²",
+  "Õ¸ÖĤÕ½ Õ«Õ¶", "Ø§Ø¯ Ùĩ", "Ø§ÙĦ Ùħ", "Øª Ùħ", "Ø± Ùħ", "Ø¹ ÛĮ", "à¦ £", "à¦¼ à¦¿", "à¸ªà¸ķ à¸²",
+  "à¸ªà¸ĸ à¸²à¸Ļ", "à¸° à¹ģà¸Ļ", "à¸Ļ à¸ªà¸ķà¸²", "à¸ľ à¸ªà¸¡", "à¸Ń à¸ĺ", "à¹Ģà¸¢à¸²à¸§ à¸Ĭà¸Ļ",
+  "à¹Ģà¸Ħ à¸£", "à¹Ģà¸ŀà¸£à¸²à¸ °", "à¹Ģà¸Ńà¸ª à¸ĭ", "å¤ Ħ", "å¤Ħ çĲĨ", "åıĳ å±ķ", "åıĳ çİ°",
+  "ç°¡ ä»ĭ", "çĶµ èĦ", "çĶµèĦ ĳ", "èĥ½å¤ ł", "éĢĻ è£", "Ġ %", "Ġ Ð¾ÑĤ", "Ġ\" [", "ĠAPI s",
+  "ĠCom mand", "ĠG ener", "ĠMessage Handler", "ĠN ode", "ĠS u", "Ġclient Id", "Ġclient s",
+  "Ġclip board", "Ġdebug ger", "Ġdel ay", "Ġdisplay Name", "Ġexecut es", "Ġext ra", "Ġfail ure",
+  "Ġhighlight ed", "Ġl l", "Ġm ÉĻn", "Ġn etwork", "Ġp ang", "Ġqu ot", "Ġquick ly", "Ġrepl aced",
+  "Ġrequest ed", "Ġrun Test", "Ġset up", "Ġt ur", "Ġtool Store", "Ġun less", "Ġw ays", "ĠÎ´ Î¹Î¿",
+  "ĠÏĢÎ± ÏģÎ±", "Ġ× §×", "Ġ×ĵ ×ķ×ľ", "ł ×ķ×", "+-------------------------------- -------+",
+  "----------- +------------------------------------------------------------+", "=\" ,", "> .", "C I",
+  "D elete", "L ast", "M etadata", "R ange", "S ID", "Subscri ptions", "ac ing", "and ae", "ang er",
+  "at en", "at i", "aut ocmd", "av ailable", "c o", "c ut", "ch t", "command s", "cr umb", "d irect",
+  "d one", "d ur", "exist s", "f alse", "file Store", "flo or", "i ores", "ik a", "im ation",
+  "ith ub", "l ock", "m ove", "ocument ation", "op en", "ou n", "provid ers", "provider Name", "r s",
+  "read crumb", "t ual", "wa Äĩ", "¢× Ŀ", "ª×Ļ× ¢×Ŀ", "Äħ d", "ÄĽ t", "ÉĻ st", "Î¼ÎŃ Î½", "Ïī ÏĤ",
+  "Ð°Ð½ Ð´", "Õ¡Õ ²", "Õ¡Õ¶ Õ¥Õ¬", "ÖĢÕ ½", "Ø¯ ÙĪÙĦ", "Ø± Ø©", "ÙĬ ÙĦ", "à¸ ¬", "à¸£à¸°à¸¢ à¸³",
+  "à¸£à¸ĸ à¸Ĺ", "à¸¥ à¸Ńà¸Ķ", "à¸¨ à¸²à¸¥", "à¸ªà¸¡ à¸Ńà¸ĩ", "à¸« à¸²à¸¡", "à¸« à¸Ńà¸¢", "à¸µà¹Ī ãĢĤ",
+  "à¸ģ à¹Ģà¸£", "à¸ģà¸ĩ à¸²à¸Ļ", "à¸Ħà¸§ à¸²à¸¡", "à¸ĭ à¸Ńà¸¢", "à¸ļ à¸²à¸Ķ", "à¸ŀà¸¢ à¸²à¸ĺ",
+  "à¸Ń à¸¨", "à¹Ģà¸« à¸ķ", "à¹ģà¸ Ľ", "à¹ģà¸ģà¸£ à¸ĩ", "à¹ģà¸ĭ à¸ĩ", "à¹Ħà¸Ħ à¸¥", "ä¹ Ĳ", "äºº åĳĺ",
+  "å½ĵ çĦ¶", "æĻĤ åĢĻ", "ç¤¾ åĮº", "çĶµ è¯Ŀ", "è§ī å¾Ĺ", "èµĦ æºĲ", "éŁ³ ä¹Ĳ", "ĠAr chitecture",
+  "ĠS andbox", "ĠS chema", "ĠS elect", "ĠS ince", "ĠU sage", "Ġb ildirib", "Ġbur ada", "Ġc ache",
+  "Ġcol lect", "Ġd ays", "Ġd iff", "Ġdet ect", "Ġdolor em", "Ġevalu ation", "Ġh ava", "Ġhar ada",
+  "Ġht tp", "Ġim med", "Ġinclud es", "Ġinvok ed", "Ġist i", "Ġl a", "Ġle ast", "Ġlet ter", "Ġli k",
+  "Ġlist ed", "Ġm er", "Ġmod ules", "Ġn av", "Ġnec ess", "Ġo ynamaq", "Ġp iec", "Ġp ub", "Ġpo inter",
+  "Ġpre ced", "Ġprompt Builder", "Ġresult ing", "Ġsort ed", "Ġst atistics", "Ġst y", "Ġsubscrib ers",
+  "Ġsupport ed", "Ġt able", "Ġt il", "Ġtr aceback", "Ġwork flow", "Ġy aÅŁamaq", "ĠÃ¼ Ã§", "ĠÎµ ÏĨÎ±",
+  "ĠÏĢ Î¿", "ĠÕ° Õ«Õ¶", "ĠÕ± Õ¸ÖĤ", "ĠØ ·", "ĠØ¨ Ùĩ", "+---------------- -------+",
+  "+-------------------------------- +----------------------------------",
+  "+--------------------------------+---------------------------------- +-----------------------+",
+  "= |", "At tribute", "Execution Record", "P O", "P db", "S k", "Th en", "Typ es", "[] >;", "ab c",
+  "al i", "ant ium", "ap at", "ap s", "e gr", "ess en", "ff ect", "i am", "ific ations", "in ary",
+  "iter able", "ites pace", "low er", "m p", "or g", "p end", "pr int", "pri ate", "qu ire", "su ch",
+  "t ta", "up per", "ur maq", "ver age", "yth ing", "z ie", "ÃŃ t", "ÉĻ tta", "Î» Îµ", "Î¼ Îµ",
+  "ÏĦ Î®", "ÑģÑĤÐ² Ð¾", "Õ« ÖĢ", "Ø§ÙĨ Ùĩ", "à¦ Ĩ", "à¸¥ à¸Ńà¸ĩ", "à¸©à¸Ĳ à¸²à¸Ļ", "à¸Ħ à¸£",
+  "à¸Ħ à¸ļ", "à¸Ķ à¸³", "à¸ķ à¸³à¸¥", "à¸ĸ à¸ģà¹Ģà¸ĸ", "à¸Ĺà¸Ńà¸Ķ à¸¡", "à¸Ļà¸ªà¸ķà¸² à¹ģà¸ģà¸£à¸¡",
+  "à¸Ńà¸¡ à¸¡", "à¹Ģà¸¡ à¸ķà¸ķ", "à¹ģà¸ «à¸¢", "à¹ģà¸Ľ à¸£", "âĶĢâĶĢ âĶ", "ä¸ ľ", "ä¸ľ è¥¿", "å¸Ĥ åľ",
+  "å¸Ĥåľ º", "å¿ħ é¡", "å¿ħé¡ »", "åıĳ çĶŁ", "åĲĦ ç§į", "çĶ± æĸ¼", "éĢĻè£ ¡", "ĊĠĠĠĠĠĠĠĠĠĠĠĠ ĠĠĠĠ",
+  "Ġ Key", "Ġ ÅŁÉĻkil", "Ġ ĊĠĠĠĠĠĠĠ", "Ġ/ *", "ĠE ach", "ĠL it", "ĠSt ring", "Ġal tern", "Ġb ig",
+  "Ġcall back", "Ġd ep", "Ġdele tes", "Ġdepend s", "Ġdirect ories", "Ġe ase", "Ġe htiyac", "Ġext end",
+  "Ġforward Events", "Ġgr oups", "Ġhapp en", "Ġk al", "Ġk imi", "Ġlang uages", "Ġlocal Storage",
+  "Ġmax OutputTokens", "Ġmention ed", "Ġn one", "Ġneg oti", "Ġp ot", "Ġpara graph", "Ġparent hes",
+  "Ġr ules", "Ġsearch es", "Ġsuccessful ly", "Ġw o", "ĠÃ º", "ĠÐ¿ Ð¾Ð»", "ĠÕ «", "ĠÕ¯ Õ«Õ¶",
+  "Ġ× ĳ×¨×", "Ġ×©× ¢", "Ġ×ľ× ŀ×¨×", "Ġà¦ĩ à¦¸", "ī à¸¢", "\" \"", "(' /", ") *", "** *", "++ );",
+  "/ `)", "> ,", "A ME", "C K", "D irectory", "Def ault", "Inst ruction", "L eft", "M emory", "Pl ug",
+  "V E", "al Ä±", "alle e", "alÄ± ÅŁmaq", "ans Ä±", "ateg ory", "c wd", "cont roller", "eder ation",
+  "el low", "er efore", "et ur", "ev ed", "f etch", "f inish", "flo at", "force ment",
+  "forward Events", "h ed", "handle Message", "i ent", "list Models", "my project", "n ost", "net rw",
+  "ng Ã¼l", "nor em", "ov Ã½", "p alette", "p ly", "part s", "r est", "ry pt", "s ame", "s in",
+  "sh ell", "tool Registry", "ut or", "¢ ×¨×Ļ×", "¢ ×Ļ×ĺ", "¢×¨×Ļ× ¨", "Ã¦ l", "Ã§ alÄ±ÅŁmaq", "Ã¸ d",
+  "Î½ ÎŃ", "ÏĥÏĦ Îµ", "Ð¸ Ðº", "Ð¸ÑĤÑĮ ÑģÑı", "Õ¸ÖĤÕ Ń", "Øª ØŃ", "ÙģØ± ÙĨØ³", "ÙĪ Ø§ÙĨ", "à¦° à¦®",
+  "à§ĩ .", "à¸ Ŀ", "à¸£ à¸©à¸Ĳ", "à¸£à¸©à¸Ĳ à¸ģ", "à¸¨à¸²à¸¥ à¸²à¸ģà¸¥à¸²à¸ĩ", "à¸²à¸ª à¸ķà¸£",
+  "à¸³ à¹Ģà¸¢", "à¸Ĥ à¸²à¸Ķà¹Ģà¸Ħ", "à¸Ħ à¸¥à¸²à¸Ļ", "à¸Ħ à¸°à¹ģà¸Ļ", "à¸Ħ à¸Ļà¹Ħà¸Ĥ", "à¸Ĭ à¸²à¸ĺ",
+  "à¸Ķ à¸Ńà¸ĩ", "à¸ļ à¸¥", "à¸Ľ à¹Ħà¸ķ", "à¸Ńà¸¨ à¸ģà¸£", "à¸Ńà¸Ļ à¸«à¸§à¸²à¸Ļ",
+  "à¹Ģà¸¨ à¸£à¸©à¸Ĳà¸ģ", "à¹ģà¸¡ à¸Ħ", "à¹Ĥ à¸ģà¸ĩ", "à¹Ħ à¸«à¸Ļ", "åıª æĺ¯", "æĸ° èģ", "æĸ°èģ ŀ",
+  "Ġ Name", "Ġ quest", "Ġ ÙĬ", "Ġ\" (", "Ġ\" **", "Ġ\" ,", "Ġ\" @", "ĠA S", "ĠA t", "ĠB lob",
+  "ĠBo olean", "ĠBridge RPC", "ĠE ng", "ĠFile Store", "ĠM O", "ĠN ew", "ĠP ermission", "ĠS c",
+  "Ġa kt", "Ġagain st", "Ġan a", "Ġb ag", "Ġb asic", "Ġb ottom", "Ġc ases", "Ġc wd", "Ġc Ã¼r",
+  "Ġcom bin", "Ġcom es", "Ġcomp are", "Ġconse qu", "Ġd Ã¼nya", "Ġdem ÉĻk", "Ġet di", "Ġf ac",
+  "Ġfl ags", "Ġglobal s", "Ġinst ructions", "Ġint rodu", "Ġl ess", "Ġlower case", "Ġm at", "Ġn ie",
+  "Ġn odes", "Ġno thing", "Ġp ow", "Ġparent Id", "Ġpre vent", "Ġpress ing", "Ġq urmaq", "Ġrecord s",
+  "Ġrun All", "Ġsend er", "Ġspec ifies", "Ġt e", "Ġtrans action", "Ġund ers", "Ġv is", "Ġy axÄ±n",
+  "Ġyield s", "ĠÐº Ð¾Ð¼", "ĠÕ¡Õ ´", "ĠÕ¬ Õ¸Õ²Õ¡Õ¬", "ĠÕ¯ Õ¡Õ¶", "ĠÙĦ ÙĦ", "ĠÙħ Ø´", "ĠÙĪ ÙĤ", "Ġà¦ Ŀ",
+  "Ġà¦¬ à¦¦", "ĠâĢ ĺ", "ĠĠĠĠĠĠĠĠ ĠĠĠĠĠĠĠ", "Ī æ¥Ń", "ĳ× Ł", "Ľ× ¢×Ļ×ĺ", "ł×ķ× ¥", "! '", "\" /",
+  "). __", "/ ^", "? ,", "A ct", "E W", "Event Catalog", "H ER", "M S", "Mod al", "Node Id", "OM P",
+  "ON E", "S uppose", "ad ing", "am ily", "an ie", "an not", "arg in", "c le", "ce ptions", "ch od",
+  "cl a", "er ing", "et ers", "f our", "get ContextWindow", "h ome", "i ew", "i red", "iddle ware",
+  "index eddb", "iss ÉĻ", "l ig", "l imit", "lij k", "mod ified", "n it", "orre ct",
+  "querySelector All", "r ain", "re pr", "runtime path", "start s", "token Count", "tool Analyzer",
+  "u ff", "ul a", "v ari", "v at", "~ /.", "¢× ł", "¢×ł ×Ļ×ĳ", "ª×ľ× ĳ×¨×", "ª×ľ×ĳ×¨× ķ", "Ã¡ nÃŃ",
+  "Î± Î»", "Î² Î¬", "Î´ Î¹Î¿", "Î¸ Î·", "Î¼ Î·", "Ïģ Ïī", "Ïģ Ïİ", "ÏĥÏĦ Ïħ", "ÏĥÏĦÏħ Ïĩ", "ÏĦ Î·",
+  "Ïħ ÏĥÏĦÏħÏĩ", "Ð°Ð ±", "Ð¸ Ð¼", "Ñĭ Ð½", "Ñı ÑĤ", "Õ½ Õ¥Õ¬", "ÖĢÕ ®", "×ķ× ¢×ł×Ļ×ĳ", "Ø ¸",
+  "Øª Ø±", "à¦ Ľ", "à¸¡à¸Ļ à¸²à¸Ħà¸¡", "à¸ªà¸¡ à¸²à¸Ħà¸¡", "à¸ªà¸ļ à¸ģà¸²à¸£", "à¸ªà¸ļà¸ģà¸²à¸£ à¸ĵ",
+  "à¸²à¸ Ĥ", "à¸Ī à¸²à¸ģ", "à¸Ĭà¸²à¸§ à¸Ļ", "à¸Ĺ à¸«à¸²à¸£", "à¸Ĺ à¸²à¸Ļ", "à¸Ļ à¸ģ", "à¸Ńà¸ĩ à¸Ħ",
+  "à¹Ģà¸ īà¸¢", "à¹Ģà¸¥ à¹ģà¸ģà¸£à¸¡", "å° Īæ¥Ń", "å½ĵ åīį", "é¡ŀ åŀĭ", "ĉĉĉĉ ĠĠ", "Ġ izlÉĻmÉĻk",
+  "Ġ\" *\"", "ĠF eatures", "ĠGemini Provider", "ĠModel Registry", "ĠO per", "ĠP attern",
+  "ĠPrompt Builder", "ĠS o", "ĠS uppose", "ĠSe arch", "ĠVer ify", "Ġadd ing", "Ġar bit", "Ġat a",
+  "Ġb ind", "Ġc alculate", "Ġc are", "Ġc um", "Ġcom prehens", "Ġcomput er", "Ġcurrent ly", "Ġd om",
+  "Ġdec l", "Ġend point", "Ġend s", "Ġh ÉĻtta", "Ġhapp ens", "Ġimm utable", "Ġinte gers",
+  "Ġme chanis", "Ġmol est", "Ġoptimiz ed", "Ġoverrid e", "Ġpass ing", "Ġper form", "Ġpers on",
+  "Ġpop up", "Ġqu yu", "Ġre view", "Ġsk ip", "Ġsubscription Id", "Ġt w", "Ġtrig ger", "Ġup dated",
+  "Ġvers ions", "ĠÎ¼ Î·", "ĠÕ ¡", "ĠÕ¯ Õ¥Õ²", "Ġ×ķ× ķ×", "ĠØ§ÙĦ Ø¹", "ĠÙģ Ø±", "Ġà¦ ¨", "Ġà¦Ĩ à¦²",
+  "ĠâĨ Ĵ", "Ķ× ©×", ") ).", "+---------------- ------------", "+---------------------------------- +",
+  "- '", "........ ........", "> ${", "AN D", "AS M", "Attribute Error", "B S"
+];
@@ -0,0 +1,8 @@
+/**
+ * Usage Store - Token usage ledger, cost and budgets
+ * @module @aardvark/usage-store
+ */
+
+export { UsageStore, sumUsage, usageDay } from './usage-store.js';
+
+export { default } from './usage-store.js';
@@ -0,0 +1,381 @@
+/**
+ * Usage Store - Token usage ledger, cost and budgets
+ * Records the usage of every LLM request against its session, node, provider
+ * and model, prices it from the model registry, and refuses requests once a
+ * session or daily budget is spent.
+ */
+
+import { EventBus } from '../../../core/event-bus/src/index.js';
+import { IndexedDBProvider } from '../../../core/indexeddb-provider/src/index.js';
+import { ModelRegistry, normalizeUsage, calculateCost } from '../../../core/api-client/src/index.js';
+
+/**
+ * @typedef {Object} UsageEntry
+ * @property {string} entryId - Unique entry ID
+ * @property {string|null} sessionId - Session the request belongs to
+ * @property {string|null} nodeId - Node ID in session tree
+ * @property {string} provider - Provider that answered
+ * @property {string} model - Model that answered
+ * @property {number} prompt - Input tokens
+ * @property {number} completion - Output tokens
+ * @property {number} total - All tokens
+ * @property {number} cost - USD; 0 when the model has no known price
+ * @property {string} day - Local date, YYYY-MM-DD
+ * @property {number} recordedAt - Timestamp
+ */
+
+/**
+ * @typedef {Object} UsageInput
+ * @property {string} [sessionId]
+ * @property {string} [nodeId]
+ * @property {string} provider
+ * @property {string} model
+ * @property {Object} usage - Token counts in any shape normalizeUsage reads
+ */
+
+/**
+ * @typedef {Object} UsageTotals
+ * @property {number} requests
+ * @property {number} prompt
+ * @property {number} completion
+ * @property {number} total
+ * @property {number} cost
+ */
+
+/**
+ * @typedef {Object} UsageFilter
+ * @property {string} [sessionId]
+ * @property {string} [nodeId]
+ * @property {string} [provider]
+ * @property {string} [model]
+ * @property {string} [day]
+ * @property {number} [from]
+ * @property {number} [to]
+ */
+
+/**
+ * Limits per scope; either or both may be set
+ * @typedef {Object} Budgets
+ * @property {{cost?: number, tokens?: number}} [session] - Per session, in USD and tokens
+ * @property {{cost?: number, tokens?: number}} [daily] - Per local day, across sessions
+ */
+
+/**
+ * @typedef {Object} BudgetStatus
+ * @property {number} cost - Spent so far, USD
+ * @property {number} tokens - Spent so far
+ * @property {{cost?: number, tokens?: number}} limit
+ * @property {boolean} exceeded
+ */
+
+const SCOPES = ['session', 'daily'];
+
+/**
+ * Local date of a timestamp as YYYY-MM-DD
+ * @param {number} [timestamp]
+ * @returns {string}
+ */
+export function usageDay(timestamp = Date.now()) {
+  const date = new Date(timestamp);
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Add up entries
+ * @param {UsageEntry[]} entries
+ * @returns {UsageTotals}
+ */
+export function sumUsage(entries) {
+  return entries.reduce(addUsage, { requests: 0, prompt: 0, completion: 0, total: 0, cost: 0 });
+}
+
+function addUsage(totals, entry) {
+  return {
+    requests: totals.requests + 1,
+    prompt: totals.prompt + entry.prompt,
+    completion: totals.completion + entry.completion,
+    total: totals.total + entry.total,
+    cost: totals.cost + entry.cost
+  };
+}
+
+export class UsageStore {
+  /**
+   * @param {Object} options
+   * @param {EventBus} [options.eventBus] - EventBus for publishing events
+   * @param {IndexedDBProvider} [options.db] - IndexedDB provider
+   * @param {ModelRegistry} [options.modelRegistry] - Where model prices are looked up
+   * @param {Budgets} [options.budgets] - Limits that checkBudget enforces
+   */
+  constructor(options = {}) {
+    this.eventBus = options.eventBus || new EventBus();
+    this.db = options.db || new IndexedDBProvider('aardvark-usage', 1);
+    this.modelRegistry = options.modelRegistry || new ModelRegistry();
+    this.budgets = options.budgets || {};
+    // Running totals per scope key, loaded from the database on first use
+    this.totals = new Map();
+    this.initialized = false;
+  }
+
+  /**
+   * Initialize the usage store
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    if (this.initialized) return;
+
+    await this.db.initialize([
+      {
+        name: 'usage',
+        keyPath: 'entryId',
+        indexes: [
+          { name: 'sessionId', keyPath: 'sessionId' },
+          { name: 'day', keyPath: 'day' },
+          { name: 'provider', keyPath: 'provider' },
+          { name: 'model', keyPath: 'model' },
+          { name: 'recordedAt', keyPath: 'recordedAt' }
+        ]
+      }
+    ]);
+
+    this.initialized = true;
+  }
+
+  // --- Recording ---
+
+  /**
+   * Record the usage of one request
+   * @param {UsageInput} input
+   * @returns {Promise<UsageEntry>}
+   */
+  async record(input) {
+    const usage = normalizeUsage(input.usage);
+    const recordedAt = Date.now();
+    const entry = {
+      entryId: crypto.randomUUID(),
+      sessionId: input.sessionId || null,
+      nodeId: input.nodeId || null,
+      provider: input.provider,
+      model: input.model,
+      ...usage,
+      cost: calculateCost(usage, this.modelRegistry.getModel(input.model)?.pricing),
+      day: usageDay(recordedAt),
+      recordedAt
+    };
+
+    // Budgets that were still open before this request
+    const open = await this._openScopes(entry.sessionId);
+
+    await this.db.add('usage', entry);
+    for (const key of [this._key('session', entry.sessionId), this._key('daily', entry.day)]) {
+      if (this.totals.has(key)) {
+        this.totals.set(key, addUsage(this.totals.get(key), entry));
+      }
+    }
+
+    this.eventBus.publish('usage:recorded', {
+      entryId: entry.entryId,
+      sessionId: entry.sessionId,
+      nodeId: entry.nodeId,
+      provider: entry.provider,
+      model: entry.model,
+      usage,
+      cost: entry.cost
+    });
+
+    const status = await this.getBudgetStatus(entry.sessionId);
+    for (const scope of open) {
+      if (status[scope].exceeded) {
+        this.eventBus.publish('usage:budget-exceeded', { scope, sessionId: entry.sessionId, ...status[scope] });
+      }
+    }
+
+    return entry;
+  }
+
+  // --- Querying ---
+
+  /**
+   * Entries matching a filter, oldest first
+   * @param {UsageFilter} [filter]
+   * @returns {Promise<UsageEntry[]>}
+   */
+  async getEntries(filter = {}) {
+    let entries = filter.sessionId
+      ? await this.db.query('usage', 'sessionId', filter.sessionId)
+      : await this.db.getAll('usage');
+
+    for (const field of ['nodeId', 'provider', 'model', 'day']) {
+      if (filter[field]) {
+        entries = entries.filter(entry => entry[field] === filter[field]);
+      }
+    }
+    if (filter.from) {
+      entries = entries.filter(entry => entry.recordedAt >= filter.from);
+    }
+    if (filter.to) {
+      entries = entries.filter(entry => entry.recordedAt <= filter.to);
+    }
+
+    return entries.sort((a, b) => a.recordedAt - b.recordedAt);
+  }
+
+  /**
+   * Tokens and cost of the entries matching a filter
+   * @param {UsageFilter} [filter]
+   * @returns {Promise<UsageTotals>}
+   */
+  async getTotals(filter = {}) {
+    return sumUsage(await this.getEntries(filter));
+  }
+
+  /**
+   * Totals grouped by one attribute
+   * @param {'sessionId'|'nodeId'|'provider'|'model'|'day'} field
+   * @param {UsageFilter} [filter]
+   * @returns {Promise<Array<UsageTotals & {key: string|null}>>} Most expensive first
+   */
+  async getBreakdown(field, filter = {}) {
+    const groups = new Map();
+    for (const entry of await this.getEntries(filter)) {
+      const key = entry[field] ?? null;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(entry);
+    }
+    return [...groups]
+      .map(([key, entries]) => ({ key, ...sumUsage(entries) }))
+      .sort((a, b) => b.cost - a.cost || b.total - a.total);
+  }
+
+  // --- Budgets ---
+
+  /**
+   * Replace the budgets
+   * @param {Budgets} budgets
+   */
+  setBudgets(budgets = {}) {
+    this.budgets = budgets;
+  }
+
+  /**
+   * @returns {Budgets}
+   */
+  getBudgets() {
+    return this.budgets;
+  }
+
+  /**
+   * Spending against the session and daily budgets
+   * @param {string} [sessionId]
+   * @returns {Promise<{session: BudgetStatus, daily: BudgetStatus}>}
+   */
+  async getBudgetStatus(sessionId) {
+    const status = {};
+    for (const scope of SCOPES) {
+      const totals = await this._scopeTotals(scope, scope === 'session' ? sessionId || null : usageDay());
+      const limit = this.budgets[scope] || {};
+      status[scope] = {
+        cost: totals.cost,
+        tokens: totals.total,
+        limit,
+        exceeded: (limit.cost > 0 && totals.cost >= limit.cost) || (limit.tokens > 0 && totals.total >= limit.tokens)
+      };
+    }
+    return status;
+  }
+
+  /**
+   * Throw if the session's or today's budget is spent. Called before each request.
+   * @param {string} [sessionId]
+   * @returns {Promise<void>}
+   * @throws {Error} With `code` 'budget_exceeded', the `scope`, what was `spent` and the `limit`
+   */
+  async checkBudget(sessionId) {
+    const status = await this.getBudgetStatus(sessionId);
+    for (const scope of SCOPES) {
+      if (status[scope].exceeded) {
+        throw budgetExceededError(scope, status[scope]);
+      }
+    }
+  }
+
+  // --- Cleanup ---
+
+  /**
+   * Delete entries recorded before a timestamp
+   * @param {number} before
+   * @returns {Promise<number>} Number deleted
+   */
+  async deleteOldEntries(before) {
+    const old = (await this.db.getAll('usage')).filter(entry => entry.recordedAt < before);
+    for (const entry of old) {
+      await this.db.delete('usage', entry.entryId);
+    }
+    this.totals.clear();
+    return old.length;
+  }
+
+  /**
+   * Clear the ledger
+   * @returns {Promise<void>}
+   */
+  async clearUsage() {
+    await this.db.clear('usage');
+    this.totals.clear();
+  }
+
+  /**
+   * @private
+   */
+  _key(scope, value) {
+    return `${scope}:${value}`;
+  }
+
+  /**
+   * @private
+   */
+  async _scopeTotals(scope, value) {
+    const key = this._key(scope, value);
+    if (!this.totals.has(key)) {
+      const entries = scope === 'session'
+        ? await this.getEntries({ sessionId: value })
+        : await this.db.query('usage', 'day', value);
+      // Entries without a session share one bucket
+      this.totals.set(key, sumUsage(scope === 'session' && value === null
+        ? entries.filter(entry => entry.sessionId === null)
+        : entries));
+    }
+    return this.totals.get(key);
+  }
+
+  /**
+   * @private
+   */
+  async _openScopes(sessionId) {
+    const status = await this.getBudgetStatus(sessionId);
+    return SCOPES.filter(scope => !status[scope].exceeded);
+  }
+}
+
+/**
+ * @private
+ */
+function budgetExceededError(scope, status) {
+  const spent = status.limit.cost > 0 && status.cost >= status.limit.cost
+    ? { unit: 'cost', value: status.cost, limit: status.limit.cost }
+    : { unit: 'tokens', value: status.tokens, limit: status.limit.tokens };
+  const format = spent.unit === 'cost'
+    ? value => `$${value.toFixed(4)}`
+    : value => `${value} tokens`;
+
+  const error = new Error(`${scope === 'session' ? 'Session' : 'Daily'} budget of ${format(spent.limit)} exceeded (${format(spent.value)} spent)`);
+  error.code = 'budget_exceeded';
+  error.retryable = false;
+  error.scope = scope;
+  error.spent = spent.value;
+  error.limit = spent.limit;
+  return error;
+}
+
+export default UsageStore;
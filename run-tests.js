@@ -9,6 +9,9 @@ import http from 'http';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { createAnthropicMock } from './components/core/api-client/tests/mocks/anthropic-mock-server.js';
+import { createGeminiMock } from './components/core/api-client/tests/mocks/gemini-mock-server.js';
+import { createOpenAIMock } from './components/core/api-client/tests/mocks/openai-mock-server.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -20,8 +23,26 @@ const grepPattern = grepArg ? grepArg.split('=')[1] : (args.includes('--grep') ?
 // Test files to run
 const allTestFiles = [
   'components/core/api-client/tests/unit/api-client.spec.html',
+  'components/core/api-client/tests/unit/model-registry.spec.html',
+  'components/core/api-client/tests/unit/content-parts.spec.html',
+  'components/core/api-client/tests/unit/fallback-chain.spec.html',
+  'components/core/api-client/tests/unit/rate-limiter.spec.html',
+  'components/core/api-client/tests/unit/replay-provider.spec.html',
+  'components/core/api-client/tests/unit/structured-output.spec.html',
+  'components/core/api-client/tests/integration/anthropic-provider.spec.html',
+  'components/core/api-client/tests/integration/gemini-provider.spec.html',
+  'components/core/api-client/tests/integration/openai-provider.spec.html',
+  'components/core/tokenizer/tests/unit/tokenizer.spec.html',
   'components/core/message-bridge/tests/unit/message-bridge.spec.html',
+  'components/core/message-bridge/tests/unit/bridge-rpc.spec.html',
+  'components/core/message-bridge/tests/unit/payload-transport.spec.html',
+  'components/core/message-bridge/tests/unit/handshake.spec.html',
+  'components/core/message-bridge/tests/integration/message-bridge-hub.spec.html',
   'components/core/event-bus/tests/unit/event-bus.spec.html',
+  'components/core/event-bus/tests/unit/event-catalog.spec.html',
+  'components/core/event-bus/tests/integration/event-bus-federation.spec.html',
+  'components/agent/agent-core/tests/unit/agent-core.spec.html',
+  'components/agent/agent-core/tests/unit/config.spec.html',
   'components/agent/agent-core/tests/unit/llm-client.spec.html',
   'components/agent/session-manager/tests/unit/models.spec.html',
   'components/agent/session-manager/tests/unit/session-tree.spec.html',
@@ -43,10 +64,18 @@ const testFiles = grepPattern
 
 const results = [];
 
-// Simple HTTP server to serve static files
+// Simple HTTP server to serve static files and mock LLM APIs
 function startServer(port) {
+  const mocks = [
+    createAnthropicMock({ prefix: '/__mock__/anthropic' }),
+    createGeminiMock({ prefix: '/__mock__/gemini' }),
+    createOpenAIMock({ prefix: '/__mock__/openai' })
+  ];
+
   return new Promise((resolve) => {
     const server = http.createServer((req, res) => {
+      if (mocks.some(mock => mock.handle(req, res))) return;
+
       let url = req.url === '/' ? 'www/tests/index.html' : req.url;
       if (url.startsWith('/')) url = url.slice(1);
       const filePath = path.join(__dirname, url);
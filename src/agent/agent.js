@@ -1,9 +1,12 @@
 // src/agent/agent.js - Agent instantiation and lifecycle management
-import { APIClient } from '../../components/core/api-client/src/index.js';
+import { APIClient, loadCassette } from '../../components/core/api-client/src/index.js';
+import { EventBus } from '../../components/core/event-bus/src/index.js';
+import { UsageStore } from '../../components/storage/usage-store/src/index.js';
 
 export class Agent {
   constructor() {
     this.apiClient = null;
+    this.usageStore = null;
     this.config = null;
     this.messageBridge = null;
   }
@@ -12,16 +15,45 @@ export class Agent {
     this.config = config;
     this.messageBridge = messageBridge;
 
-    this.apiClient = new APIClient();
-    await this.apiClient.initialize({
+    // Queue depth goes to the page while requests wait for the provider's rate limits
+    const eventBus = new EventBus();
+    eventBus.subscribe('api:queue', (status) => this.messageBridge.send('queue', status));
+
+    // Usage ledger; requests are refused once config.budgets ({ session, daily }) are spent
+    this.usageStore = new UsageStore({ eventBus, budgets: config.budgets });
+    try {
+      await this.usageStore.initialize();
+    } catch (error) {
+      console.warn('[Agent] Usage ledger unavailable:', error.message);
+      this.usageStore = null;
+    }
+
+    this.apiClient = new APIClient({ eventBus, usageStore: this.usageStore });
+    const providerConfig = {
       provider: config.provider || 'gemini',
       apiKey: config.apiKey,
-      model: config.model || 'gemini-2.5-flash',
+      // Unset: the provider's default model
+      model: config.model || undefined,
+      // e.g. a local OpenAI-compatible server
+      baseUrl: config.baseUrl || undefined,
       timeout: config.timeout || 30000,
-      retries: config.retries || 3
-    });
+      retries: config.retries || 3,
+      // Ordered provider configs to fail over to on rate limits and outages
+      fallbacks: config.fallbacks
+    };
+    // A cassette URL replays recorded responses instead, for offline testing
+    if (config.cassette) {
+      Object.assign(providerConfig, {
+        provider: 'replay',
+        cassette: await loadCassette(config.cassette),
+        match: 'lenient',
+        fallbacks: undefined
+      });
+    }
+    await this.apiClient.initialize(providerConfig);
   }
 
+  // message is a string or content parts with images and files
   async chat(message, sessionId) {
     try {
       console.log('[Agent] chat called with message:', message, 'sessionId:', sessionId);
@@ -30,7 +62,8 @@ export class Agent {
           messages: [{ role: 'user', content: message }],
           systemInstruction: this.config.systemInstruction || "You are a helpful AI assistant. Answer questions directly and factually.",
           temperature: this.config.temperature || 0.7,
-          maxTokens: this.config.maxTokens || 4096
+          maxTokens: this.config.maxTokens || 4096,
+          sessionId
         },
         (chunk) => {
           console.log('[Agent] Streaming chunk:', chunk);
@@ -49,7 +82,8 @@ export class Agent {
         content: '',
         sessionId,
         done: true,
-        usage: safeUsage
+        usage: safeUsage,
+        cost: await this._cost(response, sessionId)
       });
       return response;
     } catch (error) {
@@ -62,6 +96,13 @@ export class Agent {
     }
   }
 
+  // USD for this request and everything the session has spent so far
+  async _cost(response, sessionId) {
+    if (!this.usageStore) return undefined;
+    const { session } = await this.usageStore.getBudgetStatus(sessionId);
+    return { request: response?.cost || 0, session: session.cost };
+  }
+
   approveTool(toolId, approved) {
     // Placeholder for tool approval - will be implemented in Phase 3
     this.messageBridge.send('tool_result', {
@@ -1,4 +1,11 @@
 // src/agent/protocol.js - Message protocol definitions and validation
+
+// Chat text plus attachments ({ type: 'image' | 'file', source, name }) as message content
+export function chatContent({ message, attachments }) {
+  if (!attachments?.length) return message;
+  return [...(message ? [{ type: 'text', text: message }] : []), ...attachments];
+}
+
 export class Protocol {
   constructor(controller) {
     this.controller = controller;
@@ -31,7 +38,7 @@ export class Protocol {
       const { id, payload } = message;
       let response;
       try {
-        response = await this.controller.agent.chat(payload.message, payload.sessionId);
+        response = await this.controller.agent.chat(chatContent(payload), payload.sessionId);
       } catch (chatError) {
         // Log and forward chat errors
         console.error('[Protocol] agent.chat error:', chatError);
@@ -103,12 +110,12 @@ export class Protocol {
 
     switch (message.type) {
       case 'init':
-        if (!message.payload?.apiKey) {
-          throw new Error('Init message must include apiKey');
+        if (!message.payload?.apiKey && !message.payload?.cassette) {
+          throw new Error('Init message must include apiKey or cassette');
         }
         break;
       case 'chat':
-        if (!message.payload?.message || !message.payload?.sessionId) {
+        if ((!message.payload?.message && !message.payload?.attachments?.length) || !message.payload?.sessionId) {
           throw new Error('Chat message must include message and sessionId');
         }
         break;
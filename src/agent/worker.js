@@ -1,17 +1,24 @@
 // src/agent/worker.js - Worker entry point and message handling
-import { MessageBridgeWorker } from '../../components/core/message-bridge/src/index.js';
+import { MessageBridgeWorker, MessageBridgeHub } from '../../components/core/message-bridge/src/index.js';
 import { EventBus } from '../../components/core/event-bus/src/index.js';
 import { Agent } from './agent.js';
-import { Protocol } from './protocol.js';
+import { Protocol, chatContent } from './protocol.js';
 
 class WorkerController {
   constructor() {
     console.log('[WorkerController] Initializing...');
     this.eventBus = new EventBus();
-    this.messageBridge = new MessageBridgeWorker({
+    // Loaded as a SharedWorker, all connected tabs share this agent and see its events
+    this.isShared = typeof SharedWorkerGlobalScope !== 'undefined' && self instanceof SharedWorkerGlobalScope;
+    const Bridge = this.isShared ? MessageBridgeHub : MessageBridgeWorker;
+    this.messageBridge = new Bridge({
       eventBus: this.eventBus,
-      forwardEvents: ['step', 'tool_pending', 'tool_result', 'error', 'ready', 'response'],
-      receiveEvents: ['init', 'chat', 'approve_tool', 'load_repo']
+      forwardEvents: ['step', 'tool_pending', 'tool_result', 'error', 'ready', 'response', 'queue'],
+      receiveEvents: ['init', 'chat', 'approve_tool', 'load_repo'],
+      // Announced in the bridge handshake so the page can adapt its UI
+      providers: ['gemini', 'openai', 'anthropic'],
+      tools: [],
+      features: { preview: false }
     });
     this.agent = new Agent();
     this.protocol = new Protocol(this);
@@ -25,10 +32,22 @@ class WorkerController {
     this.eventBus.subscribe('approve_tool', (data) => { console.log('[WorkerController] eventBus received approve_tool:', data); this.protocol.handleApproveTool(data); });
     this.eventBus.subscribe('load_repo', (data) => { console.log('[WorkerController] eventBus received load_repo:', data); this.protocol.handleLoadRepo(data); });
 
+    // RPC methods for callers using bridge.call() instead of id/response events
+    this.messageBridge.handle('agent.init', async (config) => {
+      await this.agent.init(config, this.messageBridge);
+      return { success: true };
+    });
+    this.messageBridge.handle('agent.chat', ({ sessionId, ...payload }) => this.agent.chat(chatContent(payload), sessionId));
+
     // Start bridge
     this.messageBridge.start();
 
-    // Signal ready
+    // Signal ready; tabs joining a shared agent later get their own ready event
+    if (this.isShared) {
+      this.eventBus.subscribe('bridge:client-connected', ({ clientId }) => {
+        this.messageBridge.sendTo(clientId, 'ready', { toolCount: 0 });
+      });
+    }
     this.messageBridge.send('ready', { toolCount: 0 });
     console.log('[WorkerController] Ready sent');
   }
@@ -1,21 +1,39 @@
+import fs from 'fs';
 import { LLMClient } from '../components/agent/agent-core/src/llm-client.js';
+import { GeminiProvider, ReplayProvider } from '../components/core/api-client/src/index.js';
 import dotenv from 'dotenv';
 dotenv.config();
 
-const apiKey = process.env.GEMINI_API_KEY;
+const apiKey = process.env.GEMINI_API_KEY === 'YOUR_NEW_API_KEY_HERE' ? undefined : process.env.GEMINI_API_KEY;
 const model = process.env.GEMINI_MODEL || 'gemini-1.5-flash';
+// RECORD_CASSETTES=1 records the live answers into the cassette replayed when no API key is set
+const recording = process.env.RECORD_CASSETTES === '1';
+const cassetteFile = new URL('./fixtures/context-builder.cassette.json', import.meta.url);
 
-if (!apiKey || apiKey === 'YOUR_NEW_API_KEY_HERE') {
+if (recording && !apiKey) {
   console.error('ERROR: GEMINI_API_KEY not set or invalid.');
   console.error('Please get a new API key from: https://makersuite.google.com/app/apikey');
   console.error('Then update your .env file with: GEMINI_API_KEY=your_new_key_here');
   process.exit(1);
 }
 
+function createClient() {
+  if (recording) {
+    const target = new GeminiProvider({ apiKey, model, baseUrl: process.env.GEMINI_URL });
+    const cassette = { version: 1, name: 'context-builder', interactions: [] };
+    return new LLMClient({ provider: new ReplayProvider({ mode: 'record', target, cassette }) });
+  }
+  if (!apiKey) {
+    const cassette = JSON.parse(fs.readFileSync(cassetteFile, 'utf8'));
+    return new LLMClient({ provider: new ReplayProvider({ cassette, match: 'lenient' }) });
+  }
+  return new LLMClient({ apiKey, model });
+}
+
 async function testContextBuilder() {
-  const client = new LLMClient({ apiKey, model });
+  const client = createClient();
   try {
-    console.log('Testing Context Builder with key ending in:', apiKey.slice(-4));
+    console.log(apiKey ? `Testing Context Builder with key ending in: ${apiKey.slice(-4)}` : 'Testing Context Builder offline with the recorded cassette');
     const response = await client.chat({
       messages: [
         { role: 'user', content: 'Summarize: The quick brown fox jumps over the lazy dog.' }
@@ -27,6 +45,10 @@ async function testContextBuilder() {
     } else {
       console.error('Context Builder Test Failed:', response);
     }
+    if (recording) {
+      fs.writeFileSync(cassetteFile, JSON.stringify(client.provider.getCassette(), null, 2) + '\n');
+      console.log('Recorded', cassetteFile.pathname);
+    }
   } catch (error) {
     console.error('Context Builder Test Error:', error);
   }
@@ -1,6 +1,9 @@
 // Agent Workbench - Professional Developer Tool for Testing AI Agents
 // A VS Code/DevTools-inspired interface for Web Worker integration testing
 
+import { APIClient, ModelRegistry } from '../../../components/core/api-client/src/index.js';
+import { SettingsStore } from '../../../components/storage/settings-store/src/index.js';
+
 export class AgentWorkbench {
   constructor() {
     // State
@@ -17,12 +20,22 @@ export class AgentWorkbench {
     this.currentMode = 'chat';
     this.currentStreamingMessage = null;
     this.startTime = null;
+    // Images and files waiting to be sent with the next message
+    this.attachments = [];
+
+    // Model lists are cached in IndexedDB by the registry
+    this.settingsStore = new SettingsStore();
+    this.modelRegistry = new ModelRegistry({ settingsStore: this.settingsStore });
+    this.settingsReady = null;
     
     // DOM Elements cache
     this.elements = {};
   }
 
   init() {
+    this.settingsReady = this.settingsStore.initialize().catch(e => {
+      console.warn('Settings store unavailable, model lists will not be cached:', e);
+    });
     this.cacheElements();
     this.loadConfig();
     this.setupEventListeners();
@@ -35,12 +48,13 @@ export class AgentWorkbench {
   cacheElements() {
     const ids = [
       'emptyState', 'chatContainer', 'inputArea', 'messageInput', 'sendBtn',
+      'attachBtn', 'attachInput', 'attachmentList',
       'connectBtn', 'settingsBtn', 'connectionStatus', 'statusDot', 'statusText',
       'settingsModal', 'closeSettings', 'cancelSettings', 'saveSettings',
-      'modalApiKey', 'modalProvider', 'modalModel', 'modalTemp',
+      'modalApiKey', 'modalProvider', 'modalBaseUrl', 'modalModel', 'modalTemp',
       'inspectorPanel', 'requestPanel', 'contextPanel', 'timelineList',
       'networkTableBody', 'consoleList', 'bottomPanel', 'sessionList',
-      'reqProvider', 'reqModel', 'reqTemp', 'reqStatus', 'reqDuration', 'reqTokens',
+      'reqProvider', 'reqModel', 'reqContext', 'reqTemp', 'reqStatus', 'reqDuration', 'reqTokens', 'reqQueue',
       'ctxState', 'ctxMessages', 'ctxPending', 'timelineBadge', 'networkBadge',
       'commandPalette', 'paletteInput', 'paletteList', 'breadcrumbSession'
     ];
@@ -61,6 +75,13 @@ export class AgentWorkbench {
     } catch (e) {
       console.error('Failed to load config:', e);
     }
+
+    // ?cassette=<url> replays recorded responses instead of calling the provider
+    const cassette = new URLSearchParams(location.search).get('cassette');
+    if (cassette) {
+      this.config = { ...this.config, provider: 'replay', cassette: new URL(cassette, location.href).href };
+      this.addTimelineEvent('config', `Replaying cassette ${cassette}`, 'info');
+    }
   }
 
   saveConfig(config) {
@@ -70,7 +91,8 @@ export class AgentWorkbench {
   }
 
   hasConfig() {
-    return this.config && this.config.apiKey;
+    // A local server at a custom base URL may not need an API key
+    return this.config && (this.config.apiKey || this.config.baseUrl || this.config.cassette);
   }
 
   // UI State Management
@@ -146,6 +168,8 @@ export class AgentWorkbench {
         payload: {
           apiKey: this.config.apiKey,
           provider: this.config.provider,
+          baseUrl: this.config.baseUrl,
+          cassette: this.config.cassette,
           model: this.config.model,
           temperature: this.config.temperature,
           systemInstruction: "You are a helpful AI assistant. Answer questions directly and factually.",
@@ -217,6 +241,10 @@ export class AgentWorkbench {
           this.handleResponse(payload);
           break;
 
+        case 'queue':
+          this.updateQueueStatus(payload);
+          break;
+
         case 'error':
           this.addTimelineEvent('error', payload?.message || 'Unknown error', 'error', payload?.details);
           this.addMessage('error', payload?.message || 'Unknown error');
@@ -261,9 +289,14 @@ export class AgentWorkbench {
       
       // Update usage stats
       if (payload.usage) {
-        this.elements.reqTokens.textContent = payload.usage.total || 0;
+        // Cumulative cost of the session, from the worker's usage ledger
+        this.elements.reqTokens.textContent = payload.cost
+          ? `${payload.usage.total || 0} · $${payload.cost.session.toFixed(4)} session`
+          : payload.usage.total || 0;
+        this.elements.reqTokens.title = payload.cost ? `This request: $${payload.cost.request.toFixed(4)}` : '';
         this.addTimelineEvent('stream', 'Streaming complete', 'success', {
-          tokens: payload.usage
+          tokens: payload.usage,
+          cost: payload.cost
         });
       }
     } else {
@@ -299,16 +332,19 @@ export class AgentWorkbench {
   sendMessage() {
     const input = this.elements.messageInput;
     const content = input.value.trim();
+    const attachments = this.attachments;
     
-    if (!content || !this.isInitialized) return;
+    if ((!content && !attachments.length) || !this.isInitialized) return;
 
     // Add user message
-    this.addMessage('user', content);
+    const messageId = this.addMessage('user', content);
+    this.renderMessageAttachments(messageId, attachments);
     
     // Clear input
     input.value = '';
     input.style.height = 'auto';
-    this.elements.sendBtn.disabled = true;
+    this.attachments = [];
+    this.renderAttachments();
 
     // Send to worker
     const chatId = 'chat-' + Date.now();
@@ -322,7 +358,9 @@ export class AgentWorkbench {
       id: chatId,
       payload: {
         message: content,
-        sessionId: this.currentSessionId || 'test-session'
+        sessionId: this.currentSessionId || 'test-session',
+        // Blobs survive postMessage; the worker encodes and downscales them
+        attachments: attachments.map(({ type, file, name }) => ({ type, source: file, name }))
       }
     });
 
@@ -330,7 +368,7 @@ export class AgentWorkbench {
       id: chatId,
       type: 'CHAT',
       status: 'pending',
-      size: content.length + ' chars'
+      size: content.length + ' chars' + (attachments.length ? ` + ${attachments.length} file(s)` : '')
     });
 
     this.addTimelineEvent('chat', 'Message sent', 'info', { 
@@ -340,6 +378,81 @@ export class AgentWorkbench {
     this.updateInspector();
   }
 
+  // Attachments
+  addAttachments(files) {
+    for (const file of files) {
+      const type = file.type.startsWith('image/') ? 'image' : 'file';
+      this.attachments.push({
+        id: 'att-' + Date.now() + '-' + this.attachments.length,
+        type,
+        file,
+        name: file.name || (type === 'image' ? 'pasted-image.png' : 'attachment'),
+        url: type === 'image' ? URL.createObjectURL(file) : null
+      });
+    }
+    this.renderAttachments();
+    this.addTimelineEvent('chat', 'Attachments added', 'info', { count: files.length });
+  }
+
+  removeAttachment(id) {
+    const attachment = this.attachments.find(a => a.id === id);
+    if (attachment?.url) URL.revokeObjectURL(attachment.url);
+    this.attachments = this.attachments.filter(a => a.id !== id);
+    this.renderAttachments();
+  }
+
+  renderAttachments() {
+    const list = this.elements.attachmentList;
+    if (list) {
+      list.innerHTML = '';
+      this.attachments.forEach(attachment => {
+        const chip = document.createElement('div');
+        chip.className = 'attachment-chip';
+        if (attachment.url) {
+          const img = document.createElement('img');
+          img.src = attachment.url;
+          img.alt = '';
+          chip.appendChild(img);
+        }
+        const name = document.createElement('span');
+        name.textContent = attachment.name;
+        name.title = `${attachment.name} (${Math.ceil(attachment.file.size / 1024)} KB)`;
+        const remove = document.createElement('button');
+        remove.textContent = '×';
+        remove.title = 'Remove';
+        remove.addEventListener('click', () => this.removeAttachment(attachment.id));
+        chip.append(name, remove);
+        list.appendChild(chip);
+      });
+    }
+    this.updateSendButton();
+  }
+
+  renderMessageAttachments(messageId, attachments) {
+    if (!attachments.length) return;
+    const container = document.createElement('div');
+    container.className = 'message-attachments';
+    attachments.forEach(attachment => {
+      if (attachment.url) {
+        const img = document.createElement('img');
+        img.src = attachment.url;
+        img.alt = attachment.name;
+        container.appendChild(img);
+      } else {
+        const chip = document.createElement('div');
+        chip.className = 'attachment-chip';
+        chip.textContent = attachment.name;
+        container.appendChild(chip);
+      }
+    });
+    document.querySelector(`#${messageId} .message-content`)?.appendChild(container);
+  }
+
+  updateSendButton() {
+    if (!this.elements.sendBtn) return;
+    this.elements.sendBtn.disabled = !this.elements.messageInput?.value.trim() && !this.attachments.length;
+  }
+
   addMessage(role, content) {
     const id = 'msg-' + Date.now();
     const div = document.createElement('div');
@@ -411,6 +524,18 @@ export class AgentWorkbench {
     this.elements.breadcrumbSession.textContent = 'Test Session';
   }
 
+  // Requests waiting for the provider's rate limits
+  updateQueueStatus(status) {
+    if (!this.elements.reqQueue || !status) return;
+    const pausedFor = Math.max(0, ...status.providers.map(p => p.pausedFor || 0));
+    const background = status.providers.reduce((total, p) => total + (p.byPriority?.background || 0), 0);
+
+    let text = status.queued > 0 ? `${status.queued} waiting` : 'Empty';
+    if (background > 0) text += ` (${background} background)`;
+    if (pausedFor > 0) text += `, paused ${Math.ceil(pausedFor / 1000)}s`;
+    this.elements.reqQueue.textContent = text;
+  }
+
   // Inspector Updates
   updateInspector() {
     if (!this.config) return;
@@ -419,6 +544,10 @@ export class AgentWorkbench {
     this.elements.reqProvider.textContent = this.config.provider || '-';
     this.elements.reqModel.textContent = this.config.model || '-';
     this.elements.reqTemp.textContent = this.config.temperature || '-';
+    const modelInfo = this.modelRegistry.getModel(this.config.model);
+    this.elements.reqContext.textContent = modelInfo?.contextWindow
+      ? `${this.formatTokenCount(modelInfo.contextWindow)} (max output ${this.formatTokenCount(modelInfo.maxOutputTokens)})`
+      : '-';
     
     // Context tab
     this.elements.ctxState.textContent = this.isInitialized ? 'Active' : 'Inactive';
@@ -546,12 +675,24 @@ export class AgentWorkbench {
     this.elements.closeSettings?.addEventListener('click', () => this.closeSettings());
     this.elements.cancelSettings?.addEventListener('click', () => this.closeSettings());
     this.elements.saveSettings?.addEventListener('click', () => this.saveSettings());
+    this.elements.modalProvider?.addEventListener('change', () => this.refreshModelOptions());
+    this.elements.modalApiKey?.addEventListener('change', () => this.refreshModelOptions());
+    this.elements.modalBaseUrl?.addEventListener('change', () => this.refreshModelOptions());
     
     // Message input
     this.elements.messageInput?.addEventListener('input', (e) => {
       e.target.style.height = 'auto';
       e.target.style.height = Math.min(e.target.scrollHeight, 120) + 'px';
-      this.elements.sendBtn.disabled = !e.target.value.trim();
+      this.updateSendButton();
+    });
+
+    // Screenshots can be pasted straight into the input
+    this.elements.messageInput?.addEventListener('paste', (e) => {
+      const files = [...(e.clipboardData?.files || [])];
+      if (files.length) {
+        e.preventDefault();
+        this.addAttachments(files);
+      }
     });
     
     this.elements.messageInput?.addEventListener('keypress', (e) => {
@@ -562,6 +703,25 @@ export class AgentWorkbench {
     });
     
     this.elements.sendBtn?.addEventListener('click', () => this.sendMessage());
+
+    // Attachments
+    this.elements.attachBtn?.addEventListener('click', () => this.elements.attachInput?.click());
+    this.elements.attachInput?.addEventListener('change', (e) => {
+      this.addAttachments([...e.target.files]);
+      e.target.value = '';
+    });
+    this.elements.inputArea?.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      this.elements.inputArea.classList.add('dragging');
+    });
+    this.elements.inputArea?.addEventListener('dragleave', () => {
+      this.elements.inputArea.classList.remove('dragging');
+    });
+    this.elements.inputArea?.addEventListener('drop', (e) => {
+      e.preventDefault();
+      this.elements.inputArea.classList.remove('dragging');
+      if (e.dataTransfer?.files.length) this.addAttachments([...e.dataTransfer.files]);
+    });
     
     // Mode switcher
     document.querySelectorAll('.mode-btn').forEach(btn => {
@@ -611,12 +771,58 @@ export class AgentWorkbench {
     if (this.config) {
       this.elements.modalApiKey.value = this.config.apiKey || '';
       this.elements.modalProvider.value = this.config.provider || 'gemini';
-      this.elements.modalModel.value = this.config.model || 'gemini-2.5-flash';
+      this.elements.modalBaseUrl.value = this.config.baseUrl || '';
       this.elements.modalTemp.value = this.config.temperature || 0.7;
     }
+    this.refreshModelOptions(this.config?.model || 'gemini-2.5-flash');
     this.elements.settingsModal.classList.add('active');
   }
 
+  // Offer the selected provider's models from the model registry. With an API key
+  // the provider's model list is fetched (cached for a day), otherwise the catalog is used.
+  // A custom base URL's models are fetched every time, so they don't replace the provider's.
+  async refreshModelOptions(selected = this.elements.modalModel.value) {
+    const provider = this.elements.modalProvider.value;
+    const apiKey = this.elements.modalApiKey.value.trim();
+    const baseUrl = this.elements.modalBaseUrl.value.trim() || undefined;
+    await this.settingsReady;
+
+    let models;
+    if (baseUrl) {
+      const client = new APIClient({ modelRegistry: this.modelRegistry });
+      client.initialize({ provider, apiKey, baseUrl });
+      models = (await client.provider.listModels().catch(() => []))
+        .map(model => ({ displayName: model.id, ...model }));
+    } else if (apiKey) {
+      const client = new APIClient({ modelRegistry: this.modelRegistry });
+      client.initialize({ provider, apiKey });
+      models = await client.listModels();
+    } else {
+      models = await this.modelRegistry.listModels(provider);
+    }
+
+    // The provider may have changed while the list was loading
+    if (this.elements.modalProvider.value !== provider) return;
+
+    const select = this.elements.modalModel;
+    select.replaceChildren(...models.map(model => {
+      const label = model.contextWindow
+        ? `${model.displayName} (${this.formatTokenCount(model.contextWindow)} context)`
+        : model.displayName;
+      const option = new Option(label, model.id);
+      option.dataset.provider = provider;
+      return option;
+    }));
+    select.value = models.some(model => model.id === selected) ? selected : (models[0]?.id || '');
+  }
+
+  formatTokenCount(tokens) {
+    if (!tokens) return '-';
+    if (tokens >= 1000000) return `${Math.round(tokens / 1048576 * 10) / 10}M`;
+    if (tokens >= 1000) return `${Math.round(tokens / 1000)}K`;
+    return String(tokens);
+  }
+
   closeSettings() {
     this.elements.settingsModal.classList.remove('active');
   }
@@ -625,11 +831,12 @@ export class AgentWorkbench {
     const config = {
       apiKey: this.elements.modalApiKey.value.trim(),
       provider: this.elements.modalProvider.value,
+      baseUrl: this.elements.modalBaseUrl.value.trim() || undefined,
       model: this.elements.modalModel.value,
       temperature: parseFloat(this.elements.modalTemp.value)
     };
     
-    if (!config.apiKey) {
+    if (!config.apiKey && !config.baseUrl) {
       alert('API key is required');
       return;
     }